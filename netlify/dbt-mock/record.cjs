@@ -0,0 +1,188 @@
+// DBT API Fixture Recorder
+// Captures real DBT API responses into fixture files for the mock server.
+//
+// Usage:
+//   DBT_API_KEY=... node netlify/dbt-mock/record.cjs [--no-media] [--force] <type>/<fileset_id>/<book_id>/<chapters> ...
+//
+//   type      text, audio or timecode (as in the dbt-proxy function)
+//   chapters  a chapter, a range or a list, e.g. 1, 1-3 or 1,5,7
+//   --no-media  keep the signed DBT audio URLs instead of downloading the
+//               audio files (the URLs expire, so the fixtures stop playing)
+//   --force     record again even when a fixture exists
+//
+// Example:
+//   node netlify/dbt-mock/record.cjs text/ENGESV/GEN/1-3 audio/ENGESVN1DA/GEN/1-3
+
+const fs = require("fs/promises");
+const path = require("path");
+const { fixtureFile } = require("./server.cjs");
+
+// Constants
+const VALID_TYPES = ["text", "audio", "timecode"];
+const FIXTURES_DIR =
+  process.env.DBT_MOCK_FIXTURES || path.join(__dirname, "fixtures");
+
+// Helper: Parse "1", "1-3" or "1,5,7" into chapter numbers
+const parseChapters = (chapters) =>
+  chapters.split(",").flatMap((part) => {
+    const [start, end = start] = part.split("-").map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) {
+      throw new Error(`Invalid chapters: ${chapters}`);
+    }
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  });
+
+// Helper: Parse "<type>/<fileset_id>/<book_id>/<chapters>" into requests
+const parseSpec = (spec) => {
+  const [type, filesetId, bookId, chapters] = spec.split("/");
+  if (!VALID_TYPES.includes(type) || !filesetId || !bookId || !chapters) {
+    throw new Error(
+      `Invalid request "${spec}", expected <type>/<fileset_id>/<book_id>/<chapters>`,
+    );
+  }
+  return parseChapters(chapters).map((chapter) => ({
+    type,
+    filesetId,
+    bookId,
+    chapter,
+  }));
+};
+
+// Helper: DBT API paths to try for a request, in the order the proxy tries them
+const getApiPaths = ({ type, filesetId, bookId, chapter }) => {
+  if (type === "timecode") {
+    return [`timestamps/${filesetId}/${bookId}/${chapter}`];
+  }
+  if (type === "text") {
+    return [
+      `bibles/filesets/${filesetId}/${bookId}/${chapter}`,
+      `bibles/filesets/${filesetId}_ET/${bookId}/${chapter}`,
+    ];
+  }
+  return [`bibles/filesets/${filesetId}/${bookId}/${chapter}`];
+};
+
+const exists = (file) =>
+  fs.access(file).then(
+    () => true,
+    () => false,
+  );
+
+const writeFile = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+};
+
+// Download the audio files of an audio response and point it at the mock server
+const recordMedia = async (body, { filesetId, bookId, chapter }) => {
+  const data = await Promise.all(
+    (body.data || []).map(async (item, index) => {
+      if (typeof item.path !== "string" || !item.path.startsWith("http")) {
+        return item;
+      }
+
+      const extension = path.extname(new URL(item.path).pathname) || ".mp3";
+      const suffix = index > 0 ? `-${index}` : "";
+      const mediaPath = `${filesetId}/${bookId}/${chapter}${suffix}${extension}`;
+
+      const response = await fetch(item.path);
+      if (!response.ok) {
+        throw new Error(`Audio download failed: ${response.status}`);
+      }
+      await writeFile(
+        path.join(FIXTURES_DIR, "media", mediaPath),
+        Buffer.from(await response.arrayBuffer()),
+      );
+
+      return { ...item, path: `/media/${mediaPath}` };
+    }),
+  );
+  return { ...body, data };
+};
+
+// Record one request, returning the fixture path written (or already present)
+const record = async (request, { apiKey, baseUrl, media, force }) => {
+  const apiPaths = getApiPaths(request);
+  if (!force) {
+    for (const apiPath of apiPaths) {
+      if (await exists(fixtureFile(FIXTURES_DIR, apiPath))) {
+        return `${apiPath} (exists)`;
+      }
+    }
+  }
+
+  for (const apiPath of apiPaths) {
+    const url = new URL(`${baseUrl}/${apiPath}`);
+    url.searchParams.append("key", apiKey);
+    url.searchParams.append("v", "4");
+
+    const response = await fetch(url, {
+      headers: { Accept: "application/json" },
+    });
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new Error(`DBT API request failed: ${response.status}`);
+    }
+
+    let body = await response.json();
+    if (request.type === "audio" && media) {
+      body = await recordMedia(body, request);
+    }
+
+    await writeFile(
+      fixtureFile(FIXTURES_DIR, apiPath),
+      `${JSON.stringify(body, null, 2)}\n`,
+    );
+    return apiPath;
+  }
+
+  throw new Error("Not found in DBT API");
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const options = {
+    apiKey: process.env.DBT_API_KEY,
+    baseUrl: process.env.DBT_API_BASE_URL || "https://4.dbt.io/api",
+    media: !args.includes("--no-media"),
+    force: args.includes("--force"),
+  };
+  const specs = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!options.apiKey) {
+    console.error("[dbt-record] DBT_API_KEY is not set");
+    process.exit(1);
+  }
+  if (specs.length === 0) {
+    console.error(
+      "Usage: node netlify/dbt-mock/record.cjs [--no-media] [--force] <type>/<fileset_id>/<book_id>/<chapters> ...",
+    );
+    process.exit(1);
+  }
+
+  const requests = specs.flatMap(parseSpec);
+  if (!options.media && requests.some(({ type }) => type === "audio")) {
+    console.warn(
+      "[dbt-record] --no-media: audio fixtures keep the signed DBT URLs, which expire; record without --no-media for fixtures that keep playing",
+    );
+  }
+
+  let failed = 0;
+  // One request at a time, to stay within the API key quota
+  for (const request of requests) {
+    const label = `${request.type} ${request.filesetId} ${request.bookId} ${request.chapter}`;
+    try {
+      console.log(`[dbt-record] ${label} -> ${await record(request, options)}`);
+    } catch (error) {
+      failed++;
+      console.error(`[dbt-record] ${label}: ${error.message}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error(`[dbt-record] ${error.message}`);
+  process.exit(1);
+});
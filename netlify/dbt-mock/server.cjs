@@ -0,0 +1,209 @@
+// Mock DBT API Server
+// Serves recorded DBT API responses (see record.cjs) so the app and the
+// dbt-proxy function can run without an API key or internet access.
+//
+//   /api/bibles/filesets/{fileset}/{book}/{chapter}  text and audio fixtures
+//   /api/timestamps/{fileset}/{book}/{chapter}       timecode fixtures
+//   /media/...                                       recorded audio files
+//   /.netlify/functions/dbt-proxy                    the real proxy, pointed at this server
+//
+// Missing fixtures return 404 like the DBT API does, so the proxy's _ET
+// fallback behaves the same as against 4.dbt.io.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// Constants
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const MEDIA_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".webm": "audio/webm",
+};
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, If-None-Match, Range",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+};
+
+/**
+ * Get the fixture file of a DBT API path
+ * @param {string} fixturesDir - Fixtures directory
+ * @param {string} apiPath - Path below /api, e.g. "bibles/filesets/ENGESV/GEN/1"
+ * @returns {string|null} File path, or null if the path leaves the fixtures directory
+ */
+const fixtureFile = (fixturesDir, apiPath) => {
+  const root = path.resolve(fixturesDir);
+  const file = path.resolve(root, `${apiPath.replace(/^\/+|\/+$/g, "")}.json`);
+  return file.startsWith(root + path.sep) ? file : null;
+};
+
+// Helper: Send a JSON response with CORS headers
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    ...CORS_HEADERS,
+    "Content-Type": "application/json",
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+};
+
+// Helper: Point recorded audio paths ("/media/...") at this server
+const withMediaOrigin = (body, origin) => {
+  if (!Array.isArray(body?.data)) return body;
+  return {
+    ...body,
+    data: body.data.map((item) =>
+      typeof item.path === "string" && item.path.startsWith("/media/")
+        ? { ...item, path: `${origin}${item.path}` }
+        : item,
+    ),
+  };
+};
+
+// Serve a recorded DBT API response
+const serveFixture = (res, fixturesDir, apiPath, origin) => {
+  const file = fixtureFile(fixturesDir, apiPath);
+  if (!file || !fs.existsSync(file)) {
+    return sendJson(res, 404, { error: "No fixture recorded", path: apiPath });
+  }
+
+  try {
+    const body = JSON.parse(fs.readFileSync(file, "utf8"));
+    sendJson(res, 200, withMediaOrigin(body, origin));
+  } catch (error) {
+    sendJson(res, 500, { error: "Invalid fixture", message: error.message });
+  }
+};
+
+// Serve a recorded audio file, with byte ranges so the player can seek
+const serveMedia = (req, res, fixturesDir, mediaPath) => {
+  const root = path.resolve(fixturesDir, "media");
+  const file = path.resolve(root, mediaPath.replace(/^\/+/, ""));
+  if (!file.startsWith(root + path.sep) || !fs.existsSync(file)) {
+    return sendJson(res, 404, { error: "No media recorded", path: mediaPath });
+  }
+
+  const { size } = fs.statSync(file);
+  const headers = {
+    ...CORS_HEADERS,
+    "Content-Type":
+      MEDIA_TYPES[path.extname(file).toLowerCase()] ||
+      "application/octet-stream",
+    "Accept-Ranges": "bytes",
+  };
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (!range || (!range[1] && !range[2])) {
+    res.writeHead(200, { ...headers, "Content-Length": size });
+    return fs.createReadStream(file).pipe(res);
+  }
+
+  // "bytes=start-end", "bytes=start-" or the last n bytes ("bytes=-n")
+  const start = range[1] ? Number(range[1]) : Math.max(0, size - range[2]);
+  const end =
+    range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  if (start > end) {
+    res.writeHead(416, { ...headers, "Content-Range": `bytes */${size}` });
+    return res.end();
+  }
+
+  res.writeHead(206, {
+    ...headers,
+    "Content-Range": `bytes ${start}-${end}/${size}`,
+    "Content-Length": end - start + 1,
+  });
+  fs.createReadStream(file, { start, end }).pipe(res);
+};
+
+// Run the real dbt-proxy function against this server
+const createProxyRoute = (origin) => {
+  process.env.DBT_API_BASE_URL = `${origin}/api`;
+  process.env.DBT_API_KEY = process.env.DBT_API_KEY || "mock";
+  const { createHandler } = require("../functions/dbt-proxy.cjs");
+
+  // Fixtures change while developing, so the proxy does not cache them, and
+  // there is no API key quota to protect
+  const handler = createHandler({ store: null, rateLimitPerMinute: 0 });
+
+  return async (req, res, url) => {
+    const result = await handler({
+      httpMethod: req.method,
+      headers: req.headers,
+      queryStringParameters: Object.fromEntries(url.searchParams),
+    });
+    res.writeHead(result.statusCode, result.headers);
+    res.end(result.body);
+  };
+};
+
+/**
+ * Create the mock DBT API server
+ * @param {Object} options - { port, fixturesDir, delay } (delay in ms per API request)
+ * @returns {http.Server} Server (not yet listening)
+ */
+const createMockServer = ({
+  port = DEFAULT_PORT,
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  delay = 0,
+} = {}) => {
+  const origin = `http://localhost:${port}`;
+  const proxyRoute = createProxyRoute(origin);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, origin);
+    console.log(`[dbt-mock] ${req.method} ${url.pathname}`);
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+
+    try {
+      if (url.pathname === "/.netlify/functions/dbt-proxy") {
+        return await proxyRoute(req, res, url);
+      }
+
+      if (req.method !== "GET") {
+        return sendJson(res, 405, { error: "Method Not Allowed" });
+      }
+
+      if (url.pathname.startsWith("/media/")) {
+        return serveMedia(req, res, fixturesDir, url.pathname.slice(7));
+      }
+
+      if (url.pathname.startsWith("/api/")) {
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+        return serveFixture(res, fixturesDir, url.pathname.slice(5), origin);
+      }
+
+      sendJson(res, 404, { error: "Not Found" });
+    } catch (error) {
+      sendJson(res, 500, {
+        error: "Mock server error",
+        message: error.message,
+      });
+    }
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.env.DBT_MOCK_PORT) || DEFAULT_PORT;
+  const fixturesDir = process.env.DBT_MOCK_FIXTURES || DEFAULT_FIXTURES_DIR;
+  const delay = Number(process.env.DBT_MOCK_DELAY) || 0;
+
+  createMockServer({ port, fixturesDir, delay }).listen(port, () => {
+    console.log(`[dbt-mock] Serving fixtures from ${fixturesDir}`);
+    console.log(`[dbt-mock] DBT API:   http://localhost:${port}/api`);
+    console.log(
+      `[dbt-mock] dbt-proxy: http://localhost:${port}/.netlify/functions/dbt-proxy`,
+    );
+  });
+}
+
+module.exports = { createMockServer, fixtureFile };
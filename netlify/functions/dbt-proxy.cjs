@@ -1,5 +1,13 @@
 // Netlify Serverless Function - DBT API Proxy
 // Handles requests for Bible text, audio, and timecode data from Digital Bible Platform
+// Text and timecode payloads are cached (in memory or on disk) and sent with
+// Cache-Control and ETag headers, upstream throttling is retried with
+// exponential backoff, and each client is rate limited to protect the API key quota.
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
 
 // Constants
 const VALID_TYPES = ["text", "audio", "timecode"];
@@ -7,10 +15,49 @@ const REQUIRED_PARAMS = ["type", "fileset_id", "book_id", "chapter_id"];
 const CORS_HEADERS = {
   "Content-Type": "application/json",
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, If-None-Match",
   "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag, X-Cache",
+};
+
+// Payloads that are stored and may be cached by clients (audio responses hold
+// signed URLs that expire)
+const CACHEABLE_TYPES = ["text", "timecode"];
+
+// Helper: Read a positive number from the environment
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
 };
 
+const CACHE_TTL_SECONDS = envNumber("DBT_PROXY_CACHE_TTL", 7 * 24 * 60 * 60);
+// DBT_PROXY_RATE_LIMIT=0 turns the rate limit off
+const RATE_LIMIT_PER_MINUTE =
+  process.env.DBT_PROXY_RATE_LIMIT === "0"
+    ? 0
+    : envNumber("DBT_PROXY_RATE_LIMIT", 120);
+const MAX_RETRIES = envNumber("DBT_PROXY_MAX_RETRIES", 3);
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+// Each DBT API attempt is aborted after UPSTREAM_TIMEOUT_MS, and a chapter
+// gives up retrying after CHAPTER_DEADLINE_MS, under Netlify's 10 second
+// limit for synchronous functions
+const UPSTREAM_TIMEOUT_MS = envNumber("DBT_PROXY_UPSTREAM_TIMEOUT_MS", 4000);
+const CHAPTER_DEADLINE_MS = envNumber("DBT_PROXY_CHAPTER_DEADLINE_MS", 9000);
+const MIN_ATTEMPT_MS = 1000;
+const MEMORY_CACHE_MAX_ENTRIES = 500;
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Batch requests (chapters=GEN.1,GEN.2,EXO.3) fan out to the DBT API a few
+// chapters at a time
+const BATCH_TYPES = ["text", "timecode"];
+const MAX_BATCH_CHAPTERS = 50;
+const BATCH_CONCURRENCY = envNumber("DBT_PROXY_BATCH_CONCURRENCY", 4);
+// A batch returns the chapters loaded by then after BATCH_DEADLINE_MS; the
+// others are marked 504 for the client to request again
+const BATCH_DEADLINE_MS = envNumber("DBT_PROXY_BATCH_DEADLINE_MS", 8000);
+const CHAPTER_PATTERN = /^([0-9A-Z]{3})\.(\d+)$/;
+
 // Helper: Build fileset ID with appropriate suffix based on content type
 const buildFilesetId = (type, baseFilesetId) => {
   const suffixes = { text: "_ET", audio: "", timecode: "" };
@@ -24,120 +71,554 @@ const jsonResponse = (statusCode, body, headers = {}) => ({
   body: JSON.stringify(body),
 });
 
-// Main handler function
-exports.handler = async (event) => {
-  // Only accept GET requests
-  if (event.httpMethod !== "GET") {
-    return jsonResponse(405, { error: "Method Not Allowed" });
-  }
+const hash = (text) => crypto.createHash("sha1").update(text).digest("hex");
 
-  // Get API key from environment
-  const apiKey = process.env.DBT_API_KEY;
-  if (!apiKey) {
-    return jsonResponse(500, { error: "API key not configured" });
-  }
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-  // Extract query parameters
-  const params = event.queryStringParameters || {};
-  const { type, fileset_id, book_id, chapter_id } = params;
-
-  // Validate required parameters are present
-  const missing = REQUIRED_PARAMS.filter((p) => !params[p]);
-  if (missing.length > 0) {
-    return jsonResponse(400, {
-      error: "Missing required parameters",
-      required: REQUIRED_PARAMS,
-      missing,
-    });
-  }
+// Helper: Map items with an async function, at most `limit` at a time, keeping order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+};
 
-  // Validate type is one of the allowed values
-  if (!VALID_TYPES.includes(type)) {
-    return jsonResponse(400, {
-      error: "Invalid type parameter",
-      allowed: VALID_TYPES,
-      received: type,
-    });
-  }
+// Cache stores
+// A store is any object with async get(key) and set(key, entry) methods;
+// entries are { body, etag, expiresAt }. Pass one to createHandler to use
+// another backend (e.g. Netlify Blobs or Redis).
 
-  try {
-    // Get base URL from environment or use default
-    const baseUrl = process.env.DBT_API_BASE_URL || "https://4.dbt.io/api";
-    let url;
-    let response;
+// In-memory store, kept while the function instance stays warm
+const createMemoryStore = (maxEntries = MEMORY_CACHE_MAX_ENTRIES) => {
+  const entries = new Map();
 
-    // Timecode uses different endpoint structure: timestamps/{fileset}/{book}/{chapter}
-    if (type === "timecode") {
-      // Use base fileset ID without any suffix for timecode endpoint
-      url = new URL(
-        `${baseUrl}/timestamps/${fileset_id}/${book_id}/${chapter_id}`,
-      );
-      url.searchParams.append("key", apiKey);
-      url.searchParams.append("v", "4");
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
 
-      response = await fetch(url.toString(), {
-        method: "GET",
-        headers: { Accept: "application/json" },
-      });
-    } else if (type === "text") {
-      // For text, try WITHOUT _ET suffix first (for languages like French)
-      url = new URL(
-        `${baseUrl}/bibles/filesets/${fileset_id}/${book_id}/${chapter_id}`,
+      // Move to the end so the least recently used entry is evicted first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+};
+
+// File store, one JSON file per entry (survives restarts of `netlify dev`)
+const createFileStore = (dir) => {
+  const fileFor = (key) => path.join(dir, `${hash(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (error) {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(fileFor(key), JSON.stringify(entry));
+      } catch (error) {
+        console.warn("[dbt-proxy] Could not write cache file:", error.message);
+      }
+    },
+  };
+};
+
+// Helper: Pick the store from DBT_PROXY_CACHE ("memory", "file" or "none")
+const createStoreFromEnv = () => {
+  switch (process.env.DBT_PROXY_CACHE) {
+    case "none":
+      return null;
+    case "file":
+      return createFileStore(
+        process.env.DBT_PROXY_CACHE_DIR ||
+          path.join(os.tmpdir(), "dbt-proxy-cache"),
       );
-      url.searchParams.append("key", apiKey);
-      url.searchParams.append("v", "4");
+    default:
+      return createMemoryStore();
+  }
+};
 
-      response = await fetch(url.toString(), {
+// Per-client rate limiting (token bucket refilled at perMinute tokens a minute)
+// Returns a function that takes a token for a client and gives the number of
+// seconds to wait, or 0 when the request may go ahead.
+const createRateLimiter = (perMinute) => {
+  const buckets = new Map();
+
+  return (clientId) => {
+    const now = Date.now();
+    const bucket = buckets.get(clientId) || {
+      tokens: perMinute,
+      updatedAt: now,
+    };
+
+    bucket.tokens = Math.min(
+      perMinute,
+      bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute,
+    );
+    bucket.updatedAt = now;
+    buckets.delete(clientId);
+    buckets.set(clientId, bucket);
+
+    // Forget the least recently seen clients
+    if (buckets.size > MAX_TRACKED_CLIENTS) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    if (bucket.tokens < 1) {
+      return Math.ceil(((1 - bucket.tokens) * 60) / perMinute);
+    }
+
+    bucket.tokens -= 1;
+    return 0;
+  };
+};
+
+// Helper: Identify the client by IP address
+const getClientId = (event) => {
+  const headers = event.headers || {};
+  return (
+    headers["x-nf-client-connection-ip"] ||
+    (headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    "unknown"
+  );
+};
+
+// Helper: Delay before retrying, from Retry-After or exponential backoff with jitter
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = Number(response?.headers.get("retry-after"));
+  const delay =
+    retryAfter > 0
+      ? retryAfter * 1000
+      : RETRY_BASE_DELAY_MS * 2 ** attempt +
+        Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+};
+
+// Helper: Fetch from the DBT API, retrying network errors, timeouts, 429 and
+// 5xx while another attempt still fits before the deadline (ms timestamp)
+const fetchWithRetry = async (fetchImpl, url, maxRetries, deadline) => {
+  const canRetry = (attempt, delay) =>
+    attempt < maxRetries && Date.now() + delay + MIN_ATTEMPT_MS <= deadline;
+
+  for (let attempt = 0; ; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new DOMException("DBT API request timed out", "TimeoutError");
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, {
         method: "GET",
         headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(Math.min(UPSTREAM_TIMEOUT_MS, remaining)),
       });
+    } catch (error) {
+      const delay = getRetryDelay(null, attempt);
+      if (!canRetry(attempt, delay)) throw error;
+      await sleep(delay);
+      continue;
+    }
 
-      // If that fails with 404, try WITH _ET suffix (for languages like English)
-      if (!response.ok && response.status === 404) {
-        const filesetIdWithET = `${fileset_id}_ET`;
-        url = new URL(
-          `${baseUrl}/bibles/filesets/${filesetIdWithET}/${book_id}/${chapter_id}`,
-        );
+    const retryable = response.status === 429 || response.status >= 500;
+    const delay = getRetryDelay(response, attempt);
+    if (!retryable || !canRetry(attempt, delay)) {
+      return response;
+    }
+    await sleep(delay);
+  }
+};
+
+// Helper: Cache-Control header for a payload type
+const getCacheControl = (type) =>
+  CACHEABLE_TYPES.includes(type)
+    ? `public, max-age=${CACHE_TTL_SECONDS}`
+    : "no-cache";
+
+// Helper: Respond with a payload, or 304 when the client already has it
+const payloadResponse = (event, entry, cacheControl, cacheStatus) => {
+  const headers = {
+    ETag: entry.etag,
+    "Cache-Control": cacheControl,
+    "X-Cache": cacheStatus,
+  };
+
+  const ifNoneMatch = (event.headers || {})["if-none-match"];
+  if (ifNoneMatch && ifNoneMatch === entry.etag) {
+    return {
+      statusCode: 304,
+      headers: { ...CORS_HEADERS, ...headers },
+      body: "",
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: { ...CORS_HEADERS, ...headers },
+    body: entry.body,
+  };
+};
+
+/**
+ * Create the proxy handler
+ * @param {Object} options - { store, fetch, rateLimitPerMinute, maxRetries, batchConcurrency }
+ *   store defaults to the one chosen by DBT_PROXY_CACHE (null disables caching)
+ *   rateLimitPerMinute defaults to DBT_PROXY_RATE_LIMIT (0 or null disables rate limiting)
+ */
+const createHandler = (options = {}) => {
+  const store = "store" in options ? options.store : createStoreFromEnv();
+  const fetchImpl = options.fetch || fetch;
+  const maxRetries = options.maxRetries ?? MAX_RETRIES;
+  const batchConcurrency = options.batchConcurrency || BATCH_CONCURRENCY;
+  const rateLimitPerMinute =
+    "rateLimitPerMinute" in options
+      ? options.rateLimitPerMinute
+      : RATE_LIMIT_PER_MINUTE;
+  const takeToken =
+    Number.isFinite(rateLimitPerMinute) && rateLimitPerMinute > 0
+      ? createRateLimiter(rateLimitPerMinute)
+      : null;
+
+  // Text filesets found to need the _ET suffix (or not), so the second
+  // request after a 404 is only made once per fileset: { fileset_id: suffix }
+  const textSuffixes = new Map();
+
+  // Chapters being fetched from the DBT API, so identical requests arriving
+  // meanwhile share the upstream request: { cacheKey: Promise }
+  const inFlight = new Map();
+
+  // Fetch one chapter from the DBT API before the deadline (ms timestamp),
+  // storing it when cacheable
+  // Returns { entry, cacheStatus }, or { statusCode, error, headers } on failure
+  const fetchChapter = async (
+    { type, fileset_id, book_id, chapter_id },
+    apiKey,
+    cacheKey,
+    cacheable,
+    deadline,
+  ) => {
+    try {
+      // Get base URL from environment or use default
+      const baseUrl = process.env.DBT_API_BASE_URL || "https://4.dbt.io/api";
+      const fetchUpstream = (pathname) => {
+        const url = new URL(`${baseUrl}/${pathname}`);
         url.searchParams.append("key", apiKey);
         url.searchParams.append("v", "4");
+        return fetchWithRetry(fetchImpl, url.toString(), maxRetries, deadline);
+      };
+
+      let response;
 
-        response = await fetch(url.toString(), {
-          method: "GET",
-          headers: { Accept: "application/json" },
-        });
+      if (type === "timecode") {
+        // Timecode uses different endpoint structure: timestamps/{fileset}/{book}/{chapter}
+        response = await fetchUpstream(
+          `timestamps/${fileset_id}/${book_id}/${chapter_id}`,
+        );
+      } else if (type === "text") {
+        // Try WITHOUT _ET suffix first (for languages like French), then
+        // WITH it (for languages like English), unless already known
+        const known = textSuffixes.get(fileset_id);
+        const filesetIds =
+          known !== undefined
+            ? [`${fileset_id}${known}`]
+            : [fileset_id, buildFilesetId(type, fileset_id)];
+
+        for (const filesetId of filesetIds) {
+          response = await fetchUpstream(
+            `bibles/filesets/${filesetId}/${book_id}/${chapter_id}`,
+          );
+          if (response.ok) {
+            textSuffixes.set(fileset_id, filesetId.slice(fileset_id.length));
+          }
+          if (response.status !== 404) break;
+        }
+      } else {
+        // Audio uses base fileset ID without suffix
+        response = await fetchUpstream(
+          `bibles/filesets/${fileset_id}/${book_id}/${chapter_id}`,
+        );
       }
-    } else {
-      // Audio uses base fileset ID without suffix
-      url = new URL(
-        `${baseUrl}/bibles/filesets/${fileset_id}/${book_id}/${chapter_id}`,
-      );
-      url.searchParams.append("key", apiKey);
-      url.searchParams.append("v", "4");
 
-      response = await fetch(url.toString(), {
-        method: "GET",
-        headers: { Accept: "application/json" },
+      // Handle non-successful responses
+      if (!response.ok) {
+        const errorText = await response.text();
+        const retryHeader = response.headers.get("retry-after");
+        return {
+          statusCode: response.status,
+          error: {
+            error: "DBT API request failed",
+            status: response.status,
+            statusText: response.statusText,
+            details: errorText,
+          },
+          headers: {
+            "Cache-Control": "no-store",
+            ...(retryHeader && { "Retry-After": retryHeader }),
+          },
+        };
+      }
+
+      // Success - store the Bible data
+      const body = JSON.stringify(await response.json());
+      const entry = {
+        body,
+        etag: `"${hash(body)}"`,
+        expiresAt: Date.now() + CACHE_TTL_SECONDS * 1000,
+      };
+      if (cacheable) {
+        await store.set(cacheKey, entry);
+      }
+
+      return { entry, cacheStatus: "MISS" };
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        return {
+          statusCode: 504,
+          error: { error: "DBT API timed out", message: error.message },
+          headers: { "Cache-Control": "no-store" },
+        };
+      }
+      return {
+        statusCode: 500,
+        error: { error: "Proxy error", message: error.message },
+      };
+    }
+  };
+
+  // Load one chapter from the store or the DBT API, giving up on the DBT API
+  // at the deadline (ms timestamp, defaults to CHAPTER_DEADLINE_MS from now)
+  // Returns { entry, cacheStatus }, or { statusCode, error, headers } on failure
+  const loadChapter = async (
+    params,
+    clientId,
+    apiKey,
+    deadline = Date.now() + CHAPTER_DEADLINE_MS,
+  ) => {
+    const { type, fileset_id, book_id, chapter_id } = params;
+
+    // Serve stored text and timecode payloads without calling the DBT API
+    const cacheKey = `${type}:${fileset_id}:${book_id}:${chapter_id}`;
+    const cacheable = store && CACHEABLE_TYPES.includes(type);
+    if (cacheable) {
+      const entry = await store.get(cacheKey);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { entry, cacheStatus: "HIT" };
+      }
+    }
+
+    // Wait for the same chapter when it is already being fetched
+    const pending = inFlight.get(cacheKey);
+    if (pending) return pending;
+
+    // Only requests that reach the DBT API count against the rate limit
+    const retryAfter = takeToken ? takeToken(clientId) : 0;
+    if (retryAfter > 0) {
+      return {
+        statusCode: 429,
+        error: { error: "Too many requests", retryAfter },
+        headers: { "Retry-After": String(retryAfter) },
+      };
+    }
+
+    const request = fetchChapter(
+      params,
+      apiKey,
+      cacheKey,
+      cacheable,
+      deadline,
+    ).finally(() => inFlight.delete(cacheKey));
+    inFlight.set(cacheKey, request);
+    return request;
+  };
+
+  // Load several chapters of one fileset and combine them:
+  // { chapters: { "GEN.1": { data: [...] }, "EXO.3": { status: 404, error: "..." } } }
+  const handleBatch = async (event, params, apiKey) => {
+    const { type, fileset_id, chapters } = params;
+
+    if (!BATCH_TYPES.includes(type)) {
+      return jsonResponse(400, {
+        error: "Invalid type parameter for batch request",
+        allowed: BATCH_TYPES,
+        received: type,
+      });
+    }
+
+    if (!fileset_id) {
+      return jsonResponse(400, {
+        error: "Missing required parameters",
+        required: ["type", "fileset_id", "chapters"],
+        missing: ["fileset_id"],
       });
     }
 
-    // Handle non-successful responses
-    if (!response.ok) {
-      const errorText = await response.text();
-      return jsonResponse(response.status, {
-        error: "DBT API request failed",
-        status: response.status,
-        statusText: response.statusText,
-        details: errorText,
+    const chapterKeys = [
+      ...new Set(
+        chapters
+          .split(",")
+          .map((chapterKey) => chapterKey.trim())
+          .filter(Boolean),
+      ),
+    ];
+    const invalid = chapterKeys.filter(
+      (chapterKey) => !CHAPTER_PATTERN.test(chapterKey),
+    );
+    if (chapterKeys.length === 0 || invalid.length > 0) {
+      return jsonResponse(400, {
+        error: "Invalid chapters parameter",
+        expected: "Comma-separated BOOK.chapter list, e.g. GEN.1,GEN.2,EXO.3",
+        invalid,
       });
     }
+    if (chapterKeys.length > MAX_BATCH_CHAPTERS) {
+      return jsonResponse(400, {
+        error: "Too many chapters",
+        max: MAX_BATCH_CHAPTERS,
+        received: chapterKeys.length,
+      });
+    }
+
+    // Chapters not started by the deadline are skipped, and the DBT API
+    // requests still running then are aborted, so the loaded ones are
+    // returned before the function is cut off
+    const deadline = Date.now() + BATCH_DEADLINE_MS;
+    const clientId = getClientId(event);
+    const loadChapterKey = (chapterKey) => {
+      if (Date.now() >= deadline) {
+        return {
+          statusCode: 504,
+          error: { error: "Batch deadline reached" },
+        };
+      }
+      const [, book_id, chapter_id] = CHAPTER_PATTERN.exec(chapterKey);
+      return loadChapter(
+        { type, fileset_id, book_id, chapter_id },
+        clientId,
+        apiKey,
+        Math.min(deadline, Date.now() + CHAPTER_DEADLINE_MS),
+      );
+    };
+
+    // Until the first text chapter has loaded, it is not known whether the
+    // fileset needs _ET, so load it alone instead of probing in parallel
+    const results = [];
+    if (type === "text" && !textSuffixes.has(fileset_id)) {
+      results.push(await loadChapterKey(chapterKeys[0]));
+    }
+    results.push(
+      ...(await mapWithConcurrency(
+        chapterKeys.slice(results.length),
+        batchConcurrency,
+        loadChapterKey,
+      )),
+    );
 
-    // Success - return the Bible data
-    const data = await response.json();
-    return jsonResponse(200, data);
-  } catch (error) {
-    return jsonResponse(500, {
-      error: "Proxy error",
-      message: error.message,
+    const combined = {};
+    chapterKeys.forEach((chapterKey, index) => {
+      const result = results[index];
+      combined[chapterKey] = result.entry
+        ? JSON.parse(result.entry.body)
+        : { ...result.error, status: result.statusCode };
     });
-  }
+
+    // Failed chapters may load on the next try, so incomplete batches are not cached
+    const complete = results.every((result) => result.entry);
+    const hits = results.filter((result) => result.cacheStatus === "HIT");
+    const body = JSON.stringify({ chapters: combined });
+
+    return payloadResponse(
+      event,
+      { body, etag: `"${hash(body)}"` },
+      complete ? getCacheControl(type) : "no-store",
+      hits.length === results.length
+        ? "HIT"
+        : hits.length > 0
+          ? "PARTIAL"
+          : "MISS",
+    );
+  };
+
+  return async (event) => {
+    // Only accept GET requests
+    if (event.httpMethod !== "GET") {
+      return jsonResponse(405, { error: "Method Not Allowed" });
+    }
+
+    // Get API key from environment
+    const apiKey = process.env.DBT_API_KEY;
+    if (!apiKey) {
+      return jsonResponse(500, { error: "API key not configured" });
+    }
+
+    // Extract query parameters
+    const params = event.queryStringParameters || {};
+    const { type, fileset_id, book_id, chapter_id } = params;
+
+    // Several chapters in one request
+    if (params.chapters) {
+      return handleBatch(event, params, apiKey);
+    }
+
+    // Validate required parameters are present
+    const missing = REQUIRED_PARAMS.filter((p) => !params[p]);
+    if (missing.length > 0) {
+      return jsonResponse(400, {
+        error: "Missing required parameters",
+        required: REQUIRED_PARAMS,
+        missing,
+      });
+    }
+
+    // Validate type is one of the allowed values
+    if (!VALID_TYPES.includes(type)) {
+      return jsonResponse(400, {
+        error: "Invalid type parameter",
+        allowed: VALID_TYPES,
+        received: type,
+      });
+    }
+
+    const result = await loadChapter(
+      { type, fileset_id, book_id, chapter_id },
+      getClientId(event),
+      apiKey,
+    );
+    if (!result.entry) {
+      return jsonResponse(result.statusCode, result.error, result.headers);
+    }
+
+    return payloadResponse(
+      event,
+      result.entry,
+      getCacheControl(type),
+      result.cacheStatus,
+    );
+  };
 };
+
+// Main handler function
+exports.handler = createHandler();
+
+exports.createHandler = createHandler;
+exports.createMemoryStore = createMemoryStore;
+exports.createFileStore = createFileStore;
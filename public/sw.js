@@ -0,0 +1,200 @@
+// Bible Compass Service Worker
+// Serves the app shell and static data from cache, and story pack content
+// (story images, chapter MP3s) from per-language pack caches when offline
+
+// Cache names come from the app (src/utils/storyPacks.js) in the script URL
+const CACHE_NAMES = new URL(self.location.href).searchParams;
+const SHELL_CACHE = CACHE_NAMES.get("shell");
+const DATA_CACHE = CACHE_NAMES.get("data");
+const PACK_CACHE_PREFIX = CACHE_NAMES.get("pack");
+
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/manifest.json",
+  "/favicon.ico",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  "/fonts/opendyslexic-latin-400-normal.woff2",
+  "/fonts/opendyslexic-latin-700-normal.woff2",
+];
+
+// Static data that changes only on deploy - served stale while revalidating
+const DATA_PATH_PREFIXES = [
+  "/templates/",
+  "/ALL-langs-data/",
+  "/ALL-timings/",
+  "/navIcons/",
+  "/ALL-langs-compact.json",
+  "/ALL-langs-mini.json",
+  "/regions.json",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop shell/data caches from previous versions; story packs are kept
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                !name.startsWith(PACK_CACHE_PREFIX) &&
+                name !== SHELL_CACHE &&
+                name !== DATA_CACHE,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Helper: Build a 206 response for media range requests from a full cached response
+const rangeResponse = async (request, response) => {
+  const rangeHeader = request.headers.get("range");
+  if (!rangeHeader || response.type === "opaque" || response.status !== 200) {
+    return response;
+  }
+
+  const match = rangeHeader.match(/bytes=(\d*)-(\d*)/);
+  if (!match || (!match[1] && !match[2])) return response;
+
+  // "bytes=start-end", "bytes=start-" or the last n bytes ("bytes=-n")
+  const blob = await response.blob();
+  const size = blob.size;
+  const start = match[1]
+    ? parseInt(match[1], 10)
+    : Math.max(0, size - parseInt(match[2], 10));
+  const end =
+    match[1] && match[2]
+      ? Math.min(parseInt(match[2], 10), size - 1)
+      : size - 1;
+  if (start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: "Range Not Satisfiable",
+      headers: { "Content-Range": `bytes */${size}` },
+    });
+  }
+  const slice = blob.slice(start, end + 1);
+
+  return new Response(slice, {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Length": String(slice.size),
+    },
+  });
+};
+
+// Network first, falling back to the cached app shell (for navigations)
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // Error pages must not replace the cached app shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (
+      (await caches.match("/index.html")) ||
+      (await caches.match("/")) ||
+      Response.error()
+    );
+  }
+};
+
+// Cache first - built assets have content hashes in their filenames
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Stale while revalidate for static data files
+const handleData = async (event) => {
+  const { request } = event;
+  const cached = await caches.match(request);
+
+  const networkFetch = fetch(request)
+    .then(async (response) => {
+      if (response.ok) {
+        const cache = await caches.open(DATA_CACHE);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(networkFetch);
+    return cached;
+  }
+
+  return (await networkFetch) || Response.error();
+};
+
+// Story pack content (images, MP3s) - cache first, signed audio URLs match without query
+const handlePackContent = async (request) => {
+  const isAudio = new URL(request.url).pathname.endsWith(".mp3");
+  const cached = await caches.match(request.url, { ignoreSearch: isAudio });
+
+  if (cached) {
+    return isAudio ? rangeResponse(request, cached) : cached;
+  }
+
+  return fetch(request);
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // API calls are cached by the app itself (IndexedDB)
+    if (url.pathname.startsWith("/.netlify/")) return;
+
+    if (request.mode === "navigate") {
+      event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith("/assets/")) {
+      event.respondWith(handleAsset(request));
+    } else if (
+      DATA_PATH_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))
+    ) {
+      event.respondWith(handleData(event));
+    }
+    return;
+  }
+
+  // Cross-origin: story images and chapter audio
+  if (
+    request.destination === "image" ||
+    request.destination === "audio" ||
+    url.pathname.endsWith(".mp3")
+  ) {
+    event.respondWith(handlePackContent(request));
+  }
+});
@@ -0,0 +1,81 @@
+// Locale Key Check
+// Compares the keys of every locale with en.js, which has every string, so
+// untranslated strings do not silently fall back to English.
+//
+// Usage:
+//   node scripts/check-locales.js
+//
+// Plural strings ({ one, other, ... }) count as one key, since the plural
+// forms differ per language. Exits with 1 when a locale misses keys.
+
+import { readdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Constants
+const LOCALES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "src",
+  "locales",
+);
+const REFERENCE_LOCALE = "en";
+const PLURAL_FORMS = ["zero", "one", "two", "few", "many", "other"];
+// Settings only some locales have
+const OPTIONAL_KEYS = ["direction"];
+
+// Helper: Plural strings are objects of plural forms only
+const isPlural = (value) =>
+  Object.keys(value).every((key) => PLURAL_FORMS.includes(key));
+
+// Helper: Flatten a locale into dotted keys, e.g. "books.GEN.name"
+const getKeys = (strings, prefix = "") =>
+  Object.entries(strings).flatMap(([key, value]) =>
+    value && typeof value === "object" && !isPlural(value)
+      ? getKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`],
+  );
+
+const loadLocale = async (code) =>
+  (await import(path.join(LOCALES_DIR, `${code}.js`))).default;
+
+const main = async () => {
+  const referenceKeys = getKeys(await loadLocale(REFERENCE_LOCALE));
+  const codes = (await readdir(LOCALES_DIR))
+    .filter((file) => file.endsWith(".js") && file !== "index.js")
+    .map((file) => path.basename(file, ".js"))
+    .filter((code) => code !== REFERENCE_LOCALE)
+    .sort();
+
+  let failed = 0;
+  for (const code of codes) {
+    const keys = new Set(getKeys(await loadLocale(code)));
+    const missing = referenceKeys.filter((key) => !keys.has(key));
+    const unknown = [...keys].filter(
+      (key) => !referenceKeys.includes(key) && !OPTIONAL_KEYS.includes(key),
+    );
+
+    if (missing.length === 0 && unknown.length === 0) {
+      console.log(`[check-locales] ${code}: ok`);
+      continue;
+    }
+    if (missing.length > 0) {
+      failed++;
+      console.error(
+        `[check-locales] ${code}: ${missing.length} missing: ${missing.join(", ")}`,
+      );
+    }
+    if (unknown.length > 0) {
+      console.warn(
+        `[check-locales] ${code}: not in ${REFERENCE_LOCALE}: ${unknown.join(", ")}`,
+      );
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error(`[check-locales] ${error.message}`);
+  process.exit(1);
+});
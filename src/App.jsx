@@ -3,16 +3,98 @@ import "./App.css";
 import NavigationGrid from "./components/NavigationGrid";
 import StoryViewer from "./components/StoryViewer";
 import LanguageSelector from "./components/LanguageSelector";
+import StoryPackManager from "./components/StoryPackManager";
+import SearchView from "./components/SearchView";
+import QueuePanel from "./components/QueuePanel";
+import NotesView from "./components/NotesView";
+import SettingsPanel from "./components/SettingsPanel";
+import AudioPlayer from "./components/AudioPlayer";
+import MinimizedAudioPlayer from "./components/MinimizedAudioPlayer";
 import { LanguageProvider } from "./context/LanguageContext";
 import { MediaPlayerProvider } from "./context/MediaPlayerContext";
+import { AnnotationsProvider } from "./context/AnnotationsContext";
+import { TranslationProvider } from "./context/TranslationContext";
 import useTranslation from "./hooks/useTranslation";
+import useLanguage from "./hooks/useLanguage";
+import useRoute from "./hooks/useRoute";
+import useMediaPlayer from "./hooks/useMediaPlayer";
+import { parseRoute } from "./utils/routing";
+import {
+  applyPreferences,
+  getSavedPreferences,
+  savePreferences,
+} from "./utils/readingPreferences";
 
-function AppContent({ selectedLanguage, onLanguageSelect }) {
+/**
+ * Keeps the player available outside a story, so queued stories and saved
+ * playlists keep playing while browsing
+ */
+function BrowsingPlayer() {
+  const { currentPlaylist, isMinimized } = useMediaPlayer();
+
+  if (!currentPlaylist || currentPlaylist.length === 0) {
+    return null;
+  }
+
+  return isMinimized ? <MinimizedAudioPlayer /> : <AudioPlayer />;
+}
+
+function AppContent({
+  selectedLanguage,
+  onLanguageSelect,
+  preferences,
+  onPreferencesChange,
+  route,
+  navigate,
+}) {
   const { t } = useTranslation();
+  const { languageNames, loadCategories } = useLanguage();
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
-  const [selectedStory, setSelectedStory] = useState(null);
+  const [showStoryPacks, setShowStoryPacks] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showQueue, setShowQueue] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [storyInfo, setStoryInfo] = useState(null);
   const [showEmptyContent, setShowEmptyContent] = useState(false);
 
+  const languageCode = selectedLanguage?.code || "fra";
+  const storyPath = route.storyId
+    ? `${route.categoryPath}/${route.storyId}.md`
+    : null;
+  const selectedStory = storyInfo?.path === storyPath ? storyInfo : null;
+
+  // Resolve story title and image when a story is opened from a URL
+  useEffect(() => {
+    if (!storyPath || storyInfo?.path === storyPath) {
+      return;
+    }
+
+    let cancelled = false;
+    const fallback = { id: route.storyId, path: storyPath, title: "" };
+
+    loadCategories()
+      .then((categories) => {
+        const category = categories.find((c) => c.path === route.categoryPath);
+        const story = category?.stories.find((s) => s.id === route.storyId);
+        if (!cancelled) {
+          setStoryInfo(
+            story
+              ? { ...fallback, title: story.title, image: story.image }
+              : fallback,
+          );
+        }
+      })
+      .catch((error) => {
+        console.error("Error resolving story from URL:", error);
+        if (!cancelled) setStoryInfo(fallback);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storyPath]);
+
   const handleOpenLanguageSelector = () => {
     setShowLanguageSelector(true);
   };
@@ -24,19 +106,60 @@ function AppContent({ selectedLanguage, onLanguageSelect }) {
   const handleLanguageSelect = (language) => {
     onLanguageSelect(language);
     setShowLanguageSelector(false);
+    navigate({
+      language: language.code,
+      categoryPath: route.categoryPath,
+      storyId: route.storyId,
+    });
+  };
+
+  const handleNavigate = (categoryPath) => {
+    navigate({ language: languageCode, categoryPath });
+  };
+
+  const handleStorySelect = (story) => {
+    const categoryPath = story.path.split("/")[0];
+    setStoryInfo(story);
+    navigate({ language: languageCode, categoryPath, storyId: story.id });
+  };
+
+  const handleSearchSelect = (result, section) => {
+    setShowSearch(false);
+    navigate({
+      language: languageCode,
+      categoryPath: result.categoryPath,
+      storyId: result.storyId,
+      section,
+    });
+  };
+
+  // Open a section of a story by its path (e.g. "03-Exodus/09.md"), from
+  // My notes or the "continue" entry
+  const handleStorySectionSelect = (story, section) => {
+    const separator = story.storyPath.lastIndexOf("/");
+    setShowNotes(false);
+    navigate({
+      language: languageCode,
+      categoryPath: story.storyPath.slice(0, separator),
+      storyId: story.storyPath.slice(separator + 1).replace(/\.md$/, ""),
+      section,
+    });
   };
 
   const handleBackToGrid = () => {
-    setSelectedStory(null);
+    navigate({ language: languageCode, categoryPath: route.categoryPath });
   };
 
   // Get display name for language button
   const getLanguageDisplayName = () => {
     if (!selectedLanguage) return t("app.selectLanguage");
 
+    const names = languageNames[selectedLanguage.code] || {};
     const name =
       selectedLanguage.vernacular ||
       selectedLanguage.english ||
+      names.vernacular ||
+      names.english ||
       selectedLanguage.code;
 
     // For very long names (>50 chars), truncate but keep meaningful content
@@ -53,39 +176,94 @@ function AppContent({ selectedLanguage, onLanguageSelect }) {
         <header className="app-header">
           <div className="header-content">
             <h1 className="app-title">{t("app.title")}</h1>
-            <button
-              className="language-button"
-              onClick={handleOpenLanguageSelector}
-              aria-label={t("app.changeLanguage")}
-            >
-              <div className="language-icon-wrapper">
-                <span className="language-icon">🌐</span>
-                <span className="language-code-mobile">
-                  {selectedLanguage?.code || "fra"}
+            <div className="header-actions">
+              <button
+                className="header-icon-button"
+                onClick={() => setShowSearch(true)}
+                aria-label={t("app.search")}
+                title={t("app.search")}
+              >
+                🔍
+              </button>
+              <button
+                className="header-icon-button"
+                onClick={() => setShowNotes(true)}
+                aria-label={t("app.myNotes")}
+                title={t("app.myNotes")}
+              >
+                📝
+              </button>
+              <button
+                className="header-icon-button"
+                onClick={() => setShowQueue(true)}
+                aria-label={t("app.queue")}
+                title={t("app.queue")}
+              >
+                🎧
+              </button>
+              <button
+                className="header-icon-button"
+                onClick={() => setShowStoryPacks(true)}
+                aria-label={t("app.offlinePacks")}
+                title={t("app.offlinePacks")}
+              >
+                ⬇
+              </button>
+              <button
+                className="header-icon-button"
+                onClick={() => setShowSettings(true)}
+                aria-label={t("app.settings")}
+                title={t("app.settings")}
+              >
+                ⚙
+              </button>
+              <button
+                className="language-button"
+                onClick={handleOpenLanguageSelector}
+                aria-label={t("app.changeLanguage")}
+              >
+                <div className="language-icon-wrapper">
+                  <span className="language-icon">🌐</span>
+                  <span className="language-code-mobile">
+                    {selectedLanguage?.code || "fra"}
+                  </span>
+                </div>
+                <span className="language-text-desktop">
+                  {getLanguageDisplayName()}
                 </span>
-              </div>
-              <span className="language-text-desktop">
-                {getLanguageDisplayName()}
-              </span>
-            </button>
+              </button>
+            </div>
           </div>
         </header>
 
         <main className="main-content">
-          {!selectedStory && (
+          {!storyPath && (
             <NavigationGrid
-              onStorySelect={setSelectedStory}
+              categoryPath={route.categoryPath}
+              onNavigate={handleNavigate}
+              onStorySelect={handleStorySelect}
+              onContinue={handleStorySectionSelect}
               showEmptyContent={showEmptyContent}
               onToggleEmptyContent={() =>
                 setShowEmptyContent(!showEmptyContent)
               }
             />
           )}
+          {storyPath && !selectedStory && (
+            <div className="story-loading">{t("storyViewer.loadingStory")}</div>
+          )}
           {selectedStory && (
-            <StoryViewer storyData={selectedStory} onBack={handleBackToGrid} />
+            <StoryViewer
+              storyData={selectedStory}
+              onBack={handleBackToGrid}
+              initialSection={route.section}
+              autoPlaySection={route.play}
+            />
           )}
         </main>
 
+        {!selectedStory && <BrowsingPlayer />}
+
         {showLanguageSelector && (
           <LanguageSelector
             selectedLanguage={selectedLanguage}
@@ -93,16 +271,60 @@ function AppContent({ selectedLanguage, onLanguageSelect }) {
             onClose={handleCloseLanguageSelector}
           />
         )}
+
+        {showSearch && (
+          <SearchView
+            onSelect={handleSearchSelect}
+            onClose={() => setShowSearch(false)}
+          />
+        )}
+
+        {showQueue && <QueuePanel onClose={() => setShowQueue(false)} />}
+
+        {showNotes && (
+          <NotesView
+            onSelect={handleStorySectionSelect}
+            onClose={() => setShowNotes(false)}
+          />
+        )}
+
+        {showSettings && (
+          <SettingsPanel
+            preferences={preferences}
+            onChange={onPreferencesChange}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+
+        {showStoryPacks && (
+          <StoryPackManager onClose={() => setShowStoryPacks(false)} />
+        )}
       </div>
     </MediaPlayerProvider>
   );
 }
 
 function App() {
+  const [route, navigate] = useRoute();
   const [selectedLanguage, setSelectedLanguage] = useState(() => {
     const saved = localStorage.getItem("selectedLanguage");
-    return saved ? JSON.parse(saved) : null;
+    const savedLanguage = saved ? JSON.parse(saved) : null;
+
+    // A language in the URL takes precedence over the saved selection
+    const urlLanguage = parseRoute(window.location).language;
+    if (urlLanguage && urlLanguage !== savedLanguage?.code) {
+      return { code: urlLanguage };
+    }
+    return savedLanguage;
   });
+  const [preferences, setPreferences] = useState(getSavedPreferences);
+
+  // Follow language changes in the URL (shared links, back/forward buttons)
+  useEffect(() => {
+    if (route.language && route.language !== selectedLanguage?.code) {
+      setSelectedLanguage({ code: route.language });
+    }
+  }, [route.language]);
 
   // Persist language selection to localStorage
   useEffect(() => {
@@ -116,14 +338,42 @@ function App() {
     }
   }, [selectedLanguage]);
 
+  // Persist reading preferences and apply them, following the system theme
+  // when "system" is chosen
+  useEffect(() => {
+    savePreferences(preferences);
+
+    const darkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+    const apply = () => applyPreferences(preferences, darkQuery.matches);
+    apply();
+
+    darkQuery.addEventListener("change", apply);
+    return () => darkQuery.removeEventListener("change", apply);
+  }, [preferences]);
+
   const languageCode = selectedLanguage?.code || "fra";
 
+  // Make the start page shareable by putting the language in the URL
+  useEffect(() => {
+    if (!route.language) {
+      navigate({ language: languageCode }, { replace: true });
+    }
+  }, [route.language]);
+
   return (
     <LanguageProvider initialLanguage={languageCode}>
-      <AppContent
-        selectedLanguage={selectedLanguage}
-        onLanguageSelect={setSelectedLanguage}
-      />
+      <TranslationProvider>
+        <AnnotationsProvider>
+          <AppContent
+            selectedLanguage={selectedLanguage}
+            onLanguageSelect={setSelectedLanguage}
+            preferences={preferences}
+            onPreferencesChange={setPreferences}
+            route={route}
+            navigate={navigate}
+          />
+        </AnnotationsProvider>
+      </TranslationProvider>
     </LanguageProvider>
   );
 }
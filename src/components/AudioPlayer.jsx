@@ -1,10 +1,15 @@
 import React, { useState, useEffect } from "react";
+import { createPortal } from "react-dom";
 import useMediaPlayer from "../hooks/useMediaPlayer";
 import useTranslation from "../hooks/useTranslation";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import PlaybackOptions from "./PlaybackOptions";
+import QueuePanel from "./QueuePanel";
 import "./AudioPlayer.css";
 
 const AudioPlayer = () => {
   const { t } = useTranslation();
+  const formatReference = useReferenceFormatter();
   const {
     currentPlaylist,
     isPlaying,
@@ -12,6 +17,7 @@ const AudioPlayer = () => {
     currentSegmentIndex,
     virtualTime,
     totalDuration,
+    loopRange,
     play,
     pause,
     stop,
@@ -20,10 +26,12 @@ const AudioPlayer = () => {
     getCurrentSegment,
     getCurrentVerse,
     getSegmentMap,
+    queue,
   } = useMediaPlayer();
 
   const [isDragging, setIsDragging] = useState(false);
   const [localTime, setLocalTime] = useState(0);
+  const [showQueue, setShowQueue] = useState(false);
 
   useEffect(() => {
     if (!isDragging) {
@@ -38,7 +46,15 @@ const AudioPlayer = () => {
   const currentSegment = getCurrentSegment();
   const currentReference =
     currentSegment?.reference || t("audioPlayer.defaultReference");
-  const currentVerse = getCurrentVerse();
+  // Chapter audio without text can only show the chapter; estimated verse
+  // positions are marked as approximate
+  const currentVerse = currentSegment?.timingData?.chapterOnly
+    ? formatReference(currentSegment.reference)
+    : formatReference(getCurrentVerse());
+  const verseLabel =
+    currentVerse && currentSegment?.timingData?.estimated
+      ? `≈ ${currentVerse}`
+      : currentVerse;
 
   const handlePlayPause = () => {
     if (isPlaying) {
@@ -99,9 +115,17 @@ const AudioPlayer = () => {
         <div className="audio-player-info">
           <div className="audio-player-title">
             {currentSegmentIndex + 1}/{currentPlaylist.length} -{" "}
-            {currentVerse || t("audioPlayer.loadingVerse")}
+            {verseLabel || t("audioPlayer.loadingVerse")}
           </div>
         </div>
+        <button
+          className="audio-player-queue-btn"
+          onClick={() => setShowQueue(true)}
+          aria-label={t("queue.title")}
+          title={t("queue.title")}
+        >
+          ☰{queue.length > 0 && <span>{queue.length}</span>}
+        </button>
         <button
           className="audio-player-minimize-btn"
           onClick={handleMinimize}
@@ -190,11 +214,24 @@ const AudioPlayer = () => {
                 width: `${totalDuration ? (localTime / totalDuration) * 100 : 0}%`,
               }}
             />
+            {loopRange && totalDuration > 0 && (
+              <div
+                className="audio-player-loop-region"
+                style={{
+                  insetInlineStart: `${(loopRange.start / totalDuration) * 100}%`,
+                  width: `${
+                    (((loopRange.end ?? loopRange.start) - loopRange.start) /
+                      totalDuration) *
+                    100
+                  }%`,
+                }}
+              />
+            )}
             {segmentMarks.map((mark, i) => (
               <div
                 key={i}
                 className="audio-player-segment-mark"
-                style={{ left: `${mark.position}%` }}
+                style={{ insetInlineStart: `${mark.position}%` }}
               />
             ))}
           </div>
@@ -210,6 +247,15 @@ const AudioPlayer = () => {
         </div>
       </div>
 
+      <PlaybackOptions />
+
+      {/* Portal: the player's backdrop filter would contain a fixed overlay */}
+      {showQueue &&
+        createPortal(
+          <QueuePanel onClose={() => setShowQueue(false)} />,
+          document.body,
+        )}
+
       {isLoading && (
         <div className="audio-player-loading">
           {t("audioPlayer.loadingAudio")}
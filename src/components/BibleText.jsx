@@ -1,12 +1,16 @@
 import { useEffect, useState, useRef } from "react";
 import useLanguage from "../hooks/useLanguage";
+import useTranslation from "../hooks/useTranslation";
+import useTextDirection from "../hooks/useTextDirection";
 import {
-  parseReference,
-  extractVerses,
+  getReferenceChapters,
+  getTextForReference,
   getTestament,
 } from "../utils/bibleUtils";
 
 function BibleText({ reference, className = "" }) {
+  const { t } = useTranslation();
+  const textDirection = useTextDirection();
   const {
     loadChapter,
     chapterText,
@@ -23,27 +27,21 @@ function BibleText({ reference, className = "" }) {
     const fetchBibleText = async () => {
       if (!reference) {
         setDisplayText("");
-        setBookRef("");
-        setChapterRef("");
         return;
       }
 
-      const parsed = parseReference(reference);
-      if (!parsed) {
+      const chapters = getReferenceChapters(reference);
+      if (chapters.length === 0) {
         setError("Invalid reference format");
-        setBookRef("");
-        setChapterRef("");
         return;
       }
 
-      const { book, chapter, verseStart, verseEnd, verses } = parsed;
-      const testament = getTestament(book);
-      const chapterKey = `${book}.${chapter}`;
-
       // Early detection: Check if testament data is available
       if (selectedLanguage && languageData && languageData[selectedLanguage]) {
-        const langData = languageData[selectedLanguage][testament];
-        if (!langData) {
+        const hasText = chapters.some(
+          ({ book }) => languageData[selectedLanguage][getTestament(book)],
+        );
+        if (!hasText) {
           setDisplayText("");
           setError(null);
           setLoading(false);
@@ -51,47 +49,49 @@ function BibleText({ reference, className = "" }) {
         }
       }
 
+      // Only attempt to load text once per chapter
+      const missingChapters = chapters.filter(
+        ({ chapterKey }) =>
+          !chapterText[chapterKey] &&
+          !textLoadAttemptedRef.current.has(chapterKey),
+      );
+
       // Check if already cached
-      if (chapterText[chapterKey]) {
-        const extractedVerses = extractVerses(
-          chapterText[chapterKey],
-          verseStart,
-          verseEnd,
-          verses,
-        );
-        if (extractedVerses) {
-          setDisplayText(extractedVerses);
-        } else {
-          setDisplayText("");
-        }
+      if (missingChapters.length === 0) {
+        setDisplayText(getTextForReference(reference, chapterText) || "");
         setError(null);
         return;
       }
 
-      // Only attempt to load text once per chapter
-      if (!textLoadAttemptedRef.current.has(chapterKey)) {
-        textLoadAttemptedRef.current.add(chapterKey);
-        setLoading(true);
-        setError(null);
+      missingChapters.forEach(({ chapterKey }) =>
+        textLoadAttemptedRef.current.add(chapterKey),
+      );
+      setLoading(true);
+      setError(null);
 
-        try {
-          const verseArray = await loadChapter(book, chapter, testament);
+      try {
+        const loadedChapters = { ...chapterText };
+        for (const { book, chapter, chapterKey } of missingChapters) {
+          const verseArray = await loadChapter(
+            book,
+            chapter,
+            getTestament(book),
+          );
           if (verseArray) {
-            const extractedVerses = extractVerses(
-              verseArray,
-              verseStart,
-              verseEnd,
-              verses,
-            );
-            setDisplayText(extractedVerses || "");
-          } else {
-            setError("Could not load Bible text");
+            loadedChapters[chapterKey] = verseArray;
           }
-        } catch (err) {
-          setError("Error loading Bible text");
-        } finally {
-          setLoading(false);
         }
+
+        const text = getTextForReference(reference, loadedChapters);
+        if (text) {
+          setDisplayText(text);
+        } else {
+          setError("Could not load Bible text");
+        }
+      } catch (err) {
+        setError("Error loading Bible text");
+      } finally {
+        setLoading(false);
       }
     };
 
@@ -104,22 +104,22 @@ function BibleText({ reference, className = "" }) {
 
   if (loading || isLoadingChapter) {
     return (
-      <div className={`bible-text loading ${className}`}>
-        Loading {reference}...
+      <div className={`bible-text loading ${className}`} {...textDirection}>
+        {t("bibleText.loading", { reference })}
       </div>
     );
   }
 
   if (error) {
     return (
-      <div className={`bible-text error ${className}`}>
+      <div className={`bible-text error ${className}`} {...textDirection}>
         <span className="bible-reference">{reference}</span>
       </div>
     );
   }
 
   return (
-    <div className={`bible-text ${className}`}>
+    <div className={`bible-text ${className}`} {...textDirection}>
       {displayText && <div className="bible-text-content">{displayText}</div>}
       {!displayText && <span className="bible-reference">{reference}</span>}
     </div>
@@ -1,10 +1,15 @@
 import React, { useState, useEffect, useMemo } from "react";
 import useMediaPlayer from "../hooks/useMediaPlayer";
 import useTranslation from "../hooks/useTranslation";
+import useParallelText from "../hooks/useParallelText";
+import useTextDirection from "../hooks/useTextDirection";
+import VerseText from "./VerseText";
+import ParallelText from "./ParallelText";
 import "./FullPlayingPane.css";
 
 const FullPlayingPane = () => {
   const { t } = useTranslation();
+  const textDirection = useTextDirection();
   const {
     currentPlaylist,
     isPlaying,
@@ -16,6 +21,9 @@ const FullPlayingPane = () => {
   const [showText, setShowText] = useState(false);
 
   const currentSegment = getCurrentSegment();
+  const { secondaryLanguage, getSecondaryVerses } = useParallelText([
+    currentSegment?.reference,
+  ]);
 
   // Get current section data from parsed sections
   const currentSectionData = useMemo(() => {
@@ -26,6 +34,7 @@ const FullPlayingPane = () => {
     return {
       imageUrl: currentSegment.imageUrl,
       text: currentSegment.text || "",
+      verses: currentSegment.verses,
       reference: currentSegment.reference || "",
       sectionNum: currentSegment.sectionNum || currentSegmentIndex + 1,
     };
@@ -53,7 +62,10 @@ const FullPlayingPane = () => {
   };
 
   return (
-    <div className={`full-playing-pane ${showText ? "text-visible" : ""}`}>
+    <div
+      className={`full-playing-pane ${showText ? "text-visible" : ""}`}
+      {...textDirection}
+    >
       <div className="full-playing-pane-image-container">
         <img
           key={currentSegmentIndex}
@@ -96,7 +108,23 @@ const FullPlayingPane = () => {
       <div
         className={`full-playing-pane-text ${showText ? "visible" : "hidden"}`}
       >
-        {currentSectionData.text && currentSectionData.text.trim() ? (
+        {currentSectionData.verses ? (
+          <div className="full-playing-pane-text-content">
+            <ParallelText
+              language={secondaryLanguage}
+              verses={getSecondaryVerses(currentSectionData.reference)}
+              sectionNum={currentSectionData.sectionNum}
+              className="full-playing-pane-paragraph"
+            >
+              <VerseText
+                verses={currentSectionData.verses}
+                sectionNum={currentSectionData.sectionNum}
+                className="full-playing-pane-paragraph"
+                followActive={showText}
+              />
+            </ParallelText>
+          </div>
+        ) : currentSectionData.text && currentSectionData.text.trim() ? (
           <div className="full-playing-pane-text-content">
             {currentSectionData.text.split("\n").map((line, index) => {
               const trimmedLine = line.trim();
@@ -111,7 +139,7 @@ const FullPlayingPane = () => {
         ) : (
           <div className="full-playing-pane-text-content">
             <p className="full-playing-pane-paragraph">
-              No text available for this section.
+              {t("fullPlayingPane.noText")}
             </p>
           </div>
         )}
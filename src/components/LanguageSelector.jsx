@@ -2,13 +2,70 @@ import { useState, useEffect, useMemo } from "react";
 import "./LanguageSelector.css";
 import useLanguage from "../hooks/useLanguage";
 import useTranslation from "../hooks/useTranslation";
+import VersionPicker from "./VersionPicker";
+import {
+  loadRegions,
+  formatRegionName,
+  getRegionLanguageGroups,
+} from "../utils/regions";
+import { getLanguageTag, getTextDirection } from "../utils/languageTags";
+
+const BROWSE_STORAGE_KEY = "languageBrowse";
+
+// dir and lang of a language's vernacular name, so it is shaped and ordered
+// in its own script
+const getVernacularAttributes = (language) => ({
+  lang: getLanguageTag(language.code),
+  dir: getTextDirection(language.code, language.vernacular),
+});
+
+/**
+ * Check whether a language matches a (lower-cased) search term
+ */
+const matchesSearch = (lang, search) => {
+  if (!search) return true;
+
+  const english = (lang.english || "").toLowerCase();
+  const vernacular = (lang.vernacular || "").toLowerCase();
+  const code = (lang.code || "").toLowerCase();
+
+  return (
+    english.includes(search) ||
+    vernacular.includes(search) ||
+    code.includes(search)
+  );
+};
+
+/**
+ * Restore the last browse mode and region
+ */
+const getSavedBrowseState = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BROWSE_STORAGE_KEY));
+    return {
+      mode: saved?.mode === "region" ? "region" : "all",
+      region: saved?.region || null,
+    };
+  } catch (error) {
+    return { mode: "all", region: null };
+  }
+};
 
 function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
   const { t } = useTranslation();
   const [searchTerm, setSearchTerm] = useState("");
   const [languages, setLanguages] = useState([]);
   const [loading, setLoading] = useState(true);
-  const { languageNames } = useLanguage();
+  const [regions, setRegions] = useState({});
+  const [browseMode, setBrowseMode] = useState(
+    () => getSavedBrowseState().mode,
+  );
+  const [selectedRegion, setSelectedRegion] = useState(
+    () => getSavedBrowseState().region,
+  );
+  const [pickingSecondary, setPickingSecondary] = useState(false);
+  const { languageNames, secondaryLanguage, setSecondaryLanguage } =
+    useLanguage();
 
   useEffect(() => {
     const loadLanguages = async () => {
@@ -44,28 +101,85 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
     };
 
     loadLanguages();
+
+    loadRegions()
+      .then(setRegions)
+      .catch((error) => console.error("Error loading regions:", error));
   }, []);
 
-  const filteredLanguages = useMemo(() => {
-    if (!searchTerm.trim()) {
-      return languages;
-    }
+  // Remember browse mode and region for the next time the selector opens
+  useEffect(() => {
+    localStorage.setItem(
+      BROWSE_STORAGE_KEY,
+      JSON.stringify({ mode: browseMode, region: selectedRegion }),
+    );
+  }, [browseMode, selectedRegion]);
 
-    const search = searchTerm.toLowerCase();
-    return languages.filter((lang) => {
-      const english = (lang.english || "").toLowerCase();
-      const vernacular = (lang.vernacular || "").toLowerCase();
-      const code = (lang.code || "").toLowerCase();
+  const search = searchTerm.trim().toLowerCase();
 
-      return (
-        english.includes(search) ||
-        vernacular.includes(search) ||
-        code.includes(search)
-      );
-    });
-  }, [languages, searchTerm]);
+  const filteredLanguages = useMemo(
+    () => languages.filter((lang) => matchesSearch(lang, search)),
+    [languages, search],
+  );
+
+  // Regions whose name or available languages match the search
+  const filteredRegions = useMemo(() => {
+    return Object.keys(regions)
+      .map((key) => {
+        const groups = getRegionLanguageGroups(regions[key], languages);
+        const regionLanguages = [
+          ...groups.trade,
+          ...groups.regional,
+          ...groups.other,
+        ];
+        return { key, name: formatRegionName(key), regionLanguages };
+      })
+      .filter(
+        ({ name, regionLanguages }) =>
+          regionLanguages.length > 0 &&
+          (name.toLowerCase().includes(search) ||
+            regionLanguages.some((lang) => matchesSearch(lang, search))),
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [regions, languages, search]);
+
+  // Trade and regional languages first, then the rest of the region
+  const regionGroups = useMemo(() => {
+    if (!selectedRegion || !regions[selectedRegion]) return [];
+
+    const groups = getRegionLanguageGroups(regions[selectedRegion], languages);
+    return [
+      { key: "trade", title: t("languageSelector.tradeLanguages") },
+      { key: "regional", title: t("languageSelector.regionalLanguages") },
+      { key: "other", title: t("languageSelector.otherLanguages") },
+    ]
+      .map((group) => ({
+        ...group,
+        languages: groups[group.key].filter((lang) =>
+          matchesSearch(lang, search),
+        ),
+      }))
+      .filter((group) => group.languages.length > 0);
+  }, [regions, selectedRegion, languages, search, t]);
+
+  const handleBrowseModeChange = (mode) => {
+    setBrowseMode(mode);
+    setSearchTerm("");
+  };
+
+  const handleRegionSelect = (regionKey) => {
+    setSelectedRegion(regionKey);
+    setSearchTerm("");
+  };
 
   const handleLanguageClick = (language) => {
+    // Picking the parallel-text language keeps the selector open
+    if (pickingSecondary) {
+      setSecondaryLanguage(language.code);
+      setPickingSecondary(false);
+      setSearchTerm("");
+      return;
+    }
     onSelect(language);
     onClose();
   };
@@ -85,6 +199,77 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
     return colors[category] || "#6c757d";
   };
 
+  const renderLanguageItem = (language) => {
+    const isActive = pickingSecondary
+      ? secondaryLanguage === language.code
+      : selectedLanguage?.code === language.code;
+
+    return (
+      <div
+        key={language.code}
+        className={`language-item ${isActive ? "active" : ""}`}
+        onClick={() => handleLanguageClick(language)}
+      >
+        <div className="language-info">
+          <div className="language-name">
+            {language.english || language.code}
+            {isActive && <span className="check-icon"> ✓</span>}
+          </div>
+          {language.vernacular && (
+            <div
+              className="language-vernacular"
+              {...getVernacularAttributes(language)}
+            >
+              {language.vernacular}
+            </div>
+          )}
+          <div className="language-code-small">{language.code}</div>
+        </div>
+        <div
+          className="language-category-indicator"
+          style={{
+            backgroundColor: getCategoryColor(language.category),
+          }}
+          title={language.category}
+        />
+      </div>
+    );
+  };
+
+  const renderRegionList = () => {
+    if (selectedRegion && regions[selectedRegion]) {
+      return regionGroups.length === 0 ? (
+        <div className="empty-state">
+          {t("languageSelector.noLanguagesFound")}
+        </div>
+      ) : (
+        regionGroups.map((group) => (
+          <div key={group.key} className="region-group">
+            <div className="region-group-title">{group.title}</div>
+            {group.languages.map(renderLanguageItem)}
+          </div>
+        ))
+      );
+    }
+
+    return filteredRegions.length === 0 ? (
+      <div className="empty-state">{t("languageSelector.noRegionsFound")}</div>
+    ) : (
+      filteredRegions.map((region) => (
+        <div
+          key={region.key}
+          className="region-item"
+          onClick={() => handleRegionSelect(region.key)}
+        >
+          <span className="region-name">{region.name}</span>
+          <span className="region-count">{region.regionLanguages.length}</span>
+        </div>
+      ))
+    );
+  };
+
+  const isRegionSelected = browseMode === "region" && !!regions[selectedRegion];
+
   return (
     <div className="language-selector-overlay" onClick={handleClose}>
       <div
@@ -92,7 +277,11 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
         onClick={(e) => e.stopPropagation()}
       >
         <div className="language-selector-header">
-          <h2>{t("languageSelector.title")}</h2>
+          <h2>
+            {pickingSecondary
+              ? t("languageSelector.parallelTitle")
+              : t("languageSelector.title")}
+          </h2>
           <button
             className="close-button"
             onClick={handleClose}
@@ -106,7 +295,9 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
           {/* Current Language Display */}
           <div className="current-language-section">
             <div className="language-status">
-              <span className="status-label">Current:</span>
+              <span className="status-label">
+                {t("languageSelector.current")}
+              </span>
               <span className="status-value">
                 {selectedLanguage ? (
                   <>
@@ -116,7 +307,11 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
                     {selectedLanguage.vernacular && (
                       <span className="vernacular">
                         {" "}
-                        ({selectedLanguage.vernacular})
+                        (
+                        <bdi {...getVernacularAttributes(selectedLanguage)}>
+                          {selectedLanguage.vernacular}
+                        </bdi>
+                        )
                       </span>
                     )}
                     <span className="language-code">
@@ -131,14 +326,88 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
                 )}
               </span>
             </div>
+            <div className="language-status preview">
+              <span className="status-label">
+                {t("languageSelector.parallelText")}
+              </span>
+              <span className="status-value parallel-language">
+                {secondaryLanguage ? (
+                  <strong>
+                    {languageNames[secondaryLanguage]?.english ||
+                      secondaryLanguage}
+                  </strong>
+                ) : (
+                  <span className="vernacular">
+                    {t("languageSelector.parallelOff")}
+                  </span>
+                )}
+                <button
+                  className="parallel-language-button"
+                  onClick={() => setPickingSecondary(!pickingSecondary)}
+                >
+                  {pickingSecondary
+                    ? t("languageSelector.cancel")
+                    : t("languageSelector.choose")}
+                </button>
+                {secondaryLanguage && !pickingSecondary && (
+                  <button
+                    className="parallel-language-button"
+                    onClick={() => setSecondaryLanguage(null)}
+                  >
+                    {t("languageSelector.turnOff")}
+                  </button>
+                )}
+              </span>
+            </div>
+            {selectedLanguage && (
+              <VersionPicker langCode={selectedLanguage.code} />
+            )}
           </div>
 
+          {/* Browse Mode */}
+          <div className="browse-mode-tabs" role="tablist">
+            <button
+              role="tab"
+              aria-selected={browseMode === "all"}
+              className={`browse-mode-tab ${browseMode === "all" ? "active" : ""}`}
+              onClick={() => handleBrowseModeChange("all")}
+            >
+              {t("languageSelector.allLanguages")}
+            </button>
+            <button
+              role="tab"
+              aria-selected={browseMode === "region"}
+              className={`browse-mode-tab ${browseMode === "region" ? "active" : ""}`}
+              onClick={() => handleBrowseModeChange("region")}
+            >
+              {t("languageSelector.byRegion")}
+            </button>
+          </div>
+
+          {isRegionSelected && (
+            <div className="region-header">
+              <button
+                className="region-back-button"
+                onClick={() => handleRegionSelect(null)}
+              >
+                ← {t("languageSelector.allRegions")}
+              </button>
+              <span className="region-header-name">
+                {formatRegionName(selectedRegion)}
+              </span>
+            </div>
+          )}
+
           {/* Search Box */}
           <div className="search-section">
             <input
               type="text"
               className="language-search"
-              placeholder={t("languageSelector.searchPlaceholder")}
+              placeholder={
+                browseMode === "region" && !isRegionSelected
+                  ? t("languageSelector.regionSearchPlaceholder")
+                  : t("languageSelector.searchPlaceholder")
+              }
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               autoFocus
@@ -151,42 +420,16 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
               <div className="loading-state">
                 {t("languageSelector.loadingLanguages")}
               </div>
+            ) : browseMode === "region" ? (
+              renderRegionList()
             ) : filteredLanguages.length === 0 ? (
               <div className="empty-state">
-                No languages found matching "{searchTerm}"
+                {t("languageSelector.noLanguagesMatching", {
+                  search: searchTerm,
+                })}
               </div>
             ) : (
-              filteredLanguages.map((language) => {
-                const isActive = selectedLanguage?.code === language.code;
-
-                return (
-                  <div
-                    key={language.code}
-                    className={`language-item ${isActive ? "active" : ""}`}
-                    onClick={() => handleLanguageClick(language)}
-                  >
-                    <div className="language-info">
-                      <div className="language-name">
-                        {language.english || language.code}
-                        {isActive && <span className="check-icon"> ✓</span>}
-                      </div>
-                      {language.vernacular && (
-                        <div className="language-vernacular">
-                          {language.vernacular}
-                        </div>
-                      )}
-                      <div className="language-code-small">{language.code}</div>
-                    </div>
-                    <div
-                      className="language-category-indicator"
-                      style={{
-                        backgroundColor: getCategoryColor(language.category),
-                      }}
-                      title={language.category}
-                    />
-                  </div>
-                );
-              })
+              filteredLanguages.map(renderLanguageItem)
             )}
           </div>
         </div>
@@ -196,7 +439,7 @@ function LanguageSelector({ selectedLanguage, onSelect, onClose }) {
         <div className="language-selector-footer">
           <div className="action-buttons single">
             <button className="button-secondary" onClick={handleClose}>
-              Close
+              {t("languageSelector.close")}
             </button>
           </div>
         </div>
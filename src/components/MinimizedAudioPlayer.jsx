@@ -1,10 +1,13 @@
 import React, { useMemo } from "react";
 import useMediaPlayer from "../hooks/useMediaPlayer";
 import useTranslation from "../hooks/useTranslation";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import PlaybackOptions from "./PlaybackOptions";
 import "./MinimizedAudioPlayer.css";
 
 const MinimizedAudioPlayer = () => {
   const { t } = useTranslation();
+  const formatReference = useReferenceFormatter();
   const {
     currentPlaylist,
     isPlaying,
@@ -22,7 +25,15 @@ const MinimizedAudioPlayer = () => {
 
   const currentSegment = getCurrentSegment();
   const currentReference = currentSegment?.reference || "";
-  const currentVerse = getCurrentVerse();
+  // Chapter audio without text can only show the chapter; estimated verse
+  // positions are marked as approximate
+  const currentVerse = currentSegment?.timingData?.chapterOnly
+    ? formatReference(currentSegment.reference)
+    : formatReference(getCurrentVerse());
+  const verseLabel =
+    currentVerse && currentSegment?.timingData?.estimated
+      ? `≈ ${currentVerse}`
+      : currentVerse;
 
   // Get the image URL for the current section
   const currentImageUrl = useMemo(() => {
@@ -62,10 +73,12 @@ const MinimizedAudioPlayer = () => {
           <div className="minimized-audio-player-info">
             <div className="minimized-audio-player-title">
               {currentSegmentIndex + 1}/{currentPlaylist.length} -{" "}
-              {currentVerse || "Loading..."}
+              {verseLabel || t("audioPlayer.loadingVerse")}
             </div>
           </div>
 
+          <PlaybackOptions compact />
+
           <button
             className="minimized-audio-player-btn"
             onClick={handlePlayPause}
@@ -2,95 +2,149 @@ import { useState, useEffect } from "react";
 import "./NavigationGrid.css";
 import useTranslation from "../hooks/useTranslation";
 import useLanguage from "../hooks/useLanguage";
+import useStoryQueue from "../hooks/useStoryQueue";
 import AvailabilityBadge from "./AvailabilityBadge";
+import ProgressRing from "./ProgressRing";
+import { parseToml } from "../utils/toml";
 import {
   getStoryAvailability,
   getCategoryAvailability,
 } from "../utils/storyAvailability";
+import {
+  getAllProgress,
+  getStoryProgress,
+  getCategoryProgress,
+  getStoryToContinue,
+} from "../utils/storyProgress";
+
+// Icon of the "Add to queue" button after it was pressed
+const QUEUE_STATUS_ICONS = {
+  adding: "…",
+  added: "✓",
+  unavailable: "–",
+};
 
 function NavigationGrid({
+  categoryPath = null,
+  onNavigate,
   onStorySelect,
+  onContinue,
   showEmptyContent,
   onToggleEmptyContent,
 }) {
   const { t } = useTranslation();
-  const { getStoryMetadata, languageData, selectedLanguage, storyMetadata } =
-    useLanguage();
-  const [navigationPath, setNavigationPath] = useState([]);
+  const {
+    getStoryMetadata,
+    languageData,
+    selectedLanguage,
+    storyMetadata,
+    loadCategories,
+  } = useLanguage();
+  const { queueStories } = useStoryQueue();
+  const [categoryTitle, setCategoryTitle] = useState("");
   const [currentItems, setCurrentItems] = useState([]);
   const [currentLevel, setCurrentLevel] = useState("collection");
   const [loading, setLoading] = useState(true);
+  const [queueStatus, setQueueStatus] = useState({}); // path -> adding/added/unavailable
+  const [continueStory, setContinueStory] = useState(null);
 
   useEffect(() => {
     loadCurrentLevel();
-  }, [navigationPath, storyMetadata, selectedLanguage]);
+  }, [categoryPath, storyMetadata, selectedLanguage]);
 
   const loadCurrentLevel = async () => {
     setLoading(true);
+    const allProgress = getAllProgress();
     try {
-      if (navigationPath.length === 0) {
+      if (!categoryPath) {
         const response = await fetch("/templates/OBS/index.toml");
         const text = await response.text();
-        const data = parseToml(text);
+        const data = parseToml(text, { source: "templates/OBS/index.toml" });
 
         const categoriesData = await Promise.all(
-          data.categories.map(async (categoryDir) => {
-            const url = `/templates/OBS/${categoryDir}/index.toml`;
-            const catResponse = await fetch(url);
-            const catText = await catResponse.text();
-            const catData = parseToml(catText);
-
-            // Check if all stories in this category are missing content
-            const storyIds = catData.stories
-              ? catData.stories.map((s) => s.id)
-              : [];
-
-            // Build storyMetadataCache for these stories
-            const storyMetadataCache = {};
-            storyIds.forEach((storyId) => {
-              const metadata = getStoryMetadata(storyId);
-              if (metadata) {
-                storyMetadataCache[storyId] = metadata;
+          (data.categories || []).map(async (categoryDir) => {
+            // A broken category is left out instead of emptying the grid
+            try {
+              const url = `/templates/OBS/${categoryDir}/index.toml`;
+              const catResponse = await fetch(url);
+              if (!catResponse.ok) {
+                throw new Error(`Category not found: ${categoryDir}`);
+              }
+              const catText = await catResponse.text();
+              const catData = parseToml(catText, {
+                source: `templates/OBS/${categoryDir}/index.toml`,
+              });
+
+              // Check if all stories in this category are missing content
+              const storyIds = catData.stories
+                ? catData.stories.map((s) => s.id)
+                : [];
+
+              // Build storyMetadataCache for these stories
+              const storyMetadataCache = {};
+              storyIds.forEach((storyId) => {
+                const metadata = getStoryMetadata(storyId);
+                if (metadata) {
+                  storyMetadataCache[storyId] = metadata;
+                }
+              });
+
+              const categoryAvail = getCategoryAvailability(
+                storyIds,
+                storyMetadataCache,
+                languageData[selectedLanguage],
+              );
+
+              const progress = getCategoryProgress(
+                storyIds,
+                storyMetadataCache,
+                allProgress,
+                selectedLanguage,
+              );
+
+              // Show empty badge only if ALL stories are empty (no content at all)
+              let categoryStatus = null;
+              if (
+                categoryAvail.total > 0 &&
+                categoryAvail.empty === categoryAvail.total
+              ) {
+                categoryStatus = "empty";
               }
-            });
-
-            const categoryAvail = getCategoryAvailability(
-              storyIds,
-              storyMetadataCache,
-              languageData[selectedLanguage],
-            );
 
-            // Show empty badge only if ALL stories are empty (no content at all)
-            let categoryStatus = null;
-            if (
-              categoryAvail.total > 0 &&
-              categoryAvail.empty === categoryAvail.total
-            ) {
-              categoryStatus = "empty";
+              return {
+                id: catData.id,
+                title: catData.title,
+                image: catData.image?.filename,
+                path: categoryDir,
+                level: "category",
+                availability: categoryStatus
+                  ? { status: categoryStatus }
+                  : null,
+                progress,
+              };
+            } catch (error) {
+              console.error(`Error loading category ${categoryDir}:`, error);
+              return null;
             }
-
-            return {
-              id: catData.id,
-              title: catData.title,
-              image: catData.image?.filename,
-              path: categoryDir,
-              level: "category",
-              availability: categoryStatus ? { status: categoryStatus } : null,
-            };
           }),
         );
 
-        setCurrentItems(categoriesData);
+        setCurrentItems(categoriesData.filter(Boolean));
+        setContinueStory(getStoryToContinue(allProgress, selectedLanguage));
         setCurrentLevel("collection");
-      } else if (navigationPath.length === 1) {
-        const categoryPath = navigationPath[0].path;
+      } else {
         const response = await fetch(
           `/templates/OBS/${categoryPath}/index.toml`,
         );
+        if (!response.ok) {
+          throw new Error(`Category not found: ${categoryPath}`);
+        }
         const text = await response.text();
-        const data = parseToml(text);
+        const data = parseToml(text, {
+          source: `templates/OBS/${categoryPath}/index.toml`,
+        });
 
-        const storiesData = data.stories.map((story) => {
+        const storiesData = (data.stories || []).map((story) => {
           const storyId = story.id;
           const metadata = getStoryMetadata(storyId);
           const availability = getStoryAvailability(
@@ -106,118 +160,29 @@ function NavigationGrid({
             level: "story",
             storyImage: story.image,
             availability: availability,
+            progress: getStoryProgress(
+              allProgress,
+              selectedLanguage,
+              storyId,
+              metadata,
+            ),
           };
         });
 
+        setCategoryTitle(data.title || categoryPath);
         setCurrentItems(storiesData);
         setCurrentLevel("category");
       }
     } catch (error) {
       console.error("Error loading navigation:", error);
+      setCurrentItems([]);
     }
     setLoading(false);
   };
 
-  const parseToml = (text) => {
-    const lines = text.split("\n");
-    const result = { stories: [] };
-    let currentStory = null;
-    let inImage = false;
-    let inArray = false;
-    let arrayKey = null;
-    let arrayValues = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i].trim();
-
-      if (line.startsWith("#") || line === "") continue;
-
-      // Check for section headers
-      if (line.startsWith("[") && line.endsWith("]")) {
-        if (line === "[image]") {
-          inImage = true;
-          result.image = {};
-          continue;
-        }
-
-        if (line === "[[stories]]") {
-          if (currentStory) {
-            result.stories.push(currentStory);
-          }
-          currentStory = {};
-          inImage = false;
-          continue;
-        }
-
-        // Reset section flags for other sections
-        inImage = false;
-        continue;
-      }
-
-      // Check if this is the start of a multi-line array
-      if (line.match(/^(\w+)\s*=\s*\[$/)) {
-        const match = line.match(/^(\w+)\s*=\s*\[$/);
-        arrayKey = match[1];
-        inArray = true;
-        arrayValues = [];
-        continue;
-      }
-
-      // Check if this is the end of a multi-line array
-      if (inArray && line === "]") {
-        result[arrayKey] = arrayValues;
-        inArray = false;
-        arrayKey = null;
-        arrayValues = [];
-        continue;
-      }
-
-      // Check if we're inside a multi-line array
-      if (inArray) {
-        let cleanValue = line.replace(/,$/g, ""); // Remove trailing comma
-        cleanValue = cleanValue.replace(/^"/, "").replace(/"$/, ""); // Remove quotes
-        if (cleanValue) {
-          arrayValues.push(cleanValue);
-        }
-        continue;
-      }
-
-      const match = line.match(/^(\w+)\s*=\s*(.+)$/);
-      if (match) {
-        const key = match[1];
-        let value = match[2].trim();
-
-        if (value.startsWith('"') && value.endsWith('"')) {
-          value = value.slice(1, -1);
-        } else if (value.startsWith("[") && value.endsWith("]")) {
-          value = value
-            .slice(1, -1)
-            .split(",")
-            .map((v) => v.trim().replace(/"/g, ""));
-        } else if (!isNaN(value)) {
-          value = parseInt(value);
-        }
-
-        if (inImage) {
-          result.image[key] = value;
-        } else if (currentStory) {
-          currentStory[key] = value;
-        } else {
-          result[key] = value;
-        }
-      }
-    }
-
-    if (currentStory) {
-      result.stories.push(currentStory);
-    }
-
-    return result;
-  };
-
   const handleItemClick = (item) => {
     if (item.level === "category") {
-      setNavigationPath([...navigationPath, item]);
+      onNavigate(item.path);
     } else if (item.level === "story") {
       onStorySelect({
         id: item.id,
@@ -228,17 +193,51 @@ function NavigationGrid({
     }
   };
 
-  const handleBackClick = () => {
-    if (navigationPath.length > 0) {
-      setNavigationPath(navigationPath.slice(0, -1));
+  // Queue a story, or every story of a category, for continuous listening
+  const handleQueueClick = async (e, item) => {
+    e.stopPropagation();
+    if (queueStatus[item.path] === "adding") return;
+
+    setQueueStatus((prev) => ({ ...prev, [item.path]: "adding" }));
+    let stories = [];
+    try {
+      if (item.level === "story") {
+        stories = [{ id: item.id, path: item.path, title: item.title }];
+      } else {
+        const categories = await loadCategories();
+        const category = categories.find((c) => c.path === item.path);
+        stories = (category?.stories || []).map((story) => ({
+          id: story.id,
+          path: `${item.path}/${story.id}.md`,
+          title: story.title,
+        }));
+      }
+    } catch (error) {
+      console.error("Error loading stories to queue:", error);
     }
+
+    const queued = await queueStories(stories);
+    setQueueStatus((prev) => ({
+      ...prev,
+      [item.path]: queued > 0 ? "added" : "unavailable",
+    }));
+  };
+
+  const getQueueButtonLabel = (status) => {
+    if (status === "adding") return t("queue.adding");
+    if (status === "unavailable") return t("navigationGrid.noAudioToQueue");
+    return t("queue.addToQueue");
+  };
+
+  const handleBackClick = () => {
+    onNavigate(null);
   };
 
   const getCurrentTitle = () => {
-    if (navigationPath.length === 0) {
-      return "Open Bible Stories";
+    if (!categoryPath) {
+      return t("navigationGrid.collectionTitle");
     } else {
-      return navigationPath[navigationPath.length - 1].title;
+      return categoryTitle;
     }
   };
 
@@ -266,9 +265,9 @@ function NavigationGrid({
   return (
     <div className="navigation-container">
       <div className="navigation-header">
-        {navigationPath.length > 0 && (
+        {categoryPath && (
           <button className="back-button" onClick={handleBackClick}>
-            ← Back
+            <span className="back-arrow">←</span> {t("navigationGrid.back")}
           </button>
         )}
         <h1 className="navigation-title">{getCurrentTitle()}</h1>
@@ -278,8 +277,8 @@ function NavigationGrid({
             onClick={onToggleEmptyContent}
             title={
               showEmptyContent
-                ? `Hide ${emptyItemCount} stories without text`
-                : `Show ${emptyItemCount} stories without text`
+                ? t("navigationGrid.hideEmpty", { count: emptyItemCount })
+                : t("navigationGrid.showEmpty", { count: emptyItemCount })
             }
           >
             {showEmptyContent ? `▦${emptyItemCount}` : `👁‍🗨${emptyItemCount}`}
@@ -287,6 +286,28 @@ function NavigationGrid({
         )}
       </div>
 
+      {!categoryPath && continueStory && (
+        <button
+          className="navigation-continue"
+          onClick={() => onContinue(continueStory, continueStory.nextSection)}
+        >
+          <span className="navigation-continue-label">
+            {t("navigationGrid.continue")}
+          </span>
+          <span className="navigation-continue-title">
+            {continueStory.storyTitle || continueStory.storyId}
+          </span>
+          {continueStory.total > 0 && (
+            <span className="navigation-continue-detail">
+              {t("navigationGrid.sectionsDone", {
+                done: continueStory.done,
+                total: continueStory.total,
+              })}
+            </span>
+          )}
+        </button>
+      )}
+
       <div className={`navigation-grid ${currentLevel}`}>
         {visibleItems.map((item) => {
           return (
@@ -312,6 +333,36 @@ function NavigationGrid({
                       size="small"
                     />
                   )}
+                  {item.level === "story" && item.progress?.done > 0 && (
+                    <ProgressRing
+                      fraction={item.progress.fraction}
+                      label={t("navigationGrid.sectionsDone", {
+                        done: item.progress.done,
+                        total: item.progress.total,
+                      })}
+                    />
+                  )}
+                  {item.level === "category" && item.progress?.fraction > 0 && (
+                    <span
+                      className={`navigation-progress ${
+                        item.progress.fraction >= 1 ? "complete" : ""
+                      }`}
+                    >
+                      {Math.round(item.progress.fraction * 100)}%
+                    </span>
+                  )}
+                  {item.availability?.status !== "empty" && (
+                    <button
+                      className={`navigation-queue-button ${
+                        queueStatus[item.path] || ""
+                      }`}
+                      onClick={(e) => handleQueueClick(e, item)}
+                      aria-label={getQueueButtonLabel(queueStatus[item.path])}
+                      title={getQueueButtonLabel(queueStatus[item.path])}
+                    >
+                      {QUEUE_STATUS_ICONS[queueStatus[item.path]] || "+"}
+                    </button>
+                  )}
                 </div>
               )}
               <div className="navigation-item-title">{item.title}</div>
@@ -0,0 +1,207 @@
+import { useMemo, useRef, useState } from "react";
+import "./NotesView.css";
+import useAnnotations from "../hooks/useAnnotations";
+import useTranslation from "../hooks/useTranslation";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import { HIGHLIGHT_COLORS } from "../utils/annotations";
+
+const FILTERS = ["all", "bookmarks", "highlights", "notes"];
+
+/**
+ * Group annotations by story, then by section in story order
+ * @returns {Array} [{ storyId, storyPath, storyTitle, sections: [{ key,
+ *   sectionIndex, reference, bookmark, highlight, note }] }]
+ */
+const groupAnnotations = (annotations, filter) => {
+  const stories = new Map();
+
+  ["bookmarks", "highlights", "notes"].forEach((type) => {
+    if (filter !== "all" && filter !== type) return;
+
+    annotations[type].forEach((annotation) => {
+      if (!stories.has(annotation.storyId)) {
+        stories.set(annotation.storyId, {
+          storyId: annotation.storyId,
+          storyPath: annotation.storyPath,
+          storyTitle: annotation.storyTitle,
+          sections: new Map(),
+        });
+      }
+
+      const sections = stories.get(annotation.storyId).sections;
+      if (!sections.has(annotation.key)) {
+        sections.set(annotation.key, {
+          key: annotation.key,
+          sectionIndex: annotation.sectionIndex,
+          reference: annotation.reference,
+        });
+      }
+      sections.get(annotation.key)[type.slice(0, -1)] = annotation;
+    });
+  });
+
+  return Array.from(stories.values())
+    .map((story) => ({
+      ...story,
+      sections: Array.from(story.sections.values()).sort(
+        (a, b) => a.sectionIndex - b.sectionIndex,
+      ),
+    }))
+    .sort((a, b) => (a.storyPath || "").localeCompare(b.storyPath || ""));
+};
+
+function NotesView({ onSelect, onClose }) {
+  const { t } = useTranslation();
+  const formatReference = useReferenceFormatter();
+  const {
+    annotations,
+    removeAnnotation,
+    exportAnnotations,
+    importAnnotations,
+  } = useAnnotations();
+  const [filter, setFilter] = useState("all");
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const stories = useMemo(
+    () => groupAnnotations(annotations, filter),
+    [annotations, filter],
+  );
+
+  const handleExport = () => {
+    const blob = new Blob([exportAnnotations()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `bible-compass-notes-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const imported = importAnnotations(await file.text());
+      setMessage(t("notes.imported", { count: imported }));
+    } catch (error) {
+      console.error("Error importing annotations:", error);
+      setMessage(t("notes.importFailed"));
+    }
+  };
+
+  const handleRemove = (section) => {
+    ["bookmark", "highlight", "note"].forEach((type) => {
+      if (section[type]) removeAnnotation(`${type}s`, section.key);
+    });
+  };
+
+  return (
+    <div className="notes-overlay" onClick={onClose}>
+      <div className="notes-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="notes-header">
+          <h2>{t("notes.title")}</h2>
+          <button
+            className="close-button"
+            onClick={onClose}
+            aria-label={t("languageSelector.close")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="notes-body">
+          <div className="notes-filters" role="tablist">
+            {FILTERS.map((name) => (
+              <button
+                key={name}
+                role="tab"
+                aria-selected={filter === name}
+                className={`notes-filter ${filter === name ? "active" : ""}`}
+                onClick={() => setFilter(name)}
+              >
+                {t(`notes.filters.${name}`)}
+              </button>
+            ))}
+          </div>
+
+          {message && <div className="notes-message">{message}</div>}
+
+          <div className="notes-list">
+            {stories.length === 0 && (
+              <div className="notes-message">{t("notes.empty")}</div>
+            )}
+
+            {stories.map((story) => (
+              <div key={story.storyId} className="notes-story">
+                <div className="notes-story-title">
+                  {story.storyTitle || story.storyId}
+                </div>
+
+                {story.sections.map((section) => (
+                  <div key={section.key} className="notes-section">
+                    <button
+                      className="notes-section-link"
+                      onClick={() => onSelect(story, section.sectionIndex + 1)}
+                    >
+                      <span className="notes-section-reference">
+                        {section.bookmark && "🔖 "}
+                        {section.highlight && (
+                          <span
+                            className="notes-highlight-dot"
+                            style={{
+                              backgroundColor:
+                                HIGHLIGHT_COLORS[section.highlight.color],
+                            }}
+                          />
+                        )}
+                        {formatReference(section.reference) ||
+                          `${t("notes.section")} ${section.sectionIndex + 1}`}
+                      </span>
+                      {section.note && (
+                        <span className="notes-section-text">
+                          {section.note.text}
+                        </span>
+                      )}
+                    </button>
+                    <button
+                      className="notes-remove-button"
+                      onClick={() => handleRemove(section)}
+                      aria-label={t("notes.remove")}
+                      title={t("notes.remove")}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="notes-footer">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+          />
+          <button
+            className="button-secondary"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            {t("notes.import")}
+          </button>
+          <button className="button-primary" onClick={handleExport}>
+            {t("notes.export")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotesView;
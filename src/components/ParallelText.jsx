@@ -0,0 +1,47 @@
+import React from "react";
+import useLanguage from "../hooks/useLanguage";
+import useTextDirection from "../hooks/useTextDirection";
+import VerseText from "./VerseText";
+import "./ParallelText.css";
+
+/**
+ * Section text with the same verses in the secondary language beside it
+ * Renders only the primary text when there are no secondary verses.
+ */
+const ParallelText = ({
+  children,
+  language,
+  verses,
+  sectionNum,
+  className = "",
+}) => {
+  const { languageNames } = useLanguage();
+  const secondaryDirection = useTextDirection(language);
+
+  if (!language || !verses?.length) {
+    return children;
+  }
+
+  const names = languageNames[language];
+
+  return (
+    <div className="parallel-text">
+      <div className="parallel-text-column">{children}</div>
+      <div
+        className="parallel-text-column parallel-text-secondary"
+        {...secondaryDirection}
+      >
+        <div className="parallel-text-language">
+          {names?.vernacular || names?.english || language}
+        </div>
+        <VerseText
+          verses={verses}
+          sectionNum={sectionNum}
+          className={className}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ParallelText;
@@ -0,0 +1,172 @@
+import React, { useState } from "react";
+import useMediaPlayer from "../hooks/useMediaPlayer";
+import useTranslation from "../hooks/useTranslation";
+import { MIN_LOOP_SECONDS, REPEAT_MODES } from "../context/MediaPlayerContext";
+import "./PlaybackOptions.css";
+
+const SLEEP_MINUTES = [5, 10, 15, 30, 45, 60];
+
+const REPEAT_LABELS = {
+  off: "playbackOptions.repeatOff",
+  segment: "playbackOptions.repeatSegment",
+  story: "playbackOptions.repeatStory",
+  queue: "playbackOptions.repeatQueue",
+};
+
+/**
+ * Repeat mode, A-B loop and sleep timer controls
+ * Shared by the full and minimized audio players.
+ */
+const PlaybackOptions = ({ compact = false }) => {
+  const { t } = useTranslation();
+  const {
+    virtualTime,
+    repeatMode,
+    loopRange,
+    sleepTimer,
+    setRepeatMode,
+    setLoopRange,
+    clearLoop,
+    setSleepTimer,
+  } = useMediaPlayer();
+
+  const [showSleepMenu, setShowSleepMenu] = useState(false);
+
+  const cycleRepeatMode = () => {
+    const index = REPEAT_MODES.indexOf(repeatMode);
+    setRepeatMode(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+  };
+
+  // First press marks A, second marks B, third clears the loop. Marking B
+  // closer than MIN_LOOP_SECONDS to A cancels the loop instead
+  const handleLoop = () => {
+    if (!loopRange) {
+      setLoopRange(virtualTime);
+    } else if (
+      loopRange.end === null &&
+      Math.abs(virtualTime - loopRange.start) >= MIN_LOOP_SECONDS
+    ) {
+      setLoopRange(loopRange.start, virtualTime);
+    } else {
+      clearLoop();
+    }
+  };
+
+  const loopLabel = !loopRange
+    ? t("playbackOptions.loopStart")
+    : loopRange.end === null
+      ? t("playbackOptions.loopEnd")
+      : t("playbackOptions.loopClear");
+
+  const handleSleep = (value) => {
+    setSleepTimer(value);
+    setShowSleepMenu(false);
+  };
+
+  let sleepStatus = null;
+  if (sleepTimer?.type === "minutes") {
+    const minutesLeft = Math.max(
+      1,
+      Math.ceil((sleepTimer.endsAt - Date.now()) / 60000),
+    );
+    sleepStatus = `${minutesLeft} ${t("playbackOptions.minutes")}`;
+  } else if (sleepTimer?.type === "endOfStory") {
+    sleepStatus = t("playbackOptions.endOfStory");
+  }
+
+  return (
+    <div
+      className={`playback-options ${compact ? "playback-options-compact" : ""}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <button
+        className={`playback-option-btn ${repeatMode !== "off" ? "active" : ""}`}
+        onClick={cycleRepeatMode}
+        aria-label={t(REPEAT_LABELS[repeatMode])}
+        title={t(REPEAT_LABELS[repeatMode])}
+      >
+        <svg
+          width="18"
+          height="18"
+          viewBox="0 0 24 24"
+          xmlns="http://www.w3.org/2000/svg"
+          style={{ display: "block" }}
+        >
+          <path
+            d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"
+            fill="currentColor"
+          />
+        </svg>
+        {repeatMode === "segment" && (
+          <span className="playback-option-badge">1</span>
+        )}
+        {!compact && repeatMode !== "off" && (
+          <span className="playback-option-label">
+            {t(REPEAT_LABELS[repeatMode])}
+          </span>
+        )}
+      </button>
+
+      <button
+        className={`playback-option-btn ${loopRange ? "active" : ""}`}
+        onClick={handleLoop}
+        aria-label={loopLabel}
+        title={loopLabel}
+      >
+        <span className="playback-option-text">
+          {loopRange && loopRange.end === null ? "A-…" : "A-B"}
+        </span>
+      </button>
+
+      <div className="playback-option-sleep">
+        <button
+          className={`playback-option-btn ${sleepTimer ? "active" : ""}`}
+          onClick={() => setShowSleepMenu(!showSleepMenu)}
+          aria-label={t("playbackOptions.sleepTimer")}
+          aria-expanded={showSleepMenu}
+          title={t("playbackOptions.sleepTimer")}
+        >
+          <svg
+            width="18"
+            height="18"
+            viewBox="0 0 24 24"
+            xmlns="http://www.w3.org/2000/svg"
+            style={{ display: "block" }}
+          >
+            <path
+              d="M12.3 2a10 10 0 1 0 9.7 12.4A8 8 0 0 1 12.3 2z"
+              fill="currentColor"
+            />
+          </svg>
+          {sleepStatus && (
+            <span className="playback-option-label">{sleepStatus}</span>
+          )}
+        </button>
+
+        {showSleepMenu && (
+          <div className="playback-sleep-menu" role="menu">
+            {SLEEP_MINUTES.map((minutes) => (
+              <button
+                key={minutes}
+                role="menuitem"
+                onClick={() => handleSleep(minutes)}
+              >
+                {minutes} {t("playbackOptions.minutes")}
+              </button>
+            ))}
+            <button role="menuitem" onClick={() => handleSleep("endOfStory")}>
+              {t("playbackOptions.endOfStory")}
+            </button>
+            {sleepTimer && (
+              <button role="menuitem" onClick={() => handleSleep(null)}>
+                {t("playbackOptions.sleepOff")}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlaybackOptions;
@@ -0,0 +1,38 @@
+import React from "react";
+import "./ProgressRing.css";
+
+const RADIUS = 14;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+/**
+ * Circular progress indicator for story tiles, with a check mark when complete
+ * @param {number} fraction - Progress from 0 to 1
+ * @param {string} label - Accessible description
+ */
+const ProgressRing = ({ fraction, label }) => {
+  const complete = fraction >= 1;
+
+  return (
+    <div
+      className={`progress-ring ${complete ? "complete" : ""}`}
+      role="img"
+      aria-label={label}
+      title={label}
+    >
+      <svg width="36" height="36" viewBox="0 0 36 36">
+        <circle className="progress-ring-track" cx="18" cy="18" r={RADIUS} />
+        <circle
+          className="progress-ring-value"
+          cx="18"
+          cy="18"
+          r={RADIUS}
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - Math.min(1, fraction))}
+        />
+      </svg>
+      {complete && <span className="progress-ring-check">✓</span>}
+    </div>
+  );
+};
+
+export default ProgressRing;
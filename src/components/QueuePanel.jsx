@@ -0,0 +1,217 @@
+import { useState } from "react";
+import "./QueuePanel.css";
+import useMediaPlayer from "../hooks/useMediaPlayer";
+import useTranslation from "../hooks/useTranslation";
+import useStoryQueue from "../hooks/useStoryQueue";
+import {
+  getSavedPlaylists,
+  savePlaylist,
+  deleteSavedPlaylist,
+} from "../utils/savedPlaylists";
+
+/**
+ * Story behind a queued playlist (all entries of a playlist share one story)
+ */
+const getPlaylistStory = (playlist) => {
+  const entry = playlist?.[0];
+  if (!entry) return null;
+  return { id: entry.storyId, path: entry.storyPath, title: entry.storyTitle };
+};
+
+function QueuePanel({ onClose }) {
+  const { t } = useTranslation();
+  const {
+    currentPlaylist,
+    queue,
+    removeFromQueue,
+    moveInQueue,
+    playFromQueue,
+    clearQueue,
+  } = useMediaPlayer();
+  const { queueStories, isQueueing } = useStoryQueue();
+  const [savedPlaylists, setSavedPlaylists] = useState(getSavedPlaylists);
+  const [playlistName, setPlaylistName] = useState("");
+
+  const currentStory = getPlaylistStory(currentPlaylist);
+  const stories = [currentPlaylist, ...queue]
+    .map(getPlaylistStory)
+    .filter((story) => story?.path);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!playlistName.trim() || stories.length === 0) return;
+    setSavedPlaylists(savePlaylist(playlistName, stories));
+    setPlaylistName("");
+  };
+
+  const handleDelete = (playlist) => {
+    if (window.confirm(t("queue.confirmDelete"))) {
+      setSavedPlaylists(deleteSavedPlaylist(playlist.id));
+    }
+  };
+
+  return (
+    <div className="queue-overlay" onClick={onClose}>
+      <div className="queue-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="queue-header">
+          <h2>{t("queue.title")}</h2>
+          <button
+            className="close-button"
+            onClick={onClose}
+            aria-label={t("languageSelector.close")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="queue-body">
+          <section className="queue-section">
+            <h3>{t("queue.nowPlaying")}</h3>
+            {currentStory ? (
+              <div className="queue-item queue-item-current">
+                <span className="queue-item-title">
+                  {currentStory.title || currentStory.id}
+                </span>
+              </div>
+            ) : (
+              <p className="queue-empty">{t("queue.nothingPlaying")}</p>
+            )}
+          </section>
+
+          <section className="queue-section">
+            <div className="queue-section-header">
+              <h3>{t("queue.upNext")}</h3>
+              {queue.length > 0 && (
+                <button className="queue-text-button" onClick={clearQueue}>
+                  {t("queue.clear")}
+                </button>
+              )}
+            </div>
+
+            {queue.length === 0 ? (
+              <p className="queue-empty">{t("queue.empty")}</p>
+            ) : (
+              <ol className="queue-list">
+                {queue.map((playlist, index) => {
+                  const story = getPlaylistStory(playlist);
+                  return (
+                    <li key={`${story?.id}-${index}`} className="queue-item">
+                      <span className="queue-item-title">
+                        {story?.title || story?.id}
+                      </span>
+                      <div className="queue-item-actions">
+                        <button
+                          onClick={() => playFromQueue(index)}
+                          aria-label={t("queue.playNow")}
+                          title={t("queue.playNow")}
+                        >
+                          ▶
+                        </button>
+                        <button
+                          onClick={() => moveInQueue(index, index - 1)}
+                          disabled={index === 0}
+                          aria-label={t("queue.moveUp")}
+                          title={t("queue.moveUp")}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => moveInQueue(index, index + 1)}
+                          disabled={index === queue.length - 1}
+                          aria-label={t("queue.moveDown")}
+                          title={t("queue.moveDown")}
+                        >
+                          ↓
+                        </button>
+                        <button
+                          onClick={() => removeFromQueue(index)}
+                          aria-label={t("queue.remove")}
+                          title={t("queue.remove")}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </section>
+
+          <section className="queue-section">
+            <h3>{t("queue.savedPlaylists")}</h3>
+
+            {stories.length > 0 && (
+              <form className="queue-save-form" onSubmit={handleSave}>
+                <input
+                  type="text"
+                  className="queue-name-input"
+                  placeholder={t("queue.playlistNamePlaceholder")}
+                  value={playlistName}
+                  onChange={(e) => setPlaylistName(e.target.value)}
+                />
+                <button
+                  type="submit"
+                  className="button-primary"
+                  disabled={!playlistName.trim()}
+                >
+                  {t("queue.saveQueue")}
+                </button>
+              </form>
+            )}
+
+            {savedPlaylists.length === 0 ? (
+              <p className="queue-empty">{t("queue.noSavedPlaylists")}</p>
+            ) : (
+              <ul className="queue-list">
+                {savedPlaylists.map((playlist) => (
+                  <li key={playlist.id} className="queue-item">
+                    <span className="queue-item-title">
+                      {playlist.name}
+                      <span className="queue-item-detail">
+                        {t("queue.stories", { count: playlist.stories.length })}
+                      </span>
+                    </span>
+                    <div className="queue-item-actions">
+                      <button
+                        onClick={() =>
+                          queueStories(playlist.stories, { playNow: true })
+                        }
+                        disabled={isQueueing}
+                        aria-label={t("queue.playNow")}
+                        title={t("queue.playNow")}
+                      >
+                        ▶
+                      </button>
+                      <button
+                        onClick={() => queueStories(playlist.stories)}
+                        disabled={isQueueing}
+                        aria-label={t("queue.addToQueue")}
+                        title={t("queue.addToQueue")}
+                      >
+                        +
+                      </button>
+                      <button
+                        onClick={() => handleDelete(playlist)}
+                        aria-label={t("queue.delete")}
+                        title={t("queue.delete")}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isQueueing && (
+              <p className="queue-empty">{t("queue.preparing")}</p>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QueuePanel;
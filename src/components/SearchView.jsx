@@ -0,0 +1,136 @@
+import { useState, useMemo, useDeferredValue } from "react";
+import "./SearchView.css";
+import useLanguage from "../hooks/useLanguage";
+import useTranslation from "../hooks/useTranslation";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import {
+  buildSearchIndex,
+  buildVerseTextIndex,
+  createVerseTextCache,
+  searchIndex,
+} from "../utils/searchIndex";
+
+/**
+ * Highlight the matched part of a search snippet
+ */
+function Snippet({ snippet }) {
+  return (
+    <>
+      {snippet.before}
+      <mark>{snippet.match}</mark>
+      {snippet.after}
+    </>
+  );
+}
+
+function SearchView({ onSelect, onClose }) {
+  const { t } = useTranslation();
+  const { storyMetadata, chapterText } = useLanguage();
+  const formatReference = useReferenceFormatter();
+  const [query, setQuery] = useState("");
+  const deferredQuery = useDeferredValue(query);
+
+  // Titles and references, rebuilt when stories finish loading
+  const referenceIndex = useMemo(
+    () => buildSearchIndex(storyMetadata, formatReference),
+    [storyMetadata, formatReference],
+  );
+
+  // Verse text, extended as chapters load in the background; only text of
+  // newly loaded chapters is normalized
+  const [getVerseText] = useState(createVerseTextCache);
+  const verseTextIndex = useMemo(
+    () => buildVerseTextIndex(storyMetadata, chapterText, getVerseText),
+    [storyMetadata, chapterText, getVerseText],
+  );
+
+  const results = useMemo(
+    () => searchIndex([...referenceIndex, ...verseTextIndex], deferredQuery),
+    [referenceIndex, verseTextIndex, deferredQuery],
+  );
+
+  const isIndexing = referenceIndex.length === 0;
+
+  return (
+    <div className="search-overlay" onClick={onClose}>
+      <div className="search-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="search-header">
+          <h2>{t("search.title")}</h2>
+          <button
+            className="close-button"
+            onClick={onClose}
+            aria-label={t("languageSelector.close")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="search-body">
+          <input
+            type="search"
+            className="search-input"
+            placeholder={t("search.placeholder")}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+          />
+
+          {isIndexing && (
+            <div className="search-message">{t("search.indexing")}</div>
+          )}
+
+          {!isIndexing && deferredQuery.trim() && results.length === 0 && (
+            <div className="search-message">{t("search.noResults")}</div>
+          )}
+
+          <div className="search-results">
+            {results.map((story) => (
+              <div key={story.storyId} className="search-result-story">
+                <button
+                  className="search-result-title"
+                  onClick={() => onSelect(story, null)}
+                >
+                  <span>
+                    {story.titleMatch ? (
+                      <Snippet snippet={story.titleMatch} />
+                    ) : (
+                      story.title
+                    )}
+                  </span>
+                  {story.categoryTitle && (
+                    <span className="search-result-category">
+                      {story.categoryTitle}
+                    </span>
+                  )}
+                </button>
+
+                {story.sections.map((hit) => (
+                  <button
+                    key={hit.section}
+                    className="search-result-section"
+                    onClick={() => onSelect(story, hit.section)}
+                  >
+                    <span className="search-result-reference">
+                      {hit.matches.reference ? (
+                        <Snippet snippet={hit.matches.reference} />
+                      ) : (
+                        formatReference(hit.reference)
+                      )}
+                    </span>
+                    {hit.matches.text && (
+                      <span className="search-result-text">
+                        <Snippet snippet={hit.matches.text} />
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchView;
@@ -0,0 +1,103 @@
+import { useState } from "react";
+import "./SectionAnnotations.css";
+import useAnnotations from "../hooks/useAnnotations";
+import useTranslation from "../hooks/useTranslation";
+import { HIGHLIGHT_COLORS } from "../utils/annotations";
+
+/**
+ * Bookmark, highlight and note controls for one story section
+ * @param {Object} target - { storyId, storyPath, storyTitle, sectionIndex, reference }
+ */
+function SectionAnnotations({ target }) {
+  const { t } = useTranslation();
+  const { getSectionAnnotations, toggleBookmark, setHighlight, setNote } =
+    useAnnotations();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+
+  const { bookmark, highlight, note } = getSectionAnnotations(target);
+
+  const startEditing = () => {
+    setDraft(note?.text || "");
+    setIsEditing(true);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setNote(target, draft);
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="section-annotations">
+      <div className="section-annotations-toolbar">
+        <button
+          className={`annotation-button ${bookmark ? "active" : ""}`}
+          onClick={() => toggleBookmark(target)}
+          aria-pressed={!!bookmark}
+          aria-label={t("annotations.bookmark")}
+          title={t("annotations.bookmark")}
+        >
+          🔖
+        </button>
+        {Object.entries(HIGHLIGHT_COLORS).map(([name, color]) => {
+          const active = highlight?.color === name;
+          return (
+            <button
+              key={name}
+              className={`highlight-swatch ${active ? "active" : ""}`}
+              style={{ backgroundColor: color }}
+              onClick={() => setHighlight(target, active ? null : name)}
+              aria-pressed={active}
+              aria-label={`${t("annotations.highlight")}: ${t(`annotations.colors.${name}`)}`}
+              title={t(`annotations.colors.${name}`)}
+            />
+          );
+        })}
+        <button
+          className={`annotation-button ${note ? "active" : ""}`}
+          onClick={startEditing}
+          aria-label={
+            note ? t("annotations.editNote") : t("annotations.addNote")
+          }
+          title={note ? t("annotations.editNote") : t("annotations.addNote")}
+        >
+          📝
+        </button>
+      </div>
+
+      {isEditing ? (
+        <form className="section-note-form" onSubmit={handleSave}>
+          <textarea
+            className="section-note-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={t("annotations.notePlaceholder")}
+            rows={3}
+            autoFocus
+          />
+          <div className="section-note-actions">
+            <button
+              type="button"
+              className="button-secondary"
+              onClick={() => setIsEditing(false)}
+            >
+              {t("annotations.cancel")}
+            </button>
+            <button type="submit" className="button-primary">
+              {t("annotations.saveNote")}
+            </button>
+          </div>
+        </form>
+      ) : (
+        note && (
+          <p className="section-note" onClick={startEditing}>
+            {note.text}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+export default SectionAnnotations;
@@ -0,0 +1,106 @@
+import "./SettingsPanel.css";
+import useTranslation from "../hooks/useTranslation";
+import {
+  DEFAULT_PREFERENCES,
+  LINE_SPACINGS,
+  TEXT_SCALE,
+  THEMES,
+} from "../utils/readingPreferences";
+
+function SettingsPanel({ preferences, onChange, onClose }) {
+  const { t } = useTranslation();
+
+  const update = (changes) => {
+    onChange({ ...preferences, ...changes });
+  };
+
+  const renderOptions = (name, options) => (
+    <div className="settings-options" role="radiogroup">
+      {options.map((option) => (
+        <button
+          key={option}
+          role="radio"
+          aria-checked={preferences[name] === option}
+          className={`settings-option ${
+            preferences[name] === option ? "active" : ""
+          }`}
+          onClick={() => update({ [name]: option })}
+        >
+          {t(`settings.${name}Options.${option}`)}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <div className="settings-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2>{t("settings.title")}</h2>
+          <button
+            className="close-button"
+            onClick={onClose}
+            aria-label={t("languageSelector.close")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="settings-body">
+          <div className="settings-group">
+            <span className="settings-label">{t("settings.theme")}</span>
+            {renderOptions("theme", THEMES)}
+          </div>
+
+          <label className="settings-group">
+            <span className="settings-label">
+              {t("settings.textSize")}
+              <span className="settings-value">
+                {Math.round(preferences.textScale * 100)}%
+              </span>
+            </span>
+            <input
+              type="range"
+              className="settings-range"
+              min={TEXT_SCALE.min}
+              max={TEXT_SCALE.max}
+              step={TEXT_SCALE.step}
+              value={preferences.textScale}
+              onChange={(e) => update({ textScale: Number(e.target.value) })}
+            />
+          </label>
+
+          <div className="settings-group">
+            <span className="settings-label">{t("settings.lineSpacing")}</span>
+            {renderOptions("lineSpacing", Object.keys(LINE_SPACINGS))}
+          </div>
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={preferences.dyslexicFont}
+              onChange={(e) => update({ dyslexicFont: e.target.checked })}
+            />
+            {t("settings.dyslexicFont")}
+          </label>
+
+          <p className="settings-preview">{t("settings.preview")}</p>
+        </div>
+
+        <div className="settings-footer">
+          <button
+            className="button-secondary"
+            onClick={() => onChange({ ...DEFAULT_PREFERENCES })}
+          >
+            {t("settings.reset")}
+          </button>
+          <button className="button-primary" onClick={onClose}>
+            {t("settings.done")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPanel;
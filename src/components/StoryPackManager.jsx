@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from "react";
+import "./StoryPackManager.css";
+import useLanguage from "../hooks/useLanguage";
+import useTranslation from "../hooks/useTranslation";
+import {
+  deleteStoryPack,
+  formatBytes,
+  getStoryPacks,
+  getStorageEstimate,
+  isOfflineSupported,
+} from "../utils/storyPacks";
+
+function StoryPackManager({ onClose }) {
+  const { t } = useTranslation();
+  const { selectedLanguage, languageNames, loadCategories, downloadStoryPack } =
+    useLanguage();
+  const [categories, setCategories] = useState([]);
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [packs, setPacks] = useState(() => getStoryPacks());
+  const [storage, setStorage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const supported = isOfflineSupported();
+  const currentPack = packs[selectedLanguage];
+  const languageName =
+    languageNames[selectedLanguage]?.english || selectedLanguage;
+
+  const refreshStorage = async () => {
+    setStorage(await getStorageEstimate());
+  };
+
+  useEffect(() => {
+    loadCategories()
+      .then(setCategories)
+      .catch((err) => console.error("Error loading categories:", err));
+    refreshStorage();
+
+    return () => {
+      abortRef.current?.abort();
+    };
+  }, [loadCategories]);
+
+  const toggleCategory = (path) => {
+    setSelectedCategories((prev) =>
+      prev.includes(path) ? prev.filter((p) => p !== path) : [...prev, path],
+    );
+  };
+
+  const startDownload = async (categoryDirs) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ phase: "stories", completed: 0, total: 0, label: "" });
+
+    try {
+      await downloadStoryPack(categoryDirs, {
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      setPacks(getStoryPacks());
+      setSelectedCategories([]);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("Story pack download failed:", err);
+        setError(t("storyPacks.downloadFailed"));
+      }
+    }
+
+    abortRef.current = null;
+    setProgress(null);
+    refreshStorage();
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleDelete = async () => {
+    await deleteStoryPack(selectedLanguage);
+    setPacks(getStoryPacks());
+    refreshStorage();
+  };
+
+  const progressPercent =
+    progress && progress.total > 0
+      ? Math.round((progress.completed / progress.total) * 100)
+      : 0;
+
+  return (
+    <div className="story-pack-overlay" onClick={onClose}>
+      <div className="story-pack-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="story-pack-header">
+          <h2>{t("storyPacks.title")}</h2>
+          <button
+            className="close-button"
+            onClick={onClose}
+            aria-label={t("languageSelector.close")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="story-pack-body">
+          <p className="story-pack-language">
+            {t("storyPacks.language")}: <strong>{languageName}</strong> [
+            {selectedLanguage}]
+          </p>
+
+          {!supported && (
+            <div className="story-pack-message">
+              {t("storyPacks.notSupported")}
+            </div>
+          )}
+
+          {currentPack && (
+            <div className="story-pack-current">
+              <div>
+                {t("storyPacks.downloaded")}:{" "}
+                {t("storyPacks.stories", { count: currentPack.stories })},{" "}
+                {new Date(currentPack.downloadedAt).toLocaleDateString()}
+                {currentPack.missingAudio > 0 && (
+                  <div className="story-pack-missing">
+                    {t("storyPacks.missingAudio", {
+                      count: currentPack.missingAudio,
+                    })}
+                  </div>
+                )}
+              </div>
+              <button
+                className="story-pack-delete"
+                onClick={handleDelete}
+                disabled={!!progress}
+              >
+                {t("storyPacks.delete")}
+              </button>
+            </div>
+          )}
+
+          {progress ? (
+            <div className="story-pack-progress">
+              <div className="story-pack-progress-label">
+                {progress.phase === "stories"
+                  ? t("storyPacks.phaseStories")
+                  : t("storyPacks.phaseChapters")}{" "}
+                {progress.total > 0 &&
+                  `${progress.completed}/${progress.total}`}{" "}
+                {progress.label}
+              </div>
+              <div className="story-pack-progress-bar">
+                <div
+                  className="story-pack-progress-fill"
+                  style={{ width: `${progressPercent}%` }}
+                />
+              </div>
+              <button className="button-secondary" onClick={handleCancel}>
+                {t("storyPacks.cancel")}
+              </button>
+            </div>
+          ) : (
+            <div className="story-pack-categories">
+              {categories.map((category) => {
+                const isDownloaded = currentPack?.categories.includes(
+                  category.path,
+                );
+                return (
+                  <label key={category.path} className="story-pack-category">
+                    <input
+                      type="checkbox"
+                      checked={selectedCategories.includes(category.path)}
+                      onChange={() => toggleCategory(category.path)}
+                      disabled={!supported}
+                    />
+                    <span className="story-pack-category-title">
+                      {category.title}
+                    </span>
+                    <span className="story-pack-category-count">
+                      {category.stories.length}
+                    </span>
+                    {isDownloaded && (
+                      <span className="story-pack-category-check">✓</span>
+                    )}
+                  </label>
+                );
+              })}
+            </div>
+          )}
+
+          {error && <div className="story-pack-error">{error}</div>}
+
+          <div className="story-pack-storage">
+            {t("storyPacks.storageUsed")}:{" "}
+            {storage
+              ? `${formatBytes(storage.usage)} / ${formatBytes(storage.quota)}`
+              : t("storyPacks.storageUnknown")}
+          </div>
+        </div>
+
+        <div className="story-pack-footer">
+          <button
+            className="button-secondary"
+            onClick={() => startDownload(selectedCategories)}
+            disabled={
+              !supported || !!progress || selectedCategories.length === 0
+            }
+          >
+            {t("storyPacks.downloadSelected")}
+          </button>
+          <button
+            className="button-primary"
+            onClick={() => startDownload(null)}
+            disabled={!supported || !!progress}
+          >
+            {t("storyPacks.downloadAll")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StoryPackManager;
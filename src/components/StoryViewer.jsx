@@ -1,82 +1,48 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import "./StoryViewer.css";
 import BibleText from "./BibleText";
+import VerseText from "./VerseText";
+import ParallelText from "./ParallelText";
+import SectionAnnotations from "./SectionAnnotations";
 import { parseMarkdownIntoSections } from "../utils/markdownParser";
-import { parseReference, getTestament } from "../utils/bibleUtils";
+import {
+  buildStoryPlaylist,
+  buildChapterPlaylist,
+  fetchStoryMarkdown,
+} from "../utils/storyPlaylist";
 import useLanguage from "../hooks/useLanguage";
 import useMediaPlayer from "../hooks/useMediaPlayer";
 import useTranslation from "../hooks/useTranslation";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import useParallelText from "../hooks/useParallelText";
+import useAnnotations from "../hooks/useAnnotations";
+import useTextDirection from "../hooks/useTextDirection";
+import { HIGHLIGHT_COLORS } from "../utils/annotations";
+import { markSectionsDone } from "../utils/storyProgress";
+import {
+  getPlaybackPosition,
+  clearPlaybackPosition,
+} from "../utils/playbackPositions";
 import AudioPlayer from "./AudioPlayer";
 import MinimizedAudioPlayer from "./MinimizedAudioPlayer";
 import FullPlayingPane from "./FullPlayingPane";
 
-/**
- * Split a complex reference into individual reference parts
- */
-const splitReference = (reference) => {
-  if (!reference) return [];
-
-  const parts = reference.split(",").map((p) => p.trim());
-  const results = [];
-
-  let currentBook = null;
-  let currentChapter = null;
-
-  parts.forEach((part) => {
-    const bookMatch = part.match(/^([A-Z0-9]+)\s*(\d+):(.+)$/i);
-
-    if (bookMatch) {
-      currentBook = bookMatch[1].toUpperCase();
-      currentChapter = bookMatch[2];
-      const verses = bookMatch[3];
-      results.push(`${currentBook} ${currentChapter}:${verses}`);
-    } else {
-      const chapterMatch = part.match(/^(\d+):(.+)$/);
-
-      if (chapterMatch) {
-        currentChapter = chapterMatch[1];
-        const verses = chapterMatch[2];
-        results.push(`${currentBook} ${currentChapter}:${verses}`);
-      } else {
-        results.push(`${currentBook} ${currentChapter}:${part}`);
-      }
-    }
-  });
-
-  return results;
+const formatTime = (seconds) => {
+  if (!seconds || isNaN(seconds)) return "0:00";
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
 };
 
-/**
- * Extract raw timing data for a specific reference
- */
-const extractRawTimingData = (
-  timingData,
-  audioFilesetId,
-  bookId,
-  chapterNum,
-  verseSpec,
-) => {
-  if (!timingData || !audioFilesetId || !timingData[audioFilesetId]) {
-    return null;
-  }
-
-  const filesetData = timingData[audioFilesetId];
-  const searchRef = `${bookId}${chapterNum}:${verseSpec}`;
-
-  for (const [storyNum, storyData] of Object.entries(filesetData)) {
-    if (storyData[searchRef]) {
-      return {
-        reference: searchRef,
-        timestamps: storyData[searchRef],
-      };
-    }
-  }
-
-  return null;
-};
-
-function StoryViewer({ storyData, onBack }) {
+function StoryViewer({
+  storyData,
+  onBack,
+  initialSection = null,
+  autoPlaySection = false,
+}) {
   const { t } = useTranslation();
+  const formatReference = useReferenceFormatter();
+  const textDirection = useTextDirection();
   const {
     chapterText,
     audioUrls,
@@ -84,17 +50,33 @@ function StoryViewer({ storyData, onBack }) {
     selectedLanguage,
     languageData,
     getStoryMetadata,
+    prioritizeStory,
   } = useLanguage();
-  const { loadPlaylist, isMinimized, currentSegmentIndex, currentPlaylist } =
-    useMediaPlayer();
+  const {
+    loadPlaylist,
+    isMinimized,
+    setMinimized,
+    currentSegmentIndex,
+    currentPlaylist,
+  } = useMediaPlayer();
+  const { getSectionAnnotations } = useAnnotations();
   const [content, setContent] = useState("");
   const [loading, setLoading] = useState(true);
   const [parsedData, setParsedData] = useState(null);
+  const { secondaryLanguage, getSecondaryVerses } = useParallelText(
+    parsedData?.sections.map((section) => section.reference),
+  );
   const [error, setError] = useState(null);
   const [chapterCount, setChapterCount] = useState(0);
   const [audioPlaylistData, setAudioPlaylistData] = useState([]);
+  const [resumePosition, setResumePosition] = useState(null);
+  // "language:storyId" whose playlist was loaded when the story was opened;
+  // later rebuilds of audioPlaylistData (more audio URLs loaded) must not
+  // replace the playlist again or repeat the resume decision
+  const openedPlaylistRef = useRef(null);
   const [storyCapabilities, setStoryCapabilities] = useState({
     hasTimecode: false,
+    hasAudio: false,
     usesOT: false,
     usesNT: false,
   });
@@ -103,11 +85,26 @@ function StoryViewer({ storyData, onBack }) {
     loadStory();
   }, [storyData]);
 
-  // Reload story when language changes
+  // Load this story's Bible chapters ahead of the background preload
   useEffect(() => {
     if (storyData) {
-      // Clear playlist when language changes
-      loadPlaylist([], { mode: "replace", autoPlay: false });
+      prioritizeStory(storyData.id || storyData.path);
+    }
+  }, [storyData, selectedLanguage, prioritizeStory]);
+
+  // Reload story when language changes (not on mount, where loadStory runs
+  // above and the queue built elsewhere must be kept)
+  const previousLanguageRef = useRef(selectedLanguage);
+  useEffect(() => {
+    if (previousLanguageRef.current === selectedLanguage) return;
+    previousLanguageRef.current = selectedLanguage;
+
+    if (storyData) {
+      // Clear this story's playlist, whose audio is in the old language; a
+      // queued story from elsewhere keeps playing
+      if (currentPlaylist?.[0]?.storyId === (storyData.id || storyData.path)) {
+        loadPlaylist([], { mode: "replace", autoPlay: false });
+      }
       // Reload story content
       loadStory();
     }
@@ -127,21 +124,7 @@ function StoryViewer({ storyData, onBack }) {
     setLoading(true);
     try {
       // Always load and parse (browser caches markdown, parsing is fast)
-      const response = await fetch(`/templates/OBS/${storyData.path}`);
-
-      if (!response.ok) {
-        throw new Error(`Story not found: ${response.status}`);
-      }
-
-      const text = await response.text();
-
-      // Check if we got HTML instead of markdown (happens with 404 pages)
-      if (
-        text.trim().startsWith("<!doctype") ||
-        text.trim().startsWith("<!DOCTYPE")
-      ) {
-        throw new Error("Story file not found or returned HTML");
-      }
+      const text = await fetchStoryMarkdown(storyData.path);
 
       setContent(text);
 
@@ -160,118 +143,19 @@ function StoryViewer({ storyData, onBack }) {
   };
 
   const collectAudioPlaylistData = async (sections) => {
-    const allPlaylistEntries = [];
-    const chaptersNeeded = new Map();
-
-    // First pass: collect all references with section tracking
-    sections.forEach((section, sectionIndex) => {
-      if (!section.reference) return;
-
-      const splitRefs = splitReference(section.reference);
-
-      splitRefs.forEach((ref) => {
-        const parsed = parseReference(ref);
-        if (parsed) {
-          const { book, chapter } = parsed;
-          const testament = getTestament(book);
-          const chapterKey = `${book}.${chapter}`;
-          const audioKey = `${selectedLanguage}-${testament}-${chapterKey}`;
-
-          if (!chaptersNeeded.has(audioKey)) {
-            chaptersNeeded.set(audioKey, {
-              book,
-              chapter,
-              testament,
-              audioKey,
-              refs: [],
-            });
-          }
-
-          chaptersNeeded.get(audioKey).refs.push({
-            ref,
-            sectionNum: sectionIndex + 1,
-            imageUrl: section.imageUrl,
-            text: section.text,
-          });
-        }
-      });
-    });
-
-    // Second pass: load audio for all needed chapters
-    for (const [audioKey, chapterInfo] of chaptersNeeded.entries()) {
-      const { book, chapter, testament, refs } = chapterInfo;
-
-      // Check if already cached
-      let audioEntry = audioUrls[audioKey];
-
-      // If not cached, try to load
-      if (!audioEntry) {
-        try {
-          audioEntry = await loadAudioUrl(book, chapter, testament);
-        } catch (err) {
-          // Audio not available for this chapter
-        }
-      }
+    const options = {
+      storyId: storyData.id || storyData.path,
+      storyPath: storyData.path,
+      storyTitle: parsedData?.title || storyData.title,
+      language: selectedLanguage,
+      audioUrls,
+      loadAudioUrl,
+    };
 
-      if (audioEntry && audioEntry.url) {
-        const fullFilename = audioEntry.url.substring(
-          audioEntry.url.lastIndexOf("/") + 1,
-        );
-        const filename = fullFilename.split("?")[0];
-
-        // Process each reference for this chapter
-        refs.forEach(({ ref, sectionNum, imageUrl, text }) => {
-          const parsed = parseReference(ref);
-          if (!parsed) return;
-
-          const {
-            book: refBook,
-            chapter: refChapter,
-            verseStart,
-            verseEnd,
-            verses,
-          } = parsed;
-
-          let verseSpec;
-          if (verses && Array.isArray(verses)) {
-            verseSpec = verses.join(",");
-          } else if (verseStart === verseEnd) {
-            verseSpec = String(verseStart);
-          } else {
-            verseSpec = `${verseStart}-${verseEnd}`;
-          }
-
-          // Extract timing data for this specific reference
-          let timingEntry = null;
-          if (audioEntry.hasTimecode && audioEntry.timingData) {
-            const audioFilesetId =
-              audioEntry.audioFilesetId ||
-              Object.keys(audioEntry.timingData)[0];
-
-            timingEntry = extractRawTimingData(
-              audioEntry.timingData,
-              audioFilesetId,
-              refBook,
-              refChapter,
-              verseSpec,
-            );
-          }
-
-          allPlaylistEntries.push({
-            sectionNum,
-            reference: ref,
-            audioFile: filename,
-            audioUrl: audioEntry.url,
-            timingData: timingEntry,
-            book: refBook,
-            chapter: refChapter,
-            testament,
-            imageUrl,
-            text,
-          });
-        });
-      }
-    }
+    // Without timing files, fall back to whole chapters with estimated verses
+    const allPlaylistEntries = storyCapabilities.hasTimecode
+      ? await buildStoryPlaylist(sections, options)
+      : await buildChapterPlaylist(sections, { ...options, chapterText });
 
     setAudioPlaylistData(allPlaylistEntries);
   };
@@ -293,15 +177,17 @@ function StoryViewer({ storyData, onBack }) {
     if (!langData) {
       setStoryCapabilities({
         hasTimecode: false,
+        hasAudio: false,
         usesOT: testamentsInfo.usesOT,
         usesNT: testamentsInfo.usesNT,
       });
       return;
     }
 
-    // Check if ALL required testaments have audio with timecode
-    // Audio player requires timecode to build playlist
+    // Check if ALL required testaments have audio, and whether it has timecode
+    // Without timecode the player falls back to whole chapters
     let hasTimecode = true;
+    let hasAudio = true;
     const testamentsToCheck = [];
     if (testamentsInfo.usesOT) testamentsToCheck.push("ot");
     if (testamentsInfo.usesNT) testamentsToCheck.push("nt");
@@ -309,18 +195,14 @@ function StoryViewer({ storyData, onBack }) {
     for (const testament of testamentsToCheck) {
       const testamentData = langData[testament];
 
-      if (!testamentData) {
-        hasTimecode = false;
-        break;
-      }
-
       // Check audio availability
-      if (!testamentData.audioFilesetId) {
+      if (!testamentData || !testamentData.audioFilesetId) {
         hasTimecode = false;
+        hasAudio = false;
         break;
       }
 
-      // Check timecode availability - required for playlist
+      // Check timecode availability - needed for verse-level playlists
       const hasTimecodeForTestament = [
         "with-timecode",
         "audio-with-timecode",
@@ -328,12 +210,12 @@ function StoryViewer({ storyData, onBack }) {
 
       if (!hasTimecodeForTestament) {
         hasTimecode = false;
-        break;
       }
     }
 
     const capabilities = {
       hasTimecode,
+      hasAudio,
       usesOT: testamentsInfo.usesOT,
       usesNT: testamentsInfo.usesNT,
     };
@@ -355,38 +237,167 @@ function StoryViewer({ storyData, onBack }) {
     }
   }, [parsedData, selectedLanguage, languageData]);
 
-  // Re-collect audio playlist when sections change or timecode becomes available
+  // Re-collect audio playlist when sections change or audio becomes available
   useEffect(() => {
     if (
       parsedData &&
       parsedData.sections &&
       parsedData.sections.length > 0 &&
-      storyCapabilities.hasTimecode
+      storyCapabilities.hasAudio
     ) {
       collectAudioPlaylistData(parsedData.sections);
-    } else if (!storyCapabilities.hasTimecode) {
-      // Clear playlist if timecode is not available
+    } else if (!storyCapabilities.hasAudio) {
+      // Clear playlist if audio is not available
       setAudioPlaylistData([]);
     }
-  }, [parsedData, audioUrls, selectedLanguage, storyCapabilities.hasTimecode]);
+  }, [
+    parsedData,
+    audioUrls,
+    selectedLanguage,
+    storyCapabilities.hasAudio,
+    storyCapabilities.hasTimecode,
+  ]);
+
+  // Load playlist and auto-play when audio data is first ready for the story
+  // (only if audio available), once per story and language
+  // A linked section starts the playlist at that section; it only auto-plays with ?play
+  // A story left part-way is not auto-played; the resume banner offers to continue
+  useEffect(() => {
+    if (audioPlaylistData.length > 0 && storyCapabilities.hasAudio) {
+      // Entries still collected for the previous story or language wait for
+      // the rebuild
+      const { language, storyId } = audioPlaylistData[0];
+      const openedKey = `${language}:${storyId}`;
+      if (
+        language !== selectedLanguage ||
+        storyId !== (storyData.id || storyData.path) ||
+        openedPlaylistRef.current === openedKey
+      ) {
+        return;
+      }
+      openedPlaylistRef.current = openedKey;
+
+      const savedPosition = initialSection
+        ? null
+        : getPlaybackPosition(selectedLanguage, storyData.id || storyData.path);
+
+      if (savedPosition) {
+        setResumePosition(savedPosition);
+        loadPlaylist(audioPlaylistData, {
+          mode: "replace",
+          autoPlay: false,
+          startTime: savedPosition.virtualTime,
+        });
+        setMinimized(true);
+        return;
+      }
+
+      const startIndex = initialSection
+        ? Math.max(
+            0,
+            audioPlaylistData.findIndex(
+              (entry) => entry.sectionNum >= initialSection,
+            ),
+          )
+        : 0;
+
+      loadPlaylist(audioPlaylistData, {
+        mode: "replace",
+        autoPlay: !initialSection || autoPlaySection,
+        startIndex,
+      });
+
+      // Keep the linked section visible instead of the full playing pane
+      if (initialSection && !autoPlaySection) {
+        setMinimized(true);
+      }
+    }
+  }, [audioPlaylistData, loadPlaylist, storyCapabilities.hasAudio]);
 
-  // Load playlist and auto-play when audio data is ready (only if timecode available)
+  // Hide the resume banner when another story or language is loaded
   useEffect(() => {
-    if (audioPlaylistData.length > 0 && storyCapabilities.hasTimecode) {
-      loadPlaylist(audioPlaylistData, { mode: "replace", autoPlay: true });
+    setResumePosition(null);
+  }, [storyData, selectedLanguage]);
+
+  const handleResume = () => {
+    loadPlaylist(audioPlaylistData, {
+      mode: "replace",
+      autoPlay: true,
+      startTime: resumePosition.virtualTime,
+    });
+    setMinimized(false);
+    setResumePosition(null);
+  };
+
+  const handleStartOver = () => {
+    clearPlaybackPosition(selectedLanguage, storyData.id || storyData.path);
+    loadPlaylist(audioPlaylistData, { mode: "replace", autoPlay: true });
+    setMinimized(false);
+    setResumePosition(null);
+  };
+
+  // Scroll to a linked section (#section-N) once the story is rendered
+  useEffect(() => {
+    if (loading || !initialSection || !parsedData) return;
+
+    const sectionElement = document.getElementById(`section-${initialSection}`);
+    if (sectionElement) {
+      sectionElement.scrollIntoView({ behavior: "smooth", block: "start" });
     }
-  }, [audioPlaylistData, loadPlaylist, storyCapabilities.hasTimecode]);
+  }, [loading, initialSection, parsedData, isMinimized]);
+
+  // Sections the reader has seen in full or scrolled past count as read
+  // (the full player shows the playing section only)
+  const showsSections = isMinimized || !currentPlaylist?.length;
+  useEffect(() => {
+    if (loading || !showsSections || !parsedData?.sections?.length) return;
+
+    const story = {
+      id: storyData.id || storyData.path,
+      path: storyData.path,
+      title: parsedData.title || storyData.title,
+      sectionCount: parsedData.sections.length,
+    };
+
+    // The first callback reports where sections are when the story opens
+    let isInitialReport = true;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (isInitialReport) {
+          isInitialReport = false;
+          return;
+        }
 
-  // Separate effect to clear playlist when timecode becomes unavailable
+        const read = entries
+          .filter(
+            (entry) =>
+              entry.intersectionRatio >= 1 ||
+              (!entry.isIntersecting && entry.boundingClientRect.top < 0),
+          )
+          .map((entry) => Number(entry.target.id.replace("section-", "")));
+        markSectionsDone(selectedLanguage, story, read);
+      },
+      { threshold: [0, 1] },
+    );
+
+    parsedData.sections.forEach((section, index) => {
+      const element = document.getElementById(`section-${index + 1}`);
+      if (element) observer.observe(element);
+    });
+
+    return () => observer.disconnect();
+  }, [loading, showsSections, parsedData, selectedLanguage]);
+
+  // Separate effect to clear this story's playlist when audio becomes
+  // unavailable (a queued story from elsewhere keeps playing)
   useEffect(() => {
     if (
-      !storyCapabilities.hasTimecode &&
-      currentPlaylist &&
-      currentPlaylist.length > 0
+      !storyCapabilities.hasAudio &&
+      currentPlaylist?.[0]?.storyId === (storyData.id || storyData.path)
     ) {
       loadPlaylist([], { mode: "replace", autoPlay: false });
     }
-  }, [storyCapabilities.hasTimecode, currentPlaylist, loadPlaylist]);
+  }, [storyCapabilities.hasAudio, currentPlaylist, loadPlaylist]);
 
   if (loading) {
     return <div className="story-loading">{t("storyViewer.loadingStory")}</div>;
@@ -395,10 +406,10 @@ function StoryViewer({ storyData, onBack }) {
   // Error state - story not found
   if (error) {
     return (
-      <div className="story-viewer">
+      <div className="story-viewer" {...textDirection}>
         <div className="story-header">
           <button className="back-button" onClick={onBack}>
-            ←
+            <span className="back-arrow">←</span>
           </button>
           <h1 className="story-title">{storyData.title}</h1>
         </div>
@@ -425,10 +436,10 @@ function StoryViewer({ storyData, onBack }) {
   // Display sections
   if (!parsedData || !parsedData.sections || parsedData.sections.length === 0) {
     return (
-      <div className="story-viewer">
+      <div className="story-viewer" {...textDirection}>
         <div className="story-header">
           <button className="back-button" onClick={onBack}>
-            ←
+            <span className="back-arrow">←</span>
           </button>
           <h1 className="story-title">{storyData.title}</h1>
         </div>
@@ -440,14 +451,29 @@ function StoryViewer({ storyData, onBack }) {
   }
 
   return (
-    <div className="story-viewer">
+    <div className="story-viewer" {...textDirection}>
       <div className="story-header">
         <button className="back-button" onClick={onBack}>
-          ←
+          <span className="back-arrow">←</span>
         </button>
         <h1 className="story-title">{parsedData.title || storyData.title}</h1>
       </div>
 
+      {resumePosition && currentPlaylist && currentPlaylist.length > 0 && (
+        <div className="story-resume-banner">
+          <button className="story-resume-button" onClick={handleResume}>
+            ▶{" "}
+            {t("storyViewer.resumeFromSection", {
+              section: resumePosition.sectionNum,
+              time: formatTime(resumePosition.virtualTime),
+            })}
+          </button>
+          <button className="story-start-over-button" onClick={handleStartOver}>
+            {t("storyViewer.startOver")}
+          </button>
+        </div>
+      )}
+
       {/* Conditional rendering based on player state */}
       {!isMinimized && currentPlaylist && currentPlaylist.length > 0 ? (
         // FULL PLAYER MODE - show only playing pane (requires timecode to have playlist)
@@ -458,45 +484,84 @@ function StoryViewer({ storyData, onBack }) {
         // DEFAULT MODE - show all story sections
         <div className="story-content story-sections-vertical">
           {parsedData.sections.map((section, index) => {
-            // Check if this section is currently playing
+            // Check if this section is currently playing (the queue may
+            // have moved on to another story)
+            const playingEntry = currentPlaylist?.[currentSegmentIndex];
             const isPlaying =
-              currentPlaylist &&
-              currentPlaylist.length > 0 &&
               currentSegmentIndex >= 0 &&
-              currentPlaylist[currentSegmentIndex]?.sectionNum === index + 1;
+              playingEntry?.storyId === (storyData.id || storyData.path) &&
+              (playingEntry.sectionNums || [playingEntry.sectionNum]).includes(
+                index + 1,
+              );
+
+            const annotationTarget = {
+              storyId: storyData.id || storyData.path,
+              storyPath: storyData.path,
+              storyTitle: parsedData.title || storyData.title,
+              sectionIndex: index,
+              reference: section.reference,
+            };
+            const highlightColor =
+              HIGHLIGHT_COLORS[
+                getSectionAnnotations(annotationTarget).highlight?.color
+              ];
 
             return (
               <div
                 key={index}
-                className={`story-section ${isPlaying ? "story-section-playing" : ""}`}
+                id={`section-${index + 1}`}
+                className={`story-section ${isPlaying ? "story-section-playing" : ""} ${
+                  highlightColor ? "story-section-highlighted" : ""
+                }`}
+                style={
+                  highlightColor
+                    ? { "--highlight-color": highlightColor }
+                    : undefined
+                }
               >
                 <div className="story-section-image-wrapper">
                   {section.imageUrl && (
                     <img
                       src={section.imageUrl}
-                      alt={`Section ${index + 1}`}
+                      alt={t("storyViewer.sectionAlt", { number: index + 1 })}
                       className="story-image"
                     />
                   )}
                   {section.reference && (
                     <div className="story-section-ref-overlay">
-                      {section.reference}
+                      {formatReference(section.reference)}
                     </div>
                   )}
                 </div>
-                {section.text && section.text.trim() && (
+                {(section.verses || section.text?.trim()) && (
                   <div className="story-section-text">
-                    {section.text.split("\n").map((line, lineIndex) => {
-                      const trimmedLine = line.trim();
-                      if (!trimmedLine) return null;
-                      return (
-                        <p key={lineIndex} className="story-paragraph">
-                          {trimmedLine}
-                        </p>
-                      );
-                    })}
+                    <ParallelText
+                      language={secondaryLanguage}
+                      verses={getSecondaryVerses(section.reference)}
+                      sectionNum={index + 1}
+                      className="story-paragraph"
+                    >
+                      {section.verses ? (
+                        <VerseText
+                          verses={section.verses}
+                          sectionNum={index + 1}
+                          className="story-paragraph"
+                        />
+                      ) : (
+                        section.text.split("\n").map((line, lineIndex) => {
+                          const trimmedLine = line.trim();
+                          if (!trimmedLine) return null;
+                          return (
+                            <p key={lineIndex} className="story-paragraph">
+                              {trimmedLine}
+                            </p>
+                          );
+                        })
+                      )}
+                    </ParallelText>
                   </div>
                 )}
+                <SectionAnnotations target={annotationTarget} />
               </div>
             );
           })}
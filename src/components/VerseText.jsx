@@ -0,0 +1,75 @@
+import React, { useEffect, useRef } from "react";
+import useMediaPlayer from "../hooks/useMediaPlayer";
+import "./VerseText.css";
+
+/**
+ * Bible text rendered verse by verse, highlighting the verse that is playing
+ * Verses with timing data in the current playlist can be clicked to seek.
+ */
+const VerseText = ({ verses, sectionNum, className = "", followActive }) => {
+  const { getCurrentVerseInfo, getVerseTime, seekToVerse } = useMediaPlayer();
+  const activeRef = useRef(null);
+
+  const current = getCurrentVerseInfo();
+  const isActive = (verse) =>
+    !!current &&
+    current.sectionNums.includes(sectionNum) &&
+    current.book === verse.book &&
+    current.chapter === verse.chapter &&
+    current.verse === verse.num;
+
+  const activeKey = verses.find(isActive)
+    ? `${current.book}.${current.chapter}:${current.verse}`
+    : null;
+
+  // Keep the playing verse visible as the audio advances
+  useEffect(() => {
+    if (followActive && activeKey && activeRef.current) {
+      activeRef.current.scrollIntoView({
+        block: "nearest",
+        behavior: "smooth",
+      });
+    }
+  }, [followActive, activeKey]);
+
+  return (
+    <p className={`verse-text ${className}`}>
+      {verses.map((verse) => {
+        const verseRef = {
+          book: verse.book,
+          chapter: verse.chapter,
+          verse: verse.num,
+          sectionNum,
+        };
+        const active = isActive(verse);
+        const seekable = getVerseTime(verseRef) !== null;
+
+        return (
+          <span
+            key={`${verse.book}.${verse.chapter}:${verse.num}`}
+            ref={active ? activeRef : null}
+            className={`verse ${active ? "verse-active" : ""} ${
+              seekable ? "verse-seekable" : ""
+            }`}
+            {...(seekable && {
+              role: "button",
+              tabIndex: 0,
+              onClick: () => seekToVerse(verseRef),
+              onKeyDown: (e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                  e.preventDefault();
+                  seekToVerse(verseRef);
+                }
+              },
+            })}
+          >
+            <sup className="verse-number">{verse.num}</sup>
+            {verse.text}{" "}
+          </span>
+        );
+      })}
+    </p>
+  );
+};
+
+export default VerseText;
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import "./VersionPicker.css";
+import useLanguage from "../hooks/useLanguage";
+import useTranslation from "../hooks/useTranslation";
+import { getVersionKey } from "../utils/bibleVersions";
+
+const TESTAMENTS = ["ot", "nt"];
+
+function VersionPicker({ langCode }) {
+  const { t } = useTranslation();
+  const { languageData, setVersion } = useLanguage();
+  const [isSwitching, setIsSwitching] = useState(false);
+
+  const langData = languageData[langCode];
+  if (!langData) return null;
+
+  const handleChange = async (testament, kind, versions, key) => {
+    const version = versions.find((version) => getVersionKey(version) === key);
+    if (!version) return;
+
+    setIsSwitching(true);
+    try {
+      await setVersion(langCode, testament, kind, version);
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  const renderSelect = (testament, kind, versions, category, distinctId) => {
+    // Versions found by probing the API rather than from the manifest
+    if (!versions?.length) {
+      return distinctId ? (
+        <span>{distinctId}</span>
+      ) : (
+        <span className="version-none">{t("versionPicker.none")}</span>
+      );
+    }
+
+    return (
+      <select
+        className="version-select"
+        value={distinctId ? getVersionKey({ category, distinctId }) : ""}
+        onChange={(e) =>
+          handleChange(testament, kind, versions, e.target.value)
+        }
+        disabled={isSwitching || versions.length < 2}
+      >
+        {!distinctId && <option value="">{t("versionPicker.none")}</option>}
+        {versions.map((version) => {
+          const key = getVersionKey(version);
+          return (
+            <option key={key} value={key}>
+              {version.distinctId} ({version.category})
+            </option>
+          );
+        })}
+      </select>
+    );
+  };
+
+  const testaments = TESTAMENTS.filter((testament) => langData[testament]);
+  if (testaments.length === 0) return null;
+
+  return (
+    <div className="version-picker">
+      <span className="status-label">{t("versionPicker.title")}</span>
+      {testaments.map((testament) => {
+        const data = langData[testament];
+        return (
+          <div key={testament} className="version-testament">
+            <div className="version-testament-title">
+              {t(`versionPicker.${testament}`)}
+            </div>
+            <label className="version-row">
+              <span>{t("versionPicker.text")}</span>
+              {renderSelect(
+                testament,
+                "text",
+                data.textVersions,
+                data.category,
+                data.filesetId && data.distinctId,
+              )}
+            </label>
+            <label className="version-row">
+              <span>{t("versionPicker.audio")}</span>
+              {renderSelect(
+                testament,
+                "audio",
+                data.audioVersions,
+                data.audioCategory,
+                data.audioFilesetId && data.audioDistinctId,
+              )}
+            </label>
+          </div>
+        );
+      })}
+      {isSwitching && (
+        <div className="version-switching">{t("versionPicker.switching")}</div>
+      )}
+    </div>
+  );
+}
+
+export default VersionPicker;
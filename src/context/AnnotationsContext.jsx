@@ -0,0 +1,129 @@
+import React, { createContext, useState, useEffect, useCallback } from "react";
+import {
+  getAnnotationKey,
+  getSavedAnnotations,
+  saveAnnotations,
+  exportAnnotations as serializeAnnotations,
+  mergeAnnotationsImport,
+} from "../utils/annotations";
+
+const AnnotationsContext = createContext(null);
+
+/**
+ * Build a stored annotation for a section
+ * @param {Object} target - { storyId, storyPath, storyTitle, sectionIndex, reference }
+ */
+const createAnnotation = (target, fields = {}) => ({
+  key: getAnnotationKey(target),
+  storyId: target.storyId,
+  storyPath: target.storyPath,
+  storyTitle: target.storyTitle,
+  sectionIndex: target.sectionIndex,
+  reference: target.reference || "",
+  ...fields,
+  updatedAt: Date.now(),
+});
+
+export const AnnotationsProvider = ({ children }) => {
+  const [annotations, setAnnotations] = useState(getSavedAnnotations);
+
+  useEffect(() => {
+    saveAnnotations(annotations);
+  }, [annotations]);
+
+  // Replace (or remove, when fields is null) the annotation of one type on a section
+  const updateAnnotation = useCallback((type, target, fields) => {
+    const key = getAnnotationKey(target);
+    setAnnotations((prev) => {
+      const others = prev[type].filter((annotation) => annotation.key !== key);
+      return {
+        ...prev,
+        [type]: fields ? [...others, createAnnotation(target, fields)] : others,
+      };
+    });
+  }, []);
+
+  // Bookmark, highlight and note of a section
+  const getSectionAnnotations = useCallback(
+    (target) => {
+      const key = getAnnotationKey(target);
+      const find = (type) =>
+        annotations[type].find((annotation) => annotation.key === key) || null;
+      return {
+        bookmark: find("bookmarks"),
+        highlight: find("highlights"),
+        note: find("notes"),
+      };
+    },
+    [annotations],
+  );
+
+  const toggleBookmark = useCallback(
+    (target) => {
+      const key = getAnnotationKey(target);
+      const isBookmarked = annotations.bookmarks.some(
+        (annotation) => annotation.key === key,
+      );
+      updateAnnotation("bookmarks", target, isBookmarked ? null : {});
+    },
+    [annotations, updateAnnotation],
+  );
+
+  // color is a HIGHLIGHT_COLORS name, or null to remove the highlight
+  const setHighlight = useCallback(
+    (target, color) => {
+      updateAnnotation("highlights", target, color ? { color } : null);
+    },
+    [updateAnnotation],
+  );
+
+  // An empty note removes it
+  const setNote = useCallback(
+    (target, text) => {
+      const trimmed = text.trim();
+      updateAnnotation("notes", target, trimmed ? { text: trimmed } : null);
+    },
+    [updateAnnotation],
+  );
+
+  const removeAnnotation = useCallback((type, key) => {
+    setAnnotations((prev) => ({
+      ...prev,
+      [type]: prev[type].filter((annotation) => annotation.key !== key),
+    }));
+  }, []);
+
+  const exportAnnotations = useCallback(
+    () => serializeAnnotations(annotations),
+    [annotations],
+  );
+
+  // Merge an exported file; returns the number of annotations imported
+  const importAnnotations = useCallback(
+    (text) => {
+      const result = mergeAnnotationsImport(annotations, text);
+      setAnnotations(result.annotations);
+      return result.imported;
+    },
+    [annotations],
+  );
+
+  const value = {
+    annotations,
+    getSectionAnnotations,
+    toggleBookmark,
+    setHighlight,
+    setNote,
+    removeAnnotation,
+    exportAnnotations,
+    importAnnotations,
+  };
+
+  return (
+    <AnnotationsContext.Provider value={value}>
+      {children}
+    </AnnotationsContext.Provider>
+  );
+};
+
+export default AnnotationsContext;
@@ -1,4 +1,22 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  CACHE_STORES,
+  buildCacheKey,
+  getCachedEntry,
+  putCachedEntry,
+} from "../utils/offlineCache";
+import {
+  cacheAppShell,
+  cacheDataFiles,
+  cacheUrl,
+  getMarkdownImageUrls,
+  getPackCacheName,
+  recordStoryPack,
+} from "../utils/storyPacks";
+import { getTestament, getReferenceChapters } from "../utils/bibleUtils";
+import { parseMarkdownIntoSections } from "../utils/markdownParser";
+import { parseToml } from "../utils/toml";
+import { getVersionKey } from "../utils/bibleVersions";
 
 const LanguageContext = React.createContext([{}, () => {}]);
 
@@ -25,105 +43,81 @@ const FRENCH_FILESET_CANDIDATES = {
   ],
 };
 
-const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
-  // Helper function to parse TOML files
-  const parseToml = (text) => {
-    const lines = text.split("\n");
-    const result = { stories: [] };
-    let currentStory = null;
-    let inImage = false;
-    let inArray = false;
-    let arrayKey = null;
-    let arrayValues = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i].trim();
-
-      if (line.startsWith("#") || line === "") continue;
-
-      // Check for section headers
-      if (line.startsWith("[") && line.endsWith("]")) {
-        if (line === "[image]") {
-          inImage = true;
-          result.image = {};
-          continue;
-        }
-
-        if (line === "[[stories]]") {
-          if (currentStory) {
-            result.stories.push(currentStory);
-          }
-          currentStory = {};
-          inImage = false;
-          continue;
-        }
-
-        // Reset section flags for other sections
-        inImage = false;
-        continue;
-      }
-
-      // Check if this is the start of a multi-line array
-      if (line.match(/^(\w+)\s*=\s*\[$/)) {
-        const match = line.match(/^(\w+)\s*=\s*\[$/);
-        arrayKey = match[1];
-        inArray = true;
-        arrayValues = [];
-        continue;
-      }
+// Chapters per batch request to the proxy (it accepts up to 50)
+const CHAPTER_BATCH_SIZE = 20;
+// Seconds to wait before retrying chapters whose batch request failed, and
+// how often such a chapter is tried before the preload gives up on it
+const BATCH_RETRY_DELAY_SECONDS = 5;
+const MAX_BATCH_ATTEMPTS = 3;
+
+// Manifest categories to take text from, in order of preference
+const TEXT_PRIORITY_ORDER = ["with-timecode", "syncable", "text-only"];
+
+// Manifest categories to take audio from (with-timecode is highest priority!)
+const AUDIO_PRIORITY_ORDER = [
+  "with-timecode",
+  "audio-with-timecode",
+  "syncable",
+  "text-only",
+  "audio-only",
+];
+
+// Versions picked by the user: { langCode: { ot: { text, audio } } }
+// where text and audio are version keys ("category/distinctId")
+const VERSION_CHOICES_STORAGE_KEY = "versionChoices";
+
+const getSavedVersionChoices = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VERSION_CHOICES_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
 
-      // Check if this is the end of a multi-line array
-      if (inArray && line === "]") {
-        result[arrayKey] = arrayValues;
-        inArray = false;
-        arrayKey = null;
-        arrayValues = [];
-        continue;
-      }
+/**
+ * List every version of a language in the manifest, in category priority order
+ * @returns {Array} [{ category, distinctId }]
+ */
+const getManifestVersions = (manifest, testament, langCode, categories) => {
+  const versions = [];
+  categories.forEach((category) => {
+    const distinctIds = manifest.files?.[testament]?.[category]?.[langCode];
+    if (!distinctIds) return;
+
+    (Array.isArray(distinctIds) ? distinctIds : [distinctIds]).forEach(
+      (distinctId) => versions.push({ category, distinctId }),
+    );
+  });
+  return versions;
+};
 
-      // Check if we're inside a multi-line array
-      if (inArray) {
-        let cleanValue = line.replace(/,$/g, ""); // Remove trailing comma
-        cleanValue = cleanValue.replace(/^"/, "").replace(/"$/, ""); // Remove quotes
-        if (cleanValue) {
-          arrayValues.push(cleanValue);
-        }
-        continue;
-      }
+/**
+ * Put the version the user picked first, keeping priority order for the rest
+ */
+const orderByChoice = (versions, choiceKey) => {
+  const chosen = versions.find(
+    (version) => getVersionKey(version) === choiceKey,
+  );
+  return chosen
+    ? [chosen, ...versions.filter((version) => version !== chosen)]
+    : versions;
+};
 
-      const match = line.match(/^(\w+)\s*=\s*(.+)$/);
-      if (match) {
-        const key = match[1];
-        let value = match[2].trim();
-
-        if (value.startsWith('"') && value.endsWith('"')) {
-          value = value.slice(1, -1);
-        } else if (value.startsWith("[") && value.endsWith("]")) {
-          value = value
-            .slice(1, -1)
-            .split(",")
-            .map((v) => v.trim().replace(/"/g, ""));
-        } else if (!isNaN(value)) {
-          value = parseInt(value);
-        }
+// Vernacular book names seen in DBT text responses: { langCode: { BOOK: name } }
+const BOOK_NAMES_STORAGE_KEY = "bookNames";
 
-        if (inImage) {
-          result.image[key] = value;
-        } else if (currentStory) {
-          currentStory[key] = value;
-        } else {
-          result[key] = value;
-        }
-      }
-    }
+// Language shown next to the selected one in parallel-text mode
+const SECONDARY_LANGUAGE_STORAGE_KEY = "secondaryLanguage";
 
-    if (currentStory) {
-      result.stories.push(currentStory);
-    }
-
-    return result;
-  };
+const getSavedBookNames = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BOOK_NAMES_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
 
+const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
   const [state, setState] = useState({
     selectedLanguage: initialLanguage, // Set from prop or default to English
     availableLanguages: [],
@@ -132,7 +126,10 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     chapterText: {}, // Loaded chapter text: { "GEN.1": "chapter content...", ... }
     audioUrls: {}, // Cached audio URLs: { "lang-testament-BOOK.chapter": "url", ... }
     timingFileCache: {}, // Cached timing files: { "lang-testament": timingData }
-    storyMetadata: {}, // Lightweight story metadata cache: { storyId: { testaments, title } } - ~50KB for 1000 stories vs ~10MB if caching parsed sections
+    bookNames: getSavedBookNames(), // Vernacular book names: { langCode: { "GEN": "Genèse" } }
+    secondaryLanguage: localStorage.getItem(SECONDARY_LANGUAGE_STORAGE_KEY), // Parallel-text language, or null
+    secondaryChapterText: {}, // Parallel-text chapters: { "lang:filesetId:GEN.1": [...] }
+    storyMetadata: {}, // Lightweight story metadata cache: { storyId: { testaments, title, path, references, sectionCount } } - ~50KB for 1000 stories vs ~10MB if caching parsed sections
     isLoadingSummary: false,
     summaryError: null,
     isLoadingChapter: false,
@@ -144,11 +141,20 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
   const loadingChaptersRef = useRef({});
   const chapterTextRef = useRef({});
   const selectedLanguageRef = useRef(initialLanguage);
+  const secondaryLanguageRef = useRef(
+    localStorage.getItem(SECONDARY_LANGUAGE_STORAGE_KEY),
+  );
   const languageDataRef = useRef({});
-  const loadingAudioRef = useRef({}); // Track loading audio URLs
+  const loadingAudioRef = useRef({}); // In-flight audio URL loads by key
   const audioUrlsRef = useRef({}); // Track cached audio URLs
   const timingFileCacheRef = useRef({}); // Track cached timing files
+  const secondaryChapterTextRef = useRef({});
+  const loadingSecondaryRef = useRef({}); // Track loading parallel-text chapters
+  const failedSecondaryRef = useRef({}); // Failed parallel-text chapters, retried when back online
   const preloadStartedRef = useRef(false);
+  const preloadRunRef = useRef(0); // Incremented by each preload, so stale ones stop
+  const storyChaptersRef = useRef({}); // Chapters referenced per story: { storyId: [chapterInfo] }
+  const priorityStoryRef = useRef(null); // Open story, whose chapters are preloaded first
   const initializationStartedRef = useRef(false);
 
   const updateState = (updates) => {
@@ -164,6 +170,9 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
       if (updates.selectedLanguage) {
         selectedLanguageRef.current = updates.selectedLanguage;
       }
+      if ("secondaryLanguage" in updates) {
+        secondaryLanguageRef.current = updates.secondaryLanguage;
+      }
       if (updates.audioUrls) {
         audioUrlsRef.current = newState.audioUrls;
       }
@@ -174,6 +183,152 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     });
   };
 
+  // Remember the vernacular name of a book for reference display
+  const rememberBookName = (langCode, bookId, name) => {
+    setState((prevState) => {
+      if (prevState.bookNames[langCode]?.[bookId] === name) {
+        return prevState;
+      }
+      const bookNames = {
+        ...prevState.bookNames,
+        [langCode]: { ...prevState.bookNames[langCode], [bookId]: name },
+      };
+      localStorage.setItem(BOOK_NAMES_STORAGE_KEY, JSON.stringify(bookNames));
+      return { ...prevState, bookNames };
+    });
+  };
+
+  // Extract the verse array from a DBT API text response
+  const parseChapterVerses = (langCode, bookId, data) => {
+    if (!data.data || !Array.isArray(data.data)) {
+      return [];
+    }
+
+    // Book name in the Bible's own language, when the fileset has one
+    const bookName = data.data[0]?.book_name_alt || data.data[0]?.book_name;
+    if (bookName) {
+      rememberBookName(langCode, bookId, bookName);
+    }
+
+    return data.data.map((verse) => ({
+      num: parseInt(verse.verse_start, 10),
+      text: verse.verse_text,
+    }));
+  };
+
+  // Fetch the verses of a chapter from a text fileset, offline cache first
+  const fetchChapterVerses = async (
+    langCode,
+    filesetId,
+    bookId,
+    chapterNum,
+  ) => {
+    const cacheKey = buildCacheKey(
+      langCode,
+      filesetId,
+      `${bookId}.${chapterNum}`,
+    );
+    const cachedVerses = await getCachedEntry(CACHE_STORES.chapters, cacheKey);
+
+    if (cachedVerses) {
+      return cachedVerses;
+    }
+
+    const url = `/.netlify/functions/dbt-proxy?type=text&fileset_id=${filesetId}&book_id=${bookId}&chapter_id=${chapterNum}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    const verseArray = parseChapterVerses(
+      langCode,
+      bookId,
+      await response.json(),
+    );
+
+    if (verseArray.length > 0) {
+      putCachedEntry(CACHE_STORES.chapters, cacheKey, verseArray);
+    }
+
+    return verseArray;
+  };
+
+  // Fetch the verses of several chapters of a text fileset in one batch
+  // request, offline cache first. Chapters the proxy throttled are returned
+  // in throttled, with the seconds to wait before retrying them, and chapters
+  // it did not reach before its deadline in failed.
+  const fetchChapterBatch = async (langCode, filesetId, chapters) => {
+    const verses = {};
+    const missing = [];
+
+    await Promise.all(
+      chapters.map(async (chapterInfo) => {
+        const cachedVerses = await getCachedEntry(
+          CACHE_STORES.chapters,
+          buildCacheKey(langCode, filesetId, chapterInfo.chapterKey),
+        );
+        if (cachedVerses) {
+          verses[chapterInfo.chapterKey] = cachedVerses;
+        } else {
+          missing.push(chapterInfo);
+        }
+      }),
+    );
+
+    if (missing.length === 0) {
+      return { verses, throttled: [], failed: [], retryAfter: 0 };
+    }
+
+    const chapterKeys = missing.map(({ chapterKey }) => chapterKey).join(",");
+    const url = `/.netlify/functions/dbt-proxy?type=text&fileset_id=${filesetId}&chapters=${chapterKeys}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const throttled = [];
+    const failed = [];
+    let retryAfter = 0;
+
+    missing.forEach((chapterInfo) => {
+      const chapterData = data.chapters?.[chapterInfo.chapterKey];
+
+      if (chapterData?.status === 429) {
+        throttled.push(chapterInfo);
+        retryAfter = Math.max(retryAfter, chapterData.retryAfter || 1);
+        return;
+      }
+
+      if (chapterData?.status === 504) {
+        failed.push(chapterInfo);
+        return;
+      }
+
+      // Chapters that failed are left out (loaded one by one when shown)
+      if (!chapterData?.data) return;
+
+      const verseArray = parseChapterVerses(
+        langCode,
+        chapterInfo.book,
+        chapterData,
+      );
+      verses[chapterInfo.chapterKey] = verseArray;
+
+      if (verseArray.length > 0) {
+        putCachedEntry(
+          CACHE_STORES.chapters,
+          buildCacheKey(langCode, filesetId, chapterInfo.chapterKey),
+          verseArray,
+        );
+      }
+    });
+
+    return { verses, throttled, failed, retryAfter };
+  };
+
   // Get story metadata from cache
   const getStoryMetadata = useCallback(
     (storyId) => {
@@ -311,27 +466,24 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
         const langData = {};
         const testaments = ["ot", "nt"];
 
+        const versionChoices = getSavedVersionChoices()[langCode] || {};
+
         for (const testament of testaments) {
-          // Check each category in manifest for this language
           // Load both text and audio filesets separately
           if (manifest.files?.[testament]) {
-            const allCategories = Object.keys(manifest.files[testament]);
-
-            // Text priority order
-            const textPriorityOrder = [
-              "with-timecode",
-              "syncable",
-              "text-only",
-            ];
-
-            // Audio priority order (with-timecode is highest priority!)
-            const audioPriorityOrder = [
-              "with-timecode",
-              "audio-with-timecode",
-              "syncable",
-              "text-only",
-              "audio-only",
-            ];
+            const textVersions = getManifestVersions(
+              manifest,
+              testament,
+              langCode,
+              TEXT_PRIORITY_ORDER,
+            );
+            const audioVersions = getManifestVersions(
+              manifest,
+              testament,
+              langCode,
+              AUDIO_PRIORITY_ORDER,
+            );
+            const choices = versionChoices[testament] || {};
 
             const testamentData = {
               category: null,
@@ -340,119 +492,109 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
               basePath: null,
               audioFilesetId: null,
               audioCategory: null,
+              audioDistinctId: null,
+              textVersions,
+              audioVersions,
             };
 
             // First, try to find text fileset
-            for (const category of textPriorityOrder) {
-              if (allCategories.includes(category)) {
-                const langList = manifest.files[testament][category];
-                if (langList && langList[langCode]) {
-                  const distinctIds = langList[langCode];
-                  const distinctId = Array.isArray(distinctIds)
-                    ? distinctIds[0]
-                    : distinctIds;
-
-                  try {
-                    const dataPath = `/ALL-langs-data/${testament}/${category}/${langCode}/${distinctId}/data.json`;
-                    const dataResponse = await fetch(dataPath);
-
-                    if (dataResponse.ok) {
-                      const filesetData = await dataResponse.json();
-                      let filesetId = null;
-
-                      if (filesetData.t) {
-                        const textValue = filesetData.t;
-
-                        // Check if it's a suffix (ends with .txt) or full ID
-                        if (textValue.endsWith(".txt")) {
-                          const suffix = textValue.replace(".txt", "");
-
-                          // Determine if it's a full ID or a suffix based on length
-                          // Full text IDs are typically 6+ characters, suffixes are shorter (like "N_ET", ".txt")
-                          if (suffix.length >= 6) {
-                            // It's a full fileset ID
-                            filesetId = suffix;
-                          } else {
-                            // It's a suffix - concatenate with distinctId
-                            filesetId = distinctId + suffix;
-                          }
-                        } else {
-                          // It's a full fileset ID - use as is
-                          filesetId = textValue;
-                        }
+            for (const { category, distinctId } of orderByChoice(
+              textVersions,
+              choices.text,
+            )) {
+              try {
+                const dataPath = `/ALL-langs-data/${testament}/${category}/${langCode}/${distinctId}/data.json`;
+                const dataResponse = await fetch(dataPath);
+
+                if (dataResponse.ok) {
+                  const filesetData = await dataResponse.json();
+                  let filesetId = null;
+
+                  if (filesetData.t) {
+                    const textValue = filesetData.t;
+
+                    // Check if it's a suffix (ends with .txt) or full ID
+                    if (textValue.endsWith(".txt")) {
+                      const suffix = textValue.replace(".txt", "");
+
+                      // Determine if it's a full ID or a suffix based on length
+                      // Full text IDs are typically 6+ characters, suffixes are shorter (like "N_ET", ".txt")
+                      if (suffix.length >= 6) {
+                        // It's a full fileset ID
+                        filesetId = suffix;
                       } else {
-                        // Fallback to distinctId if no 't' field
-                        filesetId = distinctId;
+                        // It's a suffix - concatenate with distinctId
+                        filesetId = distinctId + suffix;
                       }
-
-                      testamentData.category = category;
-                      testamentData.distinctId = distinctId;
-                      testamentData.filesetId = filesetId;
-                      // basePath is NOT set - no local chapter JSON files exist, text loads from API
-                      break; // Found text data
+                    } else {
+                      // It's a full fileset ID - use as is
+                      filesetId = textValue;
                     }
-                  } catch (err) {
-                    continue;
+                  } else {
+                    // Fallback to distinctId if no 't' field
+                    filesetId = distinctId;
                   }
+
+                  testamentData.category = category;
+                  testamentData.distinctId = distinctId;
+                  testamentData.filesetId = filesetId;
+                  // basePath is NOT set - no local chapter JSON files exist, text loads from API
+                  break; // Found text data
                 }
+              } catch (err) {
+                continue;
               }
             }
 
             // Second, try to find audio fileset (separate from text)
-            for (const category of audioPriorityOrder) {
-              if (allCategories.includes(category)) {
-                const langList = manifest.files[testament][category];
-                if (langList && langList[langCode]) {
-                  const distinctIds = langList[langCode];
-                  const distinctId = Array.isArray(distinctIds)
-                    ? distinctIds[0]
-                    : distinctIds;
-
-                  try {
-                    const dataPath = `/ALL-langs-data/${testament}/${category}/${langCode}/${distinctId}/data.json`;
-                    const dataResponse = await fetch(dataPath);
-
-                    if (dataResponse.ok) {
-                      const filesetData = await dataResponse.json();
-                      // Audio fileset is in 'a' field
-                      let audioFilesetId = null;
-
-                      if (filesetData.a) {
-                        const audioValue = filesetData.a;
-
-                        // Check if it's a suffix (ends with .mp3) or full ID
-                        if (audioValue.endsWith(".mp3")) {
-                          const suffix = audioValue.replace(".mp3", "");
-
-                          // Determine if it's a full ID or a suffix based on length
-                          // Full audio IDs are typically 10+ characters, suffixes are shorter (like "N1DA", "N2DA")
-                          if (suffix.length >= 10) {
-                            // It's a full fileset ID
-                            audioFilesetId = suffix;
-                          } else {
-                            // It's a suffix - concatenate with distinctId
-                            audioFilesetId = distinctId + suffix;
-                          }
-                        } else {
-                          // It's a full fileset ID - use as is
-                          audioFilesetId = audioValue;
-                        }
+            for (const { category, distinctId } of orderByChoice(
+              audioVersions,
+              choices.audio,
+            )) {
+              try {
+                const dataPath = `/ALL-langs-data/${testament}/${category}/${langCode}/${distinctId}/data.json`;
+                const dataResponse = await fetch(dataPath);
+
+                if (dataResponse.ok) {
+                  const filesetData = await dataResponse.json();
+                  // Audio fileset is in 'a' field
+                  let audioFilesetId = null;
+
+                  if (filesetData.a) {
+                    const audioValue = filesetData.a;
+
+                    // Check if it's a suffix (ends with .mp3) or full ID
+                    if (audioValue.endsWith(".mp3")) {
+                      const suffix = audioValue.replace(".mp3", "");
+
+                      // Determine if it's a full ID or a suffix based on length
+                      // Full audio IDs are typically 10+ characters, suffixes are shorter (like "N1DA", "N2DA")
+                      if (suffix.length >= 10) {
+                        // It's a full fileset ID
+                        audioFilesetId = suffix;
+                      } else {
+                        // It's a suffix - concatenate with distinctId
+                        audioFilesetId = distinctId + suffix;
                       }
+                    } else {
+                      // It's a full fileset ID - use as is
+                      audioFilesetId = audioValue;
+                    }
+                  }
 
-                      if (audioFilesetId) {
-                        testamentData.audioFilesetId = audioFilesetId;
-                        testamentData.audioCategory = category;
-                        // Save distinctId for timing file lookup
-                        if (!testamentData.distinctId) {
-                          testamentData.distinctId = distinctId;
-                        }
-                        break; // Found audio data
-                      }
+                  if (audioFilesetId) {
+                    testamentData.audioFilesetId = audioFilesetId;
+                    testamentData.audioCategory = category;
+                    // Save distinctId for timing file lookup
+                    testamentData.audioDistinctId = distinctId;
+                    if (!testamentData.distinctId) {
+                      testamentData.distinctId = distinctId;
                     }
-                  } catch (err) {
-                    continue;
+                    break; // Found audio data
                   }
                 }
+              } catch (err) {
+                continue;
               }
             }
 
@@ -528,6 +670,16 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     [state.languageData, probeFilesets],
   );
 
+  // Whether a text fileset is still the selected language's text for a
+  // testament, so loads started before a language or version change are dropped
+  const isCurrentTextFileset = (langCode, testament, filesetId) => {
+    const testamentData = languageDataRef.current[langCode]?.[testament];
+    return (
+      selectedLanguageRef.current === langCode &&
+      (testamentData?.filesetId || testamentData?.distinctId) === filesetId
+    );
+  };
+
   // Load a specific chapter text using DBT API proxy
   const loadChapter = useCallback(
     async (bookId, chapterNum, testament = "ot") => {
@@ -584,8 +736,6 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
       updateState({ isLoadingChapter: true });
 
       try {
-        let verseArray = [];
-
         // Load text from DBT API
         const filesetId = langData.filesetId || langData.distinctId;
 
@@ -595,21 +745,20 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
           );
         }
 
-        const url = `/.netlify/functions/dbt-proxy?type=text&fileset_id=${filesetId}&book_id=${bookId}&chapter_id=${chapterNum}`;
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(`API request failed: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const verseArray = await fetchChapterVerses(
+          selectedLanguage,
+          filesetId,
+          bookId,
+          chapterNum,
+        );
 
-        // Extract verse array from API response
-        if (data.data && Array.isArray(data.data)) {
-          verseArray = data.data.map((verse) => ({
-            num: parseInt(verse.verse_start, 10),
-            text: verse.verse_text,
-          }));
+        // Drop the result if the language or version changed while loading
+        // (the refs were reset and may already hold the new version's load)
+        if (
+          !isCurrentTextFileset(selectedLanguage, testamentToUse, filesetId)
+        ) {
+          updateState({ isLoadingChapter: false });
+          return null;
         }
 
         // Update state with loaded chapter
@@ -629,7 +778,15 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
 
         return verseArray;
       } catch (error) {
-        delete loadingChaptersRef.current[chapterKey];
+        if (
+          isCurrentTextFileset(
+            selectedLanguage,
+            testamentToUse,
+            langData.filesetId || langData.distinctId,
+          )
+        ) {
+          delete loadingChaptersRef.current[chapterKey];
+        }
 
         setState((prevState) => ({
           ...prevState,
@@ -641,6 +798,269 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     [state, loadLanguageData],
   );
 
+  // Text fileset of the testament a book belongs to, or null when the
+  // testament has no text (audio only)
+  const getTextFilesetId = (langData, book) => {
+    const testamentData = langData?.[getTestament(book)];
+    if (
+      !testamentData ||
+      ((testamentData.audioCategory === "audio-with-timecode" ||
+        testamentData.audioCategory === "audio-only") &&
+        !testamentData.filesetId)
+    ) {
+      return null;
+    }
+    return testamentData.filesetId || testamentData.distinctId || null;
+  };
+
+  // Load several chapters of the selected language, one batch request per
+  // text fileset. Returns the chapters the proxy throttled, the chapters to
+  // retry after a failed or timed-out batch, and the seconds to wait before
+  // retrying them.
+  const loadChapters = useCallback(async (chapters) => {
+    const selectedLanguage = selectedLanguageRef.current;
+    const langData = languageDataRef.current[selectedLanguage];
+    const result = { throttled: [], failed: [], retryAfter: 0 };
+
+    if (!langData) {
+      return result;
+    }
+
+    // Group chapters that are not loaded or loading by text fileset
+    const filesetChapters = new Map();
+    chapters.forEach((chapterInfo) => {
+      const { book, chapterKey } = chapterInfo;
+      if (
+        chapterTextRef.current[chapterKey] ||
+        loadingChaptersRef.current[chapterKey]
+      ) {
+        return;
+      }
+
+      const filesetId = getTextFilesetId(langData, book);
+      if (!filesetId) return;
+
+      if (!filesetChapters.has(filesetId)) {
+        filesetChapters.set(filesetId, []);
+      }
+      filesetChapters.get(filesetId).push(chapterInfo);
+    });
+
+    for (const [filesetId, filesetChapterList] of filesetChapters) {
+      const chapterKeys = filesetChapterList.map(
+        ({ chapterKey }) => chapterKey,
+      );
+
+      // Mark as loading
+      chapterKeys.forEach((chapterKey) => {
+        loadingChaptersRef.current[chapterKey] = true;
+      });
+      updateState({ isLoadingChapter: true });
+
+      try {
+        const { verses, throttled, failed, retryAfter } =
+          await fetchChapterBatch(
+            selectedLanguage,
+            filesetId,
+            filesetChapterList,
+          );
+        result.throttled.push(...throttled);
+        result.failed.push(...failed);
+        if (failed.length > 0) {
+          result.retryAfter = Math.max(
+            result.retryAfter,
+            BATCH_RETRY_DELAY_SECONDS,
+          );
+        }
+        result.retryAfter = Math.max(result.retryAfter, retryAfter);
+
+        // Drop the result if the language or version changed while loading
+        if (
+          selectedLanguageRef.current === selectedLanguage &&
+          getTextFilesetId(
+            languageDataRef.current[selectedLanguage],
+            filesetChapterList[0].book,
+          ) === filesetId
+        ) {
+          Object.assign(chapterTextRef.current, verses);
+          setState((prevState) => ({
+            ...prevState,
+            chapterText: { ...prevState.chapterText, ...verses },
+          }));
+        }
+      } catch (error) {
+        console.error(`Error loading chapters from ${filesetId}:`, error);
+        result.failed.push(...filesetChapterList);
+        result.retryAfter = Math.max(
+          result.retryAfter,
+          BATCH_RETRY_DELAY_SECONDS,
+        );
+      } finally {
+        chapterKeys.forEach((chapterKey) => {
+          delete loadingChaptersRef.current[chapterKey];
+        });
+        updateState({ isLoadingChapter: false });
+      }
+    }
+
+    return result;
+  }, []);
+
+  // Load the chapters of a story ahead of the background preload; called
+  // when a story is opened (storyId as used by getStoryMetadata)
+  const prioritizeStory = useCallback(
+    (storyId) => {
+      priorityStoryRef.current = storyId;
+      const chapters = storyChaptersRef.current[storyId];
+      if (chapters) {
+        loadChapters(chapters);
+      }
+    },
+    [loadChapters],
+  );
+
+  // Key of a parallel-text chapter in secondaryChapterText, or null when the
+  // secondary language has no text for the testament (or is not loaded yet)
+  const getSecondaryChapterKey = useCallback(
+    (bookId, chapterNum, testament) => {
+      const { secondaryLanguage, languageData } = state;
+      const filesetId = languageData[secondaryLanguage]?.[testament]?.filesetId;
+      if (!secondaryLanguage || !filesetId) return null;
+      return `${secondaryLanguage}:${filesetId}:${bookId}.${chapterNum}`;
+    },
+    [state.secondaryLanguage, state.languageData],
+  );
+
+  // Load a chapter in the secondary language (kept apart from chapterText,
+  // which belongs to the selected language). Reads state through refs so the
+  // callback stays stable and effects using it do not rerun on every render.
+  const loadSecondaryChapter = useCallback(
+    async (bookId, chapterNum, testament = "ot") => {
+      const secondaryLanguage = secondaryLanguageRef.current;
+      const filesetId =
+        languageDataRef.current[secondaryLanguage]?.[testament]?.filesetId;
+      if (!secondaryLanguage || !filesetId) return null;
+      const chapterKey = `${secondaryLanguage}:${filesetId}:${bookId}.${chapterNum}`;
+
+      if (secondaryChapterTextRef.current[chapterKey]) {
+        return secondaryChapterTextRef.current[chapterKey];
+      }
+      if (
+        loadingSecondaryRef.current[chapterKey] ||
+        failedSecondaryRef.current[chapterKey]
+      ) {
+        return null;
+      }
+
+      loadingSecondaryRef.current[chapterKey] = true;
+
+      try {
+        const verseArray = await fetchChapterVerses(
+          secondaryLanguage,
+          filesetId,
+          bookId,
+          chapterNum,
+        );
+
+        secondaryChapterTextRef.current[chapterKey] = verseArray;
+        setState((prevState) => ({
+          ...prevState,
+          secondaryChapterText: {
+            ...prevState.secondaryChapterText,
+            [chapterKey]: verseArray,
+          },
+        }));
+
+        return verseArray;
+      } catch (error) {
+        console.error(
+          `Error loading parallel-text chapter ${chapterKey}:`,
+          error,
+        );
+        failedSecondaryRef.current[chapterKey] = {
+          bookId,
+          chapterNum,
+          testament,
+        };
+        return null;
+      } finally {
+        delete loadingSecondaryRef.current[chapterKey];
+      }
+    },
+    [],
+  );
+
+  // Choose the parallel-text language (null turns parallel text off)
+  const setSecondaryLanguage = useCallback((langCode) => {
+    if (langCode) {
+      localStorage.setItem(SECONDARY_LANGUAGE_STORAGE_KEY, langCode);
+    } else {
+      localStorage.removeItem(SECONDARY_LANGUAGE_STORAGE_KEY);
+    }
+    failedSecondaryRef.current = {};
+    updateState({ secondaryLanguage: langCode || null });
+  }, []);
+
+  // Retry failed parallel-text chapters once the connection is back
+  useEffect(() => {
+    const handleOnline = () => {
+      const failed = Object.values(failedSecondaryRef.current);
+      failedSecondaryRef.current = {};
+      failed.forEach(({ bookId, chapterNum, testament }) => {
+        loadSecondaryChapter(bookId, chapterNum, testament);
+      });
+    };
+
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [loadSecondaryChapter]);
+
+  // Load the language data of the secondary language when it is chosen
+  useEffect(() => {
+    const { secondaryLanguage } = state;
+    if (secondaryLanguage && !languageDataRef.current[secondaryLanguage]) {
+      loadLanguageData(secondaryLanguage);
+    }
+  }, [state.secondaryLanguage]);
+
+  // Load the OBS category tree: [{ path, id, title, image, stories: [...] }]
+  const loadCategories = useCallback(async () => {
+    const indexResponse = await fetch("/templates/OBS/index.toml");
+    if (!indexResponse.ok) {
+      throw new Error("Could not load OBS index");
+    }
+    const indexText = await indexResponse.text();
+    const indexData = parseToml(indexText, {
+      source: "templates/OBS/index.toml",
+    });
+
+    const categories = [];
+    for (const categoryDir of indexData.categories || []) {
+      try {
+        const catResponse = await fetch(
+          `/templates/OBS/${categoryDir}/index.toml`,
+        );
+        if (catResponse.ok) {
+          const catText = await catResponse.text();
+          const catData = parseToml(catText, {
+            source: `templates/OBS/${categoryDir}/index.toml`,
+          });
+          categories.push({
+            path: categoryDir,
+            id: catData.id,
+            title: catData.title,
+            image: catData.image?.filename,
+            stories: catData.stories || [],
+          });
+        }
+      } catch (err) {
+        console.error(`Error loading category ${categoryDir}:`, err);
+      }
+    }
+
+    return categories;
+  }, []);
+
   // Preload Bible references from all markdown files and analyze testament usage per story
   const preloadBibleReferences = useCallback(async () => {
     // Prevent multiple preload attempts
@@ -648,70 +1068,31 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
       return;
     }
     preloadStartedRef.current = true;
+    const preloadRun = ++preloadRunRef.current;
 
     try {
-      // Get list of all categories from main index
-      const indexResponse = await fetch("/templates/OBS/index.toml");
-      if (!indexResponse.ok) {
-        throw new Error("Could not load OBS index");
-      }
-      const indexText = await indexResponse.text();
-      const indexData = parseToml(indexText);
-      const categories = indexData.categories || [];
-
       // Collect all story paths from all categories
+      const categories = await loadCategories();
       const storyPaths = [];
-      for (const categoryDir of categories) {
-        try {
-          const catResponse = await fetch(
-            `/templates/OBS/${categoryDir}/index.toml`,
-          );
-          if (catResponse.ok) {
-            const catText = await catResponse.text();
-            const catData = parseToml(catText);
-            if (catData.stories) {
-              catData.stories.forEach((story) => {
-                storyPaths.push(`${categoryDir}/${story.id}.md`);
-              });
-            }
-          }
-        } catch (err) {
-          console.error(`Error loading category ${categoryDir}:`, err);
-        }
-      }
+      const storyDetails = {}; // Title and location per story, for search
+      categories.forEach((category) => {
+        category.stories.forEach((story) => {
+          const path = `${category.path}/${story.id}.md`;
+          storyPaths.push(path);
+          storyDetails[story.id] = {
+            title: story.title || null,
+            path,
+            categoryPath: category.path,
+            categoryTitle: category.title,
+          };
+        });
+      });
 
-      const allReferences = new Set();
+      const chaptersToLoad = new Map(); // Unique chapters across all stories
       const storyTestaments = {}; // Track testament usage per story
-
-      const ntBooks = [
-        "MAT",
-        "MRK",
-        "LUK",
-        "JHN",
-        "ACT",
-        "ROM",
-        "1CO",
-        "2CO",
-        "GAL",
-        "EPH",
-        "PHP",
-        "COL",
-        "1TH",
-        "2TH",
-        "1TI",
-        "2TI",
-        "TIT",
-        "PHM",
-        "HEB",
-        "JAS",
-        "1PE",
-        "2PE",
-        "1JN",
-        "2JN",
-        "3JN",
-        "JUD",
-        "REV",
-      ];
+      const storyReferences = {}; // Track section references per story
+      const storySectionCounts = {}; // Number of sections per story, for progress
+      const storyChapters = {}; // Chapters referenced per story, for prioritizing
 
       // Scan all markdown files for references and analyze testament usage
       for (const storyPath of storyPaths) {
@@ -728,21 +1109,28 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
 
             // Initialize testament tracking for this story
             const testamentsUsed = new Set();
+            const chaptersUsed = new Map();
 
             // Extract all references for this story
             const refMatches = content.matchAll(/<<<REF:\s*([^>]+)>>>/g);
             for (const match of refMatches) {
-              const ref = match[1].trim();
-              allReferences.add(ref);
-
-              // Determine testament for this reference
-              const bookMatch = ref.match(/^([A-Z0-9]+)\s+/i);
-              if (bookMatch) {
-                const book = bookMatch[1].toUpperCase();
-                const testament = ntBooks.includes(book) ? "nt" : "ot";
-                testamentsUsed.add(testament);
-              }
+              // A reference may span several chapters and books
+              getReferenceChapters(match[1].trim()).forEach((chapterInfo) => {
+                chaptersToLoad.set(chapterInfo.chapterKey, chapterInfo);
+                chaptersUsed.set(chapterInfo.chapterKey, chapterInfo);
+                testamentsUsed.add(getTestament(chapterInfo.book));
+              });
             }
+            storyChapters[storyId] = Array.from(chaptersUsed.values());
+
+            // Remember which section each reference belongs to
+            const { sections } = parseMarkdownIntoSections(content);
+            storyReferences[storyId] = sections.flatMap((section, index) =>
+              section.reference
+                ? [{ section: index + 1, reference: section.reference }]
+                : [],
+            );
+            storySectionCounts[storyId] = sections.length;
 
             // Cache testament info for this story
             storyTestaments[storyId] = {
@@ -770,7 +1158,9 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
       for (const [storyId, testaments] of Object.entries(storyTestaments)) {
         newStoryMetadata[storyId] = {
           testaments,
-          title: null, // Title can be added later when story is opened
+          ...storyDetails[storyId],
+          references: storyReferences[storyId] || [],
+          sectionCount: storySectionCounts[storyId] || 0,
           cachedAt: Date.now(),
         };
       }
@@ -781,38 +1171,58 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
           ...newStoryMetadata,
         },
       });
-
-      // Parse references and extract unique chapters
-      const chaptersToLoad = new Set();
-      for (const ref of allReferences) {
-        const match = ref.match(/^([A-Z0-9]+)\s+(\d+):/i);
-        if (match) {
-          const book = match[1].toUpperCase();
-          const chapter = parseInt(match[2], 10);
-          chaptersToLoad.add(`${book}.${chapter}`);
-        }
-      }
-
-      // Load all chapters in background
-      for (const chapterKey of chaptersToLoad) {
-        const [book, chapter] = chapterKey.split(".");
-        const testament = ntBooks.includes(book) ? "nt" : "ot";
-
-        // Only load if not already cached or loading (use ref for real-time check)
-        if (
-          !chapterTextRef.current[chapterKey] &&
-          !loadingChaptersRef.current[chapterKey]
-        ) {
-          await loadChapter(book, parseInt(chapter, 10), testament);
-          // Small delay between each request
-          await new Promise((resolve) => setTimeout(resolve, 100));
+      storyChaptersRef.current = storyChapters;
+
+      // Load all chapters in background, in batches, with the chapters of the
+      // open story first. Stops when a newer preload starts (language change).
+      let queue = Array.from(chaptersToLoad.values());
+      const failedAttempts = new Map();
+      while (queue.length > 0 && preloadRun === preloadRunRef.current) {
+        const priorityKeys = new Set(
+          (storyChapters[priorityStoryRef.current] || []).map(
+            ({ chapterKey }) => chapterKey,
+          ),
+        );
+        queue = [
+          ...queue.filter(({ chapterKey }) => priorityKeys.has(chapterKey)),
+          ...queue.filter(({ chapterKey }) => !priorityKeys.has(chapterKey)),
+        ];
+
+        const batch = queue.slice(0, CHAPTER_BATCH_SIZE);
+        queue = queue.slice(CHAPTER_BATCH_SIZE);
+
+        const { throttled, failed, retryAfter } = await loadChapters(batch);
+
+        // Over the proxy's rate limit or failed - wait, then retry those
+        // chapters first. Failed chapters are given up after
+        // MAX_BATCH_ATTEMPTS (they still load one by one when shown).
+        const retry = [
+          ...throttled,
+          ...failed.filter(({ chapterKey }) => {
+            const attempts = (failedAttempts.get(chapterKey) || 0) + 1;
+            failedAttempts.set(chapterKey, attempts);
+            return attempts < MAX_BATCH_ATTEMPTS;
+          }),
+        ];
+        if (retry.length > 0) {
+          queue = [...retry, ...queue];
+          await new Promise((resolve) =>
+            setTimeout(resolve, retryAfter * 1000),
+          );
         }
       }
     } catch (error) {
       console.error("Error preloading Bible references:", error);
       preloadStartedRef.current = false; // Reset on error so it can retry
     }
-  }, [loadChapter, state.storyMetadata]);
+  }, [loadChapters, loadCategories, state.storyMetadata]);
+
+  // Whether an audio fileset is still the selected language's audio for a
+  // testament, so audio URLs resolved under an old version are not cached
+  const isCurrentAudioFileset = (langCode, testament, audioFilesetId) =>
+    selectedLanguageRef.current === langCode &&
+    languageDataRef.current[langCode]?.[testament]?.audioFilesetId ===
+      audioFilesetId;
 
   // Load audio URL for a specific chapter (cache only what's requested)
   const loadAudioUrl = useCallback(
@@ -829,9 +1239,9 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
         return audioUrlsRef.current[audioKey];
       }
 
-      // Check if already loading
+      // Already loading: wait for the same load
       if (loadingAudioRef.current[audioKey]) {
-        return null;
+        return loadingAudioRef.current[audioKey];
       }
 
       // Get language data
@@ -853,131 +1263,366 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
       }
 
       // Mark as loading
-      loadingAudioRef.current[audioKey] = true;
       updateState({ isLoadingAudio: true });
 
-      try {
-        // Get audio fileset ID - use the separate audioFilesetId
-        const audioFilesetId = langData.audioFilesetId;
+      const load = (async () => {
+        try {
+          // Get audio fileset ID - use the separate audioFilesetId
+          const audioFilesetId = langData.audioFilesetId;
 
-        if (!audioFilesetId) {
-          throw new Error(
-            `No audio fileset ID for ${testament} in ${selectedLanguage}`,
+          if (!audioFilesetId) {
+            throw new Error(
+              `No audio fileset ID for ${testament} in ${selectedLanguage}`,
+            );
+          }
+
+          const audioCacheKey = buildCacheKey(
+            selectedLanguage,
+            audioFilesetId,
+            `${bookId}.${chapterNum}`,
           );
-        }
 
-        // Fetch audio data from DBT API
-        const url = `/.netlify/functions/dbt-proxy?type=audio&fileset_id=${audioFilesetId}&book_id=${bookId}&chapter_id=${chapterNum}`;
-        const response = await fetch(url);
+          // Signed audio URLs expire, so only reuse fresh cache entries while online
+          let audioUrl =
+            (await getCachedEntry(CACHE_STORES.audio, audioCacheKey))?.url ||
+            null;
 
-        if (!response.ok) {
-          throw new Error(`Audio API request failed: ${response.status}`);
-        }
+          if (!audioUrl) {
+            try {
+              // Fetch audio data from DBT API
+              const url = `/.netlify/functions/dbt-proxy?type=audio&fileset_id=${audioFilesetId}&book_id=${bookId}&chapter_id=${chapterNum}`;
+              const response = await fetch(url);
 
-        const data = await response.json();
+              if (!response.ok) {
+                throw new Error(`Audio API request failed: ${response.status}`);
+              }
 
-        // Extract audio URL from API response
-        // DBT API returns array with audio file path
-        let audioUrl = null;
-        if (data.data && Array.isArray(data.data) && data.data.length > 0) {
-          audioUrl = data.data[0].path;
-        }
+              const data = await response.json();
 
-        if (!audioUrl) {
-          throw new Error("No audio URL in response");
-        }
+              // Extract audio URL from API response
+              // DBT API returns array with audio file path
+              if (
+                data.data &&
+                Array.isArray(data.data) &&
+                data.data.length > 0
+              ) {
+                audioUrl = data.data[0].path;
+              }
 
-        // Check if this category has timecode data
-        const hasTimecode = ["with-timecode", "audio-with-timecode"].includes(
-          langData.audioCategory,
-        );
+              if (audioUrl) {
+                putCachedEntry(CACHE_STORES.audio, audioCacheKey, {
+                  url: audioUrl,
+                });
+              }
+            } catch (fetchError) {
+              // Offline or API failure - fall back to a stale cache entry if we have one
+              const staleEntry = await getCachedEntry(
+                CACHE_STORES.audio,
+                audioCacheKey,
+                { allowStale: true },
+              );
+              if (!staleEntry) {
+                throw fetchError;
+              }
+              audioUrl = staleEntry.url;
+            }
+          }
+
+          if (!audioUrl) {
+            throw new Error("No audio URL in response");
+          }
 
-        let timingData = null;
+          // Check if this category has timecode data
+          const hasTimecode = ["with-timecode", "audio-with-timecode"].includes(
+            langData.audioCategory,
+          );
 
-        if (hasTimecode) {
-          const timingCacheKey = `${selectedLanguage}-${testament}`;
+          let timingData = null;
 
-          // Check if timing file is already cached
-          if (timingFileCacheRef.current[timingCacheKey]) {
-            timingData = timingFileCacheRef.current[timingCacheKey];
-          } else {
-            // Load and cache the whole timing file
-            try {
-              const audioCategory = langData.audioCategory;
-              const distinctId = langData.distinctId || selectedLanguage;
-              const langCode = selectedLanguage;
-
-              // Try timing file with audio category first, then fallback to with-timecode
-              const timingCategoriesToTry = [audioCategory];
-              if (audioCategory === "audio-with-timecode") {
-                timingCategoriesToTry.push("with-timecode");
-              }
+          if (hasTimecode) {
+            const timingCacheKey = `${selectedLanguage}-${testament}`;
+            const timingStoreKey = buildCacheKey(
+              selectedLanguage,
+              audioFilesetId,
+              testament,
+            );
 
-              for (const timingCategory of timingCategoriesToTry) {
-                const timingPath = `/ALL-timings/${testament}/${timingCategory}/${langCode}/${distinctId}/timing.json`;
+            // Check if timing file is already cached
+            if (timingFileCacheRef.current[timingCacheKey]) {
+              timingData = timingFileCacheRef.current[timingCacheKey];
+            } else {
+              timingData = await getCachedEntry(
+                CACHE_STORES.timing,
+                timingStoreKey,
+              );
+
+              if (timingData) {
+                timingFileCacheRef.current = { [timingCacheKey]: timingData };
+                updateState({
+                  timingFileCache: { [timingCacheKey]: timingData },
+                });
+              }
+            }
 
-                try {
-                  const timecodeResponse = await fetch(timingPath);
+            if (!timingData) {
+              // Load and cache the whole timing file
+              try {
+                const audioCategory = langData.audioCategory;
+                const distinctId =
+                  langData.audioDistinctId ||
+                  langData.distinctId ||
+                  selectedLanguage;
+                const langCode = selectedLanguage;
+
+                // Try timing file with audio category first, then fallback to with-timecode
+                const timingCategoriesToTry = [audioCategory];
+                if (audioCategory === "audio-with-timecode") {
+                  timingCategoriesToTry.push("with-timecode");
+                }
 
-                  if (timecodeResponse.ok) {
-                    timingData = await timecodeResponse.json();
+                for (const timingCategory of timingCategoriesToTry) {
+                  const timingPath = `/ALL-timings/${testament}/${timingCategory}/${langCode}/${distinctId}/timing.json`;
 
-                    // Cache the whole timing file for current language only
-                    timingFileCacheRef.current = {
-                      [timingCacheKey]: timingData,
-                    };
-                    updateState({
-                      timingFileCache: { [timingCacheKey]: timingData },
-                    });
-                    break; // Found timing data, stop trying
+                  try {
+                    const timecodeResponse = await fetch(timingPath);
+
+                    if (timecodeResponse.ok) {
+                      timingData = await timecodeResponse.json();
+
+                      // Cache the whole timing file for current language only
+                      timingFileCacheRef.current = {
+                        [timingCacheKey]: timingData,
+                      };
+                      updateState({
+                        timingFileCache: { [timingCacheKey]: timingData },
+                      });
+                      putCachedEntry(
+                        CACHE_STORES.timing,
+                        timingStoreKey,
+                        timingData,
+                      );
+                      break; // Found timing data, stop trying
+                    }
+                  } catch (err) {
+                    // Continue to next category
                   }
-                } catch (err) {
-                  // Continue to next category
                 }
+              } catch (timecodeError) {
+                // Continue without timing data
               }
-            } catch (timecodeError) {
-              // Continue without timing data
             }
           }
+
+          // Create cache entry object with reference string for future cross-chapter support
+          const cacheEntry = {
+            reference: `${bookId} ${chapterNum}`, // e.g., "MAT 1"
+            url: audioUrl,
+            hasTimecode: hasTimecode,
+            timingData: timingData,
+            audioFilesetId: audioFilesetId,
+          };
+
+          // Drop the result if the language or version changed while loading
+          if (
+            !isCurrentAudioFileset(selectedLanguage, testament, audioFilesetId)
+          ) {
+            updateState({ isLoadingAudio: false });
+            return null;
+          }
+
+          // Update cache
+          delete loadingAudioRef.current[audioKey];
+
+          setState((prevState) => ({
+            ...prevState,
+            audioUrls: {
+              ...prevState.audioUrls,
+              [audioKey]: cacheEntry,
+            },
+            isLoadingAudio: false,
+          }));
+
+          // Update ref immediately
+          audioUrlsRef.current[audioKey] = cacheEntry;
+
+          return cacheEntry;
+        } catch (error) {
+          console.error(`Failed to load audio URL for ${audioKey}:`, error);
+          if (
+            isCurrentAudioFileset(
+              selectedLanguage,
+              testament,
+              langData.audioFilesetId,
+            )
+          ) {
+            delete loadingAudioRef.current[audioKey];
+          }
+
+          setState((prevState) => ({
+            ...prevState,
+            isLoadingAudio: false,
+          }));
+          return null;
         }
+      })();
+      loadingAudioRef.current[audioKey] = load;
 
-        // Create cache entry object with reference string for future cross-chapter support
-        const cacheEntry = {
-          reference: `${bookId} ${chapterNum}`, // e.g., "MAT 1"
-          url: audioUrl,
-          hasTimecode: hasTimecode,
-          timingData: timingData,
-          audioFilesetId: audioFilesetId,
-        };
+      return load;
+    },
+    [state, loadLanguageData],
+  );
 
-        // Update cache
-        delete loadingAudioRef.current[audioKey];
+  // Download a story pack for the selected language: story markdown, images,
+  // chapter text, chapter audio and timing files for the given categories (all if null)
+  const downloadStoryPack = useCallback(
+    async (categoryDirs = null, { onProgress = () => {}, signal } = {}) => {
+      const langCode = selectedLanguageRef.current;
+      const langData = languageDataRef.current[langCode];
 
-        setState((prevState) => ({
-          ...prevState,
-          audioUrls: {
-            ...prevState.audioUrls,
-            [audioKey]: cacheEntry,
-          },
-          isLoadingAudio: false,
-        }));
+      if (!langCode || !langData) {
+        throw new Error("Language data not loaded");
+      }
 
-        // Update ref immediately
-        audioUrlsRef.current[audioKey] = cacheEntry;
+      const throwIfAborted = () => {
+        if (signal?.aborted) {
+          throw new DOMException("Story pack download cancelled", "AbortError");
+        }
+      };
+
+      const packCache = await caches.open(getPackCacheName(langCode));
+
+      // App shell and static data needed to boot into this language offline
+      await cacheAppShell();
+      const categories = (await loadCategories()).filter(
+        (category) => !categoryDirs || categoryDirs.includes(category.path),
+      );
+
+      const dataUrls = [
+        "/templates/OBS/index.toml",
+        "/ALL-langs-data/summary.json",
+        "/ALL-langs-data/manifest.json",
+        "/ALL-langs-compact.json",
+        ...categories.map(
+          (category) => `/templates/OBS/${category.path}/index.toml`,
+        ),
+      ];
+      ["ot", "nt"].forEach((testament) => {
+        const testamentData = langData[testament];
+        if (!testamentData?.distinctId) return;
+
+        const { category, audioCategory, distinctId } = testamentData;
+        const audioDistinctId = testamentData.audioDistinctId || distinctId;
+        if (category) {
+          dataUrls.push(
+            `/ALL-langs-data/${testament}/${category}/${langCode}/${distinctId}/data.json`,
+          );
+        }
+        if (audioCategory) {
+          dataUrls.push(
+            `/ALL-langs-data/${testament}/${audioCategory}/${langCode}/${audioDistinctId}/data.json`,
+            `/ALL-timings/${testament}/${audioCategory}/${langCode}/${audioDistinctId}/timing.json`,
+          );
+        }
+      });
+      await cacheDataFiles(dataUrls);
+
+      const stories = categories.flatMap((category) =>
+        category.stories.map((story) => ({
+          ...story,
+          path: `${category.path}/${story.id}.md`,
+        })),
+      );
+
+      // First pass: story markdown and images, collecting referenced chapters
+      const chapters = new Map();
+      for (let i = 0; i < stories.length; i++) {
+        throwIfAborted();
+        const story = stories[i];
+        onProgress({
+          phase: "stories",
+          completed: i,
+          total: stories.length,
+          label: story.title,
+        });
 
-        return cacheEntry;
-      } catch (error) {
-        console.error(`Failed to load audio URL for ${audioKey}:`, error);
-        delete loadingAudioRef.current[audioKey];
+        const storyUrl = `/templates/OBS/${story.path}`;
+        try {
+          const response = await fetch(storyUrl);
+          if (!response.ok) continue;
 
-        setState((prevState) => ({
-          ...prevState,
-          isLoadingAudio: false,
-        }));
-        return null;
+          const markdown = await response.text();
+          await cacheDataFiles([storyUrl]);
+
+          const imageUrls = getMarkdownImageUrls(markdown);
+          if (story.image?.startsWith("http")) {
+            imageUrls.push(story.image);
+          }
+          for (const imageUrl of imageUrls) {
+            await cacheUrl(packCache, imageUrl);
+          }
+
+          for (const match of markdown.matchAll(/<<<REF:\s*([^>]+)>>>/g)) {
+            getReferenceChapters(match[1].trim()).forEach(
+              ({ book, chapter, chapterKey }) => {
+                chapters.set(chapterKey, { book, chapter });
+              },
+            );
+          }
+        } catch (err) {
+          console.error(`Error caching story ${story.path}:`, err);
+        }
+      }
+
+      // Second pass: chapter text (IndexedDB) and chapter audio (pack cache),
+      // counting chapters whose audio exists but could not be stored
+      const chapterList = Array.from(chapters.values());
+      let missingAudio = 0;
+      for (let i = 0; i < chapterList.length; i++) {
+        throwIfAborted();
+        const { book, chapter } = chapterList[i];
+        const testament = getTestament(book);
+        onProgress({
+          phase: "chapters",
+          completed: i,
+          total: chapterList.length,
+          label: `${book} ${chapter}`,
+        });
+
+        await loadChapter(book, chapter, testament);
+
+        if (!langData[testament]?.audioFilesetId) continue;
+
+        const audioEntry = await loadAudioUrl(book, chapter, testament);
+        if (!audioEntry?.url || !(await cacheUrl(packCache, audioEntry.url))) {
+          missingAudio++;
+        }
       }
+
+      // Earlier downloads share the pack cache, so count what it now holds
+      const pack = {
+        categories: categories.map((category) => category.path),
+        storiesByCategory: Object.fromEntries(
+          categories.map((category) => [
+            category.path,
+            category.stories.length,
+          ]),
+        ),
+        stories: stories.length,
+        files: (await packCache.keys()).length,
+        missingAudio,
+      };
+      recordStoryPack(langCode, pack);
+      onProgress({
+        phase: "done",
+        completed: chapterList.length,
+        total: chapterList.length,
+        label: "",
+        missingAudio,
+      });
+
+      return pack;
     },
-    [state, loadLanguageData],
+    [loadCategories, loadChapter, loadAudioUrl],
   );
 
   // Set selected language and load its data
@@ -1019,6 +1664,46 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     [state.languageData, loadLanguageData],
   );
 
+  // Pick the text or audio version of a language for one testament
+  // version is { category, distinctId } from textVersions/audioVersions
+  const setVersion = useCallback(
+    async (langCode, testament, kind, version) => {
+      const versionChoices = getSavedVersionChoices();
+      versionChoices[langCode] = {
+        ...versionChoices[langCode],
+        [testament]: {
+          ...versionChoices[langCode]?.[testament],
+          [kind]: getVersionKey(version),
+        },
+      };
+      localStorage.setItem(
+        VERSION_CHOICES_STORAGE_KEY,
+        JSON.stringify(versionChoices),
+      );
+
+      await loadLanguageData(langCode);
+
+      if (langCode !== selectedLanguageRef.current) return;
+
+      // Text, audio and timing of the previous version no longer apply.
+      // Stop the running preload now; a new one starts below.
+      preloadRunRef.current++;
+      chapterTextRef.current = {};
+      loadingChaptersRef.current = {};
+      loadingAudioRef.current = {};
+      audioUrlsRef.current = {};
+      timingFileCacheRef.current = {};
+      preloadStartedRef.current = false;
+      updateState({
+        chapterText: {},
+        audioUrls: {},
+        timingFileCache: {},
+      });
+      preloadBibleReferences();
+    },
+    [loadLanguageData, preloadBibleReferences],
+  );
+
   // Get available books for selected language
   const getAvailableBooks = useCallback(
     (testament = null) => {
@@ -1191,13 +1876,21 @@ const LanguageProvider = ({ children, initialLanguage = "fra" }) => {
     loadSummary,
     loadLanguageData,
     loadChapter,
+    loadChapters,
+    prioritizeStory,
     loadAudioUrl,
     setSelectedLanguage,
+    setVersion,
+    setSecondaryLanguage,
+    loadSecondaryChapter,
+    getSecondaryChapterKey,
     getAvailableBooks,
     probeFileset,
     probeFilesets,
     preloadBibleReferences,
     getStoryMetadata,
+    loadCategories,
+    downloadStoryPack,
   };
 
   return (
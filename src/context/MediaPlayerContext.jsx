@@ -5,9 +5,74 @@ import React, {
   useEffect,
   useCallback,
 } from "react";
+import { parseReference } from "../utils/bibleUtils";
+import useReferenceFormatter from "../hooks/useReferenceFormatter";
+import {
+  savePlaybackPosition,
+  clearPlaybackPosition,
+} from "../utils/playbackPositions";
+import { markSectionsDone } from "../utils/storyProgress";
 
 const MediaPlayerContext = createContext(null);
 
+// Seconds skipped by headset and lock-screen seek buttons
+const DEFAULT_SEEK_OFFSET = 10;
+
+// Repeat modes, cycled in this order by the player controls
+export const REPEAT_MODES = ["off", "segment", "story", "queue"];
+
+// Shortest A-B loop in seconds; shorter loops would seek back on every timeupdate
+export const MIN_LOOP_SECONDS = 1;
+
+// Seconds of difference between the end of one segment and the start of the
+// next that still count as continuous audio (no seek needed)
+const CONTINUOUS_TOLERANCE = 0.25;
+
+// Seconds of playback between saves of the resume position
+const POSITION_SAVE_INTERVAL = 5;
+
+// Seconds over which the sleep timer fades the volume out
+const SLEEP_FADE_SECONDS = 15;
+
+const hasMediaSession =
+  typeof navigator !== "undefined" && "mediaSession" in navigator;
+
+/**
+ * Get the verse numbers a segment covers, aligned with its timestamps
+ * (timestamps hold the start time of each verse plus one final end time)
+ * @returns {Object|null} { book, chapter, verses } or null without timing data
+ */
+const getSegmentVerses = (segment) => {
+  const timingData = segment?.timingData;
+  const timestamps = timingData?.timestamps;
+  if (!timestamps || !timestamps.length || timingData.chapterOnly) return null;
+
+  // Each segment covers one passage (a verse range in one chapter)
+  const passage = parseReference(segment.reference);
+  if (!passage) return null;
+
+  // Estimated chapter timing lists its verse numbers
+  if (timingData.verseNums) {
+    return {
+      book: passage.book,
+      chapter: passage.chapter,
+      verses: timingData.verseNums,
+    };
+  }
+
+  const firstVerse = passage.verseStart ?? 1;
+  // Open-ended passages run to the last timestamp
+  const lastVerse =
+    passage.verseEnd ?? firstVerse + Math.max(0, timestamps.length - 2);
+
+  const verses = [];
+  for (let v = firstVerse; v <= lastVerse; v++) {
+    verses.push(v);
+  }
+
+  return { book: passage.book, chapter: passage.chapter, verses };
+};
+
 export const MediaPlayerProvider = ({ children }) => {
   const [state, setState] = useState({
     currentPlaylist: null,
@@ -23,9 +88,13 @@ export const MediaPlayerProvider = ({ children }) => {
     error: null,
     playbackRate: 1.0,
     isMinimized: false,
+    repeatMode: "off",
+    loopRange: null, // { start, end } on the virtual timeline, end null while marking
+    sleepTimer: null, // { type: "minutes", minutes, endsAt } or { type: "endOfStory" }
   });
 
-  const audioRef = useRef(null);
+  const audioRef = useRef(null); // Element that is currently playing
+  const standbyAudioRef = useRef(null); // Preloads the next segment's file
   const currentSegmentRef = useRef(null);
   const isSeekingRef = useRef(false);
   const playlistRef = useRef(null);
@@ -33,6 +102,12 @@ export const MediaPlayerProvider = ({ children }) => {
   const segmentMapRef = useRef([]); // Enhanced playlist with virtual timeline
   const virtualTimeRef = useRef(0);
   const isPlayingRef = useRef(false);
+  const repeatModeRef = useRef("off");
+  const loopRangeRef = useRef(null);
+  const sleepTimerRef = useRef(null);
+  const sleepTimeoutRef = useRef(null);
+  const lastSavedTimeRef = useRef(null);
+  const formatReference = useReferenceFormatter();
 
   // Build segment map with virtual timeline
   const buildSegmentMap = useCallback((playlist) => {
@@ -87,14 +162,24 @@ export const MediaPlayerProvider = ({ children }) => {
     return Math.max(0, virtualTime);
   }, []);
 
-  // Initialize audio element
+  // Initialize the audio elements
+  // Two elements take turns: while one plays, the other fetches the file of
+  // the next segment and cues it at its start, so that moving to another
+  // chapter file is seamless. Events from the standby element are ignored.
   useEffect(() => {
     const audio = new Audio();
     audio.preload = "auto";
     audioRef.current = audio;
 
+    const standbyAudio = new Audio();
+    standbyAudio.preload = "auto";
+    standbyAudioRef.current = standbyAudio;
+
+    const isActive = (e) => e.target === audioRef.current;
+
     // Audio event handlers
-    const handleTimeUpdate = () => {
+    const handleTimeUpdate = (e) => {
+      if (!isActive(e)) return;
       if (!isSeekingRef.current && audioRef.current) {
         const realTime = audioRef.current.currentTime;
         const virtualTime = calculateVirtualTime();
@@ -106,6 +191,18 @@ export const MediaPlayerProvider = ({ children }) => {
         }));
 
         virtualTimeRef.current = virtualTime;
+        applySleepFade();
+
+        // Jump back to the loop start once playback passes the loop end
+        const loopRange = loopRangeRef.current;
+        if (
+          loopRange &&
+          loopRange.end !== null &&
+          virtualTime >= loopRange.end
+        ) {
+          seekTo(loopRange.start);
+          return;
+        }
 
         // Check if we've reached the end of current segment
         const segmentMap = segmentMapRef.current;
@@ -119,8 +216,8 @@ export const MediaPlayerProvider = ({ children }) => {
       }
     };
 
-    const handleDurationChange = () => {
-      if (audioRef.current) {
+    const handleDurationChange = (e) => {
+      if (isActive(e)) {
         setState((prev) => ({
           ...prev,
           duration: audioRef.current.duration,
@@ -128,18 +225,21 @@ export const MediaPlayerProvider = ({ children }) => {
       }
     };
 
-    const handleEnded = () => {
+    const handleEnded = (e) => {
+      if (!isActive(e)) return;
       handleSegmentEnd();
     };
 
-    const handleCanPlay = () => {
+    const handleCanPlay = (e) => {
+      if (!isActive(e)) return;
       setState((prev) => ({
         ...prev,
         isLoading: false,
       }));
     };
 
-    const handleWaiting = () => {
+    const handleWaiting = (e) => {
+      if (!isActive(e)) return;
       setState((prev) => ({
         ...prev,
         isLoading: true,
@@ -147,6 +247,8 @@ export const MediaPlayerProvider = ({ children }) => {
     };
 
     const handleError = (e) => {
+      // A failed preload only means the next segment loads the slow way
+      if (!isActive(e)) return;
       console.error("Audio playback error:", e);
       setState((prev) => ({
         ...prev,
@@ -156,30 +258,40 @@ export const MediaPlayerProvider = ({ children }) => {
       }));
     };
 
-    audio.addEventListener("timeupdate", handleTimeUpdate);
-    audio.addEventListener("durationchange", handleDurationChange);
-    audio.addEventListener("ended", handleEnded);
-    audio.addEventListener("canplay", handleCanPlay);
-    audio.addEventListener("waiting", handleWaiting);
-    audio.addEventListener("error", handleError);
+    const listeners = {
+      timeupdate: handleTimeUpdate,
+      durationchange: handleDurationChange,
+      ended: handleEnded,
+      canplay: handleCanPlay,
+      waiting: handleWaiting,
+      error: handleError,
+    };
+    const elements = [audio, standbyAudio];
+
+    elements.forEach((element) => {
+      Object.entries(listeners).forEach(([event, listener]) =>
+        element.addEventListener(event, listener),
+      );
+    });
 
     return () => {
-      audio.removeEventListener("timeupdate", handleTimeUpdate);
-      audio.removeEventListener("durationchange", handleDurationChange);
-      audio.removeEventListener("ended", handleEnded);
-      audio.removeEventListener("canplay", handleCanPlay);
-      audio.removeEventListener("waiting", handleWaiting);
-      audio.removeEventListener("error", handleError);
-      audio.pause();
-      audio.src = "";
+      elements.forEach((element) => {
+        Object.entries(listeners).forEach(([event, listener]) =>
+          element.removeEventListener(event, listener),
+        );
+        element.pause();
+        element.src = "";
+      });
     };
   }, []);
 
   // Update playback rate when it changes
   useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.playbackRate = state.playbackRate;
-    }
+    [audioRef.current, standbyAudioRef.current].forEach((audio) => {
+      if (audio) {
+        audio.playbackRate = state.playbackRate;
+      }
+    });
   }, [state.playbackRate]);
 
   // Keep refs in sync and rebuild segment map when playlist changes
@@ -208,6 +320,12 @@ export const MediaPlayerProvider = ({ children }) => {
     queueRef.current = state.queue;
   }, [state.queue]);
 
+  useEffect(() => {
+    repeatModeRef.current = state.repeatMode;
+    loopRangeRef.current = state.loopRange;
+    sleepTimerRef.current = state.sleepTimer;
+  }, [state.repeatMode, state.loopRange, state.sleepTimer]);
+
   const updateState = useCallback((updates) => {
     setState((prev) => ({ ...prev, ...updates }));
   }, []);
@@ -265,6 +383,168 @@ export const MediaPlayerProvider = ({ children }) => {
     [updateState],
   );
 
+  // Continue playing once the active element can play, unless playback was
+  // paused or the element was swapped out in the meantime
+  const playWhenReady = useCallback((label) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const start = () => {
+      if (audio !== audioRef.current || !isPlayingRef.current) return;
+      audio.play().catch((err) => {
+        console.error(`Failed to play ${label}:`, err);
+      });
+    };
+
+    if (audio.readyState >= 2) {
+      start();
+    } else {
+      audio.addEventListener("canplay", start, { once: true });
+    }
+  }, []);
+
+  // Where the segment after the current one starts: the next segment, the
+  // first one again when repeating the story, or the start of the next queued
+  // playlist
+  const getNextSegmentTarget = useCallback(() => {
+    const segmentMap = segmentMapRef.current;
+    const currentIndex = currentSegmentRef.current;
+    if (!segmentMap.length) return null;
+
+    if (repeatModeRef.current === "segment") {
+      return segmentMap[currentIndex] || null;
+    }
+    if (currentIndex + 1 < segmentMap.length) {
+      return segmentMap[currentIndex + 1];
+    }
+    if (repeatModeRef.current === "story") {
+      return segmentMap[0];
+    }
+
+    const nextPlaylist =
+      queueRef.current[0] ||
+      (repeatModeRef.current === "queue" ? playlistRef.current : null);
+    const firstEntry = nextPlaylist?.[0];
+    if (!firstEntry) return null;
+    return {
+      audioUrl: firstEntry.audioUrl,
+      startTimestamp: firstEntry.timingData?.timestamps?.[0] || 0,
+    };
+  }, []);
+
+  // Fetch the next segment's file on the standby element and cue it
+  const preloadNextSegment = useCallback(() => {
+    const audio = audioRef.current;
+    const standby = standbyAudioRef.current;
+    const next = getNextSegmentTarget();
+    if (!audio || !standby || !next?.audioUrl) return;
+
+    // The active element already has the file
+    if (next.audioUrl === audio.src) return;
+
+    const cue = () => {
+      if (
+        Math.abs(standby.currentTime - next.startTimestamp) >
+        CONTINUOUS_TOLERANCE
+      ) {
+        standby.currentTime = next.startTimestamp;
+      }
+    };
+
+    if (standby.src !== next.audioUrl) {
+      standby.src = next.audioUrl;
+      standby.load();
+      standby.addEventListener("loadedmetadata", cue, { once: true });
+    } else if (standby.readyState >= 1) {
+      cue();
+    }
+  }, [getNextSegmentTarget]);
+
+  // Switch playback to the standby element if it holds a segment's file
+  // Returns whether the switch happened
+  const switchToStandby = useCallback((segment, wasPlaying) => {
+    const audio = audioRef.current;
+    const standby = standbyAudioRef.current;
+    if (
+      !standby ||
+      standby.src !== segment.audioUrl ||
+      standby.readyState < 2
+    ) {
+      return false;
+    }
+
+    if (
+      Math.abs(standby.currentTime - segment.startTimestamp) >
+      CONTINUOUS_TOLERANCE
+    ) {
+      standby.currentTime = segment.startTimestamp;
+    }
+    standby.volume = audio.volume;
+    standby.playbackRate = audio.playbackRate;
+
+    audioRef.current = standby;
+    standbyAudioRef.current = audio;
+    audio.pause();
+
+    if (wasPlaying) {
+      standby.play().catch((err) => {
+        console.error("Failed to play next segment:", err);
+      });
+    }
+    return true;
+  }, []);
+
+  // Move to a segment of the current playlist, continuing playback if needed
+  const advanceToSegment = useCallback(
+    (index, wasPlaying) => {
+      const segment = segmentMapRef.current[index];
+      const audio = audioRef.current;
+      if (!segment || !audio) return;
+
+      currentSegmentRef.current = index;
+      updateState({ currentSegmentIndex: index });
+
+      if (audio.src === segment.audioUrl) {
+        // Same file: keep playing, and only seek when the segments are not
+        // back to back in the recording
+        if (
+          Math.abs(audio.currentTime - segment.startTimestamp) >
+          CONTINUOUS_TOLERANCE
+        ) {
+          audio.currentTime = segment.startTimestamp;
+        }
+        if (wasPlaying && audio.paused) {
+          playWhenReady("next segment");
+        }
+        return;
+      }
+
+      if (switchToStandby(segment, wasPlaying)) {
+        return;
+      }
+
+      // Not preloaded (yet): load the file on the active element
+      audio.pause();
+      loadSegmentAudio(index);
+
+      if (wasPlaying) {
+        playWhenReady("next segment");
+      }
+    },
+    [loadSegmentAudio, updateState, playWhenReady, switchToStandby],
+  );
+
+  // Preload whatever plays next whenever the position or the queue changes
+  useEffect(() => {
+    preloadNextSegment();
+  }, [
+    state.currentSegmentIndex,
+    state.currentPlaylist,
+    state.queue,
+    state.repeatMode,
+    preloadNextSegment,
+  ]);
+
   // Handle playlist end - move to queue or stop
   const handlePlaylistEnd = useCallback(() => {
     updateState({
@@ -272,73 +552,144 @@ export const MediaPlayerProvider = ({ children }) => {
       isPaused: false,
     });
 
-    // Check if there's a queued playlist
-    const queue = queueRef.current;
+    // A finished story starts from the beginning next time
+    const finished = playlistRef.current?.[0];
+    if (finished) {
+      clearPlaybackPosition(finished.language, finished.storyId);
+    }
+
+    // With repeat-queue the finished playlist goes back to the end of the queue
+    let queue = queueRef.current;
+    if (repeatModeRef.current === "queue" && playlistRef.current?.length) {
+      queue = [...queue, playlistRef.current];
+    }
+
     if (queue.length > 0) {
       const nextPlaylist = queue[0];
       const remainingQueue = queue.slice(1);
 
+      const segmentMap = buildSegmentMap(nextPlaylist);
+      segmentMapRef.current = segmentMap;
+      playlistRef.current = nextPlaylist;
+      currentSegmentRef.current = 0;
+      queueRef.current = remainingQueue;
+
       updateState({
         currentPlaylist: nextPlaylist,
         queue: remainingQueue,
         currentSegmentIndex: 0,
         currentTime: 0,
+        virtualTime: 0,
+        loopRange: null,
       });
 
-      if (nextPlaylist && nextPlaylist.length > 0) {
-        loadSegmentAudio(nextPlaylist[0]);
-        audioRef.current
-          .play()
-          .then(() => {
-            updateState({ isPlaying: true });
-          })
-          .catch((err) => {
-            console.error("Failed to play queued playlist:", err);
-          });
+      if (segmentMap.length > 0) {
+        isPlayingRef.current = true;
+        updateState({ isPlaying: true });
+        if (!switchToStandby(segmentMap[0], true)) {
+          loadSegmentAudio(0);
+          playWhenReady("queued playlist");
+        }
       }
+    } else {
+      isPlayingRef.current = false;
+    }
+  }, [
+    loadSegmentAudio,
+    updateState,
+    buildSegmentMap,
+    playWhenReady,
+    switchToStandby,
+  ]);
+
+  // Stop playback for the sleep timer and restore the volume for next time
+  const finishSleepTimer = useCallback(() => {
+    clearTimeout(sleepTimeoutRef.current);
+    sleepTimeoutRef.current = null;
+    sleepTimerRef.current = null;
+
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current.volume = 1;
+    }
+    isPlayingRef.current = false;
+    updateState({ isPlaying: false, isPaused: true, sleepTimer: null });
+  }, [updateState]);
+
+  // Fade out during the last seconds before the sleep timer stops playback
+  const applySleepFade = useCallback(() => {
+    const audio = audioRef.current;
+    const timer = sleepTimerRef.current;
+    if (!audio || !timer) return;
+
+    let remaining = Infinity;
+    if (timer.type === "minutes") {
+      remaining = (timer.endsAt - Date.now()) / 1000;
+    } else if (timer.type === "endOfStory") {
+      const segmentMap = segmentMapRef.current;
+      const totalDuration = segmentMap.length
+        ? segmentMap[segmentMap.length - 1].virtualEnd
+        : 0;
+      remaining = totalDuration - virtualTimeRef.current;
     }
-  }, [loadSegmentAudio, updateState, buildSegmentMap]);
 
-  // Handle segment end - move to next segment or playlist
+    audio.volume = Math.min(1, Math.max(0, remaining / SLEEP_FADE_SECONDS));
+  }, []);
+
+  // Handle segment end - repeat, move to next segment or end the playlist
   const handleSegmentEnd = useCallback(() => {
     const segmentMap = segmentMapRef.current;
     const currentIndex = currentSegmentRef.current;
     const wasPlaying = isPlayingRef.current;
+    const repeatMode = repeatModeRef.current;
 
     if (!segmentMap || !segmentMap.length) return;
 
+    // A section is played once its last segment has ended
+    const segment = segmentMap[currentIndex];
+    const next = segmentMap[currentIndex + 1];
+    const nextSectionNums = next ? next.sectionNums || [next.sectionNum] : [];
+    markSectionsDone(
+      segment.language,
+      {
+        id: segment.storyId,
+        path: segment.storyPath,
+        title: segment.storyTitle,
+      },
+      (segment.sectionNums || [segment.sectionNum]).filter(
+        (num) => !nextSectionNums.includes(num),
+      ),
+    );
+
+    if (repeatMode === "segment") {
+      advanceToSegment(currentIndex, wasPlaying);
+      return;
+    }
+
     // Move to next segment
     const nextIndex = currentIndex + 1;
     if (nextIndex < segmentMap.length) {
-      // Pause current audio before loading next segment
-      if (audioRef.current) {
-        audioRef.current.pause();
-      }
+      advanceToSegment(nextIndex, wasPlaying);
+      return;
+    }
 
-      updateState({ currentSegmentIndex: nextIndex });
-      loadSegmentAudio(nextIndex);
+    // Playlist ended - a sleep timer set to the end of the story wins over repeats
+    if (sleepTimerRef.current?.type === "endOfStory") {
+      finishSleepTimer();
+      return;
+    }
 
-      if (wasPlaying) {
-        // Wait for audio to be loaded before playing
-        const tryPlay = () => {
-          if (audioRef.current && audioRef.current.readyState >= 2) {
-            audioRef.current.play().catch((err) => {
-              console.error("Failed to play next segment:", err);
-            });
-          } else {
-            setTimeout(tryPlay, 50);
-          }
-        };
-        setTimeout(tryPlay, 50);
-      }
-    } else {
-      // Playlist ended - stop playback
-      if (audioRef.current) {
-        audioRef.current.pause();
-      }
-      handlePlaylistEnd();
+    if (repeatMode === "story") {
+      advanceToSegment(0, wasPlaying);
+      return;
     }
-  }, [loadSegmentAudio, updateState, handlePlaylistEnd]);
+
+    // Stop playback, then continue with the queue if there is one
+    if (audioRef.current) {
+      audioRef.current.pause();
+    }
+    handlePlaylistEnd();
+  }, [advanceToSegment, handlePlaylistEnd, finishSleepTimer]);
 
   // Load playlist with options
   const loadPlaylist = useCallback(
@@ -348,22 +699,29 @@ export const MediaPlayerProvider = ({ children }) => {
         autoPlay = false,
         clearQueue = false,
         position = "end",
+        startIndex = 0,
+        startTime = null,
       } = options;
 
       if (!playlistData || !playlistData.length) {
-        // Clear the current playlist
+        // Clear the current playlist; the queue is kept unless clearQueue
         if (audioRef.current) {
           audioRef.current.pause();
         }
+        playlistRef.current = [];
+        if (clearQueue) {
+          queueRef.current = [];
+        }
         updateState({
           currentPlaylist: [],
           currentSegmentIndex: -1,
-          queue: [],
+          queue: queueRef.current,
         });
         return;
       }
 
-      if (mode === "queue") {
+      // Queueing with nothing loaded makes the playlist the current one
+      if (mode === "queue" && playlistRef.current?.length) {
         // Add to queue
         const newQueue = clearQueue ? [playlistData] : [...queueRef.current];
 
@@ -375,6 +733,8 @@ export const MediaPlayerProvider = ({ children }) => {
           newQueue.push(playlistData);
         }
 
+        // Update the ref right away so consecutive calls all land in the queue
+        queueRef.current = newQueue;
         updateState({ queue: newQueue });
       } else {
         // Replace mode
@@ -384,27 +744,51 @@ export const MediaPlayerProvider = ({ children }) => {
 
         const segmentMap = buildSegmentMap(playlistData);
         segmentMapRef.current = segmentMap;
+        playlistRef.current = playlistData;
+        if (clearQueue) {
+          queueRef.current = [];
+        }
 
         const totalDuration =
           segmentMap.length > 0
             ? segmentMap[segmentMap.length - 1].virtualEnd
             : 0;
 
+        // A start time on the virtual timeline wins over the start index
+        const timeIndex =
+          startTime !== null
+            ? segmentMap.findIndex((segment) => startTime < segment.virtualEnd)
+            : -1;
+        const firstIndex =
+          timeIndex !== -1
+            ? timeIndex
+            : Math.min(Math.max(startIndex, 0), segmentMap.length - 1);
+        const startOffset =
+          timeIndex !== -1
+            ? Math.max(0, startTime - segmentMap[firstIndex].virtualStart)
+            : 0;
+        const firstVirtualTime =
+          (segmentMap[firstIndex]?.virtualStart || 0) + startOffset;
+
         updateState({
           currentPlaylist: playlistData,
-          currentSegmentIndex: 0,
+          currentSegmentIndex: firstIndex,
           currentTime: 0,
-          virtualTime: 0,
+          virtualTime: firstVirtualTime,
           totalDuration: totalDuration,
           isPlaying: false,
           isPaused: false,
           error: null,
-          queue: clearQueue ? [] : state.queue,
+          queue: queueRef.current,
+          loopRange: null,
         });
 
         // Load first segment
         if (segmentMap.length > 0) {
-          loadSegmentAudio(0);
+          currentSegmentRef.current = firstIndex;
+          virtualTimeRef.current = firstVirtualTime;
+          lastSavedTimeRef.current = firstVirtualTime;
+          loadSegmentAudio(firstIndex, startOffset);
 
           if (autoPlay) {
             setTimeout(() => {
@@ -414,7 +798,7 @@ export const MediaPlayerProvider = ({ children }) => {
         }
       }
     },
-    [state.queue, loadSegmentAudio, updateState, buildSegmentMap],
+    [loadSegmentAudio, updateState, buildSegmentMap],
   );
 
   // Play
@@ -541,16 +925,7 @@ export const MediaPlayerProvider = ({ children }) => {
 
         // Resume playback if it was playing
         if (wasPlaying) {
-          const tryPlay = () => {
-            if (audioRef.current && audioRef.current.readyState >= 2) {
-              audioRef.current.play().catch((err) => {
-                console.error("Failed to resume after seek:", err);
-              });
-            } else {
-              setTimeout(tryPlay, 50);
-            }
-          };
-          setTimeout(tryPlay, 100);
+          playWhenReady("after seek");
         }
       } else {
         // Same segment, just seek
@@ -573,7 +948,7 @@ export const MediaPlayerProvider = ({ children }) => {
         isSeekingRef.current = false;
       }, 200);
     },
-    [updateState, loadSegmentAudio],
+    [updateState, loadSegmentAudio, playWhenReady],
   );
 
   // Jump to specific segment
@@ -623,19 +998,120 @@ export const MediaPlayerProvider = ({ children }) => {
     [updateState],
   );
 
+  // Set repeat mode: "off", "segment", "story" or "queue"
+  const setRepeatMode = useCallback(
+    (mode) => {
+      if (!REPEAT_MODES.includes(mode)) return;
+
+      repeatModeRef.current = mode;
+      updateState({ repeatMode: mode });
+    },
+    [updateState],
+  );
+
+  // Set an A-B loop on the virtual timeline (end may be null while marking)
+  const setLoopRange = useCallback(
+    (start, end = null) => {
+      if (end !== null && Math.abs(end - start) < MIN_LOOP_SECONDS) return;
+
+      const loopRange =
+        end === null || end > start
+          ? { start, end }
+          : { start: end, end: start };
+
+      loopRangeRef.current = loopRange;
+      updateState({ loopRange });
+    },
+    [updateState],
+  );
+
+  // Clear the A-B loop
+  const clearLoop = useCallback(() => {
+    loopRangeRef.current = null;
+    updateState({ loopRange: null });
+  }, [updateState]);
+
+  // Set the sleep timer: a number of minutes, "endOfStory", or null to cancel
+  const setSleepTimer = useCallback(
+    (value) => {
+      clearTimeout(sleepTimeoutRef.current);
+      sleepTimeoutRef.current = null;
+      if (audioRef.current) {
+        audioRef.current.volume = 1;
+      }
+
+      let sleepTimer = null;
+      if (value === "endOfStory") {
+        sleepTimer = { type: "endOfStory" };
+      } else if (typeof value === "number" && value > 0) {
+        sleepTimer = {
+          type: "minutes",
+          minutes: value,
+          endsAt: Date.now() + value * 60 * 1000,
+        };
+        sleepTimeoutRef.current = setTimeout(
+          finishSleepTimer,
+          value * 60 * 1000,
+        );
+      }
+
+      sleepTimerRef.current = sleepTimer;
+      updateState({ sleepTimer });
+    },
+    [updateState, finishSleepTimer],
+  );
+
+  // Cancel a pending sleep timer when the provider unmounts
+  useEffect(() => () => clearTimeout(sleepTimeoutRef.current), []);
+
   // Clear queue
   const clearQueue = useCallback(() => {
+    queueRef.current = [];
     updateState({ queue: [] });
   }, [updateState]);
 
   // Remove from queue
   const removeFromQueue = useCallback(
     (index) => {
-      const newQueue = [...state.queue];
+      const newQueue = [...queueRef.current];
       newQueue.splice(index, 1);
+      queueRef.current = newQueue;
+      updateState({ queue: newQueue });
+    },
+    [updateState],
+  );
+
+  // Move a queued playlist to another position in the queue
+  const moveInQueue = useCallback(
+    (fromIndex, toIndex) => {
+      const newQueue = [...queueRef.current];
+      if (
+        fromIndex < 0 ||
+        fromIndex >= newQueue.length ||
+        toIndex < 0 ||
+        toIndex >= newQueue.length
+      ) {
+        return;
+      }
+
+      const [moved] = newQueue.splice(fromIndex, 1);
+      newQueue.splice(toIndex, 0, moved);
+      queueRef.current = newQueue;
       updateState({ queue: newQueue });
     },
-    [state.queue, updateState],
+    [updateState],
+  );
+
+  // Play a queued playlist now, dropping the current one and those before it
+  const playFromQueue = useCallback(
+    (index) => {
+      const queue = queueRef.current;
+      if (index < 0 || index >= queue.length) return;
+
+      queueRef.current = queue.slice(index + 1);
+      loadPlaylist(queue[index], { mode: "replace", autoPlay: true });
+    },
+    [loadPlaylist],
   );
 
   // Get current segment (enhanced with virtual timeline info)
@@ -655,69 +1131,91 @@ export const MediaPlayerProvider = ({ children }) => {
   }, []);
 
   // Get current verse playing based on timing data (uses REAL audio time)
-  const getCurrentVerse = useCallback(() => {
+  // Returns { book, chapter, verse, sectionNum, sectionNums, segmentIndex,
+  // estimated } or null
+  const getCurrentVerseInfo = useCallback(() => {
     const segment = getCurrentSegment();
-    if (!segment || !segment.timingData || !segment.timingData.timestamps) {
-      return null;
-    }
+    const segmentVerses = getSegmentVerses(segment);
+    if (!segmentVerses) return null;
 
+    const { book, chapter, verses } = segmentVerses;
     const timestamps = segment.timingData.timestamps;
     const currentTime = audioRef.current?.currentTime || 0;
 
-    // Parse the reference to get book, chapter, and verse info
-    const refMatch = segment.reference.match(/^([A-Z0-9]+)\s+(\d+):(.+)$/i);
-    if (!refMatch) return null;
-
-    const book = refMatch[1];
-    const chapter = refMatch[2];
-    const verseSpec = refMatch[3];
-
-    // Parse verse specification (e.g., "1-2" or "1,3,5" or "1")
-    let verses = [];
-    if (verseSpec.includes(",")) {
-      // Multiple non-contiguous verses: "1,3,5"
-      const parts = verseSpec.split(",");
-      parts.forEach((part) => {
-        if (part.includes("-")) {
-          const [start, end] = part.trim().split("-").map(Number);
-          for (let v = start; v <= end; v++) {
-            verses.push(v);
-          }
-        } else {
-          verses.push(Number(part.trim()));
-        }
-      });
-    } else if (verseSpec.includes("-")) {
-      // Range: "1-2"
-      const [start, end] = verseSpec.split("-").map(Number);
-      for (let v = start; v <= end; v++) {
-        verses.push(v);
-      }
-    } else {
-      // Single verse: "1"
-      verses.push(Number(verseSpec));
-    }
-
     // Find which verse is currently playing
     // timestamps array has start time for each verse, plus one final end time
-    for (let i = 0; i < verses.length; i++) {
-      const verseStart = timestamps[i];
-      const verseEnd = timestamps[i + 1] || Infinity;
+    let verseIndex = verses.length - 1; // Default to last verse if after all timestamps
+    if (currentTime < timestamps[0]) {
+      verseIndex = 0; // Default to first verse if before all timestamps
+    } else {
+      for (let i = 0; i < verses.length; i++) {
+        const verseStart = timestamps[i];
+        const verseEnd = timestamps[i + 1] || Infinity;
 
-      if (currentTime >= verseStart && currentTime < verseEnd) {
-        return `${book} ${chapter}:${verses[i]}`;
+        if (currentTime >= verseStart && currentTime < verseEnd) {
+          verseIndex = i;
+          break;
+        }
       }
     }
 
-    // Default to first verse if before all timestamps
-    if (currentTime < timestamps[0]) {
-      return `${book} ${chapter}:${verses[0]}`;
-    }
-
-    // Default to last verse if after all timestamps
-    return `${book} ${chapter}:${verses[verses.length - 1]}`;
+    return {
+      book,
+      chapter,
+      verse: verses[verseIndex],
+      sectionNum: segment.sectionNum,
+      sectionNums: segment.sectionNums || [segment.sectionNum],
+      segmentIndex: segment.index,
+      estimated: !!segment.timingData.estimated,
+    };
   }, [getCurrentSegment]);
 
+  // Get current verse playing as a reference string (e.g. "GEN 1:3")
+  const getCurrentVerse = useCallback(() => {
+    const info = getCurrentVerseInfo();
+    if (!info) return null;
+    return `${info.book} ${info.chapter}:${info.verse}`;
+  }, [getCurrentVerseInfo]);
+
+  // Get the virtual time at which a verse starts, or null if no segment has it
+  // sectionNum narrows the search when a verse is used in several sections
+  const getVerseTime = useCallback(
+    ({ book, chapter, verse, sectionNum = null }) => {
+      for (const segment of segmentMapRef.current) {
+        const sectionNums = segment.sectionNums || [segment.sectionNum];
+        if (sectionNum !== null && !sectionNums.includes(sectionNum)) continue;
+
+        const segmentVerses = getSegmentVerses(segment);
+        if (
+          !segmentVerses ||
+          segmentVerses.book !== book ||
+          segmentVerses.chapter !== chapter
+        ) {
+          continue;
+        }
+
+        const verseIndex = segmentVerses.verses.indexOf(verse);
+        const timestamp = segment.timingData.timestamps[verseIndex];
+        if (verseIndex !== -1 && timestamp !== undefined) {
+          return segment.virtualStart + (timestamp - segment.startTimestamp);
+        }
+      }
+      return null;
+    },
+    [],
+  );
+
+  // Seek to the start of a verse (for follow-along reading)
+  const seekToVerse = useCallback(
+    (verseRef) => {
+      const virtualTime = getVerseTime(verseRef);
+      if (virtualTime === null) return false;
+      seekTo(virtualTime);
+      return true;
+    },
+    [getVerseTime, seekTo],
+  );
+
   // Toggle minimized state
   const toggleMinimized = useCallback(() => {
     updateState({ isMinimized: !state.isMinimized });
@@ -731,6 +1229,144 @@ export const MediaPlayerProvider = ({ children }) => {
     [updateState],
   );
 
+  // Remember where the current story was left, per story and language
+  // (taken from the storyId and language of the playlist entries)
+  const savePosition = useCallback((virtualTime) => {
+    const playlist = playlistRef.current;
+    const segmentMap = segmentMapRef.current;
+    const segment = segmentMap[currentSegmentRef.current];
+    if (!playlist?.length || !segment) return;
+
+    const { storyId, language } = playlist[0];
+    savePlaybackPosition(language, storyId, {
+      segmentIndex: segment.index,
+      sectionNum: segment.sectionNum,
+      virtualTime,
+      totalDuration: segmentMap[segmentMap.length - 1].virtualEnd,
+    });
+    lastSavedTimeRef.current = virtualTime;
+  }, []);
+
+  // Save while playing every few seconds, and on every pause or seek while paused
+  useEffect(() => {
+    if (!state.isPlaying && !state.isPaused) return;
+    if (
+      state.isPlaying &&
+      lastSavedTimeRef.current !== null &&
+      Math.abs(state.virtualTime - lastSavedTimeRef.current) <
+        POSITION_SAVE_INTERVAL
+    ) {
+      return;
+    }
+    savePosition(state.virtualTime);
+  }, [
+    state.virtualTime,
+    state.isPlaying,
+    state.isPaused,
+    state.currentSegmentIndex,
+    savePosition,
+  ]);
+
+  // Save the exact position when the page is closed or hidden
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (isPlayingRef.current) {
+        savePosition(virtualTimeRef.current);
+      }
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, [savePosition]);
+
+  // Lock screen and notification metadata for the current section
+  const currentMediaSegment =
+    state.currentPlaylist?.[state.currentSegmentIndex] || null;
+
+  useEffect(() => {
+    if (!hasMediaSession) return;
+
+    if (!currentMediaSegment) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    const { storyTitle, reference, imageUrl } = currentMediaSegment;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: storyTitle || formatReference(reference),
+      artist: formatReference(reference),
+      artwork: imageUrl
+        ? [{ src: new URL(imageUrl, window.location.href).href }]
+        : [],
+    });
+  }, [currentMediaSegment, formatReference]);
+
+  useEffect(() => {
+    if (!hasMediaSession) return;
+
+    navigator.mediaSession.playbackState = state.isPlaying
+      ? "playing"
+      : state.isPaused
+        ? "paused"
+        : "none";
+  }, [state.isPlaying, state.isPaused]);
+
+  // Report progress on the virtual timeline rather than the audio file
+  useEffect(() => {
+    if (!hasMediaSession || !navigator.mediaSession.setPositionState) return;
+
+    try {
+      if (state.totalDuration > 0) {
+        navigator.mediaSession.setPositionState({
+          duration: state.totalDuration,
+          playbackRate: state.playbackRate,
+          position: Math.min(
+            Math.max(state.virtualTime, 0),
+            state.totalDuration,
+          ),
+        });
+      } else {
+        navigator.mediaSession.setPositionState();
+      }
+    } catch (err) {
+      // Position state is optional; ignore browsers that reject it
+    }
+  }, [state.virtualTime, state.totalDuration, state.playbackRate]);
+
+  // Headset, lock screen and notification controls
+  useEffect(() => {
+    if (!hasMediaSession) return;
+
+    const handlers = {
+      play: () => play(),
+      pause: () => pause(),
+      stop: () => stop(),
+      previoustrack: () => previousSegment(),
+      nexttrack: () => nextSegment(),
+      seekto: (details) => seekTo(details.seekTime),
+      seekbackward: (details) =>
+        seekTo(
+          virtualTimeRef.current - (details.seekOffset || DEFAULT_SEEK_OFFSET),
+        ),
+      seekforward: (details) =>
+        seekTo(
+          virtualTimeRef.current + (details.seekOffset || DEFAULT_SEEK_OFFSET),
+        ),
+    };
+
+    const setHandlers = (getHandler) => {
+      Object.keys(handlers).forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, getHandler(action));
+        } catch (err) {
+          // Action not supported by this browser
+        }
+      });
+    };
+
+    setHandlers((action) => handlers[action]);
+    return () => setHandlers(() => null);
+  }, [play, pause, stop, previousSegment, nextSegment, seekTo]);
+
   const value = {
     ...state,
     loadPlaylist,
@@ -743,10 +1379,19 @@ export const MediaPlayerProvider = ({ children }) => {
     nextSegment,
     previousSegment,
     setPlaybackRate,
+    setRepeatMode,
+    setLoopRange,
+    clearLoop,
+    setSleepTimer,
     clearQueue,
     removeFromQueue,
+    moveInQueue,
+    playFromQueue,
     getCurrentSegment,
     getCurrentVerse,
+    getCurrentVerseInfo,
+    getVerseTime,
+    seekToVerse,
     getSegmentMap,
     toggleMinimized,
     setMinimized,
@@ -0,0 +1,140 @@
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+} from "react";
+import {
+  getLocaleChain,
+  loadLocale,
+  locales,
+  mergeLocaleChain,
+} from "../locales";
+import { loadRegions } from "../utils/regions";
+import useLanguage from "../hooks/useLanguage";
+
+const TranslationContext = createContext(null);
+
+/**
+ * Replace {placeholder} names with parameter values (unknown names are kept)
+ */
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match,
+  );
+
+export const TranslationProvider = ({ children }) => {
+  const { selectedLanguage } = useLanguage();
+  const [regions, setRegions] = useState(null);
+  const [loadedChain, setLoadedChain] = useState("");
+
+  // Regions give the trade languages to fall back to
+  useEffect(() => {
+    loadRegions()
+      .then(setRegions)
+      .catch((error) => {
+        console.warn("UI locale fallback without regions:", error);
+      });
+  }, []);
+
+  const localeChain = useMemo(
+    () => getLocaleChain(selectedLanguage, regions || {}),
+    [selectedLanguage, regions],
+  );
+  const chainKey = localeChain.join(",");
+
+  // Load the bundles of the chain; strings show from loaded locales meanwhile
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(
+      localeChain.map((localeCode) =>
+        loadLocale(localeCode).catch((error) => {
+          console.error(`Error loading UI locale ${localeCode}:`, error);
+        }),
+      ),
+    ).then(() => {
+      if (!cancelled) setLoadedChain(chainKey);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainKey]);
+
+  const uiLocale = useMemo(
+    () => mergeLocaleChain(localeChain),
+    [chainKey, loadedChain],
+  );
+
+  // Most preferred locale that is loaded; decides the plural rules
+  const localeCode = localeChain.find((code) => locales[code]);
+  const pluralRules = useMemo(
+    () => new Intl.PluralRules(localeCode),
+    [localeCode],
+  );
+  const direction = locales[localeCode]?.direction || "ltr";
+
+  // The page takes the language and direction of the UI; Bible text sets its
+  // own (see useTextDirection)
+  useEffect(() => {
+    document.documentElement.lang = localeCode;
+    document.documentElement.dir = direction;
+  }, [localeCode, direction]);
+
+  /**
+   * Get a translated string by dotted key
+   * @param {string} key - e.g. "queue.title"
+   * @param {Object} params - Values for {placeholders}; a count also picks
+   *   the plural form when the string has them ({ one, other, ... })
+   * @returns {string} Translated string, or the key if not found
+   */
+  const t = useCallback(
+    (key, params) => {
+      const keys = key.split(".");
+      let value = uiLocale;
+
+      for (const k of keys) {
+        if (value && typeof value === "object") {
+          value = value[k];
+        } else {
+          console.warn(`Translation key not found: ${key}`);
+          return key;
+        }
+      }
+
+      if (
+        params?.count !== undefined &&
+        value &&
+        typeof value === "object" &&
+        typeof value.other === "string"
+      ) {
+        value = value[pluralRules.select(params.count)] ?? value.other;
+      }
+
+      if (typeof value === "string" && params) {
+        return interpolate(value, params);
+      }
+
+      return value || key;
+    },
+    [uiLocale, pluralRules],
+  );
+
+  const value = {
+    t,
+    uiLocale,
+    localeCode,
+    localeChain,
+    direction,
+  };
+
+  return (
+    <TranslationContext.Provider value={value}>
+      {children}
+    </TranslationContext.Provider>
+  );
+};
+
+export default TranslationContext;
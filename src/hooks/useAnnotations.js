@@ -0,0 +1,20 @@
+import { useContext } from "react";
+import AnnotationsContext from "../context/AnnotationsContext";
+
+/**
+ * Hook for consuming AnnotationsContext
+ * Provides bookmarks, highlights and notes on story sections
+ */
+const useAnnotations = () => {
+  const context = useContext(AnnotationsContext);
+
+  if (!context) {
+    throw new Error(
+      "useAnnotations must be used within an AnnotationsProvider",
+    );
+  }
+
+  return context;
+};
+
+export default useAnnotations;
@@ -0,0 +1,70 @@
+import { useCallback, useEffect } from "react";
+import {
+  getReferenceChapters,
+  getTestament,
+  getVersesForReference,
+  parseReferenceList,
+} from "../utils/bibleUtils";
+import useLanguage from "./useLanguage";
+
+/**
+ * Hook for showing Bible text in the secondary language next to the selected one
+ * Loads the secondary-language chapters of the given references.
+ * @param {Array} references - References whose text will be shown
+ * @returns {Object} { secondaryLanguage, getSecondaryVerses(reference) }
+ *   secondaryLanguage is null when parallel text is off
+ */
+const useParallelText = (references = []) => {
+  const {
+    selectedLanguage,
+    secondaryLanguage,
+    secondaryChapterText,
+    languageData,
+    loadSecondaryChapter,
+    getSecondaryChapterKey,
+  } = useLanguage();
+
+  // Parallel text in the selected language itself shows nothing new
+  const activeLanguage =
+    secondaryLanguage && secondaryLanguage !== selectedLanguage
+      ? secondaryLanguage
+      : null;
+  const referencesKey = references.filter(Boolean).join(";");
+
+  useEffect(() => {
+    if (!activeLanguage || !languageData[activeLanguage]) return;
+
+    const chapters = new Map();
+    referencesKey.split(";").forEach((reference) => {
+      getReferenceChapters(reference).forEach((chapter) =>
+        chapters.set(chapter.chapterKey, chapter),
+      );
+    });
+
+    chapters.forEach(({ book, chapter }) => {
+      loadSecondaryChapter(book, chapter, getTestament(book));
+    });
+  }, [activeLanguage, languageData, referencesKey, loadSecondaryChapter]);
+
+  const getSecondaryVerses = useCallback(
+    (reference) => {
+      if (!activeLanguage || !reference) return [];
+
+      // Chapters of this reference in the secondary language, as BOOK.CH
+      const chapterText = {};
+      parseReferenceList(reference).forEach(({ book, chapter }) => {
+        const key = getSecondaryChapterKey(book, chapter, getTestament(book));
+        if (key && secondaryChapterText[key]) {
+          chapterText[`${book}.${chapter}`] = secondaryChapterText[key];
+        }
+      });
+
+      return getVersesForReference(reference, chapterText);
+    },
+    [activeLanguage, secondaryChapterText, getSecondaryChapterKey],
+  );
+
+  return { secondaryLanguage: activeLanguage, getSecondaryVerses };
+};
+
+export default useParallelText;
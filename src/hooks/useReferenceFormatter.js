@@ -0,0 +1,28 @@
+import { useCallback } from "react";
+import { formatReference } from "../utils/bibleUtils";
+import useLanguage from "./useLanguage";
+import useTranslation from "./useTranslation";
+
+/**
+ * Hook for displaying Bible references in the current UI locale
+ * Uses the vernacular book names of the selected language when known
+ * @returns {Function} format(reference, { abbreviated }) => string
+ */
+const useReferenceFormatter = () => {
+  const { uiLocale } = useTranslation();
+  const { selectedLanguage, bookNames } = useLanguage();
+  const vernacularNames = bookNames[selectedLanguage];
+
+  return useCallback(
+    (reference, { abbreviated = false } = {}) =>
+      formatReference(reference, {
+        books: uiLocale.books,
+        format: uiLocale.referenceFormat,
+        vernacularNames,
+        abbreviated,
+      }),
+    [uiLocale, vernacularNames],
+  );
+};
+
+export default useReferenceFormatter;
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from "react";
+import { parseRoute, buildRoutePath } from "../utils/routing";
+
+/**
+ * Hook for reading and updating the current URL route
+ * Keeps the route in sync with browser history (back/forward buttons)
+ * @returns {[Object, Function]} Current route and navigate(route, { replace })
+ */
+const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location));
+
+  useEffect(() => {
+    const handleLocationChange = () => {
+      setRoute(parseRoute(window.location));
+    };
+
+    window.addEventListener("popstate", handleLocationChange);
+    window.addEventListener("hashchange", handleLocationChange);
+
+    return () => {
+      window.removeEventListener("popstate", handleLocationChange);
+      window.removeEventListener("hashchange", handleLocationChange);
+    };
+  }, []);
+
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const path = buildRoutePath(nextRoute);
+    const currentPath =
+      window.location.pathname + window.location.search + window.location.hash;
+
+    if (path !== currentPath) {
+      if (replace) {
+        window.history.replaceState(null, "", path);
+      } else {
+        window.history.pushState(null, "", path);
+      }
+    }
+
+    setRoute(parseRoute(window.location));
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useRoute;
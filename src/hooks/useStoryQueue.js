@@ -0,0 +1,63 @@
+import { useCallback, useState } from "react";
+import { loadStoryPlaylist } from "../utils/storyPlaylist";
+import useLanguage from "./useLanguage";
+import useMediaPlayer from "./useMediaPlayer";
+
+/**
+ * Hook for adding whole stories to the media player queue
+ * Each story becomes one queued playlist, in the selected language.
+ * @returns {Object} { queueStories(stories, { playNow }), isQueueing }
+ */
+const useStoryQueue = () => {
+  const { selectedLanguage, chapterText, audioUrls, loadAudioUrl } =
+    useLanguage();
+  const { loadPlaylist } = useMediaPlayer();
+  const [isQueueing, setIsQueueing] = useState(false);
+
+  const queueStories = useCallback(
+    async (stories, { playNow = false } = {}) => {
+      setIsQueueing(true);
+      let queued = 0;
+
+      try {
+        // One story at a time, so chapter audio shared by stories loads once
+        for (const story of stories) {
+          let entries = [];
+          try {
+            entries = await loadStoryPlaylist(story, {
+              language: selectedLanguage,
+              chapterText,
+              audioUrls,
+              loadAudioUrl,
+            });
+          } catch (error) {
+            console.error(`Could not queue story ${story.path}:`, error);
+          }
+
+          // Stories without any audio cannot be played
+          if (!entries.length) continue;
+
+          if (playNow && queued === 0) {
+            loadPlaylist(entries, {
+              mode: "replace",
+              autoPlay: true,
+              clearQueue: true,
+            });
+          } else {
+            loadPlaylist(entries, { mode: "queue" });
+          }
+          queued++;
+        }
+      } finally {
+        setIsQueueing(false);
+      }
+
+      return queued;
+    },
+    [selectedLanguage, chapterText, audioUrls, loadAudioUrl, loadPlaylist],
+  );
+
+  return { queueStories, isQueueing };
+};
+
+export default useStoryQueue;
@@ -0,0 +1,24 @@
+import { useMemo } from "react";
+import { getLanguageTag, getTextDirection } from "../utils/languageTags";
+import useLanguage from "./useLanguage";
+
+/**
+ * Hook for the dir and lang attributes of text in a Bible language
+ * @param {string} langCode - Language code (defaults to the selected language)
+ * @returns {Object} { dir, lang } to spread onto the element holding the text
+ */
+const useTextDirection = (langCode) => {
+  const { selectedLanguage, languageNames } = useLanguage();
+  const code = langCode || selectedLanguage;
+  const vernacular = languageNames[code]?.vernacular;
+
+  return useMemo(
+    () => ({
+      dir: getTextDirection(code, vernacular),
+      lang: getLanguageTag(code),
+    }),
+    [code, vernacular],
+  );
+};
+
+export default useTextDirection;
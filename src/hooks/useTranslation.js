@@ -1,38 +1,21 @@
-import { useMemo } from "react";
-import { getLocale } from "../locales";
-import useLanguage from "./useLanguage";
+import { useContext } from "react";
+import TranslationContext from "../context/TranslationContext";
 
 /**
  * Hook for accessing localized UI strings
- * Automatically uses the selected Bible language to determine UI language
- * Falls back to English if no matching UI locale exists
+ * The UI locale follows the selected Bible language, falling back to the
+ * trade languages of its regions and then to English, key by key
+ * @returns {Object} { t(key, params), uiLocale, localeCode, localeChain,
+ *   direction }
  */
 const useTranslation = () => {
-  const { selectedLanguage } = useLanguage();
+  const context = useContext(TranslationContext);
 
-  // Get UI locale based on selected Bible language
-  const uiLocale = useMemo(() => {
-    return getLocale(selectedLanguage);
-  }, [selectedLanguage]);
+  if (!context) {
+    throw new Error("useTranslation must be used within a TranslationProvider");
+  }
 
-  // Helper function to get nested translation strings
-  const t = (key) => {
-    const keys = key.split(".");
-    let value = uiLocale;
-
-    for (const k of keys) {
-      if (value && typeof value === "object") {
-        value = value[k];
-      } else {
-        console.warn(`Translation key not found: ${key}`);
-        return key;
-      }
-    }
-
-    return value || key;
-  };
-
-  return { t, uiLocale };
+  return context;
 };
 
 export default useTranslation;
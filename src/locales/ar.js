@@ -0,0 +1,341 @@
+// Arabic UI strings
+export const ar = {
+  // Text direction of the UI in this locale
+  direction: "rtl",
+
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "اختر اللغة",
+    changeLanguage: "تغيير اللغة",
+    search: "بحث",
+    offlinePacks: "حزم القصص دون اتصال",
+    queue: "قائمة الانتظار وقوائم التشغيل",
+    myNotes: "ملاحظاتي",
+    settings: "تفضيلات القراءة",
+  },
+
+  languageSelector: {
+    title: "اختر اللغة",
+    close: "إغلاق",
+    searchPlaceholder: "ابحث باسم اللغة أو رمزها...",
+    noLanguageSelected: "لم يتم اختيار لغة",
+    loadingLanguages: "جارٍ تحميل اللغات...",
+    noLanguagesFound: "لم يتم العثور على لغات",
+    allLanguages: "كل اللغات",
+    byRegion: "حسب المنطقة",
+    allRegions: "كل المناطق",
+    regionSearchPlaceholder: "ابحث بالبلد أو المنطقة أو اللغة...",
+    noRegionsFound: "لم يتم العثور على مناطق",
+    tradeLanguages: "اللغات المشتركة",
+    regionalLanguages: "اللغات الإقليمية",
+    otherLanguages: "لغات أخرى",
+    parallelTitle: "اختر لغة النص الموازي",
+    parallelText: "النص الموازي:",
+    parallelOff: "متوقف",
+    choose: "اختيار",
+    cancel: "إلغاء",
+    turnOff: "إيقاف",
+    current: "الحالية:",
+    noLanguagesMatching: "لا توجد لغات مطابقة لـ «{search}»",
+  },
+
+  versionPicker: {
+    title: "الترجمات",
+    ot: "العهد القديم",
+    nt: "العهد الجديد",
+    text: "النص",
+    audio: "الصوت",
+    none: "لا شيء",
+    switching: "جارٍ تغيير الترجمة...",
+  },
+
+  storyViewer: {
+    loadingStory: "جارٍ تحميل القصة...",
+    errorTitle: "القصة غير متاحة",
+    errorMessage: "لم تتم إضافة هذه القصة إلى المجموعة بعد.",
+    errorDetail: "يرجى العودة لاحقًا أو اختيار قصة أخرى.",
+    noSections: "لا توجد أقسام متاحة",
+    resumeFromSection: "المتابعة من القسم {section} ({time})",
+    startOver: "البدء من جديد",
+    sectionAlt: "القسم {number}",
+  },
+
+  bibleText: {
+    loading: "جارٍ تحميل {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "صوت القصة",
+    loadingVerse: "جارٍ التحميل...",
+    minimize: "تصغير المشغل",
+    play: "تشغيل",
+    pause: "إيقاف مؤقت",
+    stop: "إيقاف",
+    seek: "انتقال",
+    loadingAudio: "جارٍ تحميل الصوت...",
+  },
+
+  queue: {
+    title: "قائمة الانتظار وقوائم التشغيل",
+    nowPlaying: "قيد التشغيل الآن",
+    nothingPlaying: "لا يوجد شيء قيد التشغيل",
+    upNext: "التالي",
+    empty: "قائمة الانتظار فارغة. أضف قصصًا من شبكة القصص.",
+    clear: "مسح قائمة الانتظار",
+    playNow: "تشغيل الآن",
+    moveUp: "نقل لأعلى",
+    moveDown: "نقل لأسفل",
+    remove: "إزالة من قائمة الانتظار",
+    addToQueue: "إضافة إلى قائمة الانتظار",
+    savedPlaylists: "قوائم التشغيل المحفوظة",
+    playlistNamePlaceholder: "اسم القائمة، مثل: قصص عيد الفصح",
+    saveQueue: "حفظ",
+    noSavedPlaylists: "لا توجد قوائم تشغيل محفوظة بعد",
+    stories: {
+      zero: "لا قصص",
+      one: "قصة واحدة",
+      two: "قصتان",
+      few: "{count} قصص",
+      many: "{count} قصة",
+      other: "{count} قصة",
+    },
+    delete: "حذف قائمة التشغيل",
+    confirmDelete: "هل تريد حذف قائمة التشغيل هذه؟",
+    preparing: "جارٍ تجهيز الصوت...",
+    adding: "جارٍ الإضافة...",
+  },
+
+  playbackOptions: {
+    repeatOff: "بدون تكرار",
+    repeatSegment: "تكرار القسم",
+    repeatStory: "تكرار القصة",
+    repeatQueue: "تكرار قائمة الانتظار",
+    loopStart: "تحديد بداية الحلقة (A)",
+    loopEnd: "تحديد نهاية الحلقة (B)",
+    loopClear: "إلغاء الحلقة A-B",
+    sleepTimer: "مؤقت النوم",
+    sleepOff: "إيقاف المؤقت",
+    minutes: "دقيقة",
+    endOfStory: "نهاية القصة",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "القسم",
+    hideText: "إخفاء النص",
+    showText: "إظهار النص",
+    noText: "لا يوجد نص متاح لهذا القسم.",
+  },
+
+  annotations: {
+    bookmark: "إشارة مرجعية",
+    highlight: "تمييز",
+    addNote: "إضافة ملاحظة",
+    editNote: "تعديل الملاحظة",
+    notePlaceholder: "اكتب ملاحظة عن هذا القسم...",
+    saveNote: "حفظ الملاحظة",
+    cancel: "إلغاء",
+    colors: {
+      yellow: "أصفر",
+      green: "أخضر",
+      blue: "أزرق",
+      pink: "وردي",
+    },
+  },
+
+  notes: {
+    title: "ملاحظاتي",
+    empty: "لا توجد إشارات مرجعية أو تمييزات أو ملاحظات بعد",
+    section: "القسم",
+    remove: "إزالة",
+    export: "تصدير",
+    import: "استيراد",
+    imported: {
+      zero: "لم يتم استيراد أي تعليق",
+      one: "تم استيراد تعليق واحد",
+      two: "تم استيراد تعليقين",
+      few: "تم استيراد {count} تعليقات",
+      many: "تم استيراد {count} تعليقًا",
+      other: "تم استيراد {count} تعليق",
+    },
+    importFailed: "هذا الملف لا يحتوي على ملاحظات مصدَّرة",
+    filters: {
+      all: "الكل",
+      bookmarks: "الإشارات المرجعية",
+      highlights: "التمييزات",
+      notes: "الملاحظات",
+    },
+  },
+
+  settings: {
+    title: "تفضيلات القراءة",
+    theme: "المظهر",
+    themeOptions: {
+      light: "فاتح",
+      dark: "داكن",
+      system: "حسب النظام",
+    },
+    textSize: "حجم النص",
+    lineSpacing: "تباعد الأسطر",
+    lineSpacingOptions: {
+      compact: "متقارب",
+      normal: "عادي",
+      relaxed: "متباعد",
+    },
+    dyslexicFont: "خط مناسب لعسر القراءة",
+    preview: "في البدء خلق الله السماوات والأرض.",
+    reset: "إعادة تعيين",
+    done: "تم",
+  },
+
+  search: {
+    title: "بحث",
+    placeholder: "ابحث في القصص والشواهد ونص الكتاب المقدس...",
+    indexing: "جارٍ تجهيز البحث...",
+    noResults: "لم يتم العثور على نتائج",
+  },
+
+  storyPacks: {
+    title: "حزم القصص دون اتصال",
+    language: "اللغة",
+    notSupported: "هذا المتصفح لا يدعم حزم القصص دون اتصال.",
+    downloaded: "تم التنزيل",
+    stories: {
+      zero: "لا قصص",
+      one: "قصة واحدة",
+      two: "قصتان",
+      few: "{count} قصص",
+      many: "{count} قصة",
+      other: "{count} قصة",
+    },
+    missingAudio: {
+      zero: "لا توجد ملفات صوتية ناقصة.",
+      one: "تعذر حفظ ملف صوتي واحد. نزّل الحزمة مرة أخرى لإعادة المحاولة.",
+      two: "تعذر حفظ ملفين صوتيين. نزّل الحزمة مرة أخرى لإعادة المحاولة.",
+      few: "تعذر حفظ {count} ملفات صوتية. نزّل الحزمة مرة أخرى لإعادة المحاولة.",
+      many: "تعذر حفظ {count} ملفًا صوتيًا. نزّل الحزمة مرة أخرى لإعادة المحاولة.",
+      other: "تعذر حفظ {count} ملف صوتي. نزّل الحزمة مرة أخرى لإعادة المحاولة.",
+    },
+    delete: "حذف الحزمة",
+    phaseStories: "جارٍ حفظ القصص والصور",
+    phaseChapters: "جارٍ حفظ نص الكتاب المقدس والصوت",
+    cancel: "إلغاء",
+    downloadFailed: "فشل التنزيل. تحقق من الاتصال وحاول مرة أخرى.",
+    storageUsed: "المساحة المستخدمة",
+    storageUnknown: "غير معروفة",
+    downloadSelected: "تنزيل المحدد",
+    downloadAll: "تنزيل كل القصص",
+  },
+
+  navigationGrid: {
+    loading: "جارٍ التحميل...",
+    noAudioToQueue: "لا يوجد صوت متزامن لإضافته إلى قائمة الانتظار بهذه اللغة",
+    continue: "تابع من حيث توقفت",
+    sectionsDone: "اكتمل {done}/{total} من الأقسام",
+    back: "رجوع",
+    collectionTitle: "قصص الكتاب المقدس المفتوحة",
+    hideEmpty: {
+      one: "إخفاء قصة واحدة بلا نص",
+      two: "إخفاء قصتين بلا نص",
+      few: "إخفاء {count} قصص بلا نص",
+      other: "إخفاء {count} قصة بلا نص",
+    },
+    showEmpty: {
+      one: "إظهار قصة واحدة بلا نص",
+      two: "إظهار قصتين بلا نص",
+      few: "إظهار {count} قصص بلا نص",
+      other: "إظهار {count} قصة بلا نص",
+    },
+  },
+
+  storyAvailability: {
+    full: "النص متاح",
+    empty: "النص غير متاح",
+    unknown: "حالة المحتوى غير معروفة",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "النص متاح لكل العهود المطلوبة",
+    emptyTooltip: "النص غير متاح للعهود المطلوبة",
+  },
+
+  // Reference punctuation, e.g. "التكوين 1:1-2، 4؛ الخروج 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: "، ",
+    list: "؛ ",
+    following: "ff",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "التكوين", abbr: "تك" },
+    EXO: { name: "الخروج", abbr: "خر" },
+    LEV: { name: "اللاويين", abbr: "لا" },
+    NUM: { name: "العدد", abbr: "عد" },
+    DEU: { name: "التثنية", abbr: "تث" },
+    JOS: { name: "يشوع", abbr: "يش" },
+    JDG: { name: "القضاة", abbr: "قض" },
+    RUT: { name: "راعوث", abbr: "را" },
+    "1SA": { name: "صموئيل الأول", abbr: "1صم" },
+    "2SA": { name: "صموئيل الثاني", abbr: "2صم" },
+    "1KI": { name: "الملوك الأول", abbr: "1مل" },
+    "2KI": { name: "الملوك الثاني", abbr: "2مل" },
+    "1CH": { name: "أخبار الأيام الأول", abbr: "1أخ" },
+    "2CH": { name: "أخبار الأيام الثاني", abbr: "2أخ" },
+    EZR: { name: "عزرا", abbr: "عز" },
+    NEH: { name: "نحميا", abbr: "نح" },
+    EST: { name: "أستير", abbr: "أس" },
+    JOB: { name: "أيوب", abbr: "أي" },
+    PSA: { name: "المزامير", abbr: "مز" },
+    PRO: { name: "الأمثال", abbr: "أم" },
+    ECC: { name: "الجامعة", abbr: "جا" },
+    SNG: { name: "نشيد الأنشاد", abbr: "نش" },
+    ISA: { name: "إشعياء", abbr: "إش" },
+    JER: { name: "إرميا", abbr: "إر" },
+    LAM: { name: "مراثي إرميا", abbr: "مرا" },
+    EZK: { name: "حزقيال", abbr: "حز" },
+    DAN: { name: "دانيال", abbr: "دا" },
+    HOS: { name: "هوشع", abbr: "هو" },
+    JOL: { name: "يوئيل", abbr: "يؤ" },
+    AMO: { name: "عاموس", abbr: "عا" },
+    OBA: { name: "عوبديا", abbr: "عو" },
+    JON: { name: "يونان", abbr: "يون" },
+    MIC: { name: "ميخا", abbr: "مي" },
+    NAM: { name: "ناحوم", abbr: "نا" },
+    HAB: { name: "حبقوق", abbr: "حب" },
+    ZEP: { name: "صفنيا", abbr: "صف" },
+    HAG: { name: "حجي", abbr: "حج" },
+    ZEC: { name: "زكريا", abbr: "زك" },
+    MAL: { name: "ملاخي", abbr: "ملا" },
+    MAT: { name: "متى", abbr: "مت" },
+    MRK: { name: "مرقس", abbr: "مر" },
+    LUK: { name: "لوقا", abbr: "لو" },
+    JHN: { name: "يوحنا", abbr: "يو" },
+    ACT: { name: "أعمال الرسل", abbr: "أع" },
+    ROM: { name: "رومية", abbr: "رو" },
+    "1CO": { name: "كورنثوس الأولى", abbr: "1كو" },
+    "2CO": { name: "كورنثوس الثانية", abbr: "2كو" },
+    GAL: { name: "غلاطية", abbr: "غل" },
+    EPH: { name: "أفسس", abbr: "أف" },
+    PHP: { name: "فيلبي", abbr: "في" },
+    COL: { name: "كولوسي", abbr: "كو" },
+    "1TH": { name: "تسالونيكي الأولى", abbr: "1تس" },
+    "2TH": { name: "تسالونيكي الثانية", abbr: "2تس" },
+    "1TI": { name: "تيموثاوس الأولى", abbr: "1تي" },
+    "2TI": { name: "تيموثاوس الثانية", abbr: "2تي" },
+    TIT: { name: "تيطس", abbr: "تي" },
+    PHM: { name: "فليمون", abbr: "فل" },
+    HEB: { name: "العبرانيين", abbr: "عب" },
+    JAS: { name: "يعقوب", abbr: "يع" },
+    "1PE": { name: "بطرس الأولى", abbr: "1بط" },
+    "2PE": { name: "بطرس الثانية", abbr: "2بط" },
+    "1JN": { name: "يوحنا الأولى", abbr: "1يو" },
+    "2JN": { name: "يوحنا الثانية", abbr: "2يو" },
+    "3JN": { name: "يوحنا الثالثة", abbr: "3يو" },
+    JUD: { name: "يهوذا", abbr: "يه" },
+    REV: { name: "الرؤيا", abbr: "رؤ" },
+  },
+};
+
+export default ar;
@@ -4,6 +4,11 @@ export const en = {
     title: "Bible Compass",
     selectLanguage: "Select Language",
     changeLanguage: "Change language",
+    search: "Search",
+    offlinePacks: "Offline story packs",
+    queue: "Queue and playlists",
+    myNotes: "My notes",
+    settings: "Reading preferences",
   },
 
   languageSelector: {
@@ -13,6 +18,32 @@ export const en = {
     noLanguageSelected: "No language selected",
     loadingLanguages: "Loading languages...",
     noLanguagesFound: "No languages found",
+    allLanguages: "All languages",
+    byRegion: "By region",
+    allRegions: "All regions",
+    regionSearchPlaceholder: "Search by country, region or language...",
+    noRegionsFound: "No regions found",
+    tradeLanguages: "Trade languages",
+    regionalLanguages: "Regional languages",
+    otherLanguages: "Other languages",
+    parallelTitle: "Select Parallel Text Language",
+    parallelText: "Parallel text:",
+    parallelOff: "Off",
+    choose: "Choose",
+    cancel: "Cancel",
+    turnOff: "Turn off",
+    current: "Current:",
+    noLanguagesMatching: 'No languages found matching "{search}"',
+  },
+
+  versionPicker: {
+    title: "Versions",
+    ot: "Old Testament",
+    nt: "New Testament",
+    text: "Text",
+    audio: "Audio",
+    none: "None",
+    switching: "Switching version...",
   },
 
   storyViewer: {
@@ -22,6 +53,13 @@ export const en = {
       "This story content has not been added to the collection yet.",
     errorDetail: "Please check back later or select another story.",
     noSections: "No sections available",
+    resumeFromSection: "Resume from section {section} ({time})",
+    startOver: "Start over",
+    sectionAlt: "Section {number}",
+  },
+
+  bibleText: {
+    loading: "Loading {reference}...",
   },
 
   audioPlayer: {
@@ -35,14 +73,156 @@ export const en = {
     loadingAudio: "Loading audio...",
   },
 
+  queue: {
+    title: "Queue and Playlists",
+    nowPlaying: "Now playing",
+    nothingPlaying: "Nothing is playing",
+    upNext: "Up next",
+    empty: "The queue is empty. Add stories from the story grid.",
+    clear: "Clear queue",
+    playNow: "Play now",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    remove: "Remove from queue",
+    addToQueue: "Add to queue",
+    savedPlaylists: "Saved playlists",
+    playlistNamePlaceholder: "Playlist name, e.g. Easter stories",
+    saveQueue: "Save",
+    noSavedPlaylists: "No saved playlists yet",
+    stories: {
+      one: "{count} story",
+      other: "{count} stories",
+    },
+    delete: "Delete playlist",
+    confirmDelete: "Delete this playlist?",
+    preparing: "Preparing audio...",
+    adding: "Adding...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Repeat off",
+    repeatSegment: "Repeat section",
+    repeatStory: "Repeat story",
+    repeatQueue: "Repeat queue",
+    loopStart: "Set loop start (A)",
+    loopEnd: "Set loop end (B)",
+    loopClear: "Clear A-B loop",
+    sleepTimer: "Sleep timer",
+    sleepOff: "Turn off timer",
+    minutes: "min",
+    endOfStory: "End of story",
+  },
+
   fullPlayingPane: {
     sectionAlt: "Section",
     hideText: "Hide text",
     showText: "Show text",
+    noText: "No text available for this section.",
+  },
+
+  annotations: {
+    bookmark: "Bookmark",
+    highlight: "Highlight",
+    addNote: "Add note",
+    editNote: "Edit note",
+    notePlaceholder: "Write a note about this section...",
+    saveNote: "Save note",
+    cancel: "Cancel",
+    colors: {
+      yellow: "Yellow",
+      green: "Green",
+      blue: "Blue",
+      pink: "Pink",
+    },
+  },
+
+  notes: {
+    title: "My Notes",
+    empty: "No bookmarks, highlights or notes yet",
+    section: "Section",
+    remove: "Remove",
+    export: "Export",
+    import: "Import",
+    imported: {
+      one: "{count} annotation imported",
+      other: "{count} annotations imported",
+    },
+    importFailed: "This file does not contain exported notes",
+    filters: {
+      all: "All",
+      bookmarks: "Bookmarks",
+      highlights: "Highlights",
+      notes: "Notes",
+    },
+  },
+
+  settings: {
+    title: "Reading Preferences",
+    theme: "Theme",
+    themeOptions: {
+      light: "Light",
+      dark: "Dark",
+      system: "System",
+    },
+    textSize: "Text size",
+    lineSpacing: "Line spacing",
+    lineSpacingOptions: {
+      compact: "Compact",
+      normal: "Normal",
+      relaxed: "Relaxed",
+    },
+    dyslexicFont: "Dyslexia-friendly font",
+    preview: "In the beginning God created the heavens and the earth.",
+    reset: "Reset",
+    done: "Done",
+  },
+
+  search: {
+    title: "Search",
+    placeholder: "Search stories, references and Bible text...",
+    indexing: "Preparing search...",
+    noResults: "No results found",
+  },
+
+  storyPacks: {
+    title: "Offline Story Packs",
+    language: "Language",
+    notSupported: "Offline story packs are not supported in this browser.",
+    downloaded: "Downloaded",
+    stories: {
+      one: "{count} story",
+      other: "{count} stories",
+    },
+    missingAudio: {
+      one: "{count} audio file could not be saved. Download again to retry.",
+      other: "{count} audio files could not be saved. Download again to retry.",
+    },
+    delete: "Delete pack",
+    phaseStories: "Saving stories and images",
+    phaseChapters: "Saving Bible text and audio",
+    cancel: "Cancel",
+    downloadFailed: "Download failed. Check your connection and try again.",
+    storageUsed: "Storage used",
+    storageUnknown: "unknown",
+    downloadSelected: "Download selected",
+    downloadAll: "Download all stories",
   },
 
   navigationGrid: {
     loading: "Loading...",
+    noAudioToQueue: "No timed audio to queue in this language",
+    continue: "Continue where you left off",
+    sectionsDone: "{done}/{total} sections done",
+    back: "Back",
+    collectionTitle: "Open Bible Stories",
+    hideEmpty: {
+      one: "Hide {count} story without text",
+      other: "Hide {count} stories without text",
+    },
+    showEmpty: {
+      one: "Show {count} story without text",
+      other: "Show {count} stories without text",
+    },
   },
 
   storyAvailability: {
@@ -55,6 +235,85 @@ export const en = {
     fullTooltip: "Text available for all required testaments",
     emptyTooltip: "Text not available for required testaments",
   },
+
+  // Reference punctuation, e.g. "Genesis 1:1–2, 4; Exodus 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "–",
+    verseList: ", ",
+    list: "; ",
+    following: "ff",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Genesis", abbr: "Gen" },
+    EXO: { name: "Exodus", abbr: "Exod" },
+    LEV: { name: "Leviticus", abbr: "Lev" },
+    NUM: { name: "Numbers", abbr: "Num" },
+    DEU: { name: "Deuteronomy", abbr: "Deut" },
+    JOS: { name: "Joshua", abbr: "Josh" },
+    JDG: { name: "Judges", abbr: "Judg" },
+    RUT: { name: "Ruth", abbr: "Ruth" },
+    "1SA": { name: "1 Samuel", abbr: "1 Sam" },
+    "2SA": { name: "2 Samuel", abbr: "2 Sam" },
+    "1KI": { name: "1 Kings", abbr: "1 Kgs" },
+    "2KI": { name: "2 Kings", abbr: "2 Kgs" },
+    "1CH": { name: "1 Chronicles", abbr: "1 Chr" },
+    "2CH": { name: "2 Chronicles", abbr: "2 Chr" },
+    EZR: { name: "Ezra", abbr: "Ezra" },
+    NEH: { name: "Nehemiah", abbr: "Neh" },
+    EST: { name: "Esther", abbr: "Esth" },
+    JOB: { name: "Job", abbr: "Job" },
+    PSA: { name: "Psalms", abbr: "Ps" },
+    PRO: { name: "Proverbs", abbr: "Prov" },
+    ECC: { name: "Ecclesiastes", abbr: "Eccl" },
+    SNG: { name: "Song of Songs", abbr: "Song" },
+    ISA: { name: "Isaiah", abbr: "Isa" },
+    JER: { name: "Jeremiah", abbr: "Jer" },
+    LAM: { name: "Lamentations", abbr: "Lam" },
+    EZK: { name: "Ezekiel", abbr: "Ezek" },
+    DAN: { name: "Daniel", abbr: "Dan" },
+    HOS: { name: "Hosea", abbr: "Hos" },
+    JOL: { name: "Joel", abbr: "Joel" },
+    AMO: { name: "Amos", abbr: "Amos" },
+    OBA: { name: "Obadiah", abbr: "Obad" },
+    JON: { name: "Jonah", abbr: "Jonah" },
+    MIC: { name: "Micah", abbr: "Mic" },
+    NAM: { name: "Nahum", abbr: "Nah" },
+    HAB: { name: "Habakkuk", abbr: "Hab" },
+    ZEP: { name: "Zephaniah", abbr: "Zeph" },
+    HAG: { name: "Haggai", abbr: "Hag" },
+    ZEC: { name: "Zechariah", abbr: "Zech" },
+    MAL: { name: "Malachi", abbr: "Mal" },
+    MAT: { name: "Matthew", abbr: "Matt" },
+    MRK: { name: "Mark", abbr: "Mark" },
+    LUK: { name: "Luke", abbr: "Luke" },
+    JHN: { name: "John", abbr: "John" },
+    ACT: { name: "Acts", abbr: "Acts" },
+    ROM: { name: "Romans", abbr: "Rom" },
+    "1CO": { name: "1 Corinthians", abbr: "1 Cor" },
+    "2CO": { name: "2 Corinthians", abbr: "2 Cor" },
+    GAL: { name: "Galatians", abbr: "Gal" },
+    EPH: { name: "Ephesians", abbr: "Eph" },
+    PHP: { name: "Philippians", abbr: "Phil" },
+    COL: { name: "Colossians", abbr: "Col" },
+    "1TH": { name: "1 Thessalonians", abbr: "1 Thess" },
+    "2TH": { name: "2 Thessalonians", abbr: "2 Thess" },
+    "1TI": { name: "1 Timothy", abbr: "1 Tim" },
+    "2TI": { name: "2 Timothy", abbr: "2 Tim" },
+    TIT: { name: "Titus", abbr: "Titus" },
+    PHM: { name: "Philemon", abbr: "Phlm" },
+    HEB: { name: "Hebrews", abbr: "Heb" },
+    JAS: { name: "James", abbr: "Jas" },
+    "1PE": { name: "1 Peter", abbr: "1 Pet" },
+    "2PE": { name: "2 Peter", abbr: "2 Pet" },
+    "1JN": { name: "1 John", abbr: "1 John" },
+    "2JN": { name: "2 John", abbr: "2 John" },
+    "3JN": { name: "3 John", abbr: "3 John" },
+    JUD: { name: "Jude", abbr: "Jude" },
+    REV: { name: "Revelation", abbr: "Rev" },
+  },
 };
 
 export default en;
@@ -0,0 +1,321 @@
+// Spanish UI strings
+export const es = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "Seleccionar idioma",
+    changeLanguage: "Cambiar idioma",
+    search: "Buscar",
+    offlinePacks: "Paquetes de historias sin conexión",
+    queue: "Cola y listas de reproducción",
+    myNotes: "Mis notas",
+    settings: "Preferencias de lectura",
+  },
+
+  languageSelector: {
+    title: "Seleccionar idioma",
+    close: "Cerrar",
+    searchPlaceholder: "Buscar por nombre o código de idioma...",
+    noLanguageSelected: "Ningún idioma seleccionado",
+    loadingLanguages: "Cargando idiomas...",
+    noLanguagesFound: "No se encontraron idiomas",
+    allLanguages: "Todos los idiomas",
+    byRegion: "Por región",
+    allRegions: "Todas las regiones",
+    regionSearchPlaceholder: "Buscar por país, región o idioma...",
+    noRegionsFound: "No se encontraron regiones",
+    tradeLanguages: "Lenguas francas",
+    regionalLanguages: "Idiomas regionales",
+    otherLanguages: "Otros idiomas",
+    parallelTitle: "Seleccionar idioma del texto paralelo",
+    parallelText: "Texto paralelo:",
+    parallelOff: "Desactivado",
+    choose: "Elegir",
+    cancel: "Cancelar",
+    turnOff: "Desactivar",
+    current: "Actual:",
+    noLanguagesMatching: "Ningún idioma coincide con «{search}»",
+  },
+
+  versionPicker: {
+    title: "Versiones",
+    ot: "Antiguo Testamento",
+    nt: "Nuevo Testamento",
+    text: "Texto",
+    audio: "Audio",
+    none: "Ninguna",
+    switching: "Cambiando de versión...",
+  },
+
+  storyViewer: {
+    loadingStory: "Cargando historia...",
+    errorTitle: "Historia no disponible",
+    errorMessage: "Esta historia aún no se ha añadido a la colección.",
+    errorDetail: "Vuelva más tarde o elija otra historia.",
+    noSections: "No hay secciones disponibles",
+    resumeFromSection: "Continuar desde la sección {section} ({time})",
+    startOver: "Empezar de nuevo",
+    sectionAlt: "Sección {number}",
+  },
+
+  bibleText: {
+    loading: "Cargando {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "Audio de la historia",
+    loadingVerse: "Cargando...",
+    minimize: "Minimizar reproductor",
+    play: "Reproducir",
+    pause: "Pausa",
+    stop: "Detener",
+    seek: "Buscar posición",
+    loadingAudio: "Cargando audio...",
+  },
+
+  queue: {
+    title: "Cola y listas de reproducción",
+    nowPlaying: "Reproduciendo",
+    nothingPlaying: "No se está reproduciendo nada",
+    upNext: "A continuación",
+    empty: "La cola está vacía. Añada historias desde la cuadrícula.",
+    clear: "Vaciar la cola",
+    playNow: "Reproducir ahora",
+    moveUp: "Subir",
+    moveDown: "Bajar",
+    remove: "Quitar de la cola",
+    addToQueue: "Añadir a la cola",
+    savedPlaylists: "Listas guardadas",
+    playlistNamePlaceholder: "Nombre de la lista, p. ej. Historias de Pascua",
+    saveQueue: "Guardar",
+    noSavedPlaylists: "Aún no hay listas guardadas",
+    stories: {
+      one: "{count} historia",
+      other: "{count} historias",
+    },
+    delete: "Eliminar lista",
+    confirmDelete: "¿Eliminar esta lista?",
+    preparing: "Preparando el audio...",
+    adding: "Añadiendo...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Sin repetición",
+    repeatSegment: "Repetir sección",
+    repeatStory: "Repetir historia",
+    repeatQueue: "Repetir cola",
+    loopStart: "Fijar inicio del bucle (A)",
+    loopEnd: "Fijar fin del bucle (B)",
+    loopClear: "Quitar bucle A-B",
+    sleepTimer: "Temporizador",
+    sleepOff: "Desactivar temporizador",
+    minutes: "min",
+    endOfStory: "Fin de la historia",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "Sección",
+    hideText: "Ocultar texto",
+    showText: "Mostrar texto",
+    noText: "No hay texto disponible para esta sección.",
+  },
+
+  annotations: {
+    bookmark: "Marcador",
+    highlight: "Resaltar",
+    addNote: "Añadir nota",
+    editNote: "Editar nota",
+    notePlaceholder: "Escriba una nota sobre esta sección...",
+    saveNote: "Guardar nota",
+    cancel: "Cancelar",
+    colors: {
+      yellow: "Amarillo",
+      green: "Verde",
+      blue: "Azul",
+      pink: "Rosa",
+    },
+  },
+
+  notes: {
+    title: "Mis notas",
+    empty: "Aún no hay marcadores, resaltados ni notas",
+    section: "Sección",
+    remove: "Quitar",
+    export: "Exportar",
+    import: "Importar",
+    imported: {
+      one: "{count} anotación importada",
+      other: "{count} anotaciones importadas",
+    },
+    importFailed: "Este archivo no contiene notas exportadas",
+    filters: {
+      all: "Todo",
+      bookmarks: "Marcadores",
+      highlights: "Resaltados",
+      notes: "Notas",
+    },
+  },
+
+  settings: {
+    title: "Preferencias de lectura",
+    theme: "Tema",
+    themeOptions: {
+      light: "Claro",
+      dark: "Oscuro",
+      system: "Sistema",
+    },
+    textSize: "Tamaño del texto",
+    lineSpacing: "Interlineado",
+    lineSpacingOptions: {
+      compact: "Compacto",
+      normal: "Normal",
+      relaxed: "Amplio",
+    },
+    dyslexicFont: "Fuente adaptada a la dislexia",
+    preview: "En el principio creó Dios los cielos y la tierra.",
+    reset: "Restablecer",
+    done: "Listo",
+  },
+
+  search: {
+    title: "Buscar",
+    placeholder: "Buscar historias, referencias y texto bíblico...",
+    indexing: "Preparando la búsqueda...",
+    noResults: "No se encontraron resultados",
+  },
+
+  storyPacks: {
+    title: "Paquetes de historias sin conexión",
+    language: "Idioma",
+    notSupported:
+      "Este navegador no admite paquetes de historias sin conexión.",
+    downloaded: "Descargado",
+    stories: {
+      one: "{count} historia",
+      other: "{count} historias",
+    },
+    missingAudio: {
+      one: "No se pudo guardar {count} archivo de audio. Descargue de nuevo para reintentar.",
+      other:
+        "No se pudieron guardar {count} archivos de audio. Descargue de nuevo para reintentar.",
+    },
+    delete: "Eliminar paquete",
+    phaseStories: "Guardando historias e imágenes",
+    phaseChapters: "Guardando texto bíblico y audio",
+    cancel: "Cancelar",
+    downloadFailed:
+      "La descarga falló. Compruebe su conexión e inténtelo de nuevo.",
+    storageUsed: "Almacenamiento usado",
+    storageUnknown: "desconocido",
+    downloadSelected: "Descargar selección",
+    downloadAll: "Descargar todas las historias",
+  },
+
+  navigationGrid: {
+    loading: "Cargando...",
+    noAudioToQueue: "No hay audio sincronizado para la cola en este idioma",
+    continue: "Continuar donde lo dejó",
+    sectionsDone: "{done}/{total} secciones terminadas",
+    back: "Volver",
+    collectionTitle: "Historias bíblicas abiertas",
+    hideEmpty: {
+      one: "Ocultar {count} historia sin texto",
+      other: "Ocultar {count} historias sin texto",
+    },
+    showEmpty: {
+      one: "Mostrar {count} historia sin texto",
+      other: "Mostrar {count} historias sin texto",
+    },
+  },
+
+  storyAvailability: {
+    full: "Texto disponible",
+    empty: "Texto no disponible",
+    unknown: "Estado del contenido desconocido",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "Texto disponible para todos los testamentos necesarios",
+    emptyTooltip: "Texto no disponible para los testamentos necesarios",
+  },
+
+  // Reference punctuation, e.g. "Génesis 1:1-2, 4; Éxodo 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: ", ",
+    list: "; ",
+    following: "ss",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Génesis", abbr: "Gn" },
+    EXO: { name: "Éxodo", abbr: "Ex" },
+    LEV: { name: "Levítico", abbr: "Lv" },
+    NUM: { name: "Números", abbr: "Nm" },
+    DEU: { name: "Deuteronomio", abbr: "Dt" },
+    JOS: { name: "Josué", abbr: "Jos" },
+    JDG: { name: "Jueces", abbr: "Jue" },
+    RUT: { name: "Rut", abbr: "Rt" },
+    "1SA": { name: "1 Samuel", abbr: "1 S" },
+    "2SA": { name: "2 Samuel", abbr: "2 S" },
+    "1KI": { name: "1 Reyes", abbr: "1 R" },
+    "2KI": { name: "2 Reyes", abbr: "2 R" },
+    "1CH": { name: "1 Crónicas", abbr: "1 Cr" },
+    "2CH": { name: "2 Crónicas", abbr: "2 Cr" },
+    EZR: { name: "Esdras", abbr: "Esd" },
+    NEH: { name: "Nehemías", abbr: "Neh" },
+    EST: { name: "Ester", abbr: "Est" },
+    JOB: { name: "Job", abbr: "Job" },
+    PSA: { name: "Salmos", abbr: "Sal" },
+    PRO: { name: "Proverbios", abbr: "Pr" },
+    ECC: { name: "Eclesiastés", abbr: "Ec" },
+    SNG: { name: "Cantares", abbr: "Cnt" },
+    ISA: { name: "Isaías", abbr: "Is" },
+    JER: { name: "Jeremías", abbr: "Jer" },
+    LAM: { name: "Lamentaciones", abbr: "Lm" },
+    EZK: { name: "Ezequiel", abbr: "Ez" },
+    DAN: { name: "Daniel", abbr: "Dn" },
+    HOS: { name: "Oseas", abbr: "Os" },
+    JOL: { name: "Joel", abbr: "Jl" },
+    AMO: { name: "Amós", abbr: "Am" },
+    OBA: { name: "Abdías", abbr: "Abd" },
+    JON: { name: "Jonás", abbr: "Jon" },
+    MIC: { name: "Miqueas", abbr: "Mi" },
+    NAM: { name: "Nahúm", abbr: "Nah" },
+    HAB: { name: "Habacuc", abbr: "Hab" },
+    ZEP: { name: "Sofonías", abbr: "Sof" },
+    HAG: { name: "Hageo", abbr: "Hag" },
+    ZEC: { name: "Zacarías", abbr: "Zac" },
+    MAL: { name: "Malaquías", abbr: "Mal" },
+    MAT: { name: "Mateo", abbr: "Mt" },
+    MRK: { name: "Marcos", abbr: "Mc" },
+    LUK: { name: "Lucas", abbr: "Lc" },
+    JHN: { name: "Juan", abbr: "Jn" },
+    ACT: { name: "Hechos", abbr: "Hch" },
+    ROM: { name: "Romanos", abbr: "Ro" },
+    "1CO": { name: "1 Corintios", abbr: "1 Co" },
+    "2CO": { name: "2 Corintios", abbr: "2 Co" },
+    GAL: { name: "Gálatas", abbr: "Gá" },
+    EPH: { name: "Efesios", abbr: "Ef" },
+    PHP: { name: "Filipenses", abbr: "Flp" },
+    COL: { name: "Colosenses", abbr: "Col" },
+    "1TH": { name: "1 Tesalonicenses", abbr: "1 Ts" },
+    "2TH": { name: "2 Tesalonicenses", abbr: "2 Ts" },
+    "1TI": { name: "1 Timoteo", abbr: "1 Ti" },
+    "2TI": { name: "2 Timoteo", abbr: "2 Ti" },
+    TIT: { name: "Tito", abbr: "Tit" },
+    PHM: { name: "Filemón", abbr: "Flm" },
+    HEB: { name: "Hebreos", abbr: "Heb" },
+    JAS: { name: "Santiago", abbr: "Stg" },
+    "1PE": { name: "1 Pedro", abbr: "1 P" },
+    "2PE": { name: "2 Pedro", abbr: "2 P" },
+    "1JN": { name: "1 Juan", abbr: "1 Jn" },
+    "2JN": { name: "2 Juan", abbr: "2 Jn" },
+    "3JN": { name: "3 Juan", abbr: "3 Jn" },
+    JUD: { name: "Judas", abbr: "Jud" },
+    REV: { name: "Apocalipsis", abbr: "Ap" },
+  },
+};
+
+export default es;
@@ -4,6 +4,11 @@ export const fr = {
     title: "Boussole Biblique",
     selectLanguage: "Sélectionner la langue",
     changeLanguage: "Changer de langue",
+    search: "Rechercher",
+    offlinePacks: "Histoires hors ligne",
+    queue: "File d'attente et listes de lecture",
+    myNotes: "Mes notes",
+    settings: "Préférences de lecture",
   },
 
   languageSelector: {
@@ -13,6 +18,32 @@ export const fr = {
     noLanguageSelected: "Aucune langue sélectionnée",
     loadingLanguages: "Chargement des langues...",
     noLanguagesFound: "Aucune langue trouvée",
+    allLanguages: "Toutes les langues",
+    byRegion: "Par région",
+    allRegions: "Toutes les régions",
+    regionSearchPlaceholder: "Rechercher par pays, région ou langue...",
+    noRegionsFound: "Aucune région trouvée",
+    tradeLanguages: "Langues véhiculaires",
+    regionalLanguages: "Langues régionales",
+    otherLanguages: "Autres langues",
+    parallelTitle: "Sélectionner la langue du texte parallèle",
+    parallelText: "Texte parallèle :",
+    parallelOff: "Désactivé",
+    choose: "Choisir",
+    cancel: "Annuler",
+    turnOff: "Désactiver",
+    current: "Actuelle :",
+    noLanguagesMatching: "Aucune langue ne correspond à « {search} »",
+  },
+
+  versionPicker: {
+    title: "Versions",
+    ot: "Ancien Testament",
+    nt: "Nouveau Testament",
+    text: "Texte",
+    audio: "Audio",
+    none: "Aucune",
+    switching: "Changement de version...",
   },
 
   storyViewer: {
@@ -23,6 +54,13 @@ export const fr = {
     errorDetail:
       "Veuillez réessayer plus tard ou sélectionner une autre histoire.",
     noSections: "Aucune section disponible",
+    resumeFromSection: "Reprendre à la section {section} ({time})",
+    startOver: "Recommencer",
+    sectionAlt: "Section {number}",
+  },
+
+  bibleText: {
+    loading: "Chargement de {reference}...",
   },
 
   audioPlayer: {
@@ -36,14 +74,161 @@ export const fr = {
     loadingAudio: "Chargement audio...",
   },
 
+  queue: {
+    title: "File d'attente et listes de lecture",
+    nowPlaying: "En cours de lecture",
+    nothingPlaying: "Aucune lecture en cours",
+    upNext: "À suivre",
+    empty:
+      "La file d'attente est vide. Ajoutez des histoires depuis la grille.",
+    clear: "Vider la file d'attente",
+    playNow: "Lire maintenant",
+    moveUp: "Monter",
+    moveDown: "Descendre",
+    remove: "Retirer de la file d'attente",
+    addToQueue: "Ajouter à la file d'attente",
+    savedPlaylists: "Listes de lecture enregistrées",
+    playlistNamePlaceholder: "Nom de la liste, p. ex. Histoires de Pâques",
+    saveQueue: "Enregistrer",
+    noSavedPlaylists: "Aucune liste de lecture enregistrée",
+    stories: {
+      one: "{count} histoire",
+      other: "{count} histoires",
+    },
+    delete: "Supprimer la liste de lecture",
+    confirmDelete: "Supprimer cette liste de lecture ?",
+    preparing: "Préparation de l'audio...",
+    adding: "Ajout...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Répétition désactivée",
+    repeatSegment: "Répéter la section",
+    repeatStory: "Répéter l'histoire",
+    repeatQueue: "Répéter la file d'attente",
+    loopStart: "Définir le début de la boucle (A)",
+    loopEnd: "Définir la fin de la boucle (B)",
+    loopClear: "Supprimer la boucle A-B",
+    sleepTimer: "Minuterie de sommeil",
+    sleepOff: "Désactiver la minuterie",
+    minutes: "min",
+    endOfStory: "Fin de l'histoire",
+  },
+
   fullPlayingPane: {
     sectionAlt: "Section",
     hideText: "Masquer le texte",
     showText: "Afficher le texte",
+    noText: "Aucun texte disponible pour cette section.",
+  },
+
+  annotations: {
+    bookmark: "Signet",
+    highlight: "Surligner",
+    addNote: "Ajouter une note",
+    editNote: "Modifier la note",
+    notePlaceholder: "Écrire une note sur cette section...",
+    saveNote: "Enregistrer la note",
+    cancel: "Annuler",
+    colors: {
+      yellow: "Jaune",
+      green: "Vert",
+      blue: "Bleu",
+      pink: "Rose",
+    },
+  },
+
+  notes: {
+    title: "Mes notes",
+    empty: "Aucun signet, surlignage ou note pour l'instant",
+    section: "Section",
+    remove: "Supprimer",
+    export: "Exporter",
+    import: "Importer",
+    imported: {
+      one: "{count} annotation importée",
+      other: "{count} annotations importées",
+    },
+    importFailed: "Ce fichier ne contient pas de notes exportées",
+    filters: {
+      all: "Tout",
+      bookmarks: "Signets",
+      highlights: "Surlignages",
+      notes: "Notes",
+    },
+  },
+
+  settings: {
+    title: "Préférences de lecture",
+    theme: "Thème",
+    themeOptions: {
+      light: "Clair",
+      dark: "Sombre",
+      system: "Système",
+    },
+    textSize: "Taille du texte",
+    lineSpacing: "Interligne",
+    lineSpacingOptions: {
+      compact: "Serré",
+      normal: "Normal",
+      relaxed: "Aéré",
+    },
+    dyslexicFont: "Police adaptée à la dyslexie",
+    preview: "Au commencement, Dieu créa les cieux et la terre.",
+    reset: "Réinitialiser",
+    done: "Terminé",
+  },
+
+  search: {
+    title: "Rechercher",
+    placeholder:
+      "Rechercher des histoires, des références et le texte biblique...",
+    indexing: "Préparation de la recherche...",
+    noResults: "Aucun résultat trouvé",
+  },
+
+  storyPacks: {
+    title: "Packs d'histoires hors ligne",
+    language: "Langue",
+    notSupported:
+      "Les packs d'histoires hors ligne ne sont pas pris en charge par ce navigateur.",
+    downloaded: "Téléchargé",
+    stories: {
+      one: "{count} histoire",
+      other: "{count} histoires",
+    },
+    missingAudio: {
+      one: "{count} fichier audio n'a pas pu être enregistré. Téléchargez à nouveau pour réessayer.",
+      other:
+        "{count} fichiers audio n'ont pas pu être enregistrés. Téléchargez à nouveau pour réessayer.",
+    },
+    delete: "Supprimer le pack",
+    phaseStories: "Enregistrement des histoires et des images",
+    phaseChapters: "Enregistrement du texte biblique et de l'audio",
+    cancel: "Annuler",
+    downloadFailed:
+      "Échec du téléchargement. Vérifiez votre connexion et réessayez.",
+    storageUsed: "Stockage utilisé",
+    storageUnknown: "inconnu",
+    downloadSelected: "Télécharger la sélection",
+    downloadAll: "Télécharger toutes les histoires",
   },
 
   navigationGrid: {
     loading: "Chargement...",
+    noAudioToQueue: "Aucun audio synchronisé à ajouter dans cette langue",
+    continue: "Reprendre là où vous vous êtes arrêté",
+    sectionsDone: "{done}/{total} sections terminées",
+    back: "Retour",
+    collectionTitle: "Histoires bibliques ouvertes",
+    hideEmpty: {
+      one: "Masquer {count} histoire sans texte",
+      other: "Masquer {count} histoires sans texte",
+    },
+    showEmpty: {
+      one: "Afficher {count} histoire sans texte",
+      other: "Afficher {count} histoires sans texte",
+    },
   },
 
   storyAvailability: {
@@ -56,6 +241,85 @@ export const fr = {
     fullTooltip: "Texte disponible pour tous les testaments requis",
     emptyTooltip: "Texte non disponible pour les testaments requis",
   },
+
+  // Reference punctuation, e.g. "Genèse 1.1-2,4 ; Exode 3.2"
+  referenceFormat: {
+    chapterVerse: ".",
+    range: "-",
+    verseList: ",",
+    list: " ; ",
+    following: "ss",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Genèse", abbr: "Gn" },
+    EXO: { name: "Exode", abbr: "Ex" },
+    LEV: { name: "Lévitique", abbr: "Lv" },
+    NUM: { name: "Nombres", abbr: "Nb" },
+    DEU: { name: "Deutéronome", abbr: "Dt" },
+    JOS: { name: "Josué", abbr: "Jos" },
+    JDG: { name: "Juges", abbr: "Jg" },
+    RUT: { name: "Ruth", abbr: "Rt" },
+    "1SA": { name: "1 Samuel", abbr: "1 S" },
+    "2SA": { name: "2 Samuel", abbr: "2 S" },
+    "1KI": { name: "1 Rois", abbr: "1 R" },
+    "2KI": { name: "2 Rois", abbr: "2 R" },
+    "1CH": { name: "1 Chroniques", abbr: "1 Ch" },
+    "2CH": { name: "2 Chroniques", abbr: "2 Ch" },
+    EZR: { name: "Esdras", abbr: "Esd" },
+    NEH: { name: "Néhémie", abbr: "Né" },
+    EST: { name: "Esther", abbr: "Est" },
+    JOB: { name: "Job", abbr: "Jb" },
+    PSA: { name: "Psaumes", abbr: "Ps" },
+    PRO: { name: "Proverbes", abbr: "Pr" },
+    ECC: { name: "Ecclésiaste", abbr: "Ec" },
+    SNG: { name: "Cantique des cantiques", abbr: "Ct" },
+    ISA: { name: "Ésaïe", abbr: "Es" },
+    JER: { name: "Jérémie", abbr: "Jr" },
+    LAM: { name: "Lamentations", abbr: "Lm" },
+    EZK: { name: "Ézéchiel", abbr: "Ez" },
+    DAN: { name: "Daniel", abbr: "Dn" },
+    HOS: { name: "Osée", abbr: "Os" },
+    JOL: { name: "Joël", abbr: "Jl" },
+    AMO: { name: "Amos", abbr: "Am" },
+    OBA: { name: "Abdias", abbr: "Ab" },
+    JON: { name: "Jonas", abbr: "Jon" },
+    MIC: { name: "Michée", abbr: "Mi" },
+    NAM: { name: "Nahoum", abbr: "Na" },
+    HAB: { name: "Habacuc", abbr: "Ha" },
+    ZEP: { name: "Sophonie", abbr: "So" },
+    HAG: { name: "Aggée", abbr: "Ag" },
+    ZEC: { name: "Zacharie", abbr: "Za" },
+    MAL: { name: "Malachie", abbr: "Ml" },
+    MAT: { name: "Matthieu", abbr: "Mt" },
+    MRK: { name: "Marc", abbr: "Mc" },
+    LUK: { name: "Luc", abbr: "Lc" },
+    JHN: { name: "Jean", abbr: "Jn" },
+    ACT: { name: "Actes", abbr: "Ac" },
+    ROM: { name: "Romains", abbr: "Rm" },
+    "1CO": { name: "1 Corinthiens", abbr: "1 Co" },
+    "2CO": { name: "2 Corinthiens", abbr: "2 Co" },
+    GAL: { name: "Galates", abbr: "Ga" },
+    EPH: { name: "Éphésiens", abbr: "Ep" },
+    PHP: { name: "Philippiens", abbr: "Ph" },
+    COL: { name: "Colossiens", abbr: "Col" },
+    "1TH": { name: "1 Thessaloniciens", abbr: "1 Th" },
+    "2TH": { name: "2 Thessaloniciens", abbr: "2 Th" },
+    "1TI": { name: "1 Timothée", abbr: "1 Tm" },
+    "2TI": { name: "2 Timothée", abbr: "2 Tm" },
+    TIT: { name: "Tite", abbr: "Tt" },
+    PHM: { name: "Philémon", abbr: "Phm" },
+    HEB: { name: "Hébreux", abbr: "He" },
+    JAS: { name: "Jacques", abbr: "Jc" },
+    "1PE": { name: "1 Pierre", abbr: "1 P" },
+    "2PE": { name: "2 Pierre", abbr: "2 P" },
+    "1JN": { name: "1 Jean", abbr: "1 Jn" },
+    "2JN": { name: "2 Jean", abbr: "2 Jn" },
+    "3JN": { name: "3 Jean", abbr: "3 Jn" },
+    JUD: { name: "Jude", abbr: "Jude" },
+    REV: { name: "Apocalypse", abbr: "Ap" },
+  },
 };
 
 export default fr;
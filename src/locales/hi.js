@@ -0,0 +1,320 @@
+// Hindi UI strings
+export const hi = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "भाषा चुनें",
+    changeLanguage: "भाषा बदलें",
+    search: "खोजें",
+    offlinePacks: "ऑफ़लाइन कहानी पैक",
+    queue: "कतार और प्लेलिस्ट",
+    myNotes: "मेरे नोट्स",
+    settings: "पढ़ने की प्राथमिकताएँ",
+  },
+
+  languageSelector: {
+    title: "भाषा चुनें",
+    close: "बंद करें",
+    searchPlaceholder: "भाषा के नाम या कोड से खोजें...",
+    noLanguageSelected: "कोई भाषा नहीं चुनी गई",
+    loadingLanguages: "भाषाएँ लोड हो रही हैं...",
+    noLanguagesFound: "कोई भाषा नहीं मिली",
+    allLanguages: "सभी भाषाएँ",
+    byRegion: "क्षेत्र के अनुसार",
+    allRegions: "सभी क्षेत्र",
+    regionSearchPlaceholder: "देश, क्षेत्र या भाषा से खोजें...",
+    noRegionsFound: "कोई क्षेत्र नहीं मिला",
+    tradeLanguages: "संपर्क भाषाएँ",
+    regionalLanguages: "क्षेत्रीय भाषाएँ",
+    otherLanguages: "अन्य भाषाएँ",
+    parallelTitle: "समानांतर पाठ की भाषा चुनें",
+    parallelText: "समानांतर पाठ:",
+    parallelOff: "बंद",
+    choose: "चुनें",
+    cancel: "रद्द करें",
+    turnOff: "बंद करें",
+    current: "वर्तमान:",
+    noLanguagesMatching: '"{search}" से मेल खाती कोई भाषा नहीं मिली',
+  },
+
+  versionPicker: {
+    title: "संस्करण",
+    ot: "पुराना नियम",
+    nt: "नया नियम",
+    text: "पाठ",
+    audio: "ऑडियो",
+    none: "कोई नहीं",
+    switching: "संस्करण बदला जा रहा है...",
+  },
+
+  storyViewer: {
+    loadingStory: "कहानी लोड हो रही है...",
+    errorTitle: "कहानी उपलब्ध नहीं है",
+    errorMessage: "यह कहानी अभी संग्रह में नहीं जोड़ी गई है।",
+    errorDetail: "कृपया बाद में देखें या कोई दूसरी कहानी चुनें।",
+    noSections: "कोई खंड उपलब्ध नहीं",
+    resumeFromSection: "खंड {section} ({time}) से जारी रखें",
+    startOver: "फिर से शुरू करें",
+    sectionAlt: "खंड {number}",
+  },
+
+  bibleText: {
+    loading: "{reference} लोड हो रहा है...",
+  },
+
+  audioPlayer: {
+    defaultReference: "कहानी का ऑडियो",
+    loadingVerse: "लोड हो रहा है...",
+    minimize: "प्लेयर छोटा करें",
+    play: "चलाएँ",
+    pause: "रोकें",
+    stop: "बंद करें",
+    seek: "स्थान बदलें",
+    loadingAudio: "ऑडियो लोड हो रहा है...",
+  },
+
+  queue: {
+    title: "कतार और प्लेलिस्ट",
+    nowPlaying: "अभी चल रहा है",
+    nothingPlaying: "कुछ नहीं चल रहा है",
+    upNext: "आगे",
+    empty: "कतार खाली है। कहानी ग्रिड से कहानियाँ जोड़ें।",
+    clear: "कतार खाली करें",
+    playNow: "अभी चलाएँ",
+    moveUp: "ऊपर ले जाएँ",
+    moveDown: "नीचे ले जाएँ",
+    remove: "कतार से हटाएँ",
+    addToQueue: "कतार में जोड़ें",
+    savedPlaylists: "सहेजी गई प्लेलिस्ट",
+    playlistNamePlaceholder: "प्लेलिस्ट का नाम, जैसे ईस्टर की कहानियाँ",
+    saveQueue: "सहेजें",
+    noSavedPlaylists: "अभी कोई प्लेलिस्ट सहेजी नहीं गई",
+    stories: {
+      one: "{count} कहानी",
+      other: "{count} कहानियाँ",
+    },
+    delete: "प्लेलिस्ट हटाएँ",
+    confirmDelete: "यह प्लेलिस्ट हटाएँ?",
+    preparing: "ऑडियो तैयार हो रहा है...",
+    adding: "जोड़ा जा रहा है...",
+  },
+
+  playbackOptions: {
+    repeatOff: "दोहराव बंद",
+    repeatSegment: "खंड दोहराएँ",
+    repeatStory: "कहानी दोहराएँ",
+    repeatQueue: "कतार दोहराएँ",
+    loopStart: "लूप की शुरुआत (A) तय करें",
+    loopEnd: "लूप का अंत (B) तय करें",
+    loopClear: "A-B लूप हटाएँ",
+    sleepTimer: "स्लीप टाइमर",
+    sleepOff: "टाइमर बंद करें",
+    minutes: "मिनट",
+    endOfStory: "कहानी के अंत में",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "खंड",
+    hideText: "पाठ छिपाएँ",
+    showText: "पाठ दिखाएँ",
+    noText: "इस खंड के लिए कोई पाठ उपलब्ध नहीं है।",
+  },
+
+  annotations: {
+    bookmark: "बुकमार्क",
+    highlight: "हाइलाइट करें",
+    addNote: "नोट जोड़ें",
+    editNote: "नोट बदलें",
+    notePlaceholder: "इस खंड के बारे में नोट लिखें...",
+    saveNote: "नोट सहेजें",
+    cancel: "रद्द करें",
+    colors: {
+      yellow: "पीला",
+      green: "हरा",
+      blue: "नीला",
+      pink: "गुलाबी",
+    },
+  },
+
+  notes: {
+    title: "मेरे नोट्स",
+    empty: "अभी कोई बुकमार्क, हाइलाइट या नोट नहीं है",
+    section: "खंड",
+    remove: "हटाएँ",
+    export: "निर्यात करें",
+    import: "आयात करें",
+    imported: {
+      one: "{count} टिप्पणी आयात की गई",
+      other: "{count} टिप्पणियाँ आयात की गईं",
+    },
+    importFailed: "इस फ़ाइल में निर्यात किए गए नोट्स नहीं हैं",
+    filters: {
+      all: "सभी",
+      bookmarks: "बुकमार्क",
+      highlights: "हाइलाइट",
+      notes: "नोट्स",
+    },
+  },
+
+  settings: {
+    title: "पढ़ने की प्राथमिकताएँ",
+    theme: "थीम",
+    themeOptions: {
+      light: "हल्की",
+      dark: "गहरी",
+      system: "सिस्टम",
+    },
+    textSize: "पाठ का आकार",
+    lineSpacing: "पंक्तियों के बीच की दूरी",
+    lineSpacingOptions: {
+      compact: "कम",
+      normal: "सामान्य",
+      relaxed: "अधिक",
+    },
+    dyslexicFont: "डिस्लेक्सिया के अनुकूल फ़ॉन्ट",
+    preview: "आदि में परमेश्वर ने आकाश और पृथ्वी की सृष्टि की।",
+    reset: "रीसेट करें",
+    done: "हो गया",
+  },
+
+  search: {
+    title: "खोजें",
+    placeholder: "कहानियाँ, संदर्भ और बाइबल का पाठ खोजें...",
+    indexing: "खोज तैयार हो रही है...",
+    noResults: "कोई परिणाम नहीं मिला",
+  },
+
+  storyPacks: {
+    title: "ऑफ़लाइन कहानी पैक",
+    language: "भाषा",
+    notSupported: "यह ब्राउज़र ऑफ़लाइन कहानी पैक का समर्थन नहीं करता।",
+    downloaded: "डाउनलोड किया गया",
+    stories: {
+      one: "{count} कहानी",
+      other: "{count} कहानियाँ",
+    },
+    missingAudio: {
+      one: "{count} ऑडियो फ़ाइल सहेजी नहीं जा सकी। फिर से प्रयास करने के लिए दोबारा डाउनलोड करें।",
+      other:
+        "{count} ऑडियो फ़ाइलें सहेजी नहीं जा सकीं। फिर से प्रयास करने के लिए दोबारा डाउनलोड करें।",
+    },
+    delete: "पैक हटाएँ",
+    phaseStories: "कहानियाँ और चित्र सहेजे जा रहे हैं",
+    phaseChapters: "बाइबल का पाठ और ऑडियो सहेजे जा रहे हैं",
+    cancel: "रद्द करें",
+    downloadFailed:
+      "डाउनलोड विफल रहा। अपना कनेक्शन जाँचें और फिर से कोशिश करें।",
+    storageUsed: "उपयोग किया गया संग्रहण",
+    storageUnknown: "अज्ञात",
+    downloadSelected: "चुनी हुई डाउनलोड करें",
+    downloadAll: "सभी कहानियाँ डाउनलोड करें",
+  },
+
+  navigationGrid: {
+    loading: "लोड हो रहा है...",
+    noAudioToQueue: "इस भाषा में कतार के लिए समयबद्ध ऑडियो नहीं है",
+    continue: "जहाँ छोड़ा था वहीं से जारी रखें",
+    sectionsDone: "{done}/{total} खंड पूरे हुए",
+    back: "वापस",
+    collectionTitle: "मुक्त बाइबल कहानियाँ",
+    hideEmpty: {
+      one: "बिना पाठ वाली {count} कहानी छिपाएँ",
+      other: "बिना पाठ वाली {count} कहानियाँ छिपाएँ",
+    },
+    showEmpty: {
+      one: "बिना पाठ वाली {count} कहानी दिखाएँ",
+      other: "बिना पाठ वाली {count} कहानियाँ दिखाएँ",
+    },
+  },
+
+  storyAvailability: {
+    full: "पाठ उपलब्ध है",
+    empty: "पाठ उपलब्ध नहीं है",
+    unknown: "सामग्री की स्थिति अज्ञात",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "सभी आवश्यक नियमों के लिए पाठ उपलब्ध है",
+    emptyTooltip: "आवश्यक नियमों के लिए पाठ उपलब्ध नहीं है",
+  },
+
+  // Reference punctuation, e.g. "उत्पत्ति 1:1-2, 4; निर्गमन 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: ", ",
+    list: "; ",
+    following: "ff",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "उत्पत्ति", abbr: "उत्प" },
+    EXO: { name: "निर्गमन", abbr: "निर्ग" },
+    LEV: { name: "लैव्यव्यवस्था", abbr: "लैव्य" },
+    NUM: { name: "गिनती", abbr: "गिन" },
+    DEU: { name: "व्यवस्थाविवरण", abbr: "व्यव" },
+    JOS: { name: "यहोशू", abbr: "यहो" },
+    JDG: { name: "न्यायियों", abbr: "न्याय" },
+    RUT: { name: "रूत", abbr: "रूत" },
+    "1SA": { name: "1 शमूएल", abbr: "1 शमू" },
+    "2SA": { name: "2 शमूएल", abbr: "2 शमू" },
+    "1KI": { name: "1 राजाओं", abbr: "1 राजा" },
+    "2KI": { name: "2 राजाओं", abbr: "2 राजा" },
+    "1CH": { name: "1 इतिहास", abbr: "1 इति" },
+    "2CH": { name: "2 इतिहास", abbr: "2 इति" },
+    EZR: { name: "एज्रा", abbr: "एज्रा" },
+    NEH: { name: "नहेम्याह", abbr: "नहे" },
+    EST: { name: "एस्तेर", abbr: "एस्ते" },
+    JOB: { name: "अय्यूब", abbr: "अय्यू" },
+    PSA: { name: "भजन संहिता", abbr: "भज" },
+    PRO: { name: "नीतिवचन", abbr: "नीति" },
+    ECC: { name: "सभोपदेशक", abbr: "सभो" },
+    SNG: { name: "श्रेष्ठगीत", abbr: "श्रेष्ठ" },
+    ISA: { name: "यशायाह", abbr: "यशा" },
+    JER: { name: "यिर्मयाह", abbr: "यिर्म" },
+    LAM: { name: "विलापगीत", abbr: "विला" },
+    EZK: { name: "यहेजकेल", abbr: "यहे" },
+    DAN: { name: "दानिय्येल", abbr: "दानि" },
+    HOS: { name: "होशे", abbr: "होशे" },
+    JOL: { name: "योएल", abbr: "योए" },
+    AMO: { name: "आमोस", abbr: "आमो" },
+    OBA: { name: "ओबद्याह", abbr: "ओब" },
+    JON: { name: "योना", abbr: "योना" },
+    MIC: { name: "मीका", abbr: "मीका" },
+    NAM: { name: "नहूम", abbr: "नहूम" },
+    HAB: { name: "हबक्कूक", abbr: "हब" },
+    ZEP: { name: "सपन्याह", abbr: "सप" },
+    HAG: { name: "हाग्गै", abbr: "हाग्गै" },
+    ZEC: { name: "जकर्याह", abbr: "जक" },
+    MAL: { name: "मलाकी", abbr: "मला" },
+    MAT: { name: "मत्ती", abbr: "मत्ती" },
+    MRK: { name: "मरकुस", abbr: "मर" },
+    LUK: { name: "लूका", abbr: "लूका" },
+    JHN: { name: "यूहन्ना", abbr: "यूह" },
+    ACT: { name: "प्रेरितों के काम", abbr: "प्रेरि" },
+    ROM: { name: "रोमियों", abbr: "रोमि" },
+    "1CO": { name: "1 कुरिन्थियों", abbr: "1 कुरि" },
+    "2CO": { name: "2 कुरिन्थियों", abbr: "2 कुरि" },
+    GAL: { name: "गलातियों", abbr: "गला" },
+    EPH: { name: "इफिसियों", abbr: "इफि" },
+    PHP: { name: "फिलिप्पियों", abbr: "फिलि" },
+    COL: { name: "कुलुस्सियों", abbr: "कुलु" },
+    "1TH": { name: "1 थिस्सलुनीकियों", abbr: "1 थिस्स" },
+    "2TH": { name: "2 थिस्सलुनीकियों", abbr: "2 थिस्स" },
+    "1TI": { name: "1 तीमुथियुस", abbr: "1 तीमु" },
+    "2TI": { name: "2 तीमुथियुस", abbr: "2 तीमु" },
+    TIT: { name: "तीतुस", abbr: "तीतु" },
+    PHM: { name: "फिलेमोन", abbr: "फिले" },
+    HEB: { name: "इब्रानियों", abbr: "इब्रा" },
+    JAS: { name: "याकूब", abbr: "याकू" },
+    "1PE": { name: "1 पतरस", abbr: "1 पत" },
+    "2PE": { name: "2 पतरस", abbr: "2 पत" },
+    "1JN": { name: "1 यूहन्ना", abbr: "1 यूह" },
+    "2JN": { name: "2 यूहन्ना", abbr: "2 यूह" },
+    "3JN": { name: "3 यूहन्ना", abbr: "3 यूह" },
+    JUD: { name: "यहूदा", abbr: "यहू" },
+    REV: { name: "प्रकाशितवाक्य", abbr: "प्रका" },
+  },
+};
+
+export default hi;
@@ -0,0 +1,314 @@
+// Indonesian UI strings
+export const id = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "Pilih bahasa",
+    changeLanguage: "Ganti bahasa",
+    search: "Cari",
+    offlinePacks: "Paket cerita luring",
+    queue: "Antrean dan daftar putar",
+    myNotes: "Catatan saya",
+    settings: "Preferensi membaca",
+  },
+
+  languageSelector: {
+    title: "Pilih bahasa",
+    close: "Tutup",
+    searchPlaceholder: "Cari berdasarkan nama atau kode bahasa...",
+    noLanguageSelected: "Belum ada bahasa yang dipilih",
+    loadingLanguages: "Memuat bahasa...",
+    noLanguagesFound: "Bahasa tidak ditemukan",
+    allLanguages: "Semua bahasa",
+    byRegion: "Menurut wilayah",
+    allRegions: "Semua wilayah",
+    regionSearchPlaceholder: "Cari berdasarkan negara, wilayah, atau bahasa...",
+    noRegionsFound: "Wilayah tidak ditemukan",
+    tradeLanguages: "Bahasa perantara",
+    regionalLanguages: "Bahasa daerah",
+    otherLanguages: "Bahasa lain",
+    parallelTitle: "Pilih bahasa teks paralel",
+    parallelText: "Teks paralel:",
+    parallelOff: "Mati",
+    choose: "Pilih",
+    cancel: "Batal",
+    turnOff: "Matikan",
+    current: "Saat ini:",
+    noLanguagesMatching: 'Tidak ada bahasa yang cocok dengan "{search}"',
+  },
+
+  versionPicker: {
+    title: "Versi",
+    ot: "Perjanjian Lama",
+    nt: "Perjanjian Baru",
+    text: "Teks",
+    audio: "Audio",
+    none: "Tidak ada",
+    switching: "Mengganti versi...",
+  },
+
+  storyViewer: {
+    loadingStory: "Memuat cerita...",
+    errorTitle: "Cerita tidak tersedia",
+    errorMessage: "Cerita ini belum ditambahkan ke koleksi.",
+    errorDetail: "Silakan kembali nanti atau pilih cerita lain.",
+    noSections: "Tidak ada bagian yang tersedia",
+    resumeFromSection: "Lanjutkan dari bagian {section} ({time})",
+    startOver: "Mulai dari awal",
+    sectionAlt: "Bagian {number}",
+  },
+
+  bibleText: {
+    loading: "Memuat {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "Audio cerita",
+    loadingVerse: "Memuat...",
+    minimize: "Kecilkan pemutar",
+    play: "Putar",
+    pause: "Jeda",
+    stop: "Berhenti",
+    seek: "Geser posisi",
+    loadingAudio: "Memuat audio...",
+  },
+
+  queue: {
+    title: "Antrean dan daftar putar",
+    nowPlaying: "Sedang diputar",
+    nothingPlaying: "Tidak ada yang diputar",
+    upNext: "Berikutnya",
+    empty: "Antrean kosong. Tambahkan cerita dari kisi cerita.",
+    clear: "Kosongkan antrean",
+    playNow: "Putar sekarang",
+    moveUp: "Pindah ke atas",
+    moveDown: "Pindah ke bawah",
+    remove: "Hapus dari antrean",
+    addToQueue: "Tambahkan ke antrean",
+    savedPlaylists: "Daftar putar tersimpan",
+    playlistNamePlaceholder: "Nama daftar putar, mis. Cerita Paskah",
+    saveQueue: "Simpan",
+    noSavedPlaylists: "Belum ada daftar putar tersimpan",
+    stories: {
+      other: "{count} cerita",
+    },
+    delete: "Hapus daftar putar",
+    confirmDelete: "Hapus daftar putar ini?",
+    preparing: "Menyiapkan audio...",
+    adding: "Menambahkan...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Tanpa pengulangan",
+    repeatSegment: "Ulangi bagian",
+    repeatStory: "Ulangi cerita",
+    repeatQueue: "Ulangi antrean",
+    loopStart: "Atur awal pengulangan (A)",
+    loopEnd: "Atur akhir pengulangan (B)",
+    loopClear: "Hapus pengulangan A-B",
+    sleepTimer: "Pengatur waktu tidur",
+    sleepOff: "Matikan pengatur waktu",
+    minutes: "mnt",
+    endOfStory: "Akhir cerita",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "Bagian",
+    hideText: "Sembunyikan teks",
+    showText: "Tampilkan teks",
+    noText: "Tidak ada teks untuk bagian ini.",
+  },
+
+  annotations: {
+    bookmark: "Markah",
+    highlight: "Sorot",
+    addNote: "Tambah catatan",
+    editNote: "Ubah catatan",
+    notePlaceholder: "Tulis catatan tentang bagian ini...",
+    saveNote: "Simpan catatan",
+    cancel: "Batal",
+    colors: {
+      yellow: "Kuning",
+      green: "Hijau",
+      blue: "Biru",
+      pink: "Merah muda",
+    },
+  },
+
+  notes: {
+    title: "Catatan saya",
+    empty: "Belum ada markah, sorotan, atau catatan",
+    section: "Bagian",
+    remove: "Hapus",
+    export: "Ekspor",
+    import: "Impor",
+    imported: {
+      other: "{count} anotasi diimpor",
+    },
+    importFailed: "File ini tidak berisi catatan yang diekspor",
+    filters: {
+      all: "Semua",
+      bookmarks: "Markah",
+      highlights: "Sorotan",
+      notes: "Catatan",
+    },
+  },
+
+  settings: {
+    title: "Preferensi membaca",
+    theme: "Tema",
+    themeOptions: {
+      light: "Terang",
+      dark: "Gelap",
+      system: "Sistem",
+    },
+    textSize: "Ukuran teks",
+    lineSpacing: "Jarak baris",
+    lineSpacingOptions: {
+      compact: "Rapat",
+      normal: "Normal",
+      relaxed: "Longgar",
+    },
+    dyslexicFont: "Huruf ramah disleksia",
+    preview: "Pada mulanya Allah menciptakan langit dan bumi.",
+    reset: "Atur ulang",
+    done: "Selesai",
+  },
+
+  search: {
+    title: "Cari",
+    placeholder: "Cari cerita, referensi, dan teks Alkitab...",
+    indexing: "Menyiapkan pencarian...",
+    noResults: "Tidak ada hasil",
+  },
+
+  storyPacks: {
+    title: "Paket cerita luring",
+    language: "Bahasa",
+    notSupported: "Peramban ini tidak mendukung paket cerita luring.",
+    downloaded: "Diunduh",
+    stories: {
+      other: "{count} cerita",
+    },
+    missingAudio: {
+      other:
+        "{count} file audio tidak dapat disimpan. Unduh lagi untuk mencoba ulang.",
+    },
+    delete: "Hapus paket",
+    phaseStories: "Menyimpan cerita dan gambar",
+    phaseChapters: "Menyimpan teks Alkitab dan audio",
+    cancel: "Batal",
+    downloadFailed: "Unduhan gagal. Periksa koneksi Anda dan coba lagi.",
+    storageUsed: "Penyimpanan terpakai",
+    storageUnknown: "tidak diketahui",
+    downloadSelected: "Unduh yang dipilih",
+    downloadAll: "Unduh semua cerita",
+  },
+
+  navigationGrid: {
+    loading: "Memuat...",
+    noAudioToQueue:
+      "Tidak ada audio bertanda waktu untuk antrean dalam bahasa ini",
+    continue: "Lanjutkan dari terakhir kali",
+    sectionsDone: "{done}/{total} bagian selesai",
+    back: "Kembali",
+    collectionTitle: "Cerita Alkitab Terbuka",
+    hideEmpty: {
+      other: "Sembunyikan {count} cerita tanpa teks",
+    },
+    showEmpty: {
+      other: "Tampilkan {count} cerita tanpa teks",
+    },
+  },
+
+  storyAvailability: {
+    full: "Teks tersedia",
+    empty: "Teks tidak tersedia",
+    unknown: "Status konten tidak diketahui",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "Teks tersedia untuk semua perjanjian yang diperlukan",
+    emptyTooltip: "Teks tidak tersedia untuk perjanjian yang diperlukan",
+  },
+
+  // Reference punctuation, e.g. "Kejadian 1:1-2, 4; Keluaran 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: ", ",
+    list: "; ",
+    following: "dst",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Kejadian", abbr: "Kej" },
+    EXO: { name: "Keluaran", abbr: "Kel" },
+    LEV: { name: "Imamat", abbr: "Im" },
+    NUM: { name: "Bilangan", abbr: "Bil" },
+    DEU: { name: "Ulangan", abbr: "Ul" },
+    JOS: { name: "Yosua", abbr: "Yos" },
+    JDG: { name: "Hakim-hakim", abbr: "Hak" },
+    RUT: { name: "Rut", abbr: "Rut" },
+    "1SA": { name: "1 Samuel", abbr: "1Sam" },
+    "2SA": { name: "2 Samuel", abbr: "2Sam" },
+    "1KI": { name: "1 Raja-raja", abbr: "1Raj" },
+    "2KI": { name: "2 Raja-raja", abbr: "2Raj" },
+    "1CH": { name: "1 Tawarikh", abbr: "1Taw" },
+    "2CH": { name: "2 Tawarikh", abbr: "2Taw" },
+    EZR: { name: "Ezra", abbr: "Ezr" },
+    NEH: { name: "Nehemia", abbr: "Neh" },
+    EST: { name: "Ester", abbr: "Est" },
+    JOB: { name: "Ayub", abbr: "Ayb" },
+    PSA: { name: "Mazmur", abbr: "Mzm" },
+    PRO: { name: "Amsal", abbr: "Ams" },
+    ECC: { name: "Pengkhotbah", abbr: "Pkh" },
+    SNG: { name: "Kidung Agung", abbr: "Kid" },
+    ISA: { name: "Yesaya", abbr: "Yes" },
+    JER: { name: "Yeremia", abbr: "Yer" },
+    LAM: { name: "Ratapan", abbr: "Rat" },
+    EZK: { name: "Yehezkiel", abbr: "Yeh" },
+    DAN: { name: "Daniel", abbr: "Dan" },
+    HOS: { name: "Hosea", abbr: "Hos" },
+    JOL: { name: "Yoel", abbr: "Yl" },
+    AMO: { name: "Amos", abbr: "Am" },
+    OBA: { name: "Obaja", abbr: "Ob" },
+    JON: { name: "Yunus", abbr: "Yun" },
+    MIC: { name: "Mikha", abbr: "Mi" },
+    NAM: { name: "Nahum", abbr: "Nah" },
+    HAB: { name: "Habakuk", abbr: "Hab" },
+    ZEP: { name: "Zefanya", abbr: "Zef" },
+    HAG: { name: "Hagai", abbr: "Hag" },
+    ZEC: { name: "Zakharia", abbr: "Za" },
+    MAL: { name: "Maleakhi", abbr: "Mal" },
+    MAT: { name: "Matius", abbr: "Mat" },
+    MRK: { name: "Markus", abbr: "Mrk" },
+    LUK: { name: "Lukas", abbr: "Luk" },
+    JHN: { name: "Yohanes", abbr: "Yoh" },
+    ACT: { name: "Kisah Para Rasul", abbr: "Kis" },
+    ROM: { name: "Roma", abbr: "Rm" },
+    "1CO": { name: "1 Korintus", abbr: "1Kor" },
+    "2CO": { name: "2 Korintus", abbr: "2Kor" },
+    GAL: { name: "Galatia", abbr: "Gal" },
+    EPH: { name: "Efesus", abbr: "Ef" },
+    PHP: { name: "Filipi", abbr: "Flp" },
+    COL: { name: "Kolose", abbr: "Kol" },
+    "1TH": { name: "1 Tesalonika", abbr: "1Tes" },
+    "2TH": { name: "2 Tesalonika", abbr: "2Tes" },
+    "1TI": { name: "1 Timotius", abbr: "1Tim" },
+    "2TI": { name: "2 Timotius", abbr: "2Tim" },
+    TIT: { name: "Titus", abbr: "Tit" },
+    PHM: { name: "Filemon", abbr: "Flm" },
+    HEB: { name: "Ibrani", abbr: "Ibr" },
+    JAS: { name: "Yakobus", abbr: "Yak" },
+    "1PE": { name: "1 Petrus", abbr: "1Ptr" },
+    "2PE": { name: "2 Petrus", abbr: "2Ptr" },
+    "1JN": { name: "1 Yohanes", abbr: "1Yoh" },
+    "2JN": { name: "2 Yohanes", abbr: "2Yoh" },
+    "3JN": { name: "3 Yohanes", abbr: "3Yoh" },
+    JUD: { name: "Yudas", abbr: "Yud" },
+    REV: { name: "Wahyu", abbr: "Why" },
+  },
+};
+
+export default id;
@@ -2,27 +2,128 @@
 import en from "./en.js";
 import fr from "./fr.js";
 
-// Available locales
+// Locales bundled with the app (further locales are added here once loaded)
 export const locales = {
   en,
   fr,
 };
 
+// Locales for major trade languages, loaded when first needed
+const lazyLocales = {
+  es: () => import("./es.js"),
+  pt: () => import("./pt.js"),
+  sw: () => import("./sw.js"),
+  hi: () => import("./hi.js"),
+  zh: () => import("./zh.js"),
+  ar: () => import("./ar.js"),
+  ru: () => import("./ru.js"),
+  id: () => import("./id.js"),
+};
+
 // Default locale
 export const defaultLocale = "en";
 
-// Get locale strings for a given language code
-export const getLocale = (langCode) => {
-  // Map common language codes to UI locales
-  const localeMap = {
-    eng: "en",
-    fra: "fr",
-    en: "en",
-    fr: "fr",
+// Map Bible language codes (ISO 639-3, including individual languages of a
+// macrolanguage) to UI locales
+const localeMap = {
+  eng: "en",
+  fra: "fr",
+  spa: "es",
+  por: "pt",
+  swa: "sw",
+  swh: "sw",
+  swc: "sw",
+  hin: "hi",
+  zho: "zh",
+  cmn: "zh",
+  ara: "ar",
+  arb: "ar",
+  rus: "ru",
+  ind: "id",
+};
+
+const toLocaleCode = (langCode) => {
+  if (locales[langCode] || lazyLocales[langCode]) return langCode;
+  return localeMap[langCode] || null;
+};
+
+/**
+ * Get the UI locale fallback chain for a Bible language
+ * The language's own locale comes first, then the trade languages of the
+ * regions where it is spoken, then English (e.g. kab -> ar -> fr -> en).
+ * English has every string, so the chain ends there.
+ * @param {string} langCode - Bible language code
+ * @param {Object} regions - Regions from regions.json (optional)
+ * @returns {Array} Locale codes, most preferred first
+ */
+export const getLocaleChain = (langCode, regions = {}) => {
+  const chain = [];
+  const add = (code) => {
+    if (chain.includes(defaultLocale)) return;
+    const localeCode = toLocaleCode(code);
+    if (localeCode && !chain.includes(localeCode)) {
+      chain.push(localeCode);
+    }
   };
 
-  const mappedCode = localeMap[langCode] || defaultLocale;
-  return locales[mappedCode] || locales[defaultLocale];
+  add(langCode);
+  Object.values(regions).forEach((region) => {
+    if (region.l?.includes(langCode)) {
+      region.trade?.forEach(add);
+    }
+  });
+  add(defaultLocale);
+
+  return chain;
 };
 
+/**
+ * Load a locale, fetching its bundle if it is not bundled with the app
+ * @param {string} localeCode - UI locale code
+ * @returns {Promise<Object|null>} Locale strings, or null if unknown
+ */
+export const loadLocale = async (localeCode) => {
+  if (!locales[localeCode] && lazyLocales[localeCode]) {
+    const module = await lazyLocales[localeCode]();
+    locales[localeCode] = module.default;
+  }
+  return locales[localeCode] || null;
+};
+
+// Plural forms ({ one, other, ... }) are replaced as a whole, not merged
+const isPluralForms = (value) =>
+  value && typeof value === "object" && typeof value.other === "string";
+
+const mergeStrings = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] =
+      value &&
+      typeof value === "object" &&
+      !isPluralForms(value) &&
+      base[key] &&
+      typeof base[key] === "object"
+        ? mergeStrings(base[key], value)
+        : value;
+  });
+  return merged;
+};
+
+/**
+ * Merge the loaded locales of a fallback chain, key by key, so strings missing
+ * from a locale come from the next one in the chain
+ * @param {Array} chain - Locale codes from getLocaleChain
+ * @returns {Object} Locale strings
+ */
+export const mergeLocaleChain = (chain) =>
+  chain.reduceRight(
+    (merged, localeCode) =>
+      locales[localeCode] ? mergeStrings(merged, locales[localeCode]) : merged,
+    {},
+  );
+
+// Get locale strings for a given language code (bundled locales only)
+export const getLocale = (langCode) =>
+  mergeLocaleChain(getLocaleChain(langCode));
+
 export default locales;
@@ -0,0 +1,320 @@
+// Portuguese UI strings
+export const pt = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "Selecionar idioma",
+    changeLanguage: "Mudar de idioma",
+    search: "Pesquisar",
+    offlinePacks: "Pacotes de histórias offline",
+    queue: "Fila e listas de reprodução",
+    myNotes: "Minhas notas",
+    settings: "Preferências de leitura",
+  },
+
+  languageSelector: {
+    title: "Selecionar idioma",
+    close: "Fechar",
+    searchPlaceholder: "Pesquisar por nome ou código do idioma...",
+    noLanguageSelected: "Nenhum idioma selecionado",
+    loadingLanguages: "Carregando idiomas...",
+    noLanguagesFound: "Nenhum idioma encontrado",
+    allLanguages: "Todos os idiomas",
+    byRegion: "Por região",
+    allRegions: "Todas as regiões",
+    regionSearchPlaceholder: "Pesquisar por país, região ou idioma...",
+    noRegionsFound: "Nenhuma região encontrada",
+    tradeLanguages: "Línguas francas",
+    regionalLanguages: "Idiomas regionais",
+    otherLanguages: "Outros idiomas",
+    parallelTitle: "Selecionar idioma do texto paralelo",
+    parallelText: "Texto paralelo:",
+    parallelOff: "Desligado",
+    choose: "Escolher",
+    cancel: "Cancelar",
+    turnOff: "Desligar",
+    current: "Atual:",
+    noLanguagesMatching: "Nenhum idioma corresponde a “{search}”",
+  },
+
+  versionPicker: {
+    title: "Versões",
+    ot: "Antigo Testamento",
+    nt: "Novo Testamento",
+    text: "Texto",
+    audio: "Áudio",
+    none: "Nenhuma",
+    switching: "Mudando de versão...",
+  },
+
+  storyViewer: {
+    loadingStory: "Carregando história...",
+    errorTitle: "História indisponível",
+    errorMessage: "Esta história ainda não foi adicionada à coleção.",
+    errorDetail: "Volte mais tarde ou escolha outra história.",
+    noSections: "Nenhuma seção disponível",
+    resumeFromSection: "Continuar da seção {section} ({time})",
+    startOver: "Recomeçar",
+    sectionAlt: "Seção {number}",
+  },
+
+  bibleText: {
+    loading: "Carregando {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "Áudio da história",
+    loadingVerse: "Carregando...",
+    minimize: "Minimizar player",
+    play: "Reproduzir",
+    pause: "Pausar",
+    stop: "Parar",
+    seek: "Procurar posição",
+    loadingAudio: "Carregando áudio...",
+  },
+
+  queue: {
+    title: "Fila e listas de reprodução",
+    nowPlaying: "Tocando agora",
+    nothingPlaying: "Nada está tocando",
+    upNext: "A seguir",
+    empty: "A fila está vazia. Adicione histórias a partir da grade.",
+    clear: "Limpar fila",
+    playNow: "Tocar agora",
+    moveUp: "Mover para cima",
+    moveDown: "Mover para baixo",
+    remove: "Remover da fila",
+    addToQueue: "Adicionar à fila",
+    savedPlaylists: "Listas salvas",
+    playlistNamePlaceholder: "Nome da lista, ex.: Histórias de Páscoa",
+    saveQueue: "Salvar",
+    noSavedPlaylists: "Nenhuma lista salva ainda",
+    stories: {
+      one: "{count} história",
+      other: "{count} histórias",
+    },
+    delete: "Excluir lista",
+    confirmDelete: "Excluir esta lista?",
+    preparing: "Preparando o áudio...",
+    adding: "Adicionando...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Sem repetição",
+    repeatSegment: "Repetir seção",
+    repeatStory: "Repetir história",
+    repeatQueue: "Repetir fila",
+    loopStart: "Definir início do loop (A)",
+    loopEnd: "Definir fim do loop (B)",
+    loopClear: "Remover loop A-B",
+    sleepTimer: "Temporizador",
+    sleepOff: "Desligar temporizador",
+    minutes: "min",
+    endOfStory: "Fim da história",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "Seção",
+    hideText: "Ocultar texto",
+    showText: "Mostrar texto",
+    noText: "Nenhum texto disponível para esta seção.",
+  },
+
+  annotations: {
+    bookmark: "Marcador",
+    highlight: "Destacar",
+    addNote: "Adicionar nota",
+    editNote: "Editar nota",
+    notePlaceholder: "Escreva uma nota sobre esta seção...",
+    saveNote: "Salvar nota",
+    cancel: "Cancelar",
+    colors: {
+      yellow: "Amarelo",
+      green: "Verde",
+      blue: "Azul",
+      pink: "Rosa",
+    },
+  },
+
+  notes: {
+    title: "Minhas notas",
+    empty: "Ainda não há marcadores, destaques ou notas",
+    section: "Seção",
+    remove: "Remover",
+    export: "Exportar",
+    import: "Importar",
+    imported: {
+      one: "{count} anotação importada",
+      other: "{count} anotações importadas",
+    },
+    importFailed: "Este arquivo não contém notas exportadas",
+    filters: {
+      all: "Tudo",
+      bookmarks: "Marcadores",
+      highlights: "Destaques",
+      notes: "Notas",
+    },
+  },
+
+  settings: {
+    title: "Preferências de leitura",
+    theme: "Tema",
+    themeOptions: {
+      light: "Claro",
+      dark: "Escuro",
+      system: "Sistema",
+    },
+    textSize: "Tamanho do texto",
+    lineSpacing: "Espaçamento entre linhas",
+    lineSpacingOptions: {
+      compact: "Compacto",
+      normal: "Normal",
+      relaxed: "Amplo",
+    },
+    dyslexicFont: "Fonte adequada para dislexia",
+    preview: "No princípio, criou Deus os céus e a terra.",
+    reset: "Redefinir",
+    done: "Concluído",
+  },
+
+  search: {
+    title: "Pesquisar",
+    placeholder: "Pesquisar histórias, referências e texto bíblico...",
+    indexing: "Preparando a pesquisa...",
+    noResults: "Nenhum resultado encontrado",
+  },
+
+  storyPacks: {
+    title: "Pacotes de histórias offline",
+    language: "Idioma",
+    notSupported: "Este navegador não oferece suporte a pacotes offline.",
+    downloaded: "Baixado",
+    stories: {
+      one: "{count} história",
+      other: "{count} histórias",
+    },
+    missingAudio: {
+      one: "Não foi possível salvar {count} arquivo de áudio. Baixe novamente para tentar de novo.",
+      other:
+        "Não foi possível salvar {count} arquivos de áudio. Baixe novamente para tentar de novo.",
+    },
+    delete: "Excluir pacote",
+    phaseStories: "Salvando histórias e imagens",
+    phaseChapters: "Salvando texto bíblico e áudio",
+    cancel: "Cancelar",
+    downloadFailed:
+      "O download falhou. Verifique sua conexão e tente novamente.",
+    storageUsed: "Armazenamento usado",
+    storageUnknown: "desconhecido",
+    downloadSelected: "Baixar selecionadas",
+    downloadAll: "Baixar todas as histórias",
+  },
+
+  navigationGrid: {
+    loading: "Carregando...",
+    noAudioToQueue: "Nenhum áudio sincronizado para a fila neste idioma",
+    continue: "Continuar de onde parou",
+    sectionsDone: "{done}/{total} seções concluídas",
+    back: "Voltar",
+    collectionTitle: "Histórias bíblicas abertas",
+    hideEmpty: {
+      one: "Ocultar {count} história sem texto",
+      other: "Ocultar {count} histórias sem texto",
+    },
+    showEmpty: {
+      one: "Mostrar {count} história sem texto",
+      other: "Mostrar {count} histórias sem texto",
+    },
+  },
+
+  storyAvailability: {
+    full: "Texto disponível",
+    empty: "Texto indisponível",
+    unknown: "Estado do conteúdo desconhecido",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "Texto disponível para todos os testamentos necessários",
+    emptyTooltip: "Texto indisponível para os testamentos necessários",
+  },
+
+  // Reference punctuation, e.g. "Gênesis 1:1-2, 4; Êxodo 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: ", ",
+    list: "; ",
+    following: "ss",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Gênesis", abbr: "Gn" },
+    EXO: { name: "Êxodo", abbr: "Êx" },
+    LEV: { name: "Levítico", abbr: "Lv" },
+    NUM: { name: "Números", abbr: "Nm" },
+    DEU: { name: "Deuteronômio", abbr: "Dt" },
+    JOS: { name: "Josué", abbr: "Js" },
+    JDG: { name: "Juízes", abbr: "Jz" },
+    RUT: { name: "Rute", abbr: "Rt" },
+    "1SA": { name: "1 Samuel", abbr: "1Sm" },
+    "2SA": { name: "2 Samuel", abbr: "2Sm" },
+    "1KI": { name: "1 Reis", abbr: "1Rs" },
+    "2KI": { name: "2 Reis", abbr: "2Rs" },
+    "1CH": { name: "1 Crônicas", abbr: "1Cr" },
+    "2CH": { name: "2 Crônicas", abbr: "2Cr" },
+    EZR: { name: "Esdras", abbr: "Ed" },
+    NEH: { name: "Neemias", abbr: "Ne" },
+    EST: { name: "Ester", abbr: "Et" },
+    JOB: { name: "Jó", abbr: "Jó" },
+    PSA: { name: "Salmos", abbr: "Sl" },
+    PRO: { name: "Provérbios", abbr: "Pv" },
+    ECC: { name: "Eclesiastes", abbr: "Ec" },
+    SNG: { name: "Cânticos", abbr: "Ct" },
+    ISA: { name: "Isaías", abbr: "Is" },
+    JER: { name: "Jeremias", abbr: "Jr" },
+    LAM: { name: "Lamentações", abbr: "Lm" },
+    EZK: { name: "Ezequiel", abbr: "Ez" },
+    DAN: { name: "Daniel", abbr: "Dn" },
+    HOS: { name: "Oseias", abbr: "Os" },
+    JOL: { name: "Joel", abbr: "Jl" },
+    AMO: { name: "Amós", abbr: "Am" },
+    OBA: { name: "Obadias", abbr: "Ob" },
+    JON: { name: "Jonas", abbr: "Jn" },
+    MIC: { name: "Miqueias", abbr: "Mq" },
+    NAM: { name: "Naum", abbr: "Na" },
+    HAB: { name: "Habacuque", abbr: "Hc" },
+    ZEP: { name: "Sofonias", abbr: "Sf" },
+    HAG: { name: "Ageu", abbr: "Ag" },
+    ZEC: { name: "Zacarias", abbr: "Zc" },
+    MAL: { name: "Malaquias", abbr: "Ml" },
+    MAT: { name: "Mateus", abbr: "Mt" },
+    MRK: { name: "Marcos", abbr: "Mc" },
+    LUK: { name: "Lucas", abbr: "Lc" },
+    JHN: { name: "João", abbr: "Jo" },
+    ACT: { name: "Atos", abbr: "At" },
+    ROM: { name: "Romanos", abbr: "Rm" },
+    "1CO": { name: "1 Coríntios", abbr: "1Co" },
+    "2CO": { name: "2 Coríntios", abbr: "2Co" },
+    GAL: { name: "Gálatas", abbr: "Gl" },
+    EPH: { name: "Efésios", abbr: "Ef" },
+    PHP: { name: "Filipenses", abbr: "Fp" },
+    COL: { name: "Colossenses", abbr: "Cl" },
+    "1TH": { name: "1 Tessalonicenses", abbr: "1Ts" },
+    "2TH": { name: "2 Tessalonicenses", abbr: "2Ts" },
+    "1TI": { name: "1 Timóteo", abbr: "1Tm" },
+    "2TI": { name: "2 Timóteo", abbr: "2Tm" },
+    TIT: { name: "Tito", abbr: "Tt" },
+    PHM: { name: "Filemom", abbr: "Fm" },
+    HEB: { name: "Hebreus", abbr: "Hb" },
+    JAS: { name: "Tiago", abbr: "Tg" },
+    "1PE": { name: "1 Pedro", abbr: "1Pe" },
+    "2PE": { name: "2 Pedro", abbr: "2Pe" },
+    "1JN": { name: "1 João", abbr: "1Jo" },
+    "2JN": { name: "2 João", abbr: "2Jo" },
+    "3JN": { name: "3 João", abbr: "3Jo" },
+    JUD: { name: "Judas", abbr: "Jd" },
+    REV: { name: "Apocalipse", abbr: "Ap" },
+  },
+};
+
+export default pt;
@@ -0,0 +1,331 @@
+// Russian UI strings
+export const ru = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "Выбрать язык",
+    changeLanguage: "Сменить язык",
+    search: "Поиск",
+    offlinePacks: "Офлайн-пакеты историй",
+    queue: "Очередь и плейлисты",
+    myNotes: "Мои заметки",
+    settings: "Настройки чтения",
+  },
+
+  languageSelector: {
+    title: "Выбрать язык",
+    close: "Закрыть",
+    searchPlaceholder: "Поиск по названию или коду языка...",
+    noLanguageSelected: "Язык не выбран",
+    loadingLanguages: "Загрузка языков...",
+    noLanguagesFound: "Языки не найдены",
+    allLanguages: "Все языки",
+    byRegion: "По регионам",
+    allRegions: "Все регионы",
+    regionSearchPlaceholder: "Поиск по стране, региону или языку...",
+    noRegionsFound: "Регионы не найдены",
+    tradeLanguages: "Языки межнационального общения",
+    regionalLanguages: "Региональные языки",
+    otherLanguages: "Другие языки",
+    parallelTitle: "Выбрать язык параллельного текста",
+    parallelText: "Параллельный текст:",
+    parallelOff: "Выкл.",
+    choose: "Выбрать",
+    cancel: "Отмена",
+    turnOff: "Выключить",
+    current: "Текущий:",
+    noLanguagesMatching: "Нет языков, соответствующих «{search}»",
+  },
+
+  versionPicker: {
+    title: "Переводы",
+    ot: "Ветхий Завет",
+    nt: "Новый Завет",
+    text: "Текст",
+    audio: "Аудио",
+    none: "Нет",
+    switching: "Смена перевода...",
+  },
+
+  storyViewer: {
+    loadingStory: "Загрузка истории...",
+    errorTitle: "История недоступна",
+    errorMessage: "Эта история ещё не добавлена в коллекцию.",
+    errorDetail: "Загляните позже или выберите другую историю.",
+    noSections: "Нет доступных разделов",
+    resumeFromSection: "Продолжить с раздела {section} ({time})",
+    startOver: "Начать сначала",
+    sectionAlt: "Раздел {number}",
+  },
+
+  bibleText: {
+    loading: "Загрузка {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "Аудио истории",
+    loadingVerse: "Загрузка...",
+    minimize: "Свернуть плеер",
+    play: "Воспроизвести",
+    pause: "Пауза",
+    stop: "Стоп",
+    seek: "Перемотка",
+    loadingAudio: "Загрузка аудио...",
+  },
+
+  queue: {
+    title: "Очередь и плейлисты",
+    nowPlaying: "Сейчас играет",
+    nothingPlaying: "Ничего не воспроизводится",
+    upNext: "Далее",
+    empty: "Очередь пуста. Добавьте истории из сетки историй.",
+    clear: "Очистить очередь",
+    playNow: "Воспроизвести сейчас",
+    moveUp: "Переместить вверх",
+    moveDown: "Переместить вниз",
+    remove: "Убрать из очереди",
+    addToQueue: "Добавить в очередь",
+    savedPlaylists: "Сохранённые плейлисты",
+    playlistNamePlaceholder: "Название плейлиста, например Пасхальные истории",
+    saveQueue: "Сохранить",
+    noSavedPlaylists: "Сохранённых плейлистов пока нет",
+    stories: {
+      one: "{count} история",
+      few: "{count} истории",
+      many: "{count} историй",
+      other: "{count} истории",
+    },
+    delete: "Удалить плейлист",
+    confirmDelete: "Удалить этот плейлист?",
+    preparing: "Подготовка аудио...",
+    adding: "Добавление...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Без повтора",
+    repeatSegment: "Повторять раздел",
+    repeatStory: "Повторять историю",
+    repeatQueue: "Повторять очередь",
+    loopStart: "Начало повтора (A)",
+    loopEnd: "Конец повтора (B)",
+    loopClear: "Сбросить повтор A-B",
+    sleepTimer: "Таймер сна",
+    sleepOff: "Выключить таймер",
+    minutes: "мин",
+    endOfStory: "Конец истории",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "Раздел",
+    hideText: "Скрыть текст",
+    showText: "Показать текст",
+    noText: "Для этого раздела нет текста.",
+  },
+
+  annotations: {
+    bookmark: "Закладка",
+    highlight: "Выделить",
+    addNote: "Добавить заметку",
+    editNote: "Изменить заметку",
+    notePlaceholder: "Напишите заметку к этому разделу...",
+    saveNote: "Сохранить заметку",
+    cancel: "Отмена",
+    colors: {
+      yellow: "Жёлтый",
+      green: "Зелёный",
+      blue: "Синий",
+      pink: "Розовый",
+    },
+  },
+
+  notes: {
+    title: "Мои заметки",
+    empty: "Закладок, выделений и заметок пока нет",
+    section: "Раздел",
+    remove: "Удалить",
+    export: "Экспорт",
+    import: "Импорт",
+    imported: {
+      one: "Импортирована {count} пометка",
+      few: "Импортировано {count} пометки",
+      many: "Импортировано {count} пометок",
+      other: "Импортировано {count} пометки",
+    },
+    importFailed: "Этот файл не содержит экспортированных заметок",
+    filters: {
+      all: "Все",
+      bookmarks: "Закладки",
+      highlights: "Выделения",
+      notes: "Заметки",
+    },
+  },
+
+  settings: {
+    title: "Настройки чтения",
+    theme: "Тема",
+    themeOptions: {
+      light: "Светлая",
+      dark: "Тёмная",
+      system: "Системная",
+    },
+    textSize: "Размер текста",
+    lineSpacing: "Межстрочный интервал",
+    lineSpacingOptions: {
+      compact: "Плотный",
+      normal: "Обычный",
+      relaxed: "Свободный",
+    },
+    dyslexicFont: "Шрифт для людей с дислексией",
+    preview: "В начале сотворил Бог небо и землю.",
+    reset: "Сбросить",
+    done: "Готово",
+  },
+
+  search: {
+    title: "Поиск",
+    placeholder: "Поиск историй, ссылок и библейского текста...",
+    indexing: "Подготовка поиска...",
+    noResults: "Ничего не найдено",
+  },
+
+  storyPacks: {
+    title: "Офлайн-пакеты историй",
+    language: "Язык",
+    notSupported: "Этот браузер не поддерживает офлайн-пакеты историй.",
+    downloaded: "Загружено",
+    stories: {
+      one: "{count} история",
+      few: "{count} истории",
+      many: "{count} историй",
+      other: "{count} истории",
+    },
+    missingAudio: {
+      one: "Не удалось сохранить {count} аудиофайл. Загрузите снова, чтобы повторить попытку.",
+      few: "Не удалось сохранить {count} аудиофайла. Загрузите снова, чтобы повторить попытку.",
+      many: "Не удалось сохранить {count} аудиофайлов. Загрузите снова, чтобы повторить попытку.",
+      other:
+        "Не удалось сохранить {count} аудиофайла. Загрузите снова, чтобы повторить попытку.",
+    },
+    delete: "Удалить пакет",
+    phaseStories: "Сохранение историй и изображений",
+    phaseChapters: "Сохранение библейского текста и аудио",
+    cancel: "Отмена",
+    downloadFailed: "Не удалось загрузить. Проверьте подключение и повторите.",
+    storageUsed: "Занято места",
+    storageUnknown: "неизвестно",
+    downloadSelected: "Загрузить выбранные",
+    downloadAll: "Загрузить все истории",
+  },
+
+  navigationGrid: {
+    loading: "Загрузка...",
+    noAudioToQueue: "Для этого языка нет синхронизированного аудио для очереди",
+    continue: "Продолжить с места остановки",
+    sectionsDone: "Пройдено разделов: {done}/{total}",
+    back: "Назад",
+    collectionTitle: "Открытые библейские истории",
+    hideEmpty: {
+      one: "Скрыть {count} историю без текста",
+      few: "Скрыть {count} истории без текста",
+      many: "Скрыть {count} историй без текста",
+      other: "Скрыть {count} истории без текста",
+    },
+    showEmpty: {
+      one: "Показать {count} историю без текста",
+      few: "Показать {count} истории без текста",
+      many: "Показать {count} историй без текста",
+      other: "Показать {count} истории без текста",
+    },
+  },
+
+  storyAvailability: {
+    full: "Текст доступен",
+    empty: "Текст недоступен",
+    unknown: "Состояние содержимого неизвестно",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "Текст доступен для всех нужных Заветов",
+    emptyTooltip: "Текст недоступен для нужных Заветов",
+  },
+
+  // Reference punctuation, e.g. "Бытие 1:1–2, 4; Исход 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "–",
+    verseList: ", ",
+    list: "; ",
+    following: "сл.",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Бытие", abbr: "Быт" },
+    EXO: { name: "Исход", abbr: "Исх" },
+    LEV: { name: "Левит", abbr: "Лев" },
+    NUM: { name: "Числа", abbr: "Чис" },
+    DEU: { name: "Второзаконие", abbr: "Втор" },
+    JOS: { name: "Иисус Навин", abbr: "Нав" },
+    JDG: { name: "Судьи", abbr: "Суд" },
+    RUT: { name: "Руфь", abbr: "Руф" },
+    "1SA": { name: "1 Царств", abbr: "1 Цар" },
+    "2SA": { name: "2 Царств", abbr: "2 Цар" },
+    "1KI": { name: "3 Царств", abbr: "3 Цар" },
+    "2KI": { name: "4 Царств", abbr: "4 Цар" },
+    "1CH": { name: "1 Паралипоменон", abbr: "1 Пар" },
+    "2CH": { name: "2 Паралипоменон", abbr: "2 Пар" },
+    EZR: { name: "Ездра", abbr: "Езд" },
+    NEH: { name: "Неемия", abbr: "Неем" },
+    EST: { name: "Есфирь", abbr: "Есф" },
+    JOB: { name: "Иов", abbr: "Иов" },
+    PSA: { name: "Псалтирь", abbr: "Пс" },
+    PRO: { name: "Притчи", abbr: "Притч" },
+    ECC: { name: "Екклесиаст", abbr: "Еккл" },
+    SNG: { name: "Песнь песней", abbr: "Песн" },
+    ISA: { name: "Исаия", abbr: "Ис" },
+    JER: { name: "Иеремия", abbr: "Иер" },
+    LAM: { name: "Плач Иеремии", abbr: "Плач" },
+    EZK: { name: "Иезекииль", abbr: "Иез" },
+    DAN: { name: "Даниил", abbr: "Дан" },
+    HOS: { name: "Осия", abbr: "Ос" },
+    JOL: { name: "Иоиль", abbr: "Иоил" },
+    AMO: { name: "Амос", abbr: "Ам" },
+    OBA: { name: "Авдий", abbr: "Авд" },
+    JON: { name: "Иона", abbr: "Иона" },
+    MIC: { name: "Михей", abbr: "Мих" },
+    NAM: { name: "Наум", abbr: "Наум" },
+    HAB: { name: "Аввакум", abbr: "Авв" },
+    ZEP: { name: "Софония", abbr: "Соф" },
+    HAG: { name: "Аггей", abbr: "Агг" },
+    ZEC: { name: "Захария", abbr: "Зах" },
+    MAL: { name: "Малахия", abbr: "Мал" },
+    MAT: { name: "От Матфея", abbr: "Мф" },
+    MRK: { name: "От Марка", abbr: "Мк" },
+    LUK: { name: "От Луки", abbr: "Лк" },
+    JHN: { name: "От Иоанна", abbr: "Ин" },
+    ACT: { name: "Деяния", abbr: "Деян" },
+    ROM: { name: "Римлянам", abbr: "Рим" },
+    "1CO": { name: "1 Коринфянам", abbr: "1 Кор" },
+    "2CO": { name: "2 Коринфянам", abbr: "2 Кор" },
+    GAL: { name: "Галатам", abbr: "Гал" },
+    EPH: { name: "Ефесянам", abbr: "Еф" },
+    PHP: { name: "Филиппийцам", abbr: "Флп" },
+    COL: { name: "Колоссянам", abbr: "Кол" },
+    "1TH": { name: "1 Фессалоникийцам", abbr: "1 Фес" },
+    "2TH": { name: "2 Фессалоникийцам", abbr: "2 Фес" },
+    "1TI": { name: "1 Тимофею", abbr: "1 Тим" },
+    "2TI": { name: "2 Тимофею", abbr: "2 Тим" },
+    TIT: { name: "Титу", abbr: "Тит" },
+    PHM: { name: "Филимону", abbr: "Флм" },
+    HEB: { name: "Евреям", abbr: "Евр" },
+    JAS: { name: "Иакова", abbr: "Иак" },
+    "1PE": { name: "1 Петра", abbr: "1 Пет" },
+    "2PE": { name: "2 Петра", abbr: "2 Пет" },
+    "1JN": { name: "1 Иоанна", abbr: "1 Ин" },
+    "2JN": { name: "2 Иоанна", abbr: "2 Ин" },
+    "3JN": { name: "3 Иоанна", abbr: "3 Ин" },
+    JUD: { name: "Иуды", abbr: "Иуд" },
+    REV: { name: "Откровение", abbr: "Откр" },
+  },
+};
+
+export default ru;
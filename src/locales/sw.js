@@ -0,0 +1,320 @@
+// Swahili UI strings
+export const sw = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "Chagua lugha",
+    changeLanguage: "Badilisha lugha",
+    search: "Tafuta",
+    offlinePacks: "Vifurushi vya hadithi nje ya mtandao",
+    queue: "Foleni na orodha za kucheza",
+    myNotes: "Maelezo yangu",
+    settings: "Mapendeleo ya kusoma",
+  },
+
+  languageSelector: {
+    title: "Chagua lugha",
+    close: "Funga",
+    searchPlaceholder: "Tafuta kwa jina au msimbo wa lugha...",
+    noLanguageSelected: "Hakuna lugha iliyochaguliwa",
+    loadingLanguages: "Inapakia lugha...",
+    noLanguagesFound: "Hakuna lugha zilizopatikana",
+    allLanguages: "Lugha zote",
+    byRegion: "Kwa eneo",
+    allRegions: "Maeneo yote",
+    regionSearchPlaceholder: "Tafuta kwa nchi, eneo au lugha...",
+    noRegionsFound: "Hakuna maeneo yaliyopatikana",
+    tradeLanguages: "Lugha za biashara",
+    regionalLanguages: "Lugha za kieneo",
+    otherLanguages: "Lugha nyingine",
+    parallelTitle: "Chagua lugha ya maandishi sambamba",
+    parallelText: "Maandishi sambamba:",
+    parallelOff: "Imezimwa",
+    choose: "Chagua",
+    cancel: "Ghairi",
+    turnOff: "Zima",
+    current: "Ya sasa:",
+    noLanguagesMatching: 'Hakuna lugha inayolingana na "{search}"',
+  },
+
+  versionPicker: {
+    title: "Matoleo",
+    ot: "Agano la Kale",
+    nt: "Agano Jipya",
+    text: "Maandishi",
+    audio: "Sauti",
+    none: "Hakuna",
+    switching: "Inabadilisha toleo...",
+  },
+
+  storyViewer: {
+    loadingStory: "Inapakia hadithi...",
+    errorTitle: "Hadithi haipatikani",
+    errorMessage: "Hadithi hii bado haijaongezwa kwenye mkusanyiko.",
+    errorDetail: "Tafadhali rudi baadaye au chagua hadithi nyingine.",
+    noSections: "Hakuna sehemu zinazopatikana",
+    resumeFromSection: "Endelea kutoka sehemu {section} ({time})",
+    startOver: "Anza upya",
+    sectionAlt: "Sehemu {number}",
+  },
+
+  bibleText: {
+    loading: "Inapakia {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "Sauti ya hadithi",
+    loadingVerse: "Inapakia...",
+    minimize: "Punguza kicheza sauti",
+    play: "Cheza",
+    pause: "Sitisha",
+    stop: "Simamisha",
+    seek: "Tafuta mahali",
+    loadingAudio: "Inapakia sauti...",
+  },
+
+  queue: {
+    title: "Foleni na orodha za kucheza",
+    nowPlaying: "Inacheza sasa",
+    nothingPlaying: "Hakuna kinachocheza",
+    upNext: "Inayofuata",
+    empty: "Foleni ni tupu. Ongeza hadithi kutoka kwenye gridi ya hadithi.",
+    clear: "Futa foleni",
+    playNow: "Cheza sasa",
+    moveUp: "Sogeza juu",
+    moveDown: "Sogeza chini",
+    remove: "Ondoa kwenye foleni",
+    addToQueue: "Ongeza kwenye foleni",
+    savedPlaylists: "Orodha zilizohifadhiwa",
+    playlistNamePlaceholder: "Jina la orodha, k.m. Hadithi za Pasaka",
+    saveQueue: "Hifadhi",
+    noSavedPlaylists: "Bado hakuna orodha zilizohifadhiwa",
+    stories: {
+      one: "hadithi {count}",
+      other: "hadithi {count}",
+    },
+    delete: "Futa orodha",
+    confirmDelete: "Futa orodha hii?",
+    preparing: "Inaandaa sauti...",
+    adding: "Inaongeza...",
+  },
+
+  playbackOptions: {
+    repeatOff: "Bila kurudia",
+    repeatSegment: "Rudia sehemu",
+    repeatStory: "Rudia hadithi",
+    repeatQueue: "Rudia foleni",
+    loopStart: "Weka mwanzo wa mzunguko (A)",
+    loopEnd: "Weka mwisho wa mzunguko (B)",
+    loopClear: "Ondoa mzunguko A-B",
+    sleepTimer: "Kipima muda cha kulala",
+    sleepOff: "Zima kipima muda",
+    minutes: "dak",
+    endOfStory: "Mwisho wa hadithi",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "Sehemu",
+    hideText: "Ficha maandishi",
+    showText: "Onyesha maandishi",
+    noText: "Hakuna maandishi ya sehemu hii.",
+  },
+
+  annotations: {
+    bookmark: "Alamisho",
+    highlight: "Angazia",
+    addNote: "Ongeza maelezo",
+    editNote: "Hariri maelezo",
+    notePlaceholder: "Andika maelezo kuhusu sehemu hii...",
+    saveNote: "Hifadhi maelezo",
+    cancel: "Ghairi",
+    colors: {
+      yellow: "Njano",
+      green: "Kijani",
+      blue: "Bluu",
+      pink: "Waridi",
+    },
+  },
+
+  notes: {
+    title: "Maelezo yangu",
+    empty: "Bado hakuna alamisho, viangazio au maelezo",
+    section: "Sehemu",
+    remove: "Ondoa",
+    export: "Hamisha",
+    import: "Leta",
+    imported: {
+      one: "Maelezo {count} yameletwa",
+      other: "Maelezo {count} yameletwa",
+    },
+    importFailed: "Faili hili halina maelezo yaliyohamishwa",
+    filters: {
+      all: "Yote",
+      bookmarks: "Alamisho",
+      highlights: "Viangazio",
+      notes: "Maelezo",
+    },
+  },
+
+  settings: {
+    title: "Mapendeleo ya kusoma",
+    theme: "Mandhari",
+    themeOptions: {
+      light: "Angavu",
+      dark: "Giza",
+      system: "Mfumo",
+    },
+    textSize: "Ukubwa wa maandishi",
+    lineSpacing: "Nafasi kati ya mistari",
+    lineSpacingOptions: {
+      compact: "Finyu",
+      normal: "Kawaida",
+      relaxed: "Pana",
+    },
+    dyslexicFont: "Fonti inayofaa kwa disleksia",
+    preview: "Hapo mwanzo Mungu aliziumba mbingu na nchi.",
+    reset: "Weka upya",
+    done: "Imekamilika",
+  },
+
+  search: {
+    title: "Tafuta",
+    placeholder: "Tafuta hadithi, marejeo na maandiko ya Biblia...",
+    indexing: "Inaandaa utafutaji...",
+    noResults: "Hakuna matokeo yaliyopatikana",
+  },
+
+  storyPacks: {
+    title: "Vifurushi vya hadithi nje ya mtandao",
+    language: "Lugha",
+    notSupported: "Kivinjari hiki hakitumii vifurushi vya nje ya mtandao.",
+    downloaded: "Imepakuliwa",
+    stories: {
+      one: "hadithi {count}",
+      other: "hadithi {count}",
+    },
+    missingAudio: {
+      one: "Faili {count} ya sauti haikuweza kuhifadhiwa. Pakua tena ili kujaribu tena.",
+      other:
+        "Faili {count} za sauti hazikuweza kuhifadhiwa. Pakua tena ili kujaribu tena.",
+    },
+    delete: "Futa kifurushi",
+    phaseStories: "Inahifadhi hadithi na picha",
+    phaseChapters: "Inahifadhi maandiko ya Biblia na sauti",
+    cancel: "Ghairi",
+    downloadFailed:
+      "Upakuaji umeshindwa. Angalia muunganisho wako ujaribu tena.",
+    storageUsed: "Hifadhi iliyotumika",
+    storageUnknown: "haijulikani",
+    downloadSelected: "Pakua zilizochaguliwa",
+    downloadAll: "Pakua hadithi zote",
+  },
+
+  navigationGrid: {
+    loading: "Inapakia...",
+    noAudioToQueue: "Hakuna sauti iliyopangwa kwa foleni katika lugha hii",
+    continue: "Endelea ulipoishia",
+    sectionsDone: "Sehemu {done}/{total} zimekamilika",
+    back: "Rudi",
+    collectionTitle: "Hadithi za Biblia Huria",
+    hideEmpty: {
+      one: "Ficha hadithi {count} isiyo na maandishi",
+      other: "Ficha hadithi {count} zisizo na maandishi",
+    },
+    showEmpty: {
+      one: "Onyesha hadithi {count} isiyo na maandishi",
+      other: "Onyesha hadithi {count} zisizo na maandishi",
+    },
+  },
+
+  storyAvailability: {
+    full: "Maandishi yanapatikana",
+    empty: "Maandishi hayapatikani",
+    unknown: "Hali ya maudhui haijulikani",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "Maandishi yanapatikana kwa maagano yote yanayohitajika",
+    emptyTooltip: "Maandishi hayapatikani kwa maagano yanayohitajika",
+  },
+
+  // Reference punctuation, e.g. "Mwanzo 1:1-2, 4; Kutoka 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: ", ",
+    list: "; ",
+    following: "ff",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "Mwanzo", abbr: "Mwa" },
+    EXO: { name: "Kutoka", abbr: "Kut" },
+    LEV: { name: "Mambo ya Walawi", abbr: "Law" },
+    NUM: { name: "Hesabu", abbr: "Hes" },
+    DEU: { name: "Kumbukumbu la Torati", abbr: "Kum" },
+    JOS: { name: "Yoshua", abbr: "Yos" },
+    JDG: { name: "Waamuzi", abbr: "Amu" },
+    RUT: { name: "Ruthu", abbr: "Rut" },
+    "1SA": { name: "1 Samweli", abbr: "1 Sam" },
+    "2SA": { name: "2 Samweli", abbr: "2 Sam" },
+    "1KI": { name: "1 Wafalme", abbr: "1 Fal" },
+    "2KI": { name: "2 Wafalme", abbr: "2 Fal" },
+    "1CH": { name: "1 Mambo ya Nyakati", abbr: "1 Nya" },
+    "2CH": { name: "2 Mambo ya Nyakati", abbr: "2 Nya" },
+    EZR: { name: "Ezra", abbr: "Ezr" },
+    NEH: { name: "Nehemia", abbr: "Neh" },
+    EST: { name: "Esta", abbr: "Est" },
+    JOB: { name: "Ayubu", abbr: "Ayu" },
+    PSA: { name: "Zaburi", abbr: "Zab" },
+    PRO: { name: "Mithali", abbr: "Mit" },
+    ECC: { name: "Mhubiri", abbr: "Mhu" },
+    SNG: { name: "Wimbo Ulio Bora", abbr: "Wim" },
+    ISA: { name: "Isaya", abbr: "Isa" },
+    JER: { name: "Yeremia", abbr: "Yer" },
+    LAM: { name: "Maombolezo", abbr: "Omb" },
+    EZK: { name: "Ezekieli", abbr: "Eze" },
+    DAN: { name: "Danieli", abbr: "Dan" },
+    HOS: { name: "Hosea", abbr: "Hos" },
+    JOL: { name: "Yoeli", abbr: "Yoe" },
+    AMO: { name: "Amosi", abbr: "Amo" },
+    OBA: { name: "Obadia", abbr: "Oba" },
+    JON: { name: "Yona", abbr: "Yon" },
+    MIC: { name: "Mika", abbr: "Mik" },
+    NAM: { name: "Nahumu", abbr: "Nah" },
+    HAB: { name: "Habakuki", abbr: "Hab" },
+    ZEP: { name: "Sefania", abbr: "Sef" },
+    HAG: { name: "Hagai", abbr: "Hag" },
+    ZEC: { name: "Zekaria", abbr: "Zek" },
+    MAL: { name: "Malaki", abbr: "Mal" },
+    MAT: { name: "Mathayo", abbr: "Mat" },
+    MRK: { name: "Marko", abbr: "Mar" },
+    LUK: { name: "Luka", abbr: "Luk" },
+    JHN: { name: "Yohana", abbr: "Yoh" },
+    ACT: { name: "Matendo ya Mitume", abbr: "Mdo" },
+    ROM: { name: "Warumi", abbr: "Rum" },
+    "1CO": { name: "1 Wakorintho", abbr: "1 Kor" },
+    "2CO": { name: "2 Wakorintho", abbr: "2 Kor" },
+    GAL: { name: "Wagalatia", abbr: "Gal" },
+    EPH: { name: "Waefeso", abbr: "Efe" },
+    PHP: { name: "Wafilipi", abbr: "Flp" },
+    COL: { name: "Wakolosai", abbr: "Kol" },
+    "1TH": { name: "1 Wathesalonike", abbr: "1 The" },
+    "2TH": { name: "2 Wathesalonike", abbr: "2 The" },
+    "1TI": { name: "1 Timotheo", abbr: "1 Tim" },
+    "2TI": { name: "2 Timotheo", abbr: "2 Tim" },
+    TIT: { name: "Tito", abbr: "Tit" },
+    PHM: { name: "Filemoni", abbr: "Flm" },
+    HEB: { name: "Waebrania", abbr: "Ebr" },
+    JAS: { name: "Yakobo", abbr: "Yak" },
+    "1PE": { name: "1 Petro", abbr: "1 Pet" },
+    "2PE": { name: "2 Petro", abbr: "2 Pet" },
+    "1JN": { name: "1 Yohana", abbr: "1 Yoh" },
+    "2JN": { name: "2 Yohana", abbr: "2 Yoh" },
+    "3JN": { name: "3 Yohana", abbr: "3 Yoh" },
+    JUD: { name: "Yuda", abbr: "Yud" },
+    REV: { name: "Ufunuo", abbr: "Ufu" },
+  },
+};
+
+export default sw;
@@ -0,0 +1,312 @@
+// Chinese (Simplified) UI strings
+export const zh = {
+  app: {
+    title: "Bible Compass",
+    selectLanguage: "选择语言",
+    changeLanguage: "更改语言",
+    search: "搜索",
+    offlinePacks: "离线故事包",
+    queue: "播放队列和播放列表",
+    myNotes: "我的笔记",
+    settings: "阅读偏好",
+  },
+
+  languageSelector: {
+    title: "选择语言",
+    close: "关闭",
+    searchPlaceholder: "按语言名称或代码搜索...",
+    noLanguageSelected: "未选择语言",
+    loadingLanguages: "正在加载语言...",
+    noLanguagesFound: "未找到语言",
+    allLanguages: "所有语言",
+    byRegion: "按地区",
+    allRegions: "所有地区",
+    regionSearchPlaceholder: "按国家、地区或语言搜索...",
+    noRegionsFound: "未找到地区",
+    tradeLanguages: "通用语",
+    regionalLanguages: "地区语言",
+    otherLanguages: "其他语言",
+    parallelTitle: "选择对照文本语言",
+    parallelText: "对照文本：",
+    parallelOff: "关闭",
+    choose: "选择",
+    cancel: "取消",
+    turnOff: "关闭",
+    current: "当前：",
+    noLanguagesMatching: "没有与“{search}”匹配的语言",
+  },
+
+  versionPicker: {
+    title: "版本",
+    ot: "旧约",
+    nt: "新约",
+    text: "文本",
+    audio: "音频",
+    none: "无",
+    switching: "正在切换版本...",
+  },
+
+  storyViewer: {
+    loadingStory: "正在加载故事...",
+    errorTitle: "故事不可用",
+    errorMessage: "此故事尚未加入合集。",
+    errorDetail: "请稍后再来或选择其他故事。",
+    noSections: "没有可用的段落",
+    resumeFromSection: "从第 {section} 段继续（{time}）",
+    startOver: "从头开始",
+    sectionAlt: "第 {number} 段",
+  },
+
+  bibleText: {
+    loading: "正在加载 {reference}...",
+  },
+
+  audioPlayer: {
+    defaultReference: "故事音频",
+    loadingVerse: "正在加载...",
+    minimize: "最小化播放器",
+    play: "播放",
+    pause: "暂停",
+    stop: "停止",
+    seek: "跳转",
+    loadingAudio: "正在加载音频...",
+  },
+
+  queue: {
+    title: "播放队列和播放列表",
+    nowPlaying: "正在播放",
+    nothingPlaying: "没有正在播放的内容",
+    upNext: "接下来",
+    empty: "队列为空。请从故事列表中添加故事。",
+    clear: "清空队列",
+    playNow: "立即播放",
+    moveUp: "上移",
+    moveDown: "下移",
+    remove: "从队列中移除",
+    addToQueue: "加入队列",
+    savedPlaylists: "已保存的播放列表",
+    playlistNamePlaceholder: "播放列表名称，例如：复活节故事",
+    saveQueue: "保存",
+    noSavedPlaylists: "还没有保存的播放列表",
+    stories: {
+      other: "{count} 个故事",
+    },
+    delete: "删除播放列表",
+    confirmDelete: "删除此播放列表？",
+    preparing: "正在准备音频...",
+    adding: "正在添加...",
+  },
+
+  playbackOptions: {
+    repeatOff: "不重复",
+    repeatSegment: "重复本段",
+    repeatStory: "重复故事",
+    repeatQueue: "重复队列",
+    loopStart: "设置循环起点 (A)",
+    loopEnd: "设置循环终点 (B)",
+    loopClear: "清除 A-B 循环",
+    sleepTimer: "睡眠定时器",
+    sleepOff: "关闭定时器",
+    minutes: "分钟",
+    endOfStory: "故事结束时",
+  },
+
+  fullPlayingPane: {
+    sectionAlt: "段落",
+    hideText: "隐藏文本",
+    showText: "显示文本",
+    noText: "此段没有可用的文本。",
+  },
+
+  annotations: {
+    bookmark: "书签",
+    highlight: "高亮",
+    addNote: "添加笔记",
+    editNote: "编辑笔记",
+    notePlaceholder: "为这一段写笔记...",
+    saveNote: "保存笔记",
+    cancel: "取消",
+    colors: {
+      yellow: "黄色",
+      green: "绿色",
+      blue: "蓝色",
+      pink: "粉色",
+    },
+  },
+
+  notes: {
+    title: "我的笔记",
+    empty: "还没有书签、高亮或笔记",
+    section: "段落",
+    remove: "移除",
+    export: "导出",
+    import: "导入",
+    imported: {
+      other: "已导入 {count} 条标注",
+    },
+    importFailed: "此文件不包含导出的笔记",
+    filters: {
+      all: "全部",
+      bookmarks: "书签",
+      highlights: "高亮",
+      notes: "笔记",
+    },
+  },
+
+  settings: {
+    title: "阅读偏好",
+    theme: "主题",
+    themeOptions: {
+      light: "浅色",
+      dark: "深色",
+      system: "跟随系统",
+    },
+    textSize: "文字大小",
+    lineSpacing: "行距",
+    lineSpacingOptions: {
+      compact: "紧凑",
+      normal: "标准",
+      relaxed: "宽松",
+    },
+    dyslexicFont: "适合阅读障碍的字体",
+    preview: "起初，神创造天地。",
+    reset: "重置",
+    done: "完成",
+  },
+
+  search: {
+    title: "搜索",
+    placeholder: "搜索故事、经文出处和圣经文本...",
+    indexing: "正在准备搜索...",
+    noResults: "未找到结果",
+  },
+
+  storyPacks: {
+    title: "离线故事包",
+    language: "语言",
+    notSupported: "此浏览器不支持离线故事包。",
+    downloaded: "已下载",
+    stories: {
+      other: "{count} 个故事",
+    },
+    missingAudio: {
+      other: "{count} 个音频文件未能保存。请重新下载以重试。",
+    },
+    delete: "删除故事包",
+    phaseStories: "正在保存故事和图片",
+    phaseChapters: "正在保存圣经文本和音频",
+    cancel: "取消",
+    downloadFailed: "下载失败。请检查网络连接后重试。",
+    storageUsed: "已用存储空间",
+    storageUnknown: "未知",
+    downloadSelected: "下载所选",
+    downloadAll: "下载全部故事",
+  },
+
+  navigationGrid: {
+    loading: "正在加载...",
+    noAudioToQueue: "此语言没有可加入队列的同步音频",
+    continue: "从上次离开的地方继续",
+    sectionsDone: "已完成 {done}/{total} 段",
+    back: "返回",
+    collectionTitle: "开放圣经故事",
+    hideEmpty: {
+      other: "隐藏 {count} 个没有文本的故事",
+    },
+    showEmpty: {
+      other: "显示 {count} 个没有文本的故事",
+    },
+  },
+
+  storyAvailability: {
+    full: "有文本",
+    empty: "无文本",
+    unknown: "内容状态未知",
+  },
+
+  availabilityBadge: {
+    fullTooltip: "所需的各约均有文本",
+    emptyTooltip: "所需的约没有文本",
+  },
+
+  // Reference punctuation, e.g. "创世记 1:1-2，4；出埃及记 3:2"
+  referenceFormat: {
+    chapterVerse: ":",
+    range: "-",
+    verseList: "，",
+    list: "；",
+    following: "ff",
+  },
+
+  // Bible book names by USFM code: full name and abbreviation
+  books: {
+    GEN: { name: "创世记", abbr: "创" },
+    EXO: { name: "出埃及记", abbr: "出" },
+    LEV: { name: "利未记", abbr: "利" },
+    NUM: { name: "民数记", abbr: "民" },
+    DEU: { name: "申命记", abbr: "申" },
+    JOS: { name: "约书亚记", abbr: "书" },
+    JDG: { name: "士师记", abbr: "士" },
+    RUT: { name: "路得记", abbr: "得" },
+    "1SA": { name: "撒母耳记上", abbr: "撒上" },
+    "2SA": { name: "撒母耳记下", abbr: "撒下" },
+    "1KI": { name: "列王纪上", abbr: "王上" },
+    "2KI": { name: "列王纪下", abbr: "王下" },
+    "1CH": { name: "历代志上", abbr: "代上" },
+    "2CH": { name: "历代志下", abbr: "代下" },
+    EZR: { name: "以斯拉记", abbr: "拉" },
+    NEH: { name: "尼希米记", abbr: "尼" },
+    EST: { name: "以斯帖记", abbr: "斯" },
+    JOB: { name: "约伯记", abbr: "伯" },
+    PSA: { name: "诗篇", abbr: "诗" },
+    PRO: { name: "箴言", abbr: "箴" },
+    ECC: { name: "传道书", abbr: "传" },
+    SNG: { name: "雅歌", abbr: "歌" },
+    ISA: { name: "以赛亚书", abbr: "赛" },
+    JER: { name: "耶利米书", abbr: "耶" },
+    LAM: { name: "耶利米哀歌", abbr: "哀" },
+    EZK: { name: "以西结书", abbr: "结" },
+    DAN: { name: "但以理书", abbr: "但" },
+    HOS: { name: "何西阿书", abbr: "何" },
+    JOL: { name: "约珥书", abbr: "珥" },
+    AMO: { name: "阿摩司书", abbr: "摩" },
+    OBA: { name: "俄巴底亚书", abbr: "俄" },
+    JON: { name: "约拿书", abbr: "拿" },
+    MIC: { name: "弥迦书", abbr: "弥" },
+    NAM: { name: "那鸿书", abbr: "鸿" },
+    HAB: { name: "哈巴谷书", abbr: "哈" },
+    ZEP: { name: "西番雅书", abbr: "番" },
+    HAG: { name: "哈该书", abbr: "该" },
+    ZEC: { name: "撒迦利亚书", abbr: "亚" },
+    MAL: { name: "玛拉基书", abbr: "玛" },
+    MAT: { name: "马太福音", abbr: "太" },
+    MRK: { name: "马可福音", abbr: "可" },
+    LUK: { name: "路加福音", abbr: "路" },
+    JHN: { name: "约翰福音", abbr: "约" },
+    ACT: { name: "使徒行传", abbr: "徒" },
+    ROM: { name: "罗马书", abbr: "罗" },
+    "1CO": { name: "哥林多前书", abbr: "林前" },
+    "2CO": { name: "哥林多后书", abbr: "林后" },
+    GAL: { name: "加拉太书", abbr: "加" },
+    EPH: { name: "以弗所书", abbr: "弗" },
+    PHP: { name: "腓立比书", abbr: "腓" },
+    COL: { name: "歌罗西书", abbr: "西" },
+    "1TH": { name: "帖撒罗尼迦前书", abbr: "帖前" },
+    "2TH": { name: "帖撒罗尼迦后书", abbr: "帖后" },
+    "1TI": { name: "提摩太前书", abbr: "提前" },
+    "2TI": { name: "提摩太后书", abbr: "提后" },
+    TIT: { name: "提多书", abbr: "多" },
+    PHM: { name: "腓利门书", abbr: "门" },
+    HEB: { name: "希伯来书", abbr: "来" },
+    JAS: { name: "雅各书", abbr: "雅" },
+    "1PE": { name: "彼得前书", abbr: "彼前" },
+    "2PE": { name: "彼得后书", abbr: "彼后" },
+    "1JN": { name: "约翰一书", abbr: "约一" },
+    "2JN": { name: "约翰二书", abbr: "约二" },
+    "3JN": { name: "约翰三书", abbr: "约三" },
+    JUD: { name: "犹大书", abbr: "犹" },
+    REV: { name: "启示录", abbr: "启" },
+  },
+};
+
+export default zh;
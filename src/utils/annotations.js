@@ -0,0 +1,142 @@
+/**
+ * Personal annotations on story sections: bookmarks, colored highlights and
+ * notes, stored locally
+ * Every annotation is keyed by story ID, section index and reference, and
+ * carries the story path and title so it can be listed and opened without
+ * loading the story. Exported files can be imported on another device.
+ */
+
+const ANNOTATIONS_KEY = "annotations";
+const EXPORT_FORMAT = "bible-compass-annotations";
+const EXPORT_VERSION = 1;
+
+// Highlight colors offered for sections, by name
+export const HIGHLIGHT_COLORS = {
+  yellow: "#ffe066",
+  green: "#8ce99a",
+  blue: "#74c0fc",
+  pink: "#faa2c1",
+};
+
+const ANNOTATION_TYPES = ["bookmarks", "highlights", "notes"];
+
+const emptyAnnotations = () => ({ bookmarks: [], highlights: [], notes: [] });
+
+/**
+ * Key of the section an annotation belongs to
+ * @param {Object} target - { storyId, sectionIndex, reference }
+ * @returns {string} Annotation key
+ */
+export const getAnnotationKey = ({ storyId, sectionIndex, reference }) =>
+  `${storyId}:${sectionIndex}:${reference || ""}`;
+
+/**
+ * Read all annotations
+ * @returns {Object} { bookmarks, highlights, notes }, each a list of
+ *   { key, storyId, storyPath, storyTitle, sectionIndex, reference, updatedAt }
+ *   (highlights add color, notes add text)
+ */
+export const getSavedAnnotations = () => {
+  try {
+    return {
+      ...emptyAnnotations(),
+      ...JSON.parse(localStorage.getItem(ANNOTATIONS_KEY)),
+    };
+  } catch (error) {
+    return emptyAnnotations();
+  }
+};
+
+/**
+ * Write all annotations
+ * @param {Object} annotations - { bookmarks, highlights, notes }
+ */
+export const saveAnnotations = (annotations) => {
+  localStorage.setItem(ANNOTATIONS_KEY, JSON.stringify(annotations));
+};
+
+/**
+ * Serialize annotations for export
+ * @param {Object} annotations - { bookmarks, highlights, notes }
+ * @returns {string} JSON text
+ */
+export const exportAnnotations = (annotations) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...annotations,
+    },
+    null,
+    2,
+  );
+
+// Helper: Check an imported annotation of the given type, so malformed
+// entries are dropped instead of breaking the notes list or story view
+const isValidAnnotation = (annotation, type) => {
+  if (
+    !annotation ||
+    typeof annotation.storyId !== "string" ||
+    typeof annotation.storyPath !== "string" ||
+    !annotation.storyPath ||
+    !Number.isInteger(annotation.sectionIndex)
+  ) {
+    return false;
+  }
+  if (type === "highlights") {
+    return Object.hasOwn(HIGHLIGHT_COLORS, annotation.color);
+  }
+  if (type === "notes") {
+    return typeof annotation.text === "string";
+  }
+  return true;
+};
+
+/**
+ * Merge an exported file into existing annotations
+ * Imported annotations replace existing ones on the same section when they
+ * are newer.
+ * @param {Object} annotations - Current annotations
+ * @param {string} text - JSON text from exportAnnotations
+ * @returns {Object} { annotations, imported } with the merged annotations and
+ *   the number of annotations taken from the file
+ * @throws {Error} If the text is not an annotations export
+ */
+export const mergeAnnotationsImport = (annotations, text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Not a JSON file");
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error("Not an annotations export");
+  }
+
+  const merged = { ...emptyAnnotations(), ...annotations };
+  let imported = 0;
+
+  ANNOTATION_TYPES.forEach((type) => {
+    const byKey = new Map(
+      merged[type].map((annotation) => [annotation.key, annotation]),
+    );
+
+    (Array.isArray(data[type]) ? data[type] : [])
+      .filter((annotation) => isValidAnnotation(annotation, type))
+      .forEach((annotation) => {
+        const key = getAnnotationKey(annotation);
+        const existing = byKey.get(key);
+        if (existing && existing.updatedAt >= (annotation.updatedAt || 0)) {
+          return;
+        }
+        byKey.set(key, { ...annotation, key });
+        imported++;
+      });
+
+    merged[type] = Array.from(byKey.values());
+  });
+
+  return { annotations: merged, imported };
+};
@@ -41,71 +41,348 @@ export const getTestament = (bookCode) => {
 };
 
 /**
- * Parse a Bible reference string into book, chapter, and verse range
- * Examples: "GEN 1:1-5", "MAT 5:3", "REV 21:1-4", "GEN 1:20,22" (comma = non-consecutive verses)
+ * Reference grammar
+ *
+ * A reference is a list of parts separated by "," or ";". Each part may name
+ * a book (USFM code), a chapter and verses; omitted parts carry over from the
+ * previous part. Examples:
+ *   "GEN 1:1-5"                 verse range
+ *   "GEN 1:20,22" / "GEN 11:1-2,4"   verses in the same chapter
+ *   "GEN 1:31-2:3"              range across chapters
+ *   "GEN 16:15-16, 17:1,25"     chapter change within a book
+ *   "MAT 26:26-29; 1CO 11:23"   several books
+ *   "PSA 23" / "GEN 1-2"        whole chapters
+ *   "GEN 1:31ff"                from a verse to the end of the chapter
+ * After ";" or after a whole chapter, a bare number is a chapter; after a
+ * verse it is another verse in the same chapter.
+ *
+ * The parsed form is a list of passages, each a contiguous run of verses in
+ * one chapter: { book, chapter, verseStart, verseEnd }. verseStart and
+ * verseEnd are null for a whole chapter; verseEnd is null for "to the end of
+ * the chapter".
+ */
+
+const BOOK_PATTERN = /^([1-4][A-Z]{2}|[A-Z][A-Z0-9]{2})(?![A-Z])\s*/i;
+const CHAPTER_VERSE_PATTERN = /^(\d+):(\d+)(ff)?$/i;
+const NUMBER_PATTERN = /^(\d+)(ff)?$/i;
+
+/**
+ * Parse a reference into passages
+ * @param {string} reference - Reference string (e.g. "GEN 1:31-2:3; MAT 5:3")
+ * @returns {Array} [{ book, chapter, verseStart, verseEnd }], empty if invalid
+ */
+export const parseReferenceList = (reference) => {
+  if (!reference || typeof reference !== "string") return [];
+
+  const passages = [];
+  let book = null;
+  let chapter = null;
+  let afterVerse = false;
+
+  const tokens = reference.trim().split(/\s*([,;])\s*/);
+
+  for (let i = 0; i < tokens.length; i += 2) {
+    const separator = i > 0 ? tokens[i - 1] : ";";
+    let part = tokens[i];
+
+    const bookMatch = part.match(BOOK_PATTERN);
+    if (bookMatch) {
+      book = bookMatch[1].toUpperCase();
+      chapter = null;
+      afterVerse = false;
+      part = part.slice(bookMatch[0].length);
+    }
+    if (!book || !part) return [];
+
+    const [startText, endText, ...extra] = part.split(/\s*[-–]\s*/);
+    if (extra.length) return [];
+
+    // Start of the part: "C:V", "C", or "V" (depending on context)
+    let startChapter;
+    let startVerse = null;
+    let openEnd = false;
+    const startChapterVerse = startText.match(CHAPTER_VERSE_PATTERN);
+    const startNumber = startText.match(NUMBER_PATTERN);
+
+    if (startChapterVerse) {
+      startChapter = parseInt(startChapterVerse[1], 10);
+      startVerse = parseInt(startChapterVerse[2], 10);
+      openEnd = !!startChapterVerse[3];
+    } else if (startNumber && afterVerse && separator === ",") {
+      startChapter = chapter;
+      startVerse = parseInt(startNumber[1], 10);
+      openEnd = !!startNumber[2];
+    } else if (startNumber && !startNumber[2]) {
+      startChapter = parseInt(startNumber[1], 10);
+    } else {
+      return [];
+    }
+
+    if (openEnd && endText !== undefined) return [];
+
+    // End of the part: none, "V", "C:V" or "C" (for chapter ranges)
+    let endChapter = startChapter;
+    let endVerse = startVerse === null || openEnd ? null : startVerse;
+
+    if (endText !== undefined) {
+      const endChapterVerse = endText.match(CHAPTER_VERSE_PATTERN);
+      const endNumber = endText.match(NUMBER_PATTERN);
+
+      if (endChapterVerse && startVerse !== null && !endChapterVerse[3]) {
+        endChapter = parseInt(endChapterVerse[1], 10);
+        endVerse = parseInt(endChapterVerse[2], 10);
+      } else if (endNumber && !endNumber[2]) {
+        const value = parseInt(endNumber[1], 10);
+        if (startVerse === null) {
+          endChapter = value;
+        } else {
+          endVerse = value;
+        }
+      } else {
+        return [];
+      }
+    }
+
+    if (
+      endChapter < startChapter ||
+      (endChapter === startChapter &&
+        startVerse !== null &&
+        endVerse !== null &&
+        endVerse < startVerse)
+    ) {
+      return [];
+    }
+
+    // Expand into one passage per chapter; chapters in between are whole
+    for (let ch = startChapter; ch <= endChapter; ch++) {
+      const isLast = ch === endChapter;
+      let verseStartInChapter = null;
+      if (ch === startChapter) {
+        verseStartInChapter = startVerse;
+      } else if (isLast && endVerse !== null) {
+        verseStartInChapter = 1;
+      }
+      passages.push({
+        book,
+        chapter: ch,
+        verseStart: verseStartInChapter,
+        verseEnd: isLast ? endVerse : null,
+      });
+    }
+
+    chapter = endChapter;
+    afterVerse = startVerse !== null;
+  }
+
+  return passages;
+};
+
+/**
+ * Format a passage as a reference string (inverse of parseReferenceList)
+ * @param {Object} passage - { book, chapter, verseStart, verseEnd }
+ * @returns {string} Reference (e.g. "GEN 1:3-5", "GEN 1:31ff", "PSA 23")
+ */
+export const formatPassage = ({ book, chapter, verseStart, verseEnd }) => {
+  const base = `${book} ${chapter}`;
+  if (verseStart === null || verseStart === undefined) return base;
+  return `${base}:${getVerseSpec({ verseStart, verseEnd })}`;
+};
+
+/**
+ * Get the verse part of a passage (e.g. "3", "3-5" or "31ff")
+ * @param {Object} passage - { verseStart, verseEnd }
+ * @returns {string} Verse specification, empty for a whole chapter
+ */
+export const getVerseSpec = ({ verseStart, verseEnd }) => {
+  if (verseStart === null || verseStart === undefined) return "";
+  if (verseEnd === null || verseEnd === undefined) return `${verseStart}ff`;
+  if (verseEnd === verseStart) return String(verseStart);
+  return `${verseStart}-${verseEnd}`;
+};
+
+/**
+ * Get the chapters a reference needs, without duplicates
+ * @param {string} reference - Reference string
+ * @returns {Array} [{ book, chapter, chapterKey }] where chapterKey is "BOOK.CH"
+ */
+export const getReferenceChapters = (reference) => {
+  const chapters = new Map();
+  parseReferenceList(reference).forEach(({ book, chapter }) => {
+    const chapterKey = `${book}.${chapter}`;
+    if (!chapters.has(chapterKey)) {
+      chapters.set(chapterKey, { book, chapter, chapterKey });
+    }
+  });
+  return Array.from(chapters.values());
+};
+
+/**
+ * Parse a single-chapter reference into book, chapter and verse range
+ * Kept for callers that deal with one passage (e.g. one playlist segment).
  * @param {string} reference - The Bible reference string
- * @returns {Object|null} Parsed reference object or null if invalid
+ * @returns {Object|null} First passage, or null if invalid
  */
 export const parseReference = (reference) => {
-  if (!reference) return null;
+  return parseReferenceList(reference)[0] || null;
+};
 
-  // Match pattern: BOOK CHAPTER:VERSES where VERSES can be "1", "1-5", or "1,3,5"
-  const match = reference.match(/^([A-Z0-9]+)\s+(\d+):(.+)$/i);
-  if (!match) {
-    return null;
-  }
+const DEFAULT_REFERENCE_FORMAT = {
+  chapterVerse: ":",
+  range: "-",
+  verseList: ",",
+  list: "; ",
+  following: "ff",
+};
 
-  const book = match[1].toUpperCase();
-  const chapter = parseInt(match[2], 10);
-  const versePart = match[3];
-
-  // Check if it's comma-separated (individual verses)
-  if (versePart.includes(",")) {
-    const verses = versePart.split(",").map((v) => parseInt(v.trim(), 10));
-    return {
-      book,
-      chapter,
-      verses, // Array of specific verse numbers
-    };
-  }
+/**
+ * Merge passages back into ranges for display: a passage running to the end
+ * of its chapter joins the chapters that continue it ("1:31ff" + "2:1-3"
+ * becomes 1:31-2:3), and runs of whole chapters become chapter ranges.
+ */
+const groupPassages = (passages) => {
+  const ranges = [];
 
-  // Check if it's a range (e.g., "1-5")
-  if (versePart.includes("-")) {
-    const [start, end] = versePart
-      .split("-")
-      .map((v) => parseInt(v.trim(), 10));
-    return {
-      book,
-      chapter,
-      verseStart: start,
-      verseEnd: end,
+  for (let i = 0; i < passages.length; i++) {
+    const passage = passages[i];
+    const range = {
+      book: passage.book,
+      startChapter: passage.chapter,
+      startVerse: passage.verseStart,
+      endChapter: passage.chapter,
+      endVerse: passage.verseEnd,
     };
+
+    const continues = (next, chapter) =>
+      next && next.book === passage.book && next.chapter === chapter + 1;
+
+    if (passage.verseStart === null) {
+      while (
+        continues(passages[i + 1], range.endChapter) &&
+        passages[i + 1].verseStart === null
+      ) {
+        range.endChapter = passages[++i].chapter;
+      }
+    } else if (passage.verseEnd === null) {
+      let j = i + 1;
+      let chapter = passage.chapter;
+      while (continues(passages[j], chapter) && !passages[j].verseStart) {
+        chapter = passages[j++].chapter;
+      }
+      const end = passages[j];
+      if (
+        continues(end, chapter) &&
+        end.verseStart === 1 &&
+        end.verseEnd !== null
+      ) {
+        range.endChapter = end.chapter;
+        range.endVerse = end.verseEnd;
+        i = j;
+      }
+    }
+
+    ranges.push(range);
   }
 
-  // Single verse
-  const verse = parseInt(versePart, 10);
-  return {
-    book,
-    chapter,
-    verseStart: verse,
-    verseEnd: verse,
+  return ranges;
+};
+
+/**
+ * Format a reference for display with localized book names and punctuation
+ * e.g. "GEN 1:1-2" -> "Genèse 1.1-2" (fr) or "Genesis 1:1–2" (en)
+ * @param {string} reference - Reference string
+ * @param {Object} options - { books, format, vernacularNames, abbreviated }
+ *   books: { BOOK: { name, abbr } } names for the UI locale
+ *   format: punctuation (chapterVerse, range, verseList, list, following)
+ *   vernacularNames: { BOOK: name } names in the Bible's language
+ * @returns {string} Formatted reference, or the input if it cannot be parsed
+ */
+export const formatReference = (
+  reference,
+  { books = {}, format = {}, vernacularNames = {}, abbreviated = false } = {},
+) => {
+  const passages = parseReferenceList(reference);
+  if (passages.length === 0) return reference || "";
+
+  const { chapterVerse, range, verseList, list, following } = {
+    ...DEFAULT_REFERENCE_FORMAT,
+    ...format,
+  };
+
+  const getBookName = (book) =>
+    vernacularNames?.[book] ||
+    (abbreviated ? books[book]?.abbr : books[book]?.name) ||
+    book;
+
+  const formatVerses = ({ startVerse, endVerse }) => {
+    if (endVerse === null) return `${startVerse}${following}`;
+    if (endVerse === startVerse) return String(startVerse);
+    return `${startVerse}${range}${endVerse}`;
+  };
+
+  const formatChapters = (item) => {
+    const { startChapter, startVerse, endChapter, endVerse } = item;
+    if (startVerse === null) {
+      return startChapter === endChapter
+        ? String(startChapter)
+        : `${startChapter}${range}${endChapter}`;
+    }
+    if (startChapter === endChapter) {
+      return `${startChapter}${chapterVerse}${formatVerses(item)}`;
+    }
+    return `${startChapter}${chapterVerse}${startVerse}${range}${endChapter}${chapterVerse}${endVerse}`;
   };
+
+  let result = "";
+  let previous = null;
+
+  groupPassages(passages).forEach((item) => {
+    const inPreviousChapter =
+      previous &&
+      previous.book === item.book &&
+      previous.startVerse !== null &&
+      previous.endChapter === item.startChapter &&
+      item.startVerse !== null &&
+      item.startChapter === item.endChapter;
+
+    if (!previous) {
+      result = `${getBookName(item.book)} ${formatChapters(item)}`;
+    } else if (previous.book !== item.book) {
+      result += `${list}${getBookName(item.book)} ${formatChapters(item)}`;
+    } else if (inPreviousChapter) {
+      result += `${verseList}${formatVerses(item)}`;
+    } else {
+      result += `${list}${formatChapters(item)}`;
+    }
+
+    previous = item;
+  });
+
+  return result;
+};
+
+/**
+ * Select a verse range from a chapter verse array, keeping verse boundaries
+ * @param {Array} verseArray - Array of verse objects with num and text
+ * @param {number|null} verseStart - First verse (null for the whole chapter)
+ * @param {number|null} verseEnd - Last verse (null for the end of the chapter)
+ * @returns {Array} Selected verse objects (empty for the old string format)
+ */
+export const selectVerses = (verseArray, verseStart, verseEnd) => {
+  if (!Array.isArray(verseArray)) return [];
+
+  const first = verseStart ?? 1;
+  const last = verseEnd ?? Infinity;
+  return verseArray.filter((v) => v.num >= first && v.num <= last);
 };
 
 /**
  * Extract specific verses from chapter verse array
  * @param {Array|string} verseArray - Array of verse objects with num and text, or string (old format)
- * @param {number} verseStart - Start verse number (if range)
- * @param {number} verseEnd - End verse number (if range)
- * @param {Array} verses - Array of specific verse numbers (if comma-separated)
+ * @param {number|null} verseStart - First verse (null for the whole chapter)
+ * @param {number|null} verseEnd - Last verse (null for the end of the chapter)
  * @returns {string|null} Extracted verse text or null
  */
-export const extractVerses = (
-  verseArray,
-  verseStart,
-  verseEnd,
-  verses = null,
-) => {
+export const extractVerses = (verseArray, verseStart, verseEnd) => {
   if (!verseArray) return null;
 
   // If it's a string (old format), return it as-is
@@ -115,17 +392,7 @@ export const extractVerses = (
 
   // If it's an array (new format from DBT API)
   if (Array.isArray(verseArray)) {
-    let selectedVerses;
-
-    // Handle comma-separated verses (specific verse numbers)
-    if (verses && Array.isArray(verses)) {
-      selectedVerses = verseArray.filter((v) => verses.includes(v.num));
-    } else {
-      // Handle range
-      selectedVerses = verseArray.filter(
-        (v) => v.num >= verseStart && v.num <= verseEnd,
-      );
-    }
+    const selectedVerses = selectVerses(verseArray, verseStart, verseEnd);
 
     if (selectedVerses.length === 0) {
       return null;
@@ -145,27 +412,42 @@ export const extractVerses = (
  * Extract Bible text for a given reference from the chapterText cache
  * @param {string} reference - Bible reference (e.g., "MAT 1:18-19")
  * @param {Object} chapterText - Cache of loaded chapters
- * @returns {string|null} Extracted text or null
+ * @returns {string|null} Extracted text, or null until every chapter of the
+ *   reference is loaded
  */
 export const getTextForReference = (reference, chapterText) => {
   if (!reference || !chapterText) return null;
 
-  const parsed = parseReference(reference);
-  if (!parsed) return null;
-
-  const { book, chapter, verseStart, verseEnd, verses } = parsed;
-  const chapterKey = `${book}.${chapter}`;
-
-  if (!chapterText[chapterKey]) {
+  const passages = parseReferenceList(reference);
+  if (
+    passages.some(({ book, chapter }) => !chapterText[`${book}.${chapter}`])
+  ) {
     return null;
   }
 
-  const extractedVerses = extractVerses(
-    chapterText[chapterKey],
-    verseStart,
-    verseEnd,
-    verses,
-  );
+  const texts = passages
+    .map(({ book, chapter, verseStart, verseEnd }) =>
+      extractVerses(chapterText[`${book}.${chapter}`], verseStart, verseEnd),
+    )
+    .filter(Boolean);
+
+  return texts.length > 0 ? texts.join(" ") : null;
+};
 
-  return extractedVerses;
+/**
+ * Get the verses of a reference from the chapterText cache, one entry per verse
+ * Passages whose chapter is not loaded yet are left out.
+ * @param {string} reference - Bible reference (e.g., "GEN 1:31-2:3")
+ * @param {Object} chapterText - Cache of loaded chapters
+ * @returns {Array} [{ book, chapter, num, text }]
+ */
+export const getVersesForReference = (reference, chapterText) => {
+  if (!reference || !chapterText) return [];
+
+  return parseReferenceList(reference).flatMap(
+    ({ book, chapter, verseStart, verseEnd }) =>
+      selectVerses(chapterText[`${book}.${chapter}`], verseStart, verseEnd).map(
+        (verse) => ({ book, chapter, num: verse.num, text: verse.text }),
+      ),
+  );
 };
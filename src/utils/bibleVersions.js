@@ -0,0 +1,14 @@
+/**
+ * Bible version helpers
+ * A version is a text or audio fileset of a language in the manifest,
+ * identified by its category and distinct ID together, since the same
+ * distinct ID can appear in several categories.
+ */
+
+/**
+ * Key identifying a version within a language and testament
+ * @param {Object} version - { category, distinctId }
+ * @returns {string} Version key ("category/distinctId")
+ */
+export const getVersionKey = ({ category, distinctId }) =>
+  `${category}/${distinctId}`;
@@ -0,0 +1,195 @@
+/**
+ * Language tags and text direction for Bible languages
+ * Bible languages are identified by ISO 639-3 codes; browsers pick fonts,
+ * shaping and hyphenation from BCP-47 tags, which use the two-letter code
+ * where one exists. Direction comes from a list of right-to-left languages
+ * and, for languages not on it, from the script of the vernacular name.
+ */
+
+// ISO 639-3 codes (including individual languages of macrolanguages) with a
+// shorter or more widely supported BCP-47 tag
+const LANGUAGE_TAGS = {
+  afr: "af",
+  amh: "am",
+  arb: "ar",
+  ara: "ar",
+  asm: "as",
+  azb: "az-Arab",
+  azj: "az",
+  bel: "be",
+  ben: "bn",
+  bod: "bo",
+  bul: "bg",
+  cat: "ca",
+  ces: "cs",
+  cmn: "zh",
+  dan: "da",
+  deu: "de",
+  ekk: "et",
+  ell: "el",
+  eng: "en",
+  fin: "fi",
+  fra: "fr",
+  guj: "gu",
+  hat: "ht",
+  hau: "ha",
+  heb: "he",
+  hin: "hi",
+  hrv: "hr",
+  hun: "hu",
+  hye: "hy",
+  ibo: "ig",
+  ind: "id",
+  ita: "it",
+  jpn: "ja",
+  kan: "kn",
+  kat: "ka",
+  kaz: "kk",
+  khk: "mn",
+  khm: "km",
+  kin: "rw",
+  kir: "ky",
+  kor: "ko",
+  lao: "lo",
+  lin: "ln",
+  lit: "lt",
+  lug: "lg",
+  lvs: "lv",
+  mal: "ml",
+  mar: "mr",
+  mkd: "mk",
+  mya: "my",
+  nld: "nl",
+  nob: "nb",
+  npi: "ne",
+  nya: "ny",
+  ory: "or",
+  pan: "pa",
+  pbu: "ps",
+  pes: "fa",
+  plt: "mg",
+  pnb: "pa-Arab",
+  pol: "pl",
+  por: "pt",
+  prs: "fa-AF",
+  ron: "ro",
+  run: "rn",
+  rus: "ru",
+  sin: "si",
+  slk: "sk",
+  slv: "sl",
+  sna: "sn",
+  snd: "sd",
+  som: "so",
+  spa: "es",
+  sqi: "sq",
+  srp: "sr",
+  swe: "sv",
+  swh: "sw",
+  tam: "ta",
+  tel: "te",
+  tgk: "tg",
+  tha: "th",
+  tir: "ti",
+  tur: "tr",
+  ukr: "uk",
+  urd: "ur",
+  uzn: "uz",
+  vie: "vi",
+  wol: "wo",
+  xho: "xh",
+  yor: "yo",
+  zlm: "ms",
+  zsm: "ms",
+  zul: "zu",
+};
+
+// Languages written right to left (Arabic, Hebrew, Syriac, Thaana and N'Ko
+// scripts)
+const RTL_LANGUAGES = new Set([
+  "abh",
+  "acm",
+  "aeb",
+  "afb",
+  "aii",
+  "ajp",
+  "apc",
+  "apd",
+  "ara",
+  "arb",
+  "arq",
+  "ars",
+  "ary",
+  "arz",
+  "ayl",
+  "ayp",
+  "azb",
+  "bal",
+  "bgp",
+  "bqi",
+  "ckb",
+  "div",
+  "glk",
+  "haz",
+  "hbo",
+  "heb",
+  "khw",
+  "lrc",
+  "mzn",
+  "nqo",
+  "pbt",
+  "pbu",
+  "pes",
+  "pga",
+  "pnb",
+  "prs",
+  "pst",
+  "sdh",
+  "shu",
+  "skr",
+  "snd",
+  "ssh",
+  "syc",
+  "syr",
+  "uig",
+  "urd",
+  "ydd",
+  "yid",
+]);
+
+// Hebrew, Arabic, Syriac, Thaana, N'Ko and their presentation forms
+const RTL_CHARS = /[\u0590-\u07FF\u0860-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+
+// Letters of any script (used to find the first strong character)
+const LETTER = /\p{L}/u;
+
+/**
+ * Get the BCP-47 tag of a language
+ * @param {string} langCode - ISO 639-3 language code
+ * @returns {string} BCP-47 tag (the code itself when it has no shorter tag)
+ */
+export const getLanguageTag = (langCode) =>
+  LANGUAGE_TAGS[langCode] || langCode || "";
+
+/**
+ * Check whether text starts with a right-to-left letter
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the first letter is from a right-to-left script
+ */
+export const isRtlText = (text) => {
+  for (const char of text || "") {
+    if (LETTER.test(char)) {
+      return RTL_CHARS.test(char);
+    }
+  }
+  return false;
+};
+
+/**
+ * Get the text direction of a language
+ * @param {string} langCode - ISO 639-3 language code
+ * @param {string} vernacularName - Name of the language in itself (optional)
+ * @returns {string} "rtl" or "ltr"
+ */
+export const getTextDirection = (langCode, vernacularName) =>
+  RTL_LANGUAGES.has(langCode) || isRtlText(vernacularName) ? "rtl" : "ltr";
@@ -1,8 +1,4 @@
-import {
-  parseReference,
-  extractVerses,
-  getTextForReference,
-} from "./bibleUtils";
+import { getTextForReference, getVersesForReference } from "./bibleUtils";
 
 /**
  * Replace <<<REF>>> markers in text with actual Bible verses from cache
@@ -10,40 +6,10 @@ import {
 const replaceBibleReferences = (text, chapterText) => {
   if (!text || !chapterText) return text;
 
-  // Find all <<<REF: ...>>> markers in the text
-  const refPattern = /<<<REF:\s*(.+?)>>>/g;
-  let result = text;
-  let match;
-  let replacementCount = 0;
-
-  while ((match = refPattern.exec(text)) !== null) {
-    const fullMatch = match[0];
-    const reference = match[1].trim();
-
-    const parsed = parseReference(reference);
-    if (!parsed) {
-      continue;
-    }
-
-    const { book, chapter, verseStart, verseEnd, verses } = parsed;
-    const chapterKey = `${book}.${chapter}`;
-
-    // Check if chapter is in cache
-    if (chapterText[chapterKey]) {
-      const extractedVerses = extractVerses(
-        chapterText[chapterKey],
-        verseStart,
-        verseEnd,
-        verses,
-      );
-      if (extractedVerses) {
-        result = result.replace(fullMatch, extractedVerses);
-        replacementCount++;
-      }
-    }
-  }
-
-  return result;
+  // Replace each <<<REF: ...>>> marker whose chapters are loaded
+  return text.replace(/<<<REF:\s*(.+?)>>>/g, (fullMatch, reference) => {
+    return getTextForReference(reference.trim(), chapterText) || fullMatch;
+  });
 };
 
 /**
@@ -117,12 +83,25 @@ export const parseMarkdownIntoSections = (markdown, chapterText = {}) => {
     }
   });
 
-  // For sections with reference but no text, load the Bible text directly
+  // For sections with reference but no text, load the Bible text directly,
+  // keeping verse boundaries for verse highlighting
   sections.forEach((section) => {
     if (section.reference && (!section.text || section.text.trim() === "")) {
-      const extractedText = getTextForReference(section.reference, chapterText);
-      if (extractedText) {
-        section.text = extractedText;
+      const verses = getVersesForReference(section.reference, chapterText);
+      if (verses.length > 0) {
+        section.verses = verses;
+        section.text = verses
+          .map((verse) => verse.text)
+          .join(" ")
+          .trim();
+      } else {
+        const extractedText = getTextForReference(
+          section.reference,
+          chapterText,
+        );
+        if (extractedText) {
+          section.text = extractedText;
+        }
       }
     }
   });
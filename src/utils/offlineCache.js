@@ -0,0 +1,316 @@
+/**
+ * Persistent offline cache for Bible content
+ * Stores chapter text, audio metadata and timing files in IndexedDB so stories
+ * that were already viewed can be reopened without a network connection
+ */
+
+const DB_NAME = "bible-compass-cache";
+const DB_VERSION = 3;
+
+// Bump when the shape of cached values changes - older entries are ignored and purged
+export const CACHE_SCHEMA_VERSION = 1;
+
+export const CACHE_STORES = {
+  chapters: "chapters",
+  audio: "audio",
+  timing: "timing",
+};
+
+// Per-store limits. maxAge marks entries as stale (still usable when offline)
+const STORE_LIMITS = {
+  chapters: { maxEntries: 5000, maxBytes: 25 * 1024 * 1024, maxAge: null },
+  // Audio URLs from the DBT API are signed and expire, so keep them short-lived
+  audio: {
+    maxEntries: 5000,
+    maxBytes: 5 * 1024 * 1024,
+    maxAge: 12 * 60 * 60 * 1000,
+  },
+  timing: {
+    maxEntries: 200,
+    maxBytes: 10 * 1024 * 1024,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+  },
+};
+
+let dbPromise = null;
+const pruneTimers = {};
+const touchTimers = {};
+const touchedKeys = {}; // Keys read since the last access-time update: { storeName: Set }
+
+/**
+ * Build a cache key from language, fileset and chapter
+ * @param {string} langCode - Language code (e.g., "fra")
+ * @param {string} filesetId - Text or audio fileset ID
+ * @param {string} chapterKey - Chapter key (e.g., "GEN.1") or testament for timing files
+ * @returns {string} Cache key
+ */
+export const buildCacheKey = (langCode, filesetId, chapterKey) =>
+  `${langCode}/${filesetId}/${chapterKey}`;
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Walk the keys of an index without loading values. onKey(indexKey, primaryKey)
+// may return false to stop early
+const walkIndexKeys = (index, range, onKey) =>
+  new Promise((resolve, reject) => {
+    const request = index.openKeyCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || onKey(cursor.key, cursor.primaryKey) === false) {
+        return resolve();
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+// Open (and upgrade) the database once - resolves to null when IndexedDB is unavailable
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(CACHE_STORES).forEach((storeName) => {
+        const store = db.objectStoreNames.contains(storeName)
+          ? request.transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath: "key" });
+        if (!store.indexNames.contains("accessedAt")) {
+          store.createIndex("accessedAt", "accessedAt");
+        }
+        // Sizes are read on their own to compute usage without loading values
+        if (!store.indexNames.contains("size")) {
+          store.createIndex("size", "size");
+        }
+        if (!store.indexNames.contains("version")) {
+          store.createIndex("version", "version");
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version open in another tab upgrade the database; the next
+      // access here opens it again
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn("Offline cache unavailable:", request.error);
+      resolve(null);
+    };
+    // A blocked upgrade waits until other tabs close their connection
+  });
+
+  return dbPromise;
+};
+
+// Evict least recently used entries until the store is within its limits
+const pruneStore = async (storeName) => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  const { maxEntries, maxBytes } = STORE_LIMITS[storeName];
+  const tx = db.transaction(storeName, "readwrite");
+  const store = tx.objectStore(storeName);
+
+  // Purge entries written with another schema version
+  for (const range of [
+    IDBKeyRange.upperBound(CACHE_SCHEMA_VERSION, true),
+    IDBKeyRange.lowerBound(CACHE_SCHEMA_VERSION, true),
+  ]) {
+    await walkIndexKeys(store.index("version"), range, (version, key) => {
+      store.delete(key);
+    });
+  }
+
+  // Only keys are read: counts and sizes come from the store and size index
+  let count = await promisifyRequest(store.count());
+  let bytes = 0;
+  const sizes = new Map();
+  await walkIndexKeys(store.index("size"), null, (size, key) => {
+    sizes.set(key, size);
+    bytes += size;
+  });
+
+  // Oldest access first
+  await walkIndexKeys(store.index("accessedAt"), null, (accessedAt, key) => {
+    if (count <= maxEntries && bytes <= maxBytes) return false;
+
+    store.delete(key);
+    count--;
+    bytes -= sizes.get(key) || 0;
+  });
+};
+
+// Debounce pruning so bulk writes (e.g. preloading) scan the store only once
+const schedulePrune = (storeName) => {
+  clearTimeout(pruneTimers[storeName]);
+  pruneTimers[storeName] = setTimeout(() => {
+    pruneStore(storeName).catch((error) => {
+      console.warn(`Failed to prune offline cache (${storeName}):`, error);
+    });
+  }, 2000);
+};
+
+// Update access times of read entries in one transaction, so reads stay
+// readonly and do not queue behind each other
+const flushTouches = async (storeName) => {
+  const keys = Array.from(touchedKeys[storeName] || []);
+  touchedKeys[storeName] = new Set();
+  if (keys.length === 0) return;
+
+  const db = await openDatabase();
+  if (!db) return;
+
+  const now = Date.now();
+  const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+  await Promise.all(
+    keys.map(async (key) => {
+      const record = await promisifyRequest(store.get(key));
+      if (record) {
+        store.put({ ...record, accessedAt: now });
+      }
+    }),
+  );
+};
+
+// Debounce access-time updates for LRU eviction
+const scheduleTouch = (storeName, key) => {
+  if (!touchedKeys[storeName]) {
+    touchedKeys[storeName] = new Set();
+  }
+  touchedKeys[storeName].add(key);
+
+  clearTimeout(touchTimers[storeName]);
+  touchTimers[storeName] = setTimeout(() => {
+    flushTouches(storeName).catch((error) => {
+      console.warn(`Failed to update offline cache (${storeName}):`, error);
+    });
+  }, 1000);
+};
+
+/**
+ * Read a cached value
+ * @param {string} storeName - One of CACHE_STORES
+ * @param {string} key - Key from buildCacheKey
+ * @param {Object} options - { allowStale: return entries older than the store's maxAge }
+ * @returns {Promise<*>} Cached value or null
+ */
+export const getCachedEntry = async (
+  storeName,
+  key,
+  { allowStale = false } = {},
+) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    const store = db.transaction(storeName, "readonly").objectStore(storeName);
+    const record = await promisifyRequest(store.get(key));
+
+    if (!record || record.version !== CACHE_SCHEMA_VERSION) {
+      return null;
+    }
+
+    const { maxAge } = STORE_LIMITS[storeName];
+    if (!allowStale && maxAge && Date.now() - record.createdAt > maxAge) {
+      return null;
+    }
+
+    // Touch for LRU eviction
+    scheduleTouch(storeName, key);
+
+    return record.value;
+  } catch (error) {
+    console.warn(`Offline cache read failed for ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Write a value to the cache
+ * @param {string} storeName - One of CACHE_STORES
+ * @param {string} key - Key from buildCacheKey
+ * @param {*} value - Structured-cloneable value
+ */
+export const putCachedEntry = async (storeName, key, value) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const now = Date.now();
+    const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+    await promisifyRequest(
+      store.put({
+        key,
+        version: CACHE_SCHEMA_VERSION,
+        value,
+        size: JSON.stringify(value).length,
+        createdAt: now,
+        accessedAt: now,
+      }),
+    );
+
+    schedulePrune(storeName);
+  } catch (error) {
+    console.warn(`Offline cache write failed for ${key}:`, error);
+  }
+};
+
+/**
+ * Get entry counts and approximate size of each cache store
+ * @returns {Promise<Object>} { storeName: { entries, bytes } }
+ */
+export const getOfflineCacheUsage = async () => {
+  const usage = {};
+  const db = await openDatabase();
+
+  for (const storeName of Object.values(CACHE_STORES)) {
+    usage[storeName] = { entries: 0, bytes: 0 };
+    if (!db) continue;
+
+    // Sum the sizes stored with each entry from the size index keys
+    const store = db.transaction(storeName, "readonly").objectStore(storeName);
+    const entries = await promisifyRequest(store.count());
+    let bytes = 0;
+    await walkIndexKeys(store.index("size"), null, (size) => {
+      bytes += size;
+    });
+    usage[storeName] = { entries, bytes };
+  }
+
+  return usage;
+};
+
+/**
+ * Remove all cached entries
+ */
+export const clearOfflineCache = async () => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  const storeNames = Object.values(CACHE_STORES);
+  const tx = db.transaction(storeNames, "readwrite");
+  storeNames.forEach((storeName) => tx.objectStore(storeName).clear());
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+};
@@ -0,0 +1,89 @@
+/**
+ * Last playback position per story and language, kept in localStorage so a
+ * story can be resumed after the page is closed
+ */
+
+const POSITIONS_STORAGE_KEY = "playbackPositions";
+const MAX_SAVED_POSITIONS = 100;
+
+// Positions this close to the start or end are not worth offering to resume
+const MIN_RESUME_SECONDS = 5;
+
+const getPositionKey = (langCode, storyId) => `${langCode}:${storyId}`;
+
+const readPositions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(POSITIONS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writePositions = (positions) => {
+  try {
+    localStorage.setItem(POSITIONS_STORAGE_KEY, JSON.stringify(positions));
+  } catch (error) {
+    // Storage full or unavailable - resuming is a convenience only
+  }
+};
+
+/**
+ * Get the saved position of a story
+ * @param {string} langCode - Language code
+ * @param {string} storyId - Story ID
+ * @returns {Object|null} { segmentIndex, sectionNum, virtualTime, totalDuration, savedAt }
+ */
+export const getPlaybackPosition = (langCode, storyId) => {
+  if (!langCode || !storyId) return null;
+  return readPositions()[getPositionKey(langCode, storyId)] || null;
+};
+
+/**
+ * Save the position of a story, or forget it when it is at the very start
+ * or end. Only the most recently played stories are kept.
+ * @param {string} langCode - Language code
+ * @param {string} storyId - Story ID
+ * @param {Object} position - { segmentIndex, sectionNum, virtualTime, totalDuration }
+ */
+export const savePlaybackPosition = (langCode, storyId, position) => {
+  if (!langCode || !storyId) return;
+
+  const { virtualTime, totalDuration } = position;
+  if (
+    virtualTime < MIN_RESUME_SECONDS ||
+    (totalDuration > 0 && totalDuration - virtualTime < MIN_RESUME_SECONDS)
+  ) {
+    clearPlaybackPosition(langCode, storyId);
+    return;
+  }
+
+  const positions = readPositions();
+  positions[getPositionKey(langCode, storyId)] = {
+    ...position,
+    savedAt: Date.now(),
+  };
+
+  const keys = Object.keys(positions);
+  if (keys.length > MAX_SAVED_POSITIONS) {
+    keys
+      .sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+      .slice(0, keys.length - MAX_SAVED_POSITIONS)
+      .forEach((key) => delete positions[key]);
+  }
+
+  writePositions(positions);
+};
+
+/**
+ * Forget the saved position of a story
+ * @param {string} langCode - Language code
+ * @param {string} storyId - Story ID
+ */
+export const clearPlaybackPosition = (langCode, storyId) => {
+  const positions = readPositions();
+  const key = getPositionKey(langCode, storyId);
+  if (key in positions) {
+    delete positions[key];
+    writePositions(positions);
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Reading preferences: theme, text size, line spacing and font
+ * Applied as attributes and CSS custom properties on the document root, which
+ * the story text, full playing pane and language selector styles read.
+ */
+
+const PREFERENCES_STORAGE_KEY = "readingPreferences";
+
+export const THEMES = ["light", "dark", "system"];
+
+// Line heights per spacing option (null keeps each component's own spacing)
+export const LINE_SPACINGS = {
+  compact: 1.4,
+  normal: null,
+  relaxed: 2,
+};
+
+// Text size range, as a multiple of the normal size
+export const TEXT_SCALE = { min: 0.8, max: 1.6, step: 0.1 };
+
+export const DEFAULT_PREFERENCES = {
+  theme: "system",
+  textScale: 1,
+  lineSpacing: "normal",
+  dyslexicFont: false,
+};
+
+/**
+ * Read the saved preferences, filling in defaults
+ * @returns {Object} { theme, textScale, lineSpacing, dyslexicFont }
+ */
+export const getSavedPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY));
+    return { ...DEFAULT_PREFERENCES, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+/**
+ * Save preferences
+ * @param {Object} preferences - { theme, textScale, lineSpacing, dyslexicFont }
+ */
+export const savePreferences = (preferences) => {
+  localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+};
+
+/**
+ * Apply preferences to the document
+ * @param {Object} preferences - { theme, textScale, lineSpacing, dyslexicFont }
+ * @param {boolean} systemDark - Whether the system prefers a dark theme
+ */
+export const applyPreferences = (preferences, systemDark) => {
+  const root = document.documentElement;
+  const theme =
+    preferences.theme === "system"
+      ? systemDark
+        ? "dark"
+        : "light"
+      : preferences.theme;
+
+  root.dataset.theme = theme;
+  root.dataset.font = preferences.dyslexicFont ? "dyslexic" : "default";
+  root.style.setProperty("--reading-scale", preferences.textScale);
+
+  const lineHeight = LINE_SPACINGS[preferences.lineSpacing];
+  if (lineHeight) {
+    root.style.setProperty("--reading-line-height", lineHeight);
+  } else {
+    root.style.removeProperty("--reading-line-height");
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Region and country language lists from public/regions.json
+ * Each entry has the full language list (l) plus the trade and regional
+ * languages most people in that area understand.
+ */
+
+let regionsPromise = null;
+
+/**
+ * Load regions.json (fetched once per session)
+ * @returns {Promise<Object>} { [regionKey]: { l, trade, regional } }
+ */
+export const loadRegions = () => {
+  if (!regionsPromise) {
+    regionsPromise = fetch("/regions.json")
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load regions: ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        regionsPromise = null;
+        throw error;
+      });
+  }
+  return regionsPromise;
+};
+
+/**
+ * Format a region key for display (e.g. "Amharic_Region" -> "Amharic Region")
+ * @param {string} regionKey - Key from regions.json
+ * @returns {string} Display name
+ */
+export const formatRegionName = (regionKey) => regionKey.replace(/_/g, " ");
+
+/**
+ * Split the languages of a region into trade, regional and other languages
+ * Languages appear in the first group they belong to; codes without an
+ * available language are skipped.
+ * @param {Object} region - Region entry from regions.json
+ * @param {Array} languages - Available languages ({ code, english, ... })
+ * @returns {Object} { trade, regional, other } arrays of languages
+ */
+export const getRegionLanguageGroups = (region, languages) => {
+  const byCode = new Map(languages.map((lang) => [lang.code, lang]));
+  const seen = new Set();
+
+  const pick = (codes = []) =>
+    codes.flatMap((code) => {
+      if (seen.has(code) || !byCode.has(code)) return [];
+      seen.add(code);
+      return [byCode.get(code)];
+    });
+
+  const trade = pick(region?.trade);
+  const regional = pick(region?.regional);
+  const other = pick(region?.l).sort((a, b) =>
+    a.english.localeCompare(b.english),
+  );
+
+  return { trade, regional, other };
+};
@@ -0,0 +1,84 @@
+/**
+ * Client-side routing helpers
+ * URLs have the form /{language}/{category}/{story}#section-{n}, e.g.
+ * /fra/03-Exodus/09#section-4. Adding ?play starts playback at that section.
+ */
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}$/;
+const SECTION_HASH_PATTERN = /^#section-(\d+)$/;
+
+/**
+ * Parse a location into a route
+ * @param {Location|Object} location - Object with pathname, search and hash
+ * @returns {Object} { language, categoryPath, storyId, section, play }
+ */
+export const parseRoute = ({ pathname = "/", search = "", hash = "" }) => {
+  const segments = pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+
+  const route = {
+    language: null,
+    categoryPath: null,
+    storyId: null,
+    section: null,
+    play: false,
+  };
+
+  if (!segments.length || !LANGUAGE_CODE_PATTERN.test(segments[0])) {
+    return route;
+  }
+
+  route.language = segments[0];
+  route.categoryPath = segments[1] || null;
+  route.storyId = (route.categoryPath && segments[2]) || null;
+
+  const sectionMatch = hash.match(SECTION_HASH_PATTERN);
+  if (route.storyId && sectionMatch) {
+    route.section = parseInt(sectionMatch[1], 10);
+  }
+
+  route.play = !!route.storyId && new URLSearchParams(search).has("play");
+
+  return route;
+};
+
+/**
+ * Build a URL for a route
+ * @param {Object} route - { language, categoryPath, storyId, section, play }
+ * @returns {string} URL path with optional query and hash
+ */
+export const buildRoutePath = ({
+  language,
+  categoryPath = null,
+  storyId = null,
+  section = null,
+  play = false,
+}) => {
+  if (!language) return "/";
+
+  const segments = [language];
+  if (categoryPath) {
+    segments.push(categoryPath);
+    if (storyId) {
+      segments.push(storyId);
+    }
+  }
+
+  let path = `/${segments.map(encodeURIComponent).join("/")}`;
+  if (storyId && play) {
+    path += "?play";
+  }
+  if (storyId && section) {
+    path += `#section-${section}`;
+  }
+
+  return path;
+};
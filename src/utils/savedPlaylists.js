@@ -0,0 +1,62 @@
+/**
+ * Named listening playlists (e.g. "All of Exodus", "Easter stories")
+ * A saved playlist is a list of stories rather than audio entries, so it can
+ * be played in any language and never holds expired audio URLs.
+ */
+
+const SAVED_PLAYLISTS_KEY = "savedPlaylists";
+
+/**
+ * Read all saved playlists
+ * @returns {Array} [{ id, name, stories: [{ id, path, title }], createdAt }]
+ */
+export const getSavedPlaylists = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_PLAYLISTS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeSavedPlaylists = (playlists) => {
+  localStorage.setItem(SAVED_PLAYLISTS_KEY, JSON.stringify(playlists));
+};
+
+/**
+ * Save a named playlist, replacing one with the same name
+ * @param {string} name - Playlist name
+ * @param {Array} stories - Stories in play order ({ id, path, title })
+ * @returns {Array} Updated saved playlists
+ */
+export const savePlaylist = (name, stories) => {
+  const trimmedName = name.trim();
+  const others = getSavedPlaylists().filter(
+    (playlist) => playlist.name !== trimmedName,
+  );
+
+  const playlists = [
+    ...others,
+    {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmedName,
+      stories: stories.map(({ id, path, title }) => ({ id, path, title })),
+      createdAt: Date.now(),
+    },
+  ];
+
+  writeSavedPlaylists(playlists);
+  return playlists;
+};
+
+/**
+ * Delete a saved playlist
+ * @param {string} id - Playlist ID
+ * @returns {Array} Updated saved playlists
+ */
+export const deleteSavedPlaylist = (id) => {
+  const playlists = getSavedPlaylists().filter(
+    (playlist) => playlist.id !== id,
+  );
+  writeSavedPlaylists(playlists);
+  return playlists;
+};
@@ -0,0 +1,278 @@
+/**
+ * Full-text search over story titles, section references and verse text
+ *
+ * Matching is done on a normalized form of the text: lower-cased, with
+ * diacritics removed for scripts where they are optional when typing (Latin,
+ * Greek, Cyrillic), and with Hebrew points, Arabic harakat and invisible
+ * characters ignored. Vowel signs in scripts such as Devanagari or Thai are
+ * kept, since removing them changes the word. Matching is by substring, so
+ * scripts written without spaces between words (Chinese, Thai, ...) work too.
+ */
+
+import { getReferenceChapters, getTextForReference } from "./bibleUtils";
+
+// Scripts whose combining marks are dropped after decomposition (é -> e)
+const MARK_STRIPPING_SCRIPT =
+  /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]/u;
+
+// Hebrew points and cantillation, Arabic harakat and tatweel, zero-width
+// characters and soft hyphens
+const IGNORED_CHARACTERS =
+  /[\u0591-\u05C7\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640\u00AD\u200B-\u200F]/u;
+
+const COMBINING_MARK = /\p{M}/u;
+
+// Letters with interchangeable forms that users rarely type precisely
+const LETTER_VARIANTS = {
+  ς: "σ", // Greek final sigma
+  ى: "ي", // Arabic alef maksura
+  ی: "ي", // Persian yeh
+  ک: "ك", // Persian keheh
+  ة: "ه", // Arabic teh marbuta
+  ך: "כ", // Hebrew final forms
+  ם: "מ",
+  ן: "נ",
+  ף: "פ",
+  ץ: "צ",
+};
+
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Normalize text for searching, keeping track of original positions
+ * @param {string} text - Text to normalize
+ * @returns {Object} { normalized, map } where map[i] is the index in the
+ *   original text of normalized character i (with one extra end entry)
+ */
+export const normalizeWithMap = (text = "") => {
+  let normalized = "";
+  const map = [];
+  let offset = 0;
+  let stripMarks = false;
+
+  for (const char of text) {
+    for (const part of char.toLowerCase().normalize("NFD")) {
+      if (IGNORED_CHARACTERS.test(part)) continue;
+
+      if (COMBINING_MARK.test(part)) {
+        if (stripMarks) continue;
+      } else {
+        stripMarks = MARK_STRIPPING_SCRIPT.test(part);
+      }
+
+      const folded = LETTER_VARIANTS[part] || part;
+      for (let i = 0; i < folded.length; i++) {
+        normalized += folded[i];
+        map.push(offset);
+      }
+    }
+    offset += char.length;
+  }
+  map.push(offset);
+
+  return { normalized, map };
+};
+
+/**
+ * Normalize text for searching
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeForSearch = (text) => normalizeWithMap(text).normalized;
+
+// Helper: Call fn for every indexable story with its fields shared by all entries
+const forEachStory = (storyMetadata, fn) => {
+  Object.entries(storyMetadata || {}).forEach(([storyId, metadata]) => {
+    if (!metadata?.path) return;
+    fn(metadata, {
+      storyId,
+      title: metadata.title || storyId,
+      categoryPath: metadata.categoryPath,
+      categoryTitle: metadata.categoryTitle,
+    });
+  });
+};
+
+/**
+ * Build the search index of story titles and section references
+ * Verse text is indexed separately by buildVerseTextIndex, since it changes
+ * as chapters load.
+ * @param {Object} storyMetadata - Story metadata keyed by story ID
+ * @param {Function} formatReference - Optional display formatter, so that
+ *   references can also be found by their localized book names
+ * @returns {Array} Index entries
+ */
+export const buildSearchIndex = (storyMetadata, formatReference = null) => {
+  const entries = [];
+
+  const addEntry = (entry, text) => {
+    if (!text) return;
+    entries.push({ ...entry, text, ...normalizeWithMap(text) });
+  };
+
+  forEachStory(storyMetadata, (metadata, story) => {
+    addEntry({ ...story, field: "title", section: null }, story.title);
+
+    (metadata.references || []).forEach(({ section, reference }) => {
+      const hit = { ...story, section, reference };
+      addEntry({ ...hit, field: "reference" }, reference);
+      const displayReference = formatReference?.(reference);
+      if (displayReference && displayReference !== reference) {
+        addEntry({ ...hit, field: "reference" }, displayReference);
+      }
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Create a cache of the normalized verse text of references
+ * A reference is normalized again only when one of its chapters changed, so
+ * the verse text index can be rebuilt cheaply as chapters load.
+ * @returns {Function} (reference, chapterText) => { text, normalized, map },
+ *   or null while the reference's chapters are not all loaded
+ */
+export const createVerseTextCache = () => {
+  const cache = new Map();
+
+  return (reference, chapterText) => {
+    const chapters = getReferenceChapters(reference).map(
+      ({ chapterKey }) => chapterText[chapterKey],
+    );
+    const cached = cache.get(reference);
+    if (
+      cached &&
+      cached.chapters.every((chapter, i) => chapter === chapters[i])
+    ) {
+      return cached.value;
+    }
+
+    const text = getTextForReference(reference, chapterText);
+    const value = text ? { text, ...normalizeWithMap(text) } : null;
+    cache.set(reference, { chapters, value });
+    return value;
+  };
+};
+
+/**
+ * Build the search index of the verse text of story sections
+ * @param {Object} storyMetadata - Story metadata keyed by story ID
+ * @param {Object} chapterText - Loaded chapters keyed by "BOOK.CH"
+ * @param {Function} getVerseText - Verse text lookup from createVerseTextCache
+ * @returns {Array} Index entries
+ */
+export const buildVerseTextIndex = (
+  storyMetadata,
+  chapterText,
+  getVerseText,
+) => {
+  const entries = [];
+
+  forEachStory(storyMetadata, (metadata, story) => {
+    (metadata.references || []).forEach(({ section, reference }) => {
+      const verseText = getVerseText(reference, chapterText);
+      if (verseText) {
+        entries.push({
+          ...story,
+          section,
+          reference,
+          field: "text",
+          ...verseText,
+        });
+      }
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Cut a snippet around the first match in an index entry
+ * @param {Object} entry - Index entry
+ * @param {number} start - Start of the match in the normalized text
+ * @param {number} length - Length of the match in the normalized text
+ * @returns {Object} { before, match, after }
+ */
+const createSnippet = (entry, start, length) => {
+  const { text, map } = entry;
+  const matchStart = map[start];
+  const matchEnd = map[start + length] ?? text.length;
+  const snippetStart = Math.max(0, matchStart - SNIPPET_CONTEXT);
+  const snippetEnd = Math.min(text.length, matchEnd + SNIPPET_CONTEXT);
+
+  return {
+    before:
+      (snippetStart > 0 ? "…" : "") + text.slice(snippetStart, matchStart),
+    match: text.slice(matchStart, matchEnd),
+    after:
+      text.slice(matchEnd, snippetEnd) + (snippetEnd < text.length ? "…" : ""),
+  };
+};
+
+/**
+ * Search the index, grouping hits by story and section
+ * All words of the query must appear in the same title, reference or text.
+ * @param {Array} index - Entries from buildSearchIndex and buildVerseTextIndex
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of stories to return
+ * @returns {Array} [{ storyId, title, categoryPath, categoryTitle,
+ *   titleMatch, sections: [{ section, reference, matches }] }]
+ */
+export const searchIndex = (index, query, limit = 50) => {
+  const terms = normalizeForSearch(query).split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+
+  const stories = new Map();
+
+  index.forEach((entry) => {
+    if (!terms.every((term) => entry.normalized.includes(term))) return;
+
+    if (!stories.has(entry.storyId)) {
+      stories.set(entry.storyId, {
+        storyId: entry.storyId,
+        title: entry.title,
+        categoryPath: entry.categoryPath,
+        categoryTitle: entry.categoryTitle,
+        titleMatch: null,
+        sections: new Map(),
+      });
+    }
+    const story = stories.get(entry.storyId);
+    const snippet = createSnippet(
+      entry,
+      entry.normalized.indexOf(terms[0]),
+      terms[0].length,
+    );
+
+    if (entry.field === "title") {
+      story.titleMatch = snippet;
+      return;
+    }
+
+    if (!story.sections.has(entry.section)) {
+      story.sections.set(entry.section, {
+        section: entry.section,
+        reference: entry.reference,
+        matches: { reference: null, text: null },
+      });
+    }
+    story.sections.get(entry.section).matches[entry.field] = snippet;
+  });
+
+  // Title matches first, then stories with the most matching sections
+  return Array.from(stories.values())
+    .map((story) => ({
+      ...story,
+      sections: Array.from(story.sections.values()).sort(
+        (a, b) => a.section - b.section,
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        !!b.titleMatch - !!a.titleMatch ||
+        b.sections.length - a.sections.length ||
+        a.storyId.localeCompare(b.storyId),
+    )
+    .slice(0, limit);
+};
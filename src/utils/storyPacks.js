@@ -0,0 +1,224 @@
+/**
+ * Offline story pack utilities
+ * A story pack holds everything needed to run a set of stories offline for one
+ * language: markdown, images, chapter audio and timing files. Files are stored
+ * in a per-language Cache Storage bucket that the service worker (public/sw.js)
+ * serves from; chapter text goes to the IndexedDB offline cache.
+ */
+
+// Cache Storage names, passed to the service worker when it is registered so
+// both sides always agree. Bump CACHE_VERSION to drop old shell and data
+// caches; story packs are kept across versions.
+const CACHE_VERSION = "v1";
+const PACK_CACHE_PREFIX = "bible-compass-pack-";
+const DATA_CACHE = `bible-compass-data-${CACHE_VERSION}`;
+const SHELL_CACHE = `bible-compass-shell-${CACHE_VERSION}`;
+const PACK_REGISTRY_KEY = "storyPacks";
+
+// Media is stored only with CORS: opaque responses cannot answer range
+// requests (seeking) and count as padded sizes against the storage quota
+const MEDIA_EXTENSIONS = /\.(mp3|m4a|ogg|opus|wav|webm)$/i;
+
+/**
+ * Cache Storage bucket name for a language's story pack
+ * @param {string} langCode - Language code
+ * @returns {string} Cache name
+ */
+export const getPackCacheName = (langCode) => `${PACK_CACHE_PREFIX}${langCode}`;
+
+/**
+ * Whether this browser supports offline story packs
+ * @returns {boolean}
+ */
+export const isOfflineSupported = () =>
+  typeof caches !== "undefined" && "serviceWorker" in navigator;
+
+/**
+ * Register the service worker (production builds only)
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return;
+  }
+
+  const params = new URLSearchParams({
+    shell: SHELL_CACHE,
+    data: DATA_CACHE,
+    pack: PACK_CACHE_PREFIX,
+  });
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`/sw.js?${params}`).catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+};
+
+/**
+ * Read the registry of downloaded packs from localStorage
+ * @returns {Object} { langCode: { categories, storiesByCategory, stories, files, missingAudio, downloadedAt } }
+ */
+export const getStoryPacks = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PACK_REGISTRY_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const savePackRecord = (langCode, record) => {
+  const packs = getStoryPacks();
+  if (record) {
+    packs[langCode] = record;
+  } else {
+    delete packs[langCode];
+  }
+  localStorage.setItem(PACK_REGISTRY_KEY, JSON.stringify(packs));
+};
+
+/**
+ * Store a URL in a cache. Cross-origin images without CORS headers are stored
+ * as opaque responses, which image elements can still use; media without
+ * CORS is not stored.
+ * @param {Cache} cache - Target cache
+ * @param {string} url - URL to fetch and store
+ * @returns {Promise<boolean>} Whether the file was stored
+ */
+export const cacheUrl = async (cache, url) => {
+  const isMedia = MEDIA_EXTENSIONS.test(
+    new URL(url, window.location.href).pathname,
+  );
+
+  // Signed audio URLs change on every API call - match them without the query
+  if (await cache.match(url, { ignoreSearch: isMedia })) {
+    return true;
+  }
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { mode: "cors" });
+    } catch (corsError) {
+      if (isMedia) return false;
+      response = await fetch(url, { mode: "no-cors" });
+    }
+
+    if (!response.ok && response.type !== "opaque") {
+      return false;
+    }
+
+    await cache.put(url, response);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Cache the scripts and stylesheets of the running app so it can boot offline
+ */
+export const cacheAppShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const urls = [
+    "/",
+    "/index.html",
+    ...Array.from(document.querySelectorAll("script[src]")).map((el) => el.src),
+    ...Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(
+      (el) => el.href,
+    ),
+  ];
+
+  await Promise.all(urls.map((url) => cacheUrl(cache, url)));
+};
+
+/**
+ * Cache static data files (index.toml, markdown, manifests, timing files)
+ * @param {Array<string>} urls - Same-origin URLs
+ */
+export const cacheDataFiles = async (urls) => {
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(urls.map((url) => cacheUrl(cache, url)));
+};
+
+/**
+ * Extract image URLs from story markdown
+ * @param {string} markdown - Story markdown
+ * @returns {Array<string>} Image URLs
+ */
+export const getMarkdownImageUrls = (markdown) =>
+  Array.from(markdown.matchAll(/!\[.*?\]\((.*?)\)/g)).map((match) => match[1]);
+
+/**
+ * Record a finished pack download, merged with earlier downloads of the language
+ * @param {string} langCode - Language code
+ * @param {Object} pack - { categories, storiesByCategory, files, missingAudio }
+ *   where files is the number of files now in the language's pack cache and
+ *   missingAudio the number of chapter audio files this download could not store
+ */
+export const recordStoryPack = (langCode, pack) => {
+  const existing = getStoryPacks()[langCode];
+  const categories = Array.from(
+    new Set([...(existing?.categories || []), ...pack.categories]),
+  );
+  const storiesByCategory = {
+    ...existing?.storiesByCategory,
+    ...pack.storiesByCategory,
+  };
+  const stories = Object.values(storiesByCategory).reduce(
+    (sum, count) => sum + count,
+    0,
+  );
+
+  savePackRecord(langCode, {
+    categories,
+    storiesByCategory,
+    // Records from before per-category counts only have a total
+    stories: Math.max(
+      stories,
+      existing?.storiesByCategory ? 0 : existing?.stories || 0,
+    ),
+    files: Math.max(pack.files, existing?.files || 0),
+    missingAudio: pack.missingAudio || 0,
+    downloadedAt: Date.now(),
+  });
+};
+
+/**
+ * Delete a language's story pack
+ * @param {string} langCode - Language code
+ */
+export const deleteStoryPack = async (langCode) => {
+  if (typeof caches !== "undefined") {
+    await caches.delete(getPackCacheName(langCode));
+  }
+  savePackRecord(langCode, null);
+};
+
+/**
+ * Get browser storage usage
+ * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if unsupported
+ */
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) {
+    return null;
+  }
+
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "12.4 MB"
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
@@ -0,0 +1,422 @@
+/**
+ * Story playlist utilities
+ * Turn the sections of a story into media player playlist entries, one per
+ * single-chapter passage, with the timing data of that passage.
+ *
+ * Languages without timing files get a chapter playlist instead: one entry
+ * per referenced chapter playing the whole chapter file, with verse positions
+ * estimated from the length of the verse text.
+ */
+
+import { parseMarkdownIntoSections } from "./markdownParser";
+import {
+  parseReferenceList,
+  formatPassage,
+  getVerseSpec,
+  getTestament,
+  selectVerses,
+} from "./bibleUtils";
+
+// Extra weight per verse (in characters) for the pause between verses
+const VERSE_PAUSE_WEIGHT = 8;
+
+const audioDurations = new Map(); // Audio URL -> duration in seconds
+
+// Timing keys: "GEN1:3" or "GEN1:3-5"
+const TIMING_KEY_PATTERN = /^([1-4A-Z][A-Z0-9]{2})(\d+):(\d+)(?:-(\d+))?$/;
+
+/**
+ * Extract raw timing data for a single-chapter passage
+ * Timing files hold verse ranges within one chapter ("GEN1:3-5"). A passage
+ * without an exact key (e.g. "GEN 1:31ff" from a reference running into the
+ * next chapter, or a whole chapter) is put together from the ranges that
+ * cover it from its first verse, in order.
+ * @param {Object} timingData - Timing file contents
+ * @param {string} audioFilesetId - Audio fileset in the timing file
+ * @param {Object} passage - { book, chapter, verseStart, verseEnd }
+ * @returns {Object|null} { reference, timestamps } or null when not covered
+ */
+export const extractRawTimingData = (timingData, audioFilesetId, passage) => {
+  if (!timingData || !audioFilesetId || !timingData[audioFilesetId]) {
+    return null;
+  }
+
+  const { book, chapter } = passage;
+  const filesetData = Object.values(timingData[audioFilesetId]);
+  const searchRef = `${book}${chapter}:${getVerseSpec(passage)}`;
+
+  for (const storyData of filesetData) {
+    if (storyData[searchRef]) {
+      return {
+        reference: searchRef,
+        timestamps: storyData[searchRef],
+      };
+    }
+  }
+
+  // Verse ranges of this chapter by first verse
+  const ranges = new Map();
+  filesetData.forEach((storyData) => {
+    Object.entries(storyData).forEach(([key, timestamps]) => {
+      const match = key.match(TIMING_KEY_PATTERN);
+      if (!match || match[1] !== book || Number(match[2]) !== chapter) return;
+
+      const start = Number(match[3]);
+      const end = Number(match[4] || match[3]);
+      // Prefer the longest range starting at a verse
+      if (!ranges.has(start) || ranges.get(start).end < end) {
+        ranges.set(start, { end, timestamps });
+      }
+    });
+  });
+
+  const first = passage.verseStart ?? 1;
+  const last = passage.verseEnd ?? Infinity;
+  let timestamps = [];
+  let verse = first;
+
+  while (ranges.has(verse) && ranges.get(verse).end <= last) {
+    const range = ranges.get(verse);
+    // Consecutive ranges share a boundary: the end of one is the start of the next
+    timestamps = [...timestamps.slice(0, -1), ...range.timestamps];
+    verse = range.end + 1;
+  }
+
+  // The passage must be covered up to its last verse (any length when open-ended)
+  if (verse === first || (passage.verseEnd != null && verse <= last)) {
+    return null;
+  }
+
+  return { reference: searchRef, timestamps };
+};
+
+/**
+ * Fetch the markdown of a story
+ * @param {string} path - Story path relative to templates/OBS (e.g. "01/01.md")
+ * @returns {Promise<string>} Markdown text
+ */
+export const fetchStoryMarkdown = async (path) => {
+  const response = await fetch(`/templates/OBS/${path}`);
+
+  if (!response.ok) {
+    throw new Error(`Story not found: ${response.status}`);
+  }
+
+  const text = await response.text();
+
+  // Check if we got HTML instead of markdown (happens with 404 pages)
+  if (
+    text.trim().startsWith("<!doctype") ||
+    text.trim().startsWith("<!DOCTYPE")
+  ) {
+    throw new Error("Story file not found or returned HTML");
+  }
+
+  return text;
+};
+
+/**
+ * Build the playlist entries for the sections of a story
+ * @param {Array} sections - Sections from parseMarkdownIntoSections
+ * @param {Object} options - { storyId, storyPath, storyTitle, language, audioUrls,
+ *   loadAudioUrl }
+ * @returns {Promise<Array>} Playlist entries for loadPlaylist
+ */
+export const buildStoryPlaylist = async (
+  sections,
+  { storyId, storyPath, storyTitle, language, audioUrls = {}, loadAudioUrl },
+) => {
+  const allPlaylistEntries = [];
+  const chaptersNeeded = new Map();
+
+  // First pass: collect all references with section tracking
+  sections.forEach((section, sectionIndex) => {
+    if (!section.reference) return;
+
+    // One playlist entry per single-chapter passage of the reference
+    parseReferenceList(section.reference).forEach((passage) => {
+      const { book, chapter } = passage;
+      const testament = getTestament(book);
+      const chapterKey = `${book}.${chapter}`;
+      const audioKey = `${language}-${testament}-${chapterKey}`;
+
+      if (!chaptersNeeded.has(audioKey)) {
+        chaptersNeeded.set(audioKey, {
+          book,
+          chapter,
+          testament,
+          audioKey,
+          refs: [],
+        });
+      }
+
+      chaptersNeeded.get(audioKey).refs.push({
+        passage,
+        sectionNum: sectionIndex + 1,
+        imageUrl: section.imageUrl,
+        text: section.text,
+        verses: section.verses,
+      });
+    });
+  });
+
+  // Second pass: load audio for all needed chapters
+  for (const [audioKey, chapterInfo] of chaptersNeeded.entries()) {
+    const { book, chapter, testament, refs } = chapterInfo;
+
+    // Check if already cached
+    let audioEntry = audioUrls[audioKey];
+
+    // If not cached, try to load
+    if (!audioEntry) {
+      try {
+        audioEntry = await loadAudioUrl(book, chapter, testament);
+      } catch (err) {
+        // Audio not available for this chapter
+      }
+    }
+
+    if (audioEntry && audioEntry.url) {
+      const fullFilename = audioEntry.url.substring(
+        audioEntry.url.lastIndexOf("/") + 1,
+      );
+      const filename = fullFilename.split("?")[0];
+
+      // Process each reference for this chapter
+      refs.forEach(({ passage, sectionNum, imageUrl, text, verses }) => {
+        const { book: refBook, chapter: refChapter } = passage;
+        const ref = formatPassage(passage);
+
+        // Extract timing data for this specific reference
+        let timingEntry = null;
+        if (audioEntry.hasTimecode && audioEntry.timingData) {
+          const audioFilesetId =
+            audioEntry.audioFilesetId || Object.keys(audioEntry.timingData)[0];
+
+          timingEntry = extractRawTimingData(
+            audioEntry.timingData,
+            audioFilesetId,
+            passage,
+          );
+        }
+
+        allPlaylistEntries.push({
+          sectionNum,
+          reference: ref,
+          audioFile: filename,
+          audioUrl: audioEntry.url,
+          timingData: timingEntry,
+          book: refBook,
+          chapter: refChapter,
+          testament,
+          imageUrl,
+          text,
+          verses,
+          storyTitle,
+          storyId,
+          storyPath,
+          language,
+        });
+      });
+    }
+  }
+
+  return allPlaylistEntries;
+};
+
+/**
+ * Fetch a story and build its playlist, for stories that are not open
+ * Entries without timing data are left out, since the player needs timestamps;
+ * when no entry has timing data the story is played as whole chapters.
+ * @param {Object} story - { id, path, title }
+ * @param {Object} options - { language, chapterText, audioUrls, loadAudioUrl }
+ * @returns {Promise<Array>} Playlist entries (empty when the story has no audio)
+ */
+export const loadStoryPlaylist = async (
+  story,
+  { language, chapterText = {}, audioUrls, loadAudioUrl },
+) => {
+  const markdown = await fetchStoryMarkdown(story.path);
+  const parsed = parseMarkdownIntoSections(markdown, chapterText);
+
+  const options = {
+    storyId: story.id || story.path,
+    storyPath: story.path,
+    storyTitle: parsed.title || story.title,
+    language,
+    audioUrls,
+    loadAudioUrl,
+  };
+
+  const entries = (await buildStoryPlaylist(parsed.sections, options)).filter(
+    (entry) => entry.timingData?.timestamps?.length,
+  );
+  if (entries.length > 0) return entries;
+
+  return buildChapterPlaylist(parsed.sections, { ...options, chapterText });
+};
+
+/**
+ * Read the duration of an audio file from its metadata (cached per URL)
+ * @param {string} url - Audio URL
+ * @returns {Promise<number|null>} Duration in seconds, or null if unknown
+ */
+export const getAudioDuration = (url) => {
+  if (audioDurations.has(url)) {
+    return Promise.resolve(audioDurations.get(url));
+  }
+
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    audio.preload = "metadata";
+
+    const done = (duration) => {
+      // Stop downloading once the metadata is known
+      audio.removeAttribute("src");
+      audio.load();
+      if (duration) {
+        audioDurations.set(url, duration);
+      }
+      resolve(duration);
+    };
+
+    audio.addEventListener(
+      "loadedmetadata",
+      () => done(Number.isFinite(audio.duration) ? audio.duration : null),
+      { once: true },
+    );
+    audio.addEventListener("error", () => done(null), { once: true });
+    audio.src = url;
+  });
+};
+
+/**
+ * Estimate where each verse starts in a chapter recording, in proportion to
+ * the length of its text
+ * @param {Array} verses - Verse objects with text, in order
+ * @param {number} duration - Length of the recording in seconds
+ * @returns {Array} Start time of each verse plus one final end time
+ */
+export const estimateVerseTimestamps = (verses, duration) => {
+  const weights = verses.map(
+    (verse) => (verse.text || "").length + VERSE_PAUSE_WEIGHT,
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let time = 0;
+  const timestamps = weights.map((weight) => {
+    const start = time;
+    time += (weight / totalWeight) * duration;
+    return start;
+  });
+  timestamps.push(duration);
+
+  return timestamps;
+};
+
+/**
+ * Build a playlist of whole chapters for languages without timing data
+ * Each referenced chapter is played once, in order of first use; its entry
+ * covers every section that references the chapter.
+ * @param {Array} sections - Sections from parseMarkdownIntoSections
+ * @param {Object} options - { storyId, storyPath, storyTitle, language,
+ *   audioUrls, loadAudioUrl, chapterText }
+ * @returns {Promise<Array>} Playlist entries with estimated timing data
+ */
+export const buildChapterPlaylist = async (
+  sections,
+  {
+    storyId,
+    storyPath,
+    storyTitle,
+    language,
+    audioUrls = {},
+    loadAudioUrl,
+    chapterText = {},
+  },
+) => {
+  const chapters = new Map();
+
+  sections.forEach((section, sectionIndex) => {
+    if (!section.reference) return;
+
+    parseReferenceList(section.reference).forEach(({ book, chapter }) => {
+      const chapterKey = `${book}.${chapter}`;
+      if (!chapters.has(chapterKey)) {
+        chapters.set(chapterKey, {
+          book,
+          chapter,
+          chapterKey,
+          testament: getTestament(book),
+          sectionNums: [],
+          imageUrl: section.imageUrl,
+        });
+      }
+
+      const sectionNums = chapters.get(chapterKey).sectionNums;
+      if (!sectionNums.includes(sectionIndex + 1)) {
+        sectionNums.push(sectionIndex + 1);
+      }
+    });
+  });
+
+  const entries = [];
+  for (const info of chapters.values()) {
+    const { book, chapter, chapterKey, testament, sectionNums } = info;
+    const audioKey = `${language}-${testament}-${chapterKey}`;
+
+    let audioEntry = audioUrls[audioKey];
+    if (!audioEntry) {
+      try {
+        audioEntry = await loadAudioUrl(book, chapter, testament);
+      } catch (err) {
+        // Audio not available for this chapter
+      }
+    }
+    if (!audioEntry?.url) continue;
+
+    const duration = await getAudioDuration(audioEntry.url);
+    if (!duration) continue;
+
+    const verses = selectVerses(chapterText[chapterKey], null, null).map(
+      (verse) => ({ book, chapter, num: verse.num, text: verse.text }),
+    );
+    const filename = audioEntry.url
+      .substring(audioEntry.url.lastIndexOf("/") + 1)
+      .split("?")[0];
+
+    entries.push({
+      sectionNum: sectionNums[0],
+      sectionNums,
+      reference: `${book} ${chapter}`,
+      audioFile: filename,
+      audioUrl: audioEntry.url,
+      // Without chapter text only the chapter as a whole can be followed
+      timingData: verses.length
+        ? {
+            reference: `${book}${chapter}`,
+            timestamps: estimateVerseTimestamps(verses, duration),
+            verseNums: verses.map((verse) => verse.num),
+            estimated: true,
+          }
+        : {
+            reference: `${book}${chapter}`,
+            timestamps: [0, duration],
+            estimated: true,
+            chapterOnly: true,
+          },
+      book,
+      chapter,
+      testament,
+      imageUrl: info.imageUrl,
+      text: verses.map((verse) => verse.text).join(" "),
+      verses: verses.length ? verses : undefined,
+      storyTitle,
+      storyId,
+      storyPath,
+      language,
+    });
+  }
+
+  return entries;
+};
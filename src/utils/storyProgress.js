@@ -0,0 +1,162 @@
+/**
+ * Listening and reading progress per story and language, kept in localStorage
+ * A section counts as done once its audio has played to the end or the
+ * reader has scrolled past it.
+ */
+
+const PROGRESS_STORAGE_KEY = "storyProgress";
+const MAX_SAVED_STORIES = 500;
+
+const getProgressKey = (langCode, storyId) => `${langCode}:${storyId}`;
+
+/**
+ * Read the progress of all stories
+ * @returns {Object} { "lang:storyId": { sections, sectionCount, storyPath,
+ *   storyTitle, updatedAt } } where sections lists the done section numbers
+ */
+export const getAllProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeProgress = (progress) => {
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  } catch (error) {
+    // Storage full or unavailable - progress is a convenience only
+  }
+};
+
+/**
+ * Mark sections of a story as done. Only the most recently used stories are kept.
+ * @param {string} langCode - Language code
+ * @param {Object} story - { id, path, title, sectionCount } (sectionCount when known)
+ * @param {Array} sectionNums - Section numbers (1-based)
+ */
+export const markSectionsDone = (langCode, story, sectionNums) => {
+  if (!langCode || !story?.id || !sectionNums.length) return;
+
+  const progress = getAllProgress();
+  const key = getProgressKey(langCode, story.id);
+  const entry = progress[key] || { sections: [] };
+  const sections = new Set([...entry.sections, ...sectionNums]);
+
+  progress[key] = {
+    sections: Array.from(sections).sort((a, b) => a - b),
+    sectionCount: story.sectionCount || entry.sectionCount || null,
+    storyPath: story.path || entry.storyPath,
+    storyTitle: story.title || entry.storyTitle,
+    updatedAt: Date.now(),
+  };
+
+  const keys = Object.keys(progress);
+  if (keys.length > MAX_SAVED_STORIES) {
+    keys
+      .sort((a, b) => progress[a].updatedAt - progress[b].updatedAt)
+      .slice(0, keys.length - MAX_SAVED_STORIES)
+      .forEach((oldKey) => delete progress[oldKey]);
+  }
+
+  writeProgress(progress);
+};
+
+/**
+ * Calculate the progress of a story
+ * @param {Object} allProgress - From getAllProgress
+ * @param {string} langCode - Language code
+ * @param {string} storyId - Story ID
+ * @param {Object} storyMetadata - Cached story metadata (for the section count)
+ * @returns {Object} { done, total, fraction } (total is 0 when unknown)
+ */
+export const getStoryProgress = (
+  allProgress,
+  langCode,
+  storyId,
+  storyMetadata,
+) => {
+  const entry = allProgress[getProgressKey(langCode, storyId)];
+  const total = storyMetadata?.sectionCount || entry?.sectionCount || 0;
+  const done = entry
+    ? entry.sections.filter((num) => !total || num <= total).length
+    : 0;
+
+  return {
+    done,
+    total,
+    fraction: total ? Math.min(1, done / total) : 0,
+  };
+};
+
+/**
+ * Calculate the progress of several stories (e.g., in a category)
+ * @param {Array} storyIds - Array of story IDs
+ * @param {Object} storyMetadataCache - Cache of story metadata
+ * @param {Object} allProgress - From getAllProgress
+ * @param {string} langCode - Language code
+ * @returns {Object} { total, completed, fraction } with the number of
+ *   stories, the number fully done and the fraction of all sections done
+ */
+export const getCategoryProgress = (
+  storyIds,
+  storyMetadataCache,
+  allProgress,
+  langCode,
+) => {
+  const stats = { total: storyIds.length, completed: 0, fraction: 0 };
+  let doneSections = 0;
+  let totalSections = 0;
+
+  storyIds.forEach((storyId) => {
+    const { done, total } = getStoryProgress(
+      allProgress,
+      langCode,
+      storyId,
+      storyMetadataCache[storyId],
+    );
+    doneSections += Math.min(done, total);
+    totalSections += total;
+    if (total && done >= total) {
+      stats.completed++;
+    }
+  });
+
+  stats.fraction = totalSections ? doneSections / totalSections : 0;
+  return stats;
+};
+
+/**
+ * Find the most recently used story that is not finished yet
+ * @param {Object} allProgress - From getAllProgress
+ * @param {string} langCode - Language code
+ * @returns {Object|null} { storyId, storyPath, storyTitle, nextSection, done, total }
+ */
+export const getStoryToContinue = (allProgress, langCode) => {
+  const prefix = `${langCode}:`;
+
+  const [key, entry] =
+    Object.entries(allProgress)
+      .filter(
+        ([entryKey, value]) =>
+          entryKey.startsWith(prefix) &&
+          value.storyPath &&
+          (!value.sectionCount || value.sections.length < value.sectionCount),
+      )
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)[0] || [];
+  if (!entry) return null;
+
+  // First section not done yet
+  let nextSection = 1;
+  while (entry.sections.includes(nextSection)) nextSection++;
+
+  return {
+    storyId: key.slice(prefix.length),
+    storyPath: entry.storyPath,
+    storyTitle: entry.storyTitle,
+    nextSection,
+    done: entry.sections.length,
+    total: entry.sectionCount || 0,
+  };
+};
@@ -0,0 +1,551 @@
+/**
+ * TOML parser (TOML v1.0.0)
+ * Used for the OBS collection and category index.toml files. Supports tables,
+ * arrays of tables, dotted and quoted keys, inline tables, all string forms,
+ * integers, floats, booleans, dates and times. Offset date-times become Date
+ * objects; local dates and times are kept as strings.
+ */
+
+/**
+ * Error thrown for invalid TOML, with the position of the problem
+ */
+export class TomlError extends Error {
+  constructor(message, { line, column, source = null }) {
+    const location = `line ${line}, column ${column}`;
+    super(
+      source
+        ? `${source}: ${message} (${location})`
+        : `${message} (${location})`,
+    );
+    this.name = "TomlError";
+    this.line = line;
+    this.column = column;
+    this.source = source;
+  }
+}
+
+const BARE_KEY_CHAR = /[A-Za-z0-9_-]/;
+const VALUE_TOKEN_CHAR = /[0-9A-Za-z_+\-.:]/;
+
+const ESCAPES = {
+  b: "\b",
+  t: "\t",
+  n: "\n",
+  f: "\f",
+  r: "\r",
+  '"': '"',
+  "\\": "\\",
+};
+
+const DECIMAL_INTEGER = /^[+-]?(0|[1-9](_?\d)*)$/;
+const PREFIXED_INTEGERS = [
+  { pattern: /^0x[0-9A-Fa-f](_?[0-9A-Fa-f])*$/, radix: 16 },
+  { pattern: /^0o[0-7](_?[0-7])*$/, radix: 8 },
+  { pattern: /^0b[01](_?[01])*$/, radix: 2 },
+];
+const FLOAT = /^[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?$/;
+const LINE_ENDING_BACKSLASH = /[ \t]*\r?\n/y;
+const SPECIAL_FLOAT = /^[+-]?(inf|nan)$/;
+const LOCAL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_TIME = /^\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+const DATE_TIME =
+  /^(\d{4}-\d{2}-\d{2})[Tt ](\d{2}:\d{2}:\d{2}(\.\d+)?)([Zz]|[+-]\d{2}:\d{2})?$/;
+
+const isTable = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date);
+
+const hasKey = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+// defineProperty so that keys like "__proto__" are stored as plain data
+const setKey = (table, key, value) => {
+  Object.defineProperty(table, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+};
+
+/**
+ * Parse a TOML document
+ * @param {string} text - TOML source
+ * @param {Object} options - { source } file name used in error messages
+ * @returns {Object} Parsed document
+ * @throws {TomlError} When the document is not valid TOML
+ */
+export const parseToml = (text, { source = null } = {}) => {
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const root = {};
+  let currentTable = root;
+
+  // Track how each table was created, to reject redefinitions
+  const headerTables = new WeakSet(); // defined by a [table] header
+  const dottedTables = new WeakSet(); // created by a dotted key
+  const frozenValues = new WeakSet(); // inline tables and static arrays
+  const tableArrays = new WeakSet(); // created by [[array]] headers
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at).split("\n");
+    throw new TomlError(message, {
+      line: before.length,
+      column: before[before.length - 1].length + 1,
+      source,
+    });
+  };
+
+  const peek = (offset = 0) => text[pos + offset];
+  const startsWith = (token) => text.startsWith(token, pos);
+  const atEnd = () => pos >= text.length;
+  const isNewline = () => startsWith("\n") || startsWith("\r\n");
+
+  const expect = (token, description = `"${token}"`) => {
+    if (!startsWith(token)) {
+      fail(`Expected ${description}`);
+    }
+    pos += token.length;
+  };
+
+  const skipWhitespace = () => {
+    while (peek() === " " || peek() === "\t") pos++;
+  };
+
+  const skipComment = () => {
+    if (peek() !== "#") return;
+    while (!atEnd() && !isNewline()) pos++;
+  };
+
+  const skipNewline = () => {
+    pos += startsWith("\r\n") ? 2 : 1;
+  };
+
+  // Whitespace, comments and newlines (inside arrays)
+  const skipBlank = () => {
+    for (;;) {
+      skipWhitespace();
+      skipComment();
+      if (!isNewline()) return;
+      skipNewline();
+    }
+  };
+
+  const expectLineEnd = () => {
+    skipWhitespace();
+    skipComment();
+    if (atEnd()) return;
+    if (!isNewline()) {
+      fail("Expected the end of the line");
+    }
+    skipNewline();
+  };
+
+  const checkControlCharacter = (char) => {
+    const code = char.charCodeAt(0);
+    if ((code < 0x20 && char !== "\t") || code === 0x7f) {
+      fail("Control characters must be escaped in strings");
+    }
+  };
+
+  // --- Strings ---
+
+  const parseEscape = () => {
+    const start = pos;
+    pos++; // backslash
+    const char = peek();
+
+    if (ESCAPES[char] !== undefined) {
+      pos++;
+      return ESCAPES[char];
+    }
+
+    if (char === "u" || char === "U") {
+      const length = char === "u" ? 4 : 8;
+      const hex = text.slice(pos + 1, pos + 1 + length);
+      const codePoint = parseInt(hex, 16);
+      if (
+        !/^[0-9A-Fa-f]+$/.test(hex) ||
+        hex.length !== length ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)
+      ) {
+        fail("Invalid unicode escape", start);
+      }
+      pos += 1 + length;
+      return String.fromCodePoint(codePoint);
+    }
+
+    return fail(`Invalid escape sequence "\\${char ?? ""}"`, start);
+  };
+
+  const parseBasicString = () => {
+    const start = pos;
+    pos++; // opening quote
+    let value = "";
+
+    while (peek() !== '"') {
+      if (atEnd() || isNewline()) {
+        fail("Unterminated string", start);
+      }
+      if (peek() === "\\") {
+        value += parseEscape();
+      } else {
+        checkControlCharacter(peek());
+        value += peek();
+        pos++;
+      }
+    }
+    pos++;
+
+    return value;
+  };
+
+  const parseLiteralString = () => {
+    const start = pos;
+    pos++; // opening quote
+    const end = text.indexOf("'", pos);
+    const newline = text.indexOf("\n", pos);
+
+    if (end === -1 || (newline !== -1 && newline < end)) {
+      fail("Unterminated string", start);
+    }
+
+    const value = text.slice(pos, end);
+    for (const char of value) checkControlCharacter(char);
+    pos = end + 1;
+
+    return value;
+  };
+
+  const parseMultilineString = (delimiter) => {
+    const start = pos;
+    const isBasic = delimiter === '"""';
+    const quote = delimiter[0];
+    pos += 3;
+
+    // A newline right after the opening delimiter is trimmed
+    if (isNewline()) skipNewline();
+
+    let value = "";
+    for (;;) {
+      if (atEnd()) {
+        fail("Unterminated multi-line string", start);
+      }
+
+      if (startsWith(delimiter)) {
+        // Up to two quotes may directly precede the closing delimiter
+        let quotes = 3;
+        while (quotes < 5 && peek(quotes) === quote) quotes++;
+        value += quote.repeat(quotes - 3);
+        pos += quotes;
+        return value;
+      }
+
+      if (isNewline()) {
+        value += "\n";
+        skipNewline();
+      } else if (isBasic && peek() === "\\") {
+        // A backslash at the end of a line trims the following whitespace
+        LINE_ENDING_BACKSLASH.lastIndex = pos + 1;
+        if (LINE_ENDING_BACKSLASH.test(text)) {
+          pos = LINE_ENDING_BACKSLASH.lastIndex;
+          while (/[ \t\r\n]/.test(peek() ?? "")) pos++;
+        } else {
+          value += parseEscape();
+        }
+      } else {
+        checkControlCharacter(peek());
+        value += peek();
+        pos++;
+      }
+    }
+  };
+
+  // --- Keys ---
+
+  const parseSimpleKey = () => {
+    if (peek() === '"') {
+      if (startsWith('"""')) fail("Multi-line strings cannot be used as keys");
+      return parseBasicString();
+    }
+    if (peek() === "'") {
+      if (startsWith("'''")) fail("Multi-line strings cannot be used as keys");
+      return parseLiteralString();
+    }
+
+    const start = pos;
+    while (!atEnd() && BARE_KEY_CHAR.test(peek())) pos++;
+    if (pos === start) {
+      fail("Expected a key");
+    }
+    return text.slice(start, pos);
+  };
+
+  const parseKey = () => {
+    const keys = [parseSimpleKey()];
+    skipWhitespace();
+    while (peek() === ".") {
+      pos++;
+      skipWhitespace();
+      keys.push(parseSimpleKey());
+      skipWhitespace();
+    }
+    return keys;
+  };
+
+  // --- Values ---
+
+  const parseArray = () => {
+    pos++; // [
+    const array = [];
+
+    for (;;) {
+      skipBlank();
+      if (peek() === "]") break;
+
+      array.push(parseValue());
+      skipBlank();
+
+      if (peek() === ",") {
+        pos++;
+      } else if (peek() !== "]") {
+        fail('Expected "," or "]" in array');
+      }
+    }
+    pos++;
+
+    frozenValues.add(array);
+    return array;
+  };
+
+  const freezeTable = (table) => {
+    frozenValues.add(table);
+    Object.values(table).forEach((value) => {
+      if (isTable(value)) freezeTable(value);
+    });
+  };
+
+  const parseInlineTable = () => {
+    pos++; // {
+    const table = {};
+    skipWhitespace();
+
+    if (peek() === "}") {
+      pos++;
+      frozenValues.add(table);
+      return table;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      parseKeyValue(table);
+      skipWhitespace();
+
+      if (peek() === "}") break;
+      if (peek() !== ",") {
+        fail('Expected "," or "}" in inline table');
+      }
+      pos++;
+      skipWhitespace();
+      if (peek() === "}") {
+        fail("Trailing commas are not allowed in inline tables");
+      }
+    }
+    pos++;
+
+    freezeTable(table);
+    return table;
+  };
+
+  const parseScalar = () => {
+    const start = pos;
+    while (!atEnd() && VALUE_TOKEN_CHAR.test(peek())) pos++;
+
+    // Date and time may be separated by a space
+    if (
+      LOCAL_DATE.test(text.slice(start, pos)) &&
+      peek() === " " &&
+      /^\d{2}:/.test(text.slice(pos + 1, pos + 4))
+    ) {
+      pos++;
+      while (!atEnd() && VALUE_TOKEN_CHAR.test(peek())) pos++;
+    }
+
+    const token = text.slice(start, pos);
+    if (!token) {
+      fail("Expected a value");
+    }
+
+    if (DECIMAL_INTEGER.test(token)) {
+      return Number(token.replace(/_/g, ""));
+    }
+
+    const prefixed = PREFIXED_INTEGERS.find(({ pattern }) =>
+      pattern.test(token),
+    );
+    if (prefixed) {
+      return parseInt(token.slice(2).replace(/_/g, ""), prefixed.radix);
+    }
+
+    if (FLOAT.test(token)) {
+      return parseFloat(token.replace(/_/g, ""));
+    }
+
+    if (SPECIAL_FLOAT.test(token)) {
+      if (token.endsWith("nan")) return NaN;
+      return token.startsWith("-") ? -Infinity : Infinity;
+    }
+
+    const dateTime = token.match(DATE_TIME);
+    if (dateTime) {
+      if (!dateTime[4]) return token; // Local date-time
+      const date = new Date(`${dateTime[1]}T${dateTime[2]}${dateTime[4]}`);
+      if (isNaN(date.getTime())) {
+        fail(`Invalid date-time "${token}"`, start);
+      }
+      return date;
+    }
+
+    if (LOCAL_DATE.test(token) || LOCAL_TIME.test(token)) {
+      return token;
+    }
+
+    return fail(`Invalid value "${token}"`, start);
+  };
+
+  const parseValue = () => {
+    if (startsWith('"""') || startsWith("'''")) {
+      return parseMultilineString(text.slice(pos, pos + 3));
+    }
+    if (peek() === '"') return parseBasicString();
+    if (peek() === "'") return parseLiteralString();
+    if (peek() === "[") return parseArray();
+    if (peek() === "{") return parseInlineTable();
+
+    if (startsWith("true") && !VALUE_TOKEN_CHAR.test(peek(4) ?? "")) {
+      pos += 4;
+      return true;
+    }
+    if (startsWith("false") && !VALUE_TOKEN_CHAR.test(peek(5) ?? "")) {
+      pos += 5;
+      return false;
+    }
+
+    return parseScalar();
+  };
+
+  // --- Structure ---
+
+  const parseKeyValue = (table) => {
+    const keyStart = pos;
+    const keys = parseKey();
+    skipWhitespace();
+    expect("=", '"=" after key');
+    skipWhitespace();
+
+    if (atEnd() || isNewline() || peek() === "#") {
+      fail("Expected a value");
+    }
+    const value = parseValue();
+
+    let target = table;
+    keys.slice(0, -1).forEach((key) => {
+      if (!hasKey(target, key)) {
+        const child = {};
+        dottedTables.add(child);
+        setKey(target, key, child);
+      } else if (
+        !isTable(target[key]) ||
+        frozenValues.has(target[key]) ||
+        headerTables.has(target[key])
+      ) {
+        fail(`Cannot add keys to "${key}", it is already defined`, keyStart);
+      }
+      target = target[key];
+    });
+
+    const lastKey = keys[keys.length - 1];
+    if (hasKey(target, lastKey)) {
+      fail(`Duplicate key "${keys.join(".")}"`, keyStart);
+    }
+    setKey(target, lastKey, value);
+  };
+
+  const parseTableHeader = () => {
+    const headerStart = pos;
+    const isArrayTable = startsWith("[[");
+    pos += isArrayTable ? 2 : 1;
+    skipWhitespace();
+    const keys = parseKey();
+    expect(isArrayTable ? "]]" : "]");
+
+    const name = keys.join(".");
+    let table = root;
+
+    keys.slice(0, -1).forEach((key) => {
+      if (!hasKey(table, key)) {
+        setKey(table, key, {});
+      }
+      let next = table[key];
+      if (Array.isArray(next) && tableArrays.has(next)) {
+        next = next[next.length - 1];
+      }
+      if (!isTable(next) || frozenValues.has(next)) {
+        fail(`Cannot define table "${name}", "${key}" is a value`, headerStart);
+      }
+      table = next;
+    });
+
+    const lastKey = keys[keys.length - 1];
+    const existing = table[lastKey];
+    const newTable = {};
+
+    if (isArrayTable) {
+      if (!hasKey(table, lastKey)) {
+        const array = [];
+        tableArrays.add(array);
+        setKey(table, lastKey, array);
+      } else if (!tableArrays.has(existing)) {
+        fail(`Cannot define array of tables "${name}"`, headerStart);
+      }
+      table[lastKey].push(newTable);
+      headerTables.add(newTable);
+      currentTable = newTable;
+      return;
+    }
+
+    if (!hasKey(table, lastKey)) {
+      setKey(table, lastKey, newTable);
+      headerTables.add(newTable);
+      currentTable = newTable;
+      return;
+    }
+
+    // A table created implicitly by a deeper header may be defined once
+    if (
+      !isTable(existing) ||
+      headerTables.has(existing) ||
+      dottedTables.has(existing) ||
+      frozenValues.has(existing)
+    ) {
+      fail(`Table "${name}" is already defined`, headerStart);
+    }
+    headerTables.add(existing);
+    currentTable = existing;
+  };
+
+  while (!atEnd()) {
+    skipWhitespace();
+
+    if (peek() === "[") {
+      parseTableHeader();
+    } else if (peek() !== "#" && !isNewline() && !atEnd()) {
+      parseKeyValue(currentTable);
+    }
+
+    expectLineEnd();
+  }
+
+  return root;
+};
@@ -1,10 +1,20 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// Port of the mock DBT API server (`pnpm mock:dbt`)
+const DBT_MOCK_PORT = process.env.DBT_MOCK_PORT || 4010;
+
 // https://vitejs.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
   server: {
     port: 3000,
+    // `vite --mode mock` sends dbt-proxy calls to the mock server, which
+    // answers them from recorded fixtures
+    ...(mode === "mock" && {
+      proxy: {
+        "/.netlify/functions": `http://localhost:${DBT_MOCK_PORT}`,
+      },
+    }),
   },
-});
+}));